@@ -1,38 +1,217 @@
 /**
- * @file config.js - Combines all environment variables.
+ * @file config.js - Loads, validates and combines the configuration of the backend.
  * @author Daniel Dopatka
  * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * The configuration is read from environment variables, which can be set in a .env file.
+ * The profile is selected with NODE_ENV ('development' if not set) and provides the defaults of the variables,
+ * variables without a default in the selected profile are required. Values are converted to their type (e.g. ports to numbers).
+ * An invalid configuration stops the process with a report of all invalid variables, see the Configuration page of the wiki.
  */
 import dotenv from 'dotenv';
+import yup from 'yup';
 import ConfigError from "./httpServer/errors/ConfigError.js";
 import logger from "./tools/logging/logger.js";
 
 dotenv.config();
 
 /**
- * @description Ensures an environment variable exists and returns it
- * @param {String} name - The name of the environment variable
- * @returns {String} - The value of the environment variable
+ * @description The profiles the backend can run with.
  * */
-function ensureEnvVariable(name) {
-  const value = process.env[name];
-  if (!value) {
-    throw new ConfigError(`Missing environment variable: ${name}`);
+export const profiles = {
+  DEVELOPMENT: 'development',
+  TEST: 'test',
+  PRODUCTION: 'production'
+};
+
+/**
+ * @description The storages the documents can be saved in, see mongoDb/storage/storageAdapter.js.
+ * */
+export const storages = {
+  MONGODB: 'mongodb',
+  MEMORY: 'memory'
+};
+
+/**
+ * @description The caches the models and throttles can be cached in, see httpServer/cache.js.
+ * */
+export const caches = {
+  MEMORY: 'memory',
+  REDIS: 'redis'
+};
+
+/**
+ * @description The transports notifying the other processes about changed models, see httpServer/cache/invalidationBus.js.
+ * */
+export const cacheInvalidations = {
+  NONE: 'none',
+  LOCAL: 'local',
+  REDIS: 'redis',
+  CHANGE_STREAM: 'changeStream'
+};
+
+// defaults of all profiles, times are in minutes unless stated otherwise
+const defaults = {
+  STORAGE: storages.MONGODB,
+  CACHE: caches.MEMORY,
+  CACHE_INVALIDATION: cacheInvalidations.LOCAL,
+  MONGODB_MAX_POOL_SIZE: 10,
+  MONGODB_MIN_POOL_SIZE: 0,
+  MONGODB_SERVER_SELECTION_TIMEOUT: 30000, // in milliseconds
+  ACCESS_TOKEN_EXPIRATION: 15,
+  REFRESH_TOKEN_EXPIRATION: 10080,
+  ACTIVATION_CODE_EXPIRATION: 4320,
+  TWO_FACTOR_TOKEN_EXPIRATION: 5,
+  TWO_FACTOR_ISSUER: 'Academi-fy',
+  IMPERSONATION_EXPIRATION: 30,
+  DEFAULT_AVATAR: '/avatars/default.png' // avatar of imported users without one
+};
+
+// defaults by profile, they override the defaults of all profiles
+const profileDefaults = {
+  [profiles.DEVELOPMENT]: {
+    MONGODB_URI: 'mongodb://127.0.0.1:27017',
+    MONGODB_DATABASE: 'academi-fy',
+    SERVER_HOST: 'localhost',
+    SERVER_PORT: 3000,
+    WEBSOCKET_PORT: 3001
+  },
+  // tests run without a database by default, set STORAGE=mongodb to test against MongoDB
+  [profiles.TEST]: {
+    STORAGE: storages.MEMORY,
+    MONGODB_URI: 'mongodb://127.0.0.1:27017',
+    MONGODB_DATABASE: 'academi-fy-test',
+    MONGODB_SERVER_SELECTION_TIMEOUT: 5000,
+    SERVER_HOST: 'localhost',
+    SERVER_PORT: 3100,
+    WEBSOCKET_PORT: 3101,
+    TOKEN_SECRET: 'test-token-secret-not-for-production'
+  },
+  // production has no defaults for the database, the server and the secrets, they have to be set explicitly
+  [profiles.PRODUCTION]: {
+    MONGODB_DATABASE: 'academi-fy'
   }
-  return value;
+};
+
+// minimal length of the token secret in production, it signs the access tokens, see httpServer/authentication/tokens.js
+const minimalSecretLength = 32;
+
+const port = () => yup.number().typeError('${path} must be a number').integer('${path} must be an integer').min(1).max(65535).required();
+const minutes = () => yup.number().typeError('${path} must be a number of minutes').integer('${path} must be an integer').positive().required();
+
+/**
+ * @description The schema of the configuration. Every field is an environment variable.
+ * */
+export const configSchema = yup.object({
+  PROFILE: yup.string().oneOf(Object.values(profiles), '${path} must be one of: ${values}').required(),
+
+  STORAGE: yup.string().oneOf(Object.values(storages), '${path} must be one of: ${values}').required(),
+
+  // only needed when the documents are saved in MongoDB
+  MONGODB_URI: yup.string()
+    .when('STORAGE', {
+      is: storages.MONGODB,
+      then: schema => schema.required()
+    })
+    .matches(/^mongodb(\+srv)?:\/\//, '${path} must start with mongodb:// or mongodb+srv://'),
+  MONGODB_DATABASE: yup.string().required()
+    .matches(/^[^/\\. "$]+$/, '${path} must not contain /, \\, ., ", $ or spaces'),
+  MONGODB_MAX_POOL_SIZE: yup.number().typeError('${path} must be a number').integer().min(1).required(),
+  MONGODB_MIN_POOL_SIZE: yup.number().typeError('${path} must be a number').integer().min(0).required()
+    .max(yup.ref('MONGODB_MAX_POOL_SIZE'), '${path} must not be greater than MONGODB_MAX_POOL_SIZE'),
+  MONGODB_SERVER_SELECTION_TIMEOUT: yup.number().typeError('${path} must be a number of milliseconds').integer().positive().required(),
+
+  CACHE: yup.string().oneOf(Object.values(caches), '${path} must be one of: ${values}').required(),
+  CACHE_INVALIDATION: yup.string().oneOf(Object.values(cacheInvalidations), '${path} must be one of: ${values}').required()
+    .when('STORAGE', {
+      is: storages.MEMORY,
+      then: schema => schema.test('changeStream', '${path} changeStream needs STORAGE=mongodb', value => value !== cacheInvalidations.CHANGE_STREAM)
+    }),
+  // directory of the socket of CACHE_INVALIDATION=local, ~/.academi-fy if not set, see httpServer/cache/invalidation/localTransport.js
+  CACHE_INVALIDATION_SOCKET_DIR: yup.string(),
+  // only needed when the cache is shared or the invalidations are sent through Redis
+  REDIS_URL: yup.string()
+    .when([ 'CACHE', 'CACHE_INVALIDATION' ], {
+      is: (cache, cacheInvalidation) => cache === caches.REDIS || cacheInvalidation === cacheInvalidations.REDIS,
+      then: schema => schema.required()
+    })
+    .matches(/^rediss?:\/\//, '${path} must start with redis:// or rediss://'),
+
+  WEBSOCKET_PORT: port(),
+  SERVER_HOST: yup.string().required(),
+  SERVER_PORT: port(),
+
+  TOKEN_SECRET: yup.string().required()
+    .when('PROFILE', {
+      is: profiles.PRODUCTION,
+      then: schema => schema.min(minimalSecretLength, `\${path} must be at least ${ minimalSecretLength } characters long in production`)
+    }),
+  ACCESS_TOKEN_EXPIRATION: minutes(),
+  REFRESH_TOKEN_EXPIRATION: minutes(),
+  ACTIVATION_CODE_EXPIRATION: minutes(),
+  TWO_FACTOR_TOKEN_EXPIRATION: minutes(),
+  TWO_FACTOR_ISSUER: yup.string().required(),
+  IMPERSONATION_EXPIRATION: minutes(),
+  DEFAULT_AVATAR: yup.string().required()
+});
+
+/**
+ * @description Formats the errors of a validation as a report with one line per invalid variable.
+ * @param {String} profile - The selected profile.
+ * @param {yup.ValidationError} error - The error of the validation.
+ * @returns {String} The report.
+ * */
+function formatReport(profile, error) {
+  const lines = error.inner.length > 0 ? error.inner.map(inner => inner.message) : [ error.message ];
+  return [
+    `Invalid configuration for profile '${ profile }':`,
+    ...[ ...new Set(lines) ].map(line => `  - ${ line }`),
+    'See .env.example and the Configuration page of the wiki.'
+  ].join('\n');
 }
 
-let variables= {};
-try {
-  variables = {
-    MONGODB_PASSWORD: ensureEnvVariable('MONGODB_PASSWORD'),
-    WEBSOCKET_PORT: ensureEnvVariable('WEBSOCKET_PORT'),
-    SERVER_HOST: ensureEnvVariable('SERVER_HOST'),
-    SERVER_PORT: ensureEnvVariable('SERVER_PORT')
+/**
+ * @description Loads the configuration from environment variables. Empty variables count as not set.
+ * @param {Object} environment - The environment variables, process.env by default.
+ * @returns {Object} The frozen configuration with values converted to their type.
+ * @throws {ConfigError} With a report of all invalid variables when the configuration is invalid or MONGODB_PASSWORD is set.
+ * */
+export function loadConfig(environment = process.env) {
+  const profile = environment.NODE_ENV || profiles.DEVELOPMENT;
+
+  const variables = {};
+  for (const name of Object.keys(configSchema.fields)) {
+    if (environment[name]) variables[name] = environment[name];
+  }
+
+  // the former cluster was connected with only a password, the credentials belong into the URI now
+  if (environment.MONGODB_PASSWORD) {
+    throw new ConfigError([
+      `Invalid configuration for profile '${ profile }':`,
+      '  - MONGODB_PASSWORD is no longer supported, set MONGODB_URI including the credentials and remove MONGODB_PASSWORD',
+      'See .env.example and the Configuration page of the wiki.'
+    ].join('\n'));
+  }
+
+  try {
+    return Object.freeze(configSchema.validateSync(
+      { ...defaults, ...profileDefaults[profile], ...variables, PROFILE: profile },
+      { abortEarly: false, stripUnknown: true }
+    ));
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    throw new ConfigError(formatReport(profile, error));
   }
 }
-catch (error){
-  logger.server.fatal(`Missing environment variable: \n${error.stack}`)
+
+let config;
+try {
+  config = loadConfig();
+}
+catch (error) {
+  // nothing can run with an invalid configuration, the process stops before connecting to anything
+  logger.server.fatal(error.message);
+  throw error;
 }
 
-export default variables;
\ No newline at end of file
+export default config;
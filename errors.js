@@ -19,6 +19,46 @@ export default {
             deletion: {
                 failed: 7
             }
+        },
+        authentication: {
+            login: {
+                failed: 8,
+                locked: 16
+            },
+            token: {
+                missing: 9,
+                invalid: 10,
+                expired: 11
+            },
+            activation: {
+                invalid: 13,
+                throttled: 14,
+                weakPassword: 15
+            },
+            twoFactor: {
+                invalid: 17,
+                required: 18,
+                conflict: 19
+            }
+        },
+        authorization: {
+            insufficientPermission: 12,
+            impersonationRestricted: 20
+        },
+        setup: {
+            invalid: 21,
+            throttled: 22,
+            step: 23,
+            inconsistent: 24
+        },
+        rosterImport: {
+            invalid: 25,
+            conflicts: 26
+        },
+        inviteCode: {
+            invalid: 27,
+            throttled: 28,
+            target: 29
         }
     },
     socket: {
@@ -33,6 +73,14 @@ export default {
         },
         actions: {
             insufficientPermission: 99
+        },
+        connection: {
+            authentication: {
+                missing: 4001,
+                invalid: 4002,
+                expired: 4003,
+                revoked: 4004
+            }
         }
     }
 
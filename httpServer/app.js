@@ -0,0 +1,84 @@
+/**
+ * @file app.js - The express application of the HTTP server with its middleware and routes.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * The application does not listen on its own, see index.js. Tests start it on a free port instead.
+ */
+import logger from "../tools/logging/logger.js";
+import express from 'express';
+import requestDebugger from "./middleware/requestDebugger.js";
+import authentication from "./middleware/authentication.js";
+import requestContext from "./middleware/requestContext.js";
+import rejectImpersonation from "./middleware/rejectImpersonation.js";
+import setupAuthentication from "./middleware/setupAuthentication.js";
+import viewerSerialization from "./middleware/viewerSerialization.js";
+import cors from 'cors';
+import authRoutes from "./routing/routes/authRoutes.js";
+import twoFactorRoutes from "./routing/routes/twoFactorRoutes.js";
+import auditRoutes from "./routing/routes/auditRoutes.js";
+import activationCodeRoutes from "./routing/routes/activationCodeRoutes.js";
+import blackboardRoutes from "./routing/routes/blackboardRoutes.js";
+import classRoutes from "./routing/routes/classRoutes.js";
+import chatRoutes from "./routing/routes/chatRoutes.js";
+import clubRoutes from "./routing/routes/clubRoutes.js";
+import courseRoutes from './routing/routes/courseRoutes.js'
+import eventRoutes from "./routing/routes/eventRoutes.js";
+import eventTicketRoutes from "./routing/routes/eventTicketRoutes.js";
+import gradeRoutes from "./routing/routes/gradeRoutes.js";
+import impersonationRoutes from "./routing/routes/impersonationRoutes.js";
+import loginLockRoutes from "./routing/routes/loginLockRoutes.js";
+import messageRoutes from "./routing/routes/messageRoutes.js";
+import schoolRoutes from "./routing/routes/schoolRoutes.js";
+import sessionRoutes from "./routing/routes/sessionRoutes.js";
+import setupAccountRoutes from "./routing/routes/setupAccountRoutes.js";
+import inviteCodeRoutes from "./routing/routes/inviteCodeRoutes.js";
+import setupRoutes from "./routing/routes/setupRoutes.js";
+import subjectRoutes from "./routing/routes/subjectRoutes.js";
+import userAccountRoutes from "./routing/routes/userAccountRoutes.js";
+import userRoutes from "./routing/routes/userRoutes.js";
+import roleRoutes from "./routing/routes/roleRoutes.js";
+
+const app = express();
+
+try {
+    app.use(requestDebugger);
+    app.use(express.static('public'));
+    app.use(cors());
+    app.use(express.json());
+    app.use(requestContext);
+    app.use(viewerSerialization);
+} catch (error) {
+    logger.server.fatal(error.stack);
+}
+
+try {
+    app.use('/api/auth/two-factor', twoFactorRoutes);
+    app.use('/api/auth', authRoutes);
+    app.use('/api/activation-codes', authentication, rejectImpersonation, activationCodeRoutes);
+    app.use('/api/audit', authentication, auditRoutes);
+    app.use('/api/blackboards', authentication, blackboardRoutes);
+    app.use('/api/chats', authentication, chatRoutes);
+    app.use('/api/classes', authentication, classRoutes);
+    app.use('/api/clubs', authentication, clubRoutes);
+    app.use('/api/courses', authentication, courseRoutes);
+    app.use('/api/events', authentication, eventRoutes);
+    app.use('/api/event-tickets', authentication, eventTicketRoutes);
+    app.use('/api/grades', authentication, gradeRoutes);
+    app.use('/api/impersonation', authentication, rejectImpersonation, impersonationRoutes);
+    app.use('/api/invite-codes', authentication, inviteCodeRoutes);
+    app.use('/api/login-locks', authentication, loginLockRoutes);
+    app.use('/api/messages', authentication, messageRoutes);
+    app.use('/api/roles', authentication, roleRoutes);
+    app.use('/api/schools', authentication, schoolRoutes);
+    app.use('/api/sessions', authentication, rejectImpersonation, sessionRoutes);
+    app.use('/api/setup', setupAuthentication, setupRoutes);
+    app.use('/api/setup-accounts', authentication, setupAccountRoutes);
+    app.use('/api/subjects', authentication, subjectRoutes);
+    app.use('/api/user-accounts', authentication, rejectImpersonation, userAccountRoutes);
+    app.use('/api/users', authentication, userRoutes);
+} catch (error) {
+    logger.server.fatal(error.stack);
+}
+
+export default app;
@@ -0,0 +1,61 @@
+/**
+ * @file attemptThrottle.js - Function creating throttles for failed attempts, e.g. guessing activation codes.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import cache from "../cache.js";
+
+/**
+ * @description Creates a throttle that blocks a key (e.g. an ip address) after too many failed attempts.
+ * The failures are counted in the cache and forgotten after the time window. With a shared cache (see cache.js),
+ * failures in the HTTP server and the WebSocket server count together.
+ * @param {String} name - The name of the throttle. Keys of different throttles do not interfere.
+ * @param {Number} maxAttempts - The number of failed attempts after which the key is blocked.
+ * @param {Number} windowMinutes - The time in minutes after which the failures are forgotten.
+ * @returns {{ getRetryAfter: Function, registerFailure: Function, reset: Function }} The throttle, all functions are asynchronous.
+ * */
+export default function createAttemptThrottle(name, maxAttempts, windowMinutes) {
+
+    const cacheKey = key => `throttle:${ name }:${ key }`;
+
+    return {
+
+        /**
+         * @description Gets the time until a key can try again.
+         * @param {String} key - The key.
+         * @returns {Promise<Number>} The time in milliseconds, 0 if the key is not blocked.
+         * */
+        async getRetryAfter(key) {
+            const entry = await cache.get(cacheKey(key));
+            if (!entry || entry.attempts < maxAttempts) return 0;
+
+            return Math.max(entry.resetAt - Date.now(), 0);
+        },
+
+        /**
+         * @description Counts a failed attempt of a key.
+         * @param {String} key - The key.
+         * */
+        async registerFailure(key) {
+            // counted atomically, so concurrent failures are not lost
+            await cache.update(
+                cacheKey(key),
+                entry => {
+                    const { attempts, resetAt } = entry ?? { attempts: 0, resetAt: Date.now() + windowMinutes * 60 * 1000 };
+                    return { attempts: attempts + 1, resetAt: resetAt };
+                },
+                entry => Math.max(entry.resetAt - Date.now(), 1)
+            );
+        },
+
+        /**
+         * @description Forgets the failed attempts of a key, e.g. after a successful attempt.
+         * @param {String} key - The key.
+         * */
+        async reset(key) {
+            await cache.del(cacheKey(key));
+        }
+
+    };
+
+}
@@ -0,0 +1,136 @@
+/**
+ * @file passwordHashing.js - Functions to hash and verify user account passwords.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * @description The parameters used for new password hashes.
+ * Stored hashes carry their own parameters, so these can be raised without breaking existing accounts.
+ * */
+const hashParameters = {
+    cost: 16384,
+    blockSize: 8,
+    parallelization: 1,
+    keyLength: 64,
+    saltLength: 16
+};
+
+const hashPrefix = 'scrypt';
+
+/**
+ * @description The minimum length of passwords users choose themselves.
+ * */
+export const minimumPasswordLength = 8;
+
+/**
+ * @description Derives a key from a password with scrypt.
+ * @param {String} password - The password to derive the key from.
+ * @param {Buffer} salt - The salt of the key.
+ * @param {Object} parameters - The scrypt parameters.
+ * @returns {Promise<Buffer>} The derived key.
+ * */
+async function deriveKey(password, salt, parameters) {
+    return await scrypt(password, salt, parameters.keyLength, {
+        N: parameters.cost,
+        r: parameters.blockSize,
+        p: parameters.parallelization,
+        maxmem: 256 * parameters.cost * parameters.blockSize
+    });
+}
+
+/**
+ * @description Checks if a value is a password hash created by hashPassword.
+ * @param {String} value - The value to check.
+ * @returns {Boolean} If the value is a password hash.
+ * */
+export function isPasswordHash(value) {
+    if (typeof value !== 'string') return false;
+
+    const parts = value.split('$');
+    return parts.length === 6 && parts[0] === hashPrefix;
+}
+
+/**
+ * @description Hashes a password with a random salt.
+ * The result has the format 'scrypt$<cost>$<blockSize>$<parallelization>$<salt>$<hash>'.
+ * @param {String} password - The plaintext password.
+ * @returns {Promise<String>} The password hash.
+ * @throws {TypeError} If the password is not a non-empty string.
+ * */
+export async function hashPassword(password) {
+    if (typeof password !== 'string' || password.length === 0) throw new TypeError('Password must be a non-empty string');
+
+    const salt = crypto.randomBytes(hashParameters.saltLength);
+    const key = await deriveKey(password, salt, hashParameters);
+
+    return [
+        hashPrefix,
+        hashParameters.cost,
+        hashParameters.blockSize,
+        hashParameters.parallelization,
+        salt.toString('base64'),
+        key.toString('base64')
+    ].join('$');
+}
+
+/**
+ * @description Checks if the parameters of a stored hash are within the current ones.
+ * Hashes with higher parameters are never verified, as scrypt would take as much memory and time as they demand.
+ * @param {Object} parameters - The parameters of the stored hash.
+ * @returns {Boolean} If the hash can be verified.
+ * */
+function isWithinParameters(parameters) {
+    return [ 'cost', 'blockSize', 'parallelization', 'keyLength' ].every(name =>
+        Number.isInteger(parameters[name]) && parameters[name] > 0 && parameters[name] <= hashParameters[name]
+    );
+}
+
+/**
+ * @description Verifies a password against a password hash in constant time.
+ * Hashes with parameters above the current ones are rejected.
+ * @param {String} password - The plaintext password.
+ * @param {String} passwordHash - The stored password hash.
+ * @returns {Promise<Boolean>} If the password matches the hash.
+ * */
+export async function verifyPassword(password, passwordHash) {
+    if (typeof password !== 'string' || !isPasswordHash(passwordHash)) return false;
+
+    const [ , cost, blockSize, parallelization, salt, hash ] = passwordHash.split('$');
+    const expected = Buffer.from(hash, 'base64');
+    const parameters = {
+        cost: Number(cost),
+        blockSize: Number(blockSize),
+        parallelization: Number(parallelization),
+        keyLength: expected.length
+    };
+    if (!isWithinParameters(parameters)) return false;
+
+    let key;
+    try {
+        key = await deriveKey(password, Buffer.from(salt, 'base64'), parameters);
+    } catch (error) {
+        // parameters scrypt does not accept, e.g. a cost that is no power of two
+        return false;
+    }
+
+    return crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * @description Checks if a password hash was created with weaker parameters than the current ones.
+ * @param {String} passwordHash - The stored password hash.
+ * @returns {Boolean} If the hash should be recreated on the next successful login.
+ * */
+export function needsRehash(passwordHash) {
+    if (!isPasswordHash(passwordHash)) return true;
+
+    const [ , cost, blockSize, parallelization ] = passwordHash.split('$');
+    return parseInt(cost) < hashParameters.cost
+        || parseInt(blockSize) < hashParameters.blockSize
+        || parseInt(parallelization) < hashParameters.parallelization;
+}
@@ -0,0 +1,69 @@
+/**
+ * @file resolveIdentity.js - Function resolving the user account and user behind an access token.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import { tokenTypes, verifyToken } from "./tokens.js";
+import errors from "../../errors.js";
+import AuthenticationError from "../errors/AuthenticationError.js";
+import UserAccount from "../../models/users/UserAccount.js";
+import User from "../../models/users/User.js";
+import Session, { activityUpdateInterval } from "../../models/users/Session.js";
+import logger from "../../tools/logging/logger.js";
+import { runWithTenant } from "../../mongoDb/tenancy.js";
+
+/**
+ * @description Verifies an access token and loads the session, user account and user it was issued for.
+ * The last activity of the session is updated, at most once per activityUpdateInterval.
+ * For sessions of an admin impersonating a user, the user account and user are the impersonated ones, see session.impersonator.
+ * The user account and user are loaded within the school of the session, see mongoDb/tenancy.js.
+ * @param {String} accessToken - The access token.
+ * @returns {Promise<{ token: Object, session: Session, userAccount: UserAccount, user: User }>} The verified token payload, the session, the user account and the user.
+ * @throws {AuthenticationError} If the token is invalid, its session was revoked or the user account does not exist anymore.
+ * */
+export default async function resolveIdentity(accessToken) {
+
+    const token = verifyToken(accessToken, tokenTypes.ACCESS);
+
+    const session = token.sid ? await Session.getSessionById(token.sid) : null;
+    if (!session) {
+        throw new AuthenticationError('Session of token was revoked or is expired', errors.server.authentication.token.invalid);
+    }
+
+    if (Date.now() - session.lastActivityAt.getTime() > activityUpdateInterval) {
+        await Session.touch(session._id).catch(error => {
+            logger.database.error(`Failed to update last activity of session '${ session._id }':\n${ error.stack }`);
+        });
+    }
+
+    const { userAccount, user } = await runWithTenant(session.school, () => loadUser(token));
+
+    return { token, session, userAccount, user };
+}
+
+/**
+ * @description Loads the user account a token was issued for and its user.
+ * @param {Object} token - The verified token payload.
+ * @returns {Promise<{ userAccount: UserAccount, user: User }>} The user account and the user.
+ * @throws {AuthenticationError} If the user account or user does not exist (in the school of the session).
+ * */
+async function loadUser(token) {
+
+    let userAccount;
+    try {
+        userAccount = await UserAccount.getUserAccountById(token.sub);
+    } catch (error) {
+        userAccount = null;
+    }
+    if (!userAccount) {
+        throw new AuthenticationError(`User account '${ token.sub }' of token does not exist`, errors.server.authentication.token.invalid);
+    }
+
+    const userId = userAccount.user?._id ?? userAccount.user;
+    const user = userId ? await User.getById(userId.toString()) : null;
+    if (!user) {
+        throw new AuthenticationError(`User of user account '${ token.sub }' does not exist`, errors.server.authentication.token.invalid);
+    }
+
+    return { userAccount, user };
+}
@@ -0,0 +1,24 @@
+/**
+ * @file startSession.js - Function starting a session and issuing its tokens.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import { getLifetime, issueTokenPair, tokenTypes } from "./tokens.js";
+import Session from "../../models/users/Session.js";
+import UserAccount from "../../models/users/UserAccount.js";
+
+/**
+ * @description Starts a session for a completed login and issues an access and a refresh token for it.
+ * The device of the session is taken from the user-agent and ip address of the request.
+ * The session is bound to the school of the user account, all requests of the session are restricted to it.
+ * @param req - The request of the login.
+ * @param {String} userAccountId - The _id of the user account that logged in.
+ * @returns {Promise<Object>} The tokens and their expiration dates. See tokens.js.
+ * */
+export default async function startSession(req, userAccountId) {
+    const expiresAt = new Date(Date.now() + getLifetime(tokenTypes.REFRESH) * 1000);
+    const school = await UserAccount.getSchoolId(userAccountId);
+    const session = await Session.start(userAccountId, req.headers['user-agent'], req.ip, expiresAt, school);
+
+    return issueTokenPair(userAccountId, { sid: session._id });
+}
@@ -0,0 +1,161 @@
+/**
+ * @file tokens.js - Functions to issue and verify signed access and refresh tokens.
+ * Tokens are JSON Web Tokens signed with HMAC-SHA256 and the TOKEN_SECRET from the config.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import crypto from "crypto";
+import { nanoid } from "nanoid";
+import config from "../../config.js";
+import errors from "../../errors.js";
+import AuthenticationError from "../errors/AuthenticationError.js";
+import ConfigError from "../errors/ConfigError.js";
+
+/**
+ * @description The types of tokens that can be issued.
+ * */
+export const tokenTypes = {
+    ACCESS: 'access',
+    REFRESH: 'refresh',
+    TWO_FACTOR: 'twoFactor' // proves the password of a login whose two-factor code is still missing
+};
+
+// the config entries of the token lifetimes in minutes
+const lifetimes = {
+    [tokenTypes.ACCESS]: 'ACCESS_TOKEN_EXPIRATION',
+    [tokenTypes.REFRESH]: 'REFRESH_TOKEN_EXPIRATION',
+    [tokenTypes.TWO_FACTOR]: 'TWO_FACTOR_TOKEN_EXPIRATION'
+};
+
+/**
+ * @description What a two-factor token can be used for. It is saved in the purpose claim.
+ * */
+export const twoFactorPurposes = {
+    VERIFICATION: 'verification', // the account has two-factor authentication enabled and has to enter a code
+    ENROLLMENT: 'enrollment' // a school requires two-factor authentication and the account has to enroll first
+};
+
+const header = { alg: 'HS256', typ: 'JWT' };
+
+/**
+ * @description Returns the secret used to sign tokens.
+ * @returns {String} The token secret.
+ * @throws {ConfigError} If the secret is not configured.
+ * */
+function getSecret() {
+    if (!config.TOKEN_SECRET) throw new ConfigError('TOKEN_SECRET cannot be accessed from config');
+    return config.TOKEN_SECRET;
+}
+
+/**
+ * @description Returns the lifetime of a token type.
+ * @param {String} type - The type of the token.
+ * @returns {Number} The lifetime in seconds.
+ * */
+export function getLifetime(type) {
+    return parseInt(config[lifetimes[type]]) * 60;
+}
+
+/**
+ * @description Encodes an object as base64url JSON.
+ * @param {Object} object - The object to encode.
+ * @returns {String} The encoded object.
+ * */
+function encode(object) {
+    return Buffer.from(JSON.stringify(object)).toString('base64url');
+}
+
+/**
+ * @description Signs the header and payload part of a token.
+ * @param {String} content - The encoded header and payload, separated by a dot.
+ * @returns {String} The base64url encoded signature.
+ * */
+function sign(content) {
+    return crypto.createHmac('sha256', getSecret()).update(content).digest('base64url');
+}
+
+/**
+ * @description Issues a signed token for a user account.
+ * @param {String} type - The type of the token. See tokenTypes.
+ * @param {String} subject - The _id of the user account the token is issued for.
+ * @param {Object} claims - Additional claims that are added to the payload.
+ * @returns {{ token: String, expiresAt: Date }} The token and the date it expires at.
+ * */
+export function issueToken(type, subject, claims = {}) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const expiresAt = issuedAt + getLifetime(type);
+
+    const payload = {
+        ...claims,
+        sub: subject,
+        type: type,
+        jti: nanoid(16),
+        iat: issuedAt,
+        exp: expiresAt
+    };
+
+    const content = `${ encode(header) }.${ encode(payload) }`;
+    return {
+        token: `${ content }.${ sign(content) }`,
+        expiresAt: new Date(expiresAt * 1000)
+    };
+}
+
+/**
+ * @description Issues an access and a refresh token for a user account.
+ * @param {String} userAccountId - The _id of the user account.
+ * @param {Object} claims - Additional claims that are added to both tokens.
+ * @returns {Object} The tokens and their expiration dates.
+ * */
+export function issueTokenPair(userAccountId, claims = {}) {
+    const access = issueToken(tokenTypes.ACCESS, userAccountId, claims);
+    const refresh = issueToken(tokenTypes.REFRESH, userAccountId, claims);
+
+    return {
+        accessToken: access.token,
+        accessTokenExpiresAt: access.expiresAt,
+        refreshToken: refresh.token,
+        refreshTokenExpiresAt: refresh.expiresAt
+    };
+}
+
+/**
+ * @description Verifies the signature, type and expiration of a token.
+ * @param {String} token - The token to verify.
+ * @param {String} type - The expected type of the token. See tokenTypes.
+ * @returns {Object} The payload of the token.
+ * @throws {AuthenticationError} If the token is missing, invalid or expired.
+ * */
+export function verifyToken(token, type) {
+    if (!token || typeof token !== 'string') {
+        throw new AuthenticationError('Token is missing', errors.server.authentication.token.missing);
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new AuthenticationError('Token is malformed', errors.server.authentication.token.invalid);
+    }
+
+    const expected = Buffer.from(sign(`${ parts[0] }.${ parts[1] }`));
+    const signature = Buffer.from(parts[2]);
+    if (expected.length !== signature.length || !crypto.timingSafeEqual(expected, signature)) {
+        throw new AuthenticationError('Token signature is invalid', errors.server.authentication.token.invalid);
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    } catch (error) {
+        throw new AuthenticationError('Token payload is malformed', errors.server.authentication.token.invalid);
+    }
+
+    if (payload.type !== type) {
+        throw new AuthenticationError(`Token of type '${ payload.type }' cannot be used as ${ type } token`, errors.server.authentication.token.invalid);
+    }
+
+    if (typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+        throw new AuthenticationError('Token is expired', errors.server.authentication.token.expired);
+    }
+
+    return payload;
+}
@@ -0,0 +1,148 @@
+/**
+ * @file totp.js - Functions generating and verifying time-based one-time passwords (RFC 6238).
+ * The codes are computed locally with HMAC-SHA1, 30 second steps and 6 digits, the defaults of all authenticator apps.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import crypto from "crypto";
+
+const base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const stepSeconds = 30;
+const digits = 6;
+const secretBytes = 20;
+
+// steps before and after the current one that are accepted, so clocks that are slightly off still work
+const allowedDrift = 1;
+
+/**
+ * @description Encodes bytes as base32 without padding, the format authenticator apps expect secrets in.
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {String} The base32 encoded bytes.
+ * */
+export function encodeBase32(buffer) {
+    let bits = 0;
+    let value = 0;
+    let encoded = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            encoded += base32Alphabet[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) encoded += base32Alphabet[(value << (5 - bits)) & 31];
+
+    return encoded;
+}
+
+/**
+ * @description Decodes a base32 string. Case, spaces and padding are ignored.
+ * @param {String} encoded - The base32 string.
+ * @returns {Buffer} The decoded bytes.
+ * @throws {Error} If the string contains characters that are not base32.
+ * */
+export function decodeBase32(encoded) {
+    const characters = encoded.toUpperCase().replace(/[\s=]/g, '');
+
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const character of characters) {
+        const index = base32Alphabet.indexOf(character);
+        if (index === -1) throw new Error(`Invalid base32 character: ${ character }`);
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * @description Generates a random secret for a new authenticator.
+ * @returns {String} The base32 encoded secret.
+ * */
+export function generateSecret() {
+    return encodeBase32(crypto.randomBytes(secretBytes));
+}
+
+/**
+ * @description Gets the time step of a date.
+ * @param {Number} time - The time in milliseconds.
+ * @returns {Number} The number of 30 second steps since the unix epoch.
+ * */
+export function getTimeStep(time = Date.now()) {
+    return Math.floor(time / 1000 / stepSeconds);
+}
+
+/**
+ * @description Generates the code of a secret for a time step (HOTP of RFC 4226 with the time step as counter).
+ * @param {String} secret - The base32 encoded secret.
+ * @param {Number} step - The time step. See getTimeStep.
+ * @returns {String} The code with leading zeros.
+ * */
+export function generateCode(secret, step = getTimeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', decodeBase32(secret)).update(counter).digest();
+
+    // dynamic truncation: the last 4 bits select the 4 bytes the code is taken from
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+}
+
+/**
+ * @description Verifies a code against a secret, allowing one step of clock drift.
+ * @param {String} secret - The base32 encoded secret.
+ * @param {String} code - The code typed in by the user. Spaces are ignored.
+ * @param {Number} lastUsedStep - The step of the last accepted code. Codes of this or earlier steps are rejected, so a code cannot be used twice.
+ * @returns {Number|null} The step of the matching code or null if the code is invalid.
+ * */
+export function verifyCode(secret, code, lastUsedStep = -1) {
+    const given = String(code ?? '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${ digits }}$`).test(given)) return null;
+
+    const currentStep = getTimeStep();
+    for (let step = currentStep - allowedDrift; step <= currentStep + allowedDrift; step++) {
+        if (step <= lastUsedStep) continue;
+
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return step;
+    }
+
+    return null;
+}
+
+/**
+ * @description Creates the otpauth URI of a secret. Authenticator apps can import it, usually from a QR code.
+ * @param {String} secret - The base32 encoded secret.
+ * @param {String} accountName - The name of the account shown in the app, e.g. the username.
+ * @param {String} issuer - The name of the service shown in the app.
+ * @returns {String} The otpauth URI.
+ * */
+export function createOtpauthUri(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${ issuer }:${ accountName }`);
+    const parameters = new URLSearchParams({
+        secret: secret,
+        issuer: issuer,
+        algorithm: 'SHA1',
+        digits: String(digits),
+        period: String(stepSeconds)
+    });
+
+    return `otpauth://totp/${ label }?${ parameters }`;
+}
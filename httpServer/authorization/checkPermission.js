@@ -0,0 +1,35 @@
+/**
+ * @file checkPermission.js - Function checking if a user is allowed to perform an action.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import UserAccountTypes from "../../models/users/UserAccountTypes.js";
+import getResourceGrants, { isMissingParticipation } from "./resourceGrants.js";
+
+/**
+ * @description The account types that bypass a permission if nothing else is declared.
+ * */
+export const defaultBypass = [ UserAccountTypes.ADMIN ];
+
+/**
+ * @description Checks if a user is allowed to perform an action that requires a permission.
+ * A user is allowed if their account type bypasses the permission or their user account has the permission.
+ * If the action targets a resource, grants scoped to it and the grants the user implicitly has on it (see resourceGrants.js) are considered as well.
+ * Some permissions, like sending messages, are only granted on resources the user takes part in.
+ * @param {UserAccount} userAccount - The user account of the user.
+ * @param {User} user - The user.
+ * @param {String} permission - The required permission.
+ * @param {Array<String>} bypass - The account types that are allowed without having the permission.
+ * @param {BaseModel} resource - The document the action targets. Null if the action does not target a single document.
+ * @returns {Boolean} If the user is allowed to perform the action.
+ * */
+export default function checkPermission(userAccount, user, permission, bypass = defaultBypass, resource = null) {
+    if (!userAccount || !user) return false;
+
+    if (bypass.includes(user.type)) return true;
+
+    if (!resource) return userAccount.hasPermission(permission);
+    if (isMissingParticipation(resource, user, permission)) return false;
+
+    return userAccount.hasPermission(permission, resource._id?.toString(), getResourceGrants(resource, user));
+}
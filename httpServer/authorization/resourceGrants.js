@@ -0,0 +1,120 @@
+/**
+ * @file resourceGrants.js - Permissions a user implicitly has on a single resource because of their role in it.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import UserAccountPermissions from "../../models/users/UserAccountPermissions.js";
+import { scopePermission } from "../../models/users/permissionRegistry.js";
+
+/**
+ * @description Gets the id of a reference, no matter if it is populated or not.
+ * @param {Object|String} reference - The populated document or its id.
+ * @returns {String} The id of the reference.
+ * */
+function idOf(reference) {
+    if (!reference) return null;
+    return (reference._id ?? reference).toString();
+}
+
+/**
+ * @description Checks if a list of references contains a user.
+ * @param {Array<Object|String>} references - The populated documents or their ids.
+ * @param {String} userId - The id of the user.
+ * @returns {Boolean} If the user is part of the references.
+ * */
+function includesUser(references, userId) {
+    return Array.isArray(references) && references.some(reference => idOf(reference) === userId);
+}
+
+/**
+ * @description The permissions granted on a resource by model name.
+ * Every entry returns the permissions the user has on the document, which are then scoped to its id.
+ * */
+const resourceRules = {
+
+    // leaders manage their club
+    Club: (club, userId) => includesUser(club.leaders, userId) ? [
+        UserAccountPermissions.club.edit.execute,
+        'club.members.*',
+        'club.leaders.*',
+        'club.events.*'
+    ] : [],
+
+    // the teacher manages their course
+    Course: (course, userId) => idOf(course.teacher) === userId ? [
+        UserAccountPermissions.course.edit.execute,
+        UserAccountPermissions.course.deletion.execute,
+        UserAccountPermissions.course.members.add,
+        UserAccountPermissions.course.members.remove,
+        UserAccountPermissions.course.chat.set
+    ] : [],
+
+    // the teachers of the related courses and the leaders of the related clubs manage the chat
+    Chat: (chat, userId) => {
+        const isManager = (chat.courses ?? []).some(course => idOf(course.teacher) === userId)
+            || (chat.clubs ?? []).some(club => includesUser(club.leaders, userId));
+
+        return isManager ? [
+            UserAccountPermissions.chat.edit.execute,
+            UserAccountPermissions.chat.targets.add,
+            UserAccountPermissions.chat.targets.remove
+        ] : [];
+    },
+
+    // the author can edit and delete their message
+    Message: (message, userId) => idOf(message.author) === userId ? [
+        UserAccountPermissions.message.edit.execute,
+        UserAccountPermissions.message.deletion.execute
+    ] : []
+
+};
+
+/**
+ * @description Permissions that are only granted on resources the user takes part in, no matter where they are granted from.
+ * E.g. every student may send messages, but only to the chats they are in.
+ * */
+const participationPermissions = [
+    UserAccountPermissions.message.creation.execute
+];
+
+/**
+ * @description The users taking part in a resource by model name.
+ * */
+const participationRules = {
+
+    // the targets, the members and the managers of the related courses and clubs
+    Chat: (chat, userId) => includesUser(chat.targets, userId)
+        || (chat.courses ?? []).some(course => idOf(course.teacher) === userId || includesUser(course.members, userId))
+        || (chat.clubs ?? []).some(club => includesUser(club.leaders, userId) || includesUser(club.members, userId))
+
+};
+
+/**
+ * @description Checks if a permission on a resource requires the user to take part in it and they do not.
+ * @param {BaseModel} resource - The target document, e.g. a chat.
+ * @param {User} user - The user.
+ * @param {String} permission - The required permission.
+ * @returns {Boolean} If the permission is refused because the user does not take part in the resource.
+ * */
+export function isMissingParticipation(resource, user, permission) {
+    if (!resource || !participationPermissions.includes(permission)) return false;
+
+    const rule = participationRules[resource.constructor.modelName];
+    return rule ? !rule(resource, idOf(user)) : false;
+}
+
+/**
+ * @description Gets the grants a user implicitly has on a resource, scoped to the id of the resource.
+ * @param {BaseModel} resource - The target document, e.g. a club.
+ * @param {User} user - The user.
+ * @returns {Array<String>} The scoped grants. Empty if the user has no special role in the resource.
+ * */
+export default function getResourceGrants(resource, user) {
+    if (!resource || !user) return [];
+
+    const rule = resourceRules[resource.constructor.modelName];
+    if (!rule) return [];
+
+    const resourceId = idOf(resource);
+    return rule(resource, idOf(user)).map(grant => scopePermission(grant, resourceId));
+}
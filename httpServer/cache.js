@@ -1,8 +1,34 @@
 /**
- * @file cache.js - Class representing the local memory cache.
+ * @file cache.js - Class representing the cache of the models and the throttles.
  * @author Daniel Dopatka
  * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * The cache is configured with CACHE, see config.js. 'memory' keeps the entries in every process itself,
+ * 'redis' shares them between the HTTP server and the WebSocket server. See the Caching page of the wiki.
+ * Every adapter is a module exporting the functions of CacheAdapter, all of them are asynchronous.
  */
-import memoryCache from 'memory-cache';
+import config, { caches } from "../config.js";
+import * as memoryCache from "./cache/memoryCache.js";
+import * as redisCache from "./cache/redisCache.js";
 
-export default memoryCache;
\ No newline at end of file
+/**
+ * @typedef {Object} CacheAdapter
+ * @property {function(String): Promise<*>} get - Gets the value of an entry, null if it does not exist or expired.
+ * @property {function(String, *, Number=): Promise<void>} put - Saves an entry, optionally expiring after a time in milliseconds.
+ * @property {function(String): Promise<void>} del - Deletes an entry.
+ * @property {function(String): Promise<Array<[ String, * ]>>} entries - Gets all entries with keys starting with a prefix.
+ * @property {function(String, Function, (Number|Function)=): Promise<*>} update - Changes an entry atomically with a function
+ * getting the current value and returning the new one.
+ * */
+
+const adapters = {
+    [caches.MEMORY]: memoryCache,
+    [caches.REDIS]: redisCache
+};
+
+/**
+ * @type {CacheAdapter}
+ * */
+const cache = adapters[config.CACHE];
+
+export default cache;
@@ -0,0 +1,58 @@
+/**
+ * @file changeStreamTransport.js - Transport of the cache invalidations through a change stream of MongoDB.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * The processes do not publish anything, MongoDB reports every changed document of the database instead.
+ * That includes documents written directly (e.g. by a roster import or scripts in tools/) and the changes of the process itself,
+ * which are updated once more. Change streams need a replica set or a sharded cluster, see the Caching page of the wiki.
+ * The school of a deleted document is unknown, it is removed from the entries of all schools.
+ */
+import mongoose from "mongoose";
+import { getAllModels } from "../../../mongoDb/initializeSchemas.js";
+import logger from "../../../tools/logging/logger.js";
+
+// operations of the change stream by the operations of the notifications, see invalidationBus.js
+const operations = {
+    insert: 'create',
+    update: 'update',
+    replace: 'update',
+    delete: 'delete'
+};
+
+/**
+ * @description Does nothing, the changes are reported by MongoDB.
+ * @param {Object} invalidation - The notification.
+ * */
+export async function publish(invalidation) {
+}
+
+/**
+ * @description Watches the database and calls the handler with a notification for every changed document.
+ * @param {function(Object)} handler - The handler.
+ * */
+export async function subscribe(handler) {
+    const modelNames = new Map(getAllModels().map(({ name }) => [ mongoose.model(name).collection.collectionName, name ]));
+
+    const changeStream = mongoose.connection.watch([
+        { $match: { operationType: { $in: Object.keys(operations) } } }
+    ], { fullDocument: 'updateLookup' });
+
+    changeStream.on('change', change => {
+        const model = modelNames.get(change.ns.coll);
+        if (!model) return;
+
+        const school = change.fullDocument?.school;
+        handler({
+            model: model,
+            _id: String(change.documentKey._id),
+            op: operations[change.operationType],
+            school: school ? String(school) : null,
+            origin: 'changeStream'
+        });
+    });
+    changeStream.on('error', error => {
+        logger.database.error(`Cache invalidation change stream failed:\n${ error.stack }`);
+    });
+    logger.database.info('Receiving cache invalidations through the MongoDB change stream.');
+}
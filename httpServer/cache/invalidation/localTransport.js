@@ -0,0 +1,204 @@
+/**
+ * @file localTransport.js - Transport of the cache invalidations between processes on the same machine.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * The processes are connected through a local socket (a named pipe on Windows) named after MONGODB_DATABASE.
+ * The socket lies in CACHE_INVALIDATION_SOCKET_DIR (~/.academi-fy by default), which only the user running the backend may access.
+ * Every process proves on connecting that it knows TOKEN_SECRET, connections of other processes are closed unread.
+ * The first process listening on it relays the notifications to all others, the others connect to it.
+ * When the relaying process ends (e.g. on a restart by nodemon), another process takes over after a short delay.
+ * Notifications sent in the meantime are lost, the entries are then outdated until they expire.
+ * A single process (see tools/memoryStart.js) has no other processes to notify.
+ */
+import net from "net";
+import os from "os";
+import path from "path";
+import fs from "fs";
+import { createHmac, timingSafeEqual } from "crypto";
+import config from "../../../config.js";
+import logger from "../../../tools/logging/logger.js";
+
+const socketName = `academi-fy-${ config.MONGODB_DATABASE }-cache`;
+const socketDirectory = config.CACHE_INVALIDATION_SOCKET_DIR ?? path.join(os.homedir(), '.academi-fy');
+const socketPath = process.platform === 'win32'
+    ? `\\\\.\\pipe\\${ socketName }`
+    : path.join(socketDirectory, `${ socketName }.sock`);
+
+// the first line every side sends, derived from TOKEN_SECRET, so only processes of the backend take part
+// the relaying process and the connecting ones prove themselves differently, so neither can repeat the proof of the other
+const proofs = {
+    relay: createHmac('sha256', config.TOKEN_SECRET).update(`cache-invalidation-relay:${ config.MONGODB_DATABASE }`).digest('hex'),
+    client: createHmac('sha256', config.TOKEN_SECRET).update(`cache-invalidation-client:${ config.MONGODB_DATABASE }`).digest('hex')
+};
+
+// time in milliseconds until a lost connection is established again, up to twice as long,
+// so the remaining processes do not take over the socket at the same time
+const reconnectDelay = 1000;
+
+let handler = null;
+let connection = null; // connection to the relaying process
+let server = null; // set if this process relays
+const clients = new Set();
+
+/**
+ * @description Creates the directory of the socket if it is missing and makes sure only this user can access it.
+ * @throws {Error} If the path is no directory or belongs to another user.
+ * */
+function prepareDirectory() {
+    fs.mkdirSync(socketDirectory, { recursive: true, mode: 0o700 });
+
+    const stats = fs.lstatSync(socketDirectory);
+    if (!stats.isDirectory() || stats.uid !== process.getuid()) {
+        throw new Error(`${ socketDirectory } is no directory of the user running the backend`);
+    }
+    if ((stats.mode & 0o077) !== 0) fs.chmodSync(socketDirectory, 0o700);
+}
+
+/**
+ * @description Checks if a line is the expected proof.
+ * @param {String} line - The first line of the other side.
+ * @param {String} proof - The expected proof, see proofs.
+ * @returns {Boolean} If the line is the proof.
+ * */
+function isProof(line, proof) {
+    const received = Buffer.from(line);
+    const expected = Buffer.from(proof);
+    return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+/**
+ * @description Splits the data of a socket into notifications, one JSON per line.
+ * The first line has to be the proof of the other side, otherwise the socket is closed.
+ * @param {Socket} socket - The socket.
+ * @param {String} proof - The proof expected from the other side, see proofs.
+ * @param {function()} onAuthenticated - Function called once the other side proved itself.
+ * @param {function(String)} callback - Function called with every line after the proof.
+ * */
+function readLines(socket, proof, onAuthenticated, callback) {
+    let buffer = '';
+    let authenticated = false;
+    socket.setEncoding('utf8');
+    socket.on('data', data => {
+        buffer += data;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines.filter(line => line.length > 0)) {
+            if (socket.destroyed) return;
+            if (authenticated) {
+                callback(line);
+                continue;
+            }
+            if (!isProof(line, proof)) {
+                logger.server.error('Rejected a process without the proof of the backend on the cache invalidation socket.');
+                socket.destroy();
+                return;
+            }
+            authenticated = true;
+            onAuthenticated();
+        }
+    });
+}
+
+/**
+ * @description Passes a notification to the handler of this process.
+ * @param {String} line - The notification as JSON.
+ * */
+function receive(line) {
+    try {
+        handler?.(JSON.parse(line));
+    } catch (error) {
+        logger.server.error(`Failed to read cache invalidation: ${ error.message }`);
+    }
+}
+
+/**
+ * @description Sends a notification to the connected processes, except the one it came from.
+ * @param {String} line - The notification as JSON.
+ * @param {Socket} sender - Optional: The connection of the process that sent it.
+ * */
+function relay(line, sender) {
+    for (const client of clients) {
+        if (client !== sender) client.write(`${ line }\n`);
+    }
+}
+
+/**
+ * @description Listens on the socket to relay the notifications. If another process listens already, this process connects to it.
+ * */
+function listen() {
+    const socketServer = net.createServer(client => {
+        // the relaying process only proves itself to and relays to processes that proved themselves
+        readLines(client, proofs.client, () => {
+            client.write(`${ proofs.relay }\n`);
+            clients.add(client);
+        }, line => {
+            relay(line, client);
+            receive(line);
+        });
+        client.on('error', () => client.destroy());
+        client.on('close', () => clients.delete(client));
+    });
+
+    socketServer.on('error', error => {
+        if (error.code === 'EADDRINUSE') {
+            connect();
+            return;
+        }
+        logger.server.error(`Cache invalidation socket failed: ${ error.message }`);
+    });
+    socketServer.listen(socketPath, () => {
+        server = socketServer;
+        server.unref();
+        logger.server.info('Relaying cache invalidations between local processes.');
+    });
+}
+
+/**
+ * @description Connects to the process relaying the notifications. If no process relays, this process starts to.
+ * */
+function connect() {
+    const socket = net.createConnection(socketPath);
+
+    socket.on('connect', () => {
+        socket.write(`${ proofs.client }\n`);
+        socket.unref();
+    });
+    // nothing is sent to the relaying process until it proved itself
+    readLines(socket, proofs.relay, () => connection = socket, receive);
+
+    socket.on('error', error => {
+        if (connection === socket) return;
+        // the socket of an ended process is left behind on Unix
+        if (error.code === 'ECONNREFUSED' && process.platform !== 'win32') {
+            fs.rmSync(socketPath, { force: true });
+        }
+        if (error.code === 'ECONNREFUSED' || error.code === 'ENOENT') listen();
+    });
+    socket.on('close', () => {
+        if (connection !== socket) return;
+        connection = null;
+        setTimeout(connect, reconnectDelay * (1 + Math.random())).unref();
+    });
+}
+
+/**
+ * @description Sends a notification to the other processes.
+ * @param {Object} invalidation - The notification.
+ * */
+export async function publish(invalidation) {
+    const line = JSON.stringify(invalidation);
+    if (server) relay(line);
+    else connection?.write(`${ line }\n`);
+}
+
+/**
+ * @description Connects to the other processes and calls the handler with their notifications.
+ * @param {function(Object)} invalidationHandler - The handler.
+ * */
+export async function subscribe(invalidationHandler) {
+    handler = invalidationHandler;
+    if (process.platform !== 'win32') prepareDirectory();
+    connect();
+}
@@ -0,0 +1,58 @@
+/**
+ * @file redisTransport.js - Transport of the cache invalidations through Redis Pub/Sub.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * The processes can run on different machines, they only need the same Redis server configured with REDIS_URL.
+ * The channel is named after MONGODB_DATABASE like the keys of the Redis cache, see httpServer/cache/redisCache.js.
+ * A process receives its own notifications as well, they are ignored by the bus.
+ */
+import { createClient } from "redis";
+import config from "../../../config.js";
+import logger from "../../../tools/logging/logger.js";
+
+const channel = `${ config.MONGODB_DATABASE }:cacheInvalidation`;
+
+let publisher = null;
+
+/**
+ * @description Creates a client and connects it to the server. The connection does not keep the process alive.
+ * @returns {Promise<RedisClientType>} The connected client.
+ * */
+async function createConnectedClient() {
+    const client = createClient({ url: config.REDIS_URL });
+    client.on('error', error => logger.server.error(`Redis cache invalidation: ${ error.message }`));
+
+    await client.connect();
+    client.unref();
+    return client;
+}
+
+/**
+ * @description Sends a notification to the other processes.
+ * @param {Object} invalidation - The notification.
+ * */
+export async function publish(invalidation) {
+    publisher ??= createConnectedClient().catch(error => {
+        publisher = null;
+        throw error;
+    });
+    await (await publisher).publish(channel, JSON.stringify(invalidation));
+}
+
+/**
+ * @description Subscribes to the channel and calls the handler with the notifications.
+ * A subscribed client cannot send other commands, so it is a separate connection.
+ * @param {function(Object)} handler - The handler.
+ * */
+export async function subscribe(handler) {
+    const subscriber = await createConnectedClient();
+    await subscriber.subscribe(channel, message => {
+        try {
+            handler(JSON.parse(message));
+        } catch (error) {
+            logger.server.error(`Failed to read cache invalidation: ${ error.message }`);
+        }
+    });
+    logger.server.info('Receiving cache invalidations through Redis.');
+}
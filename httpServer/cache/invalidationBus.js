@@ -0,0 +1,126 @@
+/**
+ * @file invalidationBus.js - Bus notifying the other processes about changed models, so they update their caches.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * The HTTP server and the WebSocket server run in separate processes. With the memory cache each of them keeps its own
+ * entries, so a model changed by one process would be outdated in the other one until its entry expires.
+ * Every write of a model publishes a notification, the other processes update their entries when they receive it
+ * (see models/cacheInvalidation.js). The transport is configured with CACHE_INVALIDATION, see config.js and the Caching page of the wiki.
+ * Every transport is a module exporting the functions of InvalidationTransport.
+ * Other changes the processes have to know about are published as well, e.g. redeemed invite codes (see webSocket/notifyInviteRedemptions.js).
+ */
+import { nanoid } from "nanoid";
+import config, { cacheInvalidations } from "../../config.js";
+import { getTenant } from "../../mongoDb/tenancy.js";
+import logger from "../../tools/logging/logger.js";
+import * as localTransport from "./invalidation/localTransport.js";
+import * as redisTransport from "./invalidation/redisTransport.js";
+import * as changeStreamTransport from "./invalidation/changeStreamTransport.js";
+
+/**
+ * @typedef {Object} InvalidationTransport
+ * @property {function(Object): Promise<void>} publish - Sends a notification to the other processes.
+ * @property {function(function(Object)): Promise<void>} subscribe - Calls the handler with every notification of the other processes.
+ * */
+
+/**
+ * @typedef {Object} Invalidation
+ * @property {String} model - The name of the changed model, e.g. 'Message'.
+ * @property {String|null} _id - The id of the changed instance, null if all instances of the school were changed.
+ * @property {String} op - The operation, see invalidationOperations.
+ * @property {String|null} school - The id of the school, null if it is unknown.
+ * @property {String} origin - The id of the process that published the notification.
+ * */
+
+/**
+ * @description The operations of the notifications.
+ * 'clear' is published when the documents of a model were written directly, e.g. by a roster import.
+ * */
+export const invalidationOperations = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete',
+    CLEAR: 'clear'
+};
+
+const transports = {
+    [cacheInvalidations.LOCAL]: localTransport,
+    [cacheInvalidations.REDIS]: redisTransport,
+    [cacheInvalidations.CHANGE_STREAM]: changeStreamTransport
+};
+
+/**
+ * @type {InvalidationTransport|undefined}
+ * */
+const transport = transports[config.CACHE_INVALIDATION];
+
+// the notifications of this process are ignored when they are sent back
+const origin = `proc-${ nanoid(12) }`;
+
+// the handlers of this process and if they receive the notifications of this process as well
+const handlers = new Map();
+
+let subscribed = false;
+
+/**
+ * @description Calls a handler with a notification. Failures are logged.
+ * @param {function(Invalidation): Promise<void>} handler - The handler.
+ * @param {Invalidation} invalidation - The notification.
+ * */
+function deliver(handler, invalidation) {
+    handler(invalidation).catch(error => {
+        logger.server.error(`Failed to handle cache invalidation of ${ invalidation.model } '${ invalidation._id }':\n${ error.stack }`);
+    });
+}
+
+/**
+ * @description Notifies the other processes about a changed model. Failures are logged, the write itself succeeded.
+ * @param {String} model - The name of the model.
+ * @param {String|null} _id - The id of the changed instance, null if all instances of the school were changed.
+ * @param {String} op - The operation, see invalidationOperations.
+ * */
+export async function publishInvalidation(model, _id, op) {
+    const school = getTenant();
+    const invalidation = {
+        model: model,
+        _id: _id === null ? null : String(_id),
+        op: op,
+        school: school === undefined ? null : String(school),
+        origin: origin
+    };
+
+    for (const [ handler, { includeOwn } ] of handlers) {
+        if (includeOwn) deliver(handler, invalidation);
+    }
+
+    if (!transport) return;
+
+    try {
+        await transport.publish(invalidation);
+    } catch (error) {
+        logger.server.error(`Failed to publish cache invalidation of ${ model } '${ _id }':\n${ error.stack }`);
+    }
+}
+
+/**
+ * @description Calls a handler with every notification of the other processes.
+ * The transport is subscribed once, a handler registered twice is called once (e.g. when both servers run in one process, see tools/memoryStart.js).
+ * @param {function(Invalidation): Promise<void>} handler - The handler.
+ * @param {Object} options - Optional: The options of the handler.
+ * @param {Boolean} options.includeOwn - If the handler receives the notifications of this process as well, even without a transport.
+ * */
+export async function subscribeInvalidations(handler, { includeOwn = false } = {}) {
+    handlers.set(handler, { includeOwn: includeOwn });
+    if (!transport || subscribed) return;
+    subscribed = true;
+
+    await transport.subscribe(invalidation => {
+        // the own notifications were delivered when they were published
+        if (invalidation.origin === origin) return;
+
+        for (const handler of handlers.keys()) {
+            deliver(handler, invalidation);
+        }
+    });
+}
@@ -0,0 +1,66 @@
+/**
+ * @file memoryCache.js - Cache adapter keeping the entries in the memory of the process.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * Every process has its own entries, the HTTP server and the WebSocket server do not see the changes of each other.
+ * The values are saved as they are, without copying them.
+ */
+import memoryCache from 'memory-cache';
+
+/**
+ * @description Gets an entry.
+ * @param {String} key - The key of the entry.
+ * @returns {Promise<*>} The value or null if the entry does not exist or expired.
+ * */
+export async function get(key) {
+    return memoryCache.get(key);
+}
+
+/**
+ * @description Saves an entry.
+ * @param {String} key - The key of the entry.
+ * @param {*} value - The value.
+ * @param {Number} time - Optional: The time in milliseconds after which the entry expires.
+ * */
+export async function put(key, value, time) {
+    memoryCache.put(key, value, time);
+}
+
+/**
+ * @description Deletes an entry.
+ * @param {String} key - The key of the entry.
+ * */
+export async function del(key) {
+    memoryCache.del(key);
+}
+
+/**
+ * @description Gets all entries with keys starting with a prefix.
+ * @param {String} prefix - The prefix of the keys.
+ * @returns {Promise<Array<[ String, * ]>>} The keys and values of the entries.
+ * */
+export async function entries(prefix) {
+    return memoryCache.keys()
+        .filter(key => key.startsWith(prefix))
+        .map(key => [ key, memoryCache.get(key) ])
+        .filter(([ , value ]) => value !== null);
+}
+
+/**
+ * @description Changes an entry atomically. The process has a single thread, so no other change can happen in between.
+ * @param {String} key - The key of the entry.
+ * @param {Function} updater - Function getting the current value (null if the entry does not exist) and returning the new one.
+ * Returning null deletes the entry.
+ * @param {Number|Function} time - Optional: The time in milliseconds after which the entry expires,
+ * or a function getting the new value and returning the time.
+ * @returns {Promise<*>} The new value.
+ * */
+export async function update(key, updater, time) {
+    const value = updater(memoryCache.get(key));
+
+    if (value === null || value === undefined) memoryCache.del(key);
+    else memoryCache.put(key, value, typeof time === 'function' ? time(value) : time);
+
+    return value ?? null;
+}
@@ -0,0 +1,145 @@
+/**
+ * @file redisCache.js - Cache adapter keeping the entries in Redis.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * The HTTP server and the WebSocket server share the entries, so a change of one process is seen by the other.
+ * The server is configured with REDIS_URL, see config.js. The keys are prefixed with MONGODB_DATABASE,
+ * so e.g. a test database does not share the entries of the development database on the same Redis server.
+ * The values are saved as JSON: instances of classes are read back as plain objects (see BaseModel.castFromCache)
+ * and dates as strings.
+ */
+import { createClient, WatchError } from "redis";
+import config from "../../config.js";
+import logger from "../../tools/logging/logger.js";
+
+const prefix = `${ config.MONGODB_DATABASE }:`;
+
+// attempts of an atomic update until it gives up because other processes keep changing the entry
+const maxUpdateAttempts = 10;
+
+let connection = null;
+
+/**
+ * @description Gets the client, connecting to the server on the first call.
+ * The connection does not keep the process alive, so scripts in tools/ end when they are done.
+ * @returns {Promise<RedisClientType>} The connected client.
+ * */
+function getClient() {
+    if (!connection) {
+        const client = createClient({ url: config.REDIS_URL });
+        client.on('error', error => logger.server.error(`Redis cache: ${ error.message }`));
+
+        connection = client.connect().then(() => {
+            client.unref();
+            logger.server.info('Connection to Redis cache established.');
+            return client;
+        }).catch(error => {
+            connection = null;
+            throw error;
+        });
+    }
+    return connection;
+}
+
+/**
+ * @description Converts a value read from Redis.
+ * @param {String|null} value - The JSON of the value.
+ * @returns {*} The value or null if the entry does not exist.
+ * */
+function parse(value) {
+    return value === null ? null : JSON.parse(value);
+}
+
+/**
+ * @description Gets the options of SET for the time after which an entry expires.
+ * @param {Number} time - The time in milliseconds. Entries without time do not expire.
+ * @returns {Object} The options.
+ * */
+function expiration(time) {
+    return time ? { PX: Math.max(Math.ceil(time), 1) } : {};
+}
+
+/**
+ * @description Gets an entry.
+ * @param {String} key - The key of the entry.
+ * @returns {Promise<*>} The value or null if the entry does not exist or expired.
+ * */
+export async function get(key) {
+    return parse(await (await getClient()).get(prefix + key));
+}
+
+/**
+ * @description Saves an entry.
+ * @param {String} key - The key of the entry.
+ * @param {*} value - The value, it is saved as JSON.
+ * @param {Number} time - Optional: The time in milliseconds after which the entry expires.
+ * */
+export async function put(key, value, time) {
+    await (await getClient()).set(prefix + key, JSON.stringify(value), expiration(time));
+}
+
+/**
+ * @description Deletes an entry.
+ * @param {String} key - The key of the entry.
+ * */
+export async function del(key) {
+    await (await getClient()).del(prefix + key);
+}
+
+/**
+ * @description Gets all entries with keys starting with a prefix.
+ * @param {String} keyPrefix - The prefix of the keys.
+ * @returns {Promise<Array<[ String, * ]>>} The keys and values of the entries.
+ * */
+export async function entries(keyPrefix) {
+    const client = await getClient();
+
+    const keys = [];
+    // the prefix is matched literally, characters with a meaning in patterns are escaped
+    const pattern = `${ prefix }${ keyPrefix }`.replace(/[*?[\]\\]/g, '\\$&') + '*';
+    for await (const key of client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+        keys.push(key);
+    }
+    if (keys.length === 0) return [];
+
+    const values = await client.mGet(keys);
+    return keys
+        .map((key, index) => [ key.slice(prefix.length), parse(values[index]) ])
+        .filter(([ , value ]) => value !== null);
+}
+
+/**
+ * @description Changes an entry atomically. The entry is watched while it is changed, the change is repeated
+ * if another process changed it in the meantime.
+ * @param {String} key - The key of the entry.
+ * @param {Function} updater - Function getting the current value (null if the entry does not exist) and returning the new one.
+ * Returning null deletes the entry. It can be called more than once.
+ * @param {Number|Function} time - Optional: The time in milliseconds after which the entry expires,
+ * or a function getting the new value and returning the time.
+ * @returns {Promise<*>} The new value.
+ * @throws {Error} When the entry could not be changed after several attempts.
+ * */
+export async function update(key, updater, time) {
+    const client = await getClient();
+
+    for (let attempt = 0; attempt < maxUpdateAttempts; attempt++) {
+        try {
+            return await client.executeIsolated(async isolatedClient => {
+                await isolatedClient.watch(prefix + key);
+                const value = updater(parse(await isolatedClient.get(prefix + key)));
+
+                const transaction = isolatedClient.multi();
+                if (value === null || value === undefined) transaction.del(prefix + key);
+                else transaction.set(prefix + key, JSON.stringify(value), expiration(typeof time === 'function' ? time(value) : time));
+                await transaction.exec();
+
+                return value ?? null;
+            });
+        } catch (error) {
+            if (!(error instanceof WatchError)) throw error;
+        }
+    }
+
+    throw new Error(`Failed to update cache entry '${ key }' after ${ maxUpdateAttempts } attempts`);
+}
@@ -0,0 +1,12 @@
+/**
+ * @file AuthenticationError.js - Error class for events concerning the authentication of users.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+export default class AuthenticationError extends Error {
+    constructor(message, errorCode) {
+        super(message);
+        this.name = 'AuthenticationError';
+        this.errorCode = errorCode;
+    }
+}
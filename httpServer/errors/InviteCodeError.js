@@ -0,0 +1,12 @@
+/**
+ * @file InviteCodeError.js - Error class for events concerning invite codes.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+export default class InviteCodeError extends Error {
+    constructor(message, errorCode) {
+        super(message);
+        this.name = 'InviteCodeError';
+        this.errorCode = errorCode;
+    }
+}
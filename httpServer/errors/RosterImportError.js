@@ -0,0 +1,13 @@
+/**
+ * @file RosterImportError.js - Error class for events concerning the import of a roster.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+export default class RosterImportError extends Error {
+    constructor(message, errorCode, report = null) {
+        super(message);
+        this.name = 'RosterImportError';
+        this.errorCode = errorCode;
+        this.report = report;
+    }
+}
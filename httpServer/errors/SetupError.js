@@ -0,0 +1,13 @@
+/**
+ * @file SetupError.js - Error class for events concerning the onboarding of a school.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+export default class SetupError extends Error {
+    constructor(message, errorCode, problems = []) {
+        super(message);
+        this.name = 'SetupError';
+        this.errorCode = errorCode;
+        this.problems = problems;
+    }
+}
@@ -6,24 +6,10 @@
 import * as db from '../mongoDb/db.js';
 import config from "../config.js";
 import logger from "../tools/logging/logger.js";
-import express from 'express';
-import requestDebugger from "./middleware/requestDebugger.js";
-import cors from 'cors';
 import memoryLogger from "../tools/logging/memoryLogger.js";
-import blackboardRoutes from "./routing/routes/blackboardRoutes.js";
-import classRoutes from "./routing/routes/classRoutes.js";
-import chatRoutes from "./routing/routes/chatRoutes.js";
-import clubRoutes from "./routing/routes/clubRoutes.js";
-import courseRoutes from './routing/routes/courseRoutes.js'
-import eventRoutes from "./routing/routes/eventRoutes.js";
-import eventTicketRoutes from "./routing/routes/eventTicketRoutes.js";
-import gradeRoutes from "./routing/routes/gradeRoutes.js";
-import messageRoutes from "./routing/routes/messageRoutes.js";
-import schoolRoutes from "./routing/routes/schoolRoutes.js";
-import setupAccountRoutes from "./routing/routes/setupAccountRoutes.js";
-import subjectRoutes from "./routing/routes/subjectRoutes.js";
-import userAccountRoutes from "./routing/routes/userAccountRoutes.js";
-import userRoutes from "./routing/routes/userRoutes.js";
+import app from "./app.js";
+import Role from "../models/users/Role.js";
+import listenForCacheInvalidations from "../models/cacheInvalidation.js";
 
 /**
  * @description MongoDB connection:
@@ -31,44 +17,29 @@ import userRoutes from "./routing/routes/userRoutes.js";
 await db.connect().then(() => {
     logger.database.info(`Connected to HTTP Server`)
 })
+
+/**
+ * @description Changes of the models by the WebSocket server, see httpServer/cache/invalidationBus.js:
+ * */
+await listenForCacheInvalidations().catch(error => {
+    logger.server.error(`Failed to listen for cache invalidations:\n${ error.stack }`);
+});
+
 /**
- * @description HTTP Server:
+ * @description Default role templates of all account types:
+ * */
+await Role.ensureDefaultRoles().catch(error => {
+    logger.database.fatal(`Failed to create default roles:\n${ error.stack }`);
+});
+/**
+ * @description HTTP Server, the routes are declared in app.js:
  * @host localhost
  * @port 3000
  * */
-const app = express();
 const port = config.SERVER_PORT;
 const host = config.SERVER_HOST;
 app.listen(port, () => {
     logger.server.info(`HTTP Server is running at http://${ host }:${ port }`);
 });
 
-try {
-    app.use(requestDebugger);
-    app.use(express.static('public'));
-    app.use(cors());
-    app.use(express.json());
-} catch (error) {
-    logger.server.fatal(error.stack);
-}
-
-try {
-    app.use('/api/blackboards', blackboardRoutes);
-    app.use('/api/chats', chatRoutes);
-    app.use('/api/classes', classRoutes);
-    app.use('/api/clubs', clubRoutes);
-    app.use('/api/courses', courseRoutes);
-    app.use('/api/events', eventRoutes);
-    app.use('/api/event-tickets', eventTicketRoutes);
-    app.use('/api/grades', gradeRoutes);
-    app.use('/api/messages', messageRoutes);
-    app.use('/api/schools', schoolRoutes);
-    app.use('/api/setup-accounts', setupAccountRoutes);
-    app.use('/api/subjects', subjectRoutes);
-    app.use('/api/user-accounts', userAccountRoutes);
-    app.use('/api/users', userRoutes);
-} catch (error) {
-    logger.server.fatal(error.stack);
-}
-
 memoryLogger(logger.server);
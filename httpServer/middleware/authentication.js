@@ -0,0 +1,59 @@
+/**
+ * @file authentication.js - Middleware authenticating requests with an access token.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import logger from "../../tools/logging/logger.js";
+import errors from "../../errors.js";
+import resolveIdentity from "../authentication/resolveIdentity.js";
+
+/**
+ * @description Reads the access token from the 'Authorization: Bearer <token>' header.
+ * @param req - The request object
+ * @returns {String|null} The access token or null if the header is missing.
+ * */
+export function getBearerToken(req) {
+    const header = req.headers.authorization;
+    if (!header || !header.startsWith('Bearer ')) return null;
+
+    return header.substring('Bearer '.length).trim();
+}
+
+/**
+ * @description Authenticates a request and attaches the identity of the caller to it.
+ * Sets req.token (the token payload), req.sessionId, req.userAccount and req.user and the actor of the request context.
+ * If an admin impersonates the user, req.impersonator and the impersonator of the request context are set to the id of the admin.
+ * The school of the session is set as req.school and restricts all following queries to it, see mongoDb/tenancy.js.
+ * Requests without a valid access token are rejected with status 401.
+ * */
+const authentication = async (req, res, next) => {
+
+    try {
+        const { token, session, userAccount, user } = await resolveIdentity(getBearerToken(req));
+
+        req.token = token;
+        req.sessionId = token.sid;
+        req.userAccount = userAccount;
+        req.user = user;
+        req.impersonator = session.impersonator;
+        req.school = session.school;
+        if (req.context) {
+            req.context.actor = user._id.toString();
+            req.context.impersonator = session.impersonator;
+            req.context.school = session.school;
+        }
+    } catch (error) {
+        logger.server.error(`Request #${ req.requestId }: Authentication from '${ req.ip }' failed: ${ error.message }`);
+        res.status(401).send(
+            {
+                errorCode: error.errorCode ?? errors.server.authentication.token.invalid,
+                errorMessage: error.name === 'AuthenticationError' ? error.message : 'Authentication failed.'
+            }
+        );
+        return;
+    }
+
+    next();
+};
+
+export default authentication;
@@ -0,0 +1,29 @@
+/**
+ * @file rejectImpersonation.js - Middleware restricting routes that must not be used while an admin impersonates a user.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import logger from "../../tools/logging/logger.js";
+import errors from "../../errors.js";
+
+/**
+ * @description Rejects requests of impersonation sessions with status 403, e.g. for routes touching passwords,
+ * two-factor authentication or sessions. Must be used after the authentication middleware, which sets req.impersonator.
+ * */
+const rejectImpersonation = (req, res, next) => {
+
+    if (req.impersonator) {
+        logger.server.error(`Request #${ req.requestId }: Admin '${ req.impersonator }' tried to use a restricted route while impersonating user '${ req.user?._id }'`);
+        res.status(403).send(
+            {
+                errorCode: errors.server.authorization.impersonationRestricted,
+                errorMessage: "This route cannot be used while impersonating a user."
+            }
+        );
+        return;
+    }
+
+    next();
+};
+
+export default rejectImpersonation;
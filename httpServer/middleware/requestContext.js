@@ -0,0 +1,27 @@
+/**
+ * @file requestContext.js - Middleware running every request inside its own request context.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import { contextSources, runWithContext } from "../../tools/requestContext.js";
+
+/**
+ * @description Runs the rest of the request inside a request context. See tools/requestContext.js.
+ * Must be used after express.json(), otherwise the context is lost while the body is parsed.
+ * The actor, impersonator and school are set by the authentication middleware.
+ * Until then the school is undefined, so unauthenticated routes like the login are not restricted to a school.
+ * */
+const requestContext = (req, res, next) => {
+
+    req.context = {
+        source: contextSources.HTTP,
+        requestId: req.requestId,
+        actor: null,
+        impersonator: null,
+        school: undefined
+    };
+
+    runWithContext(req.context, next);
+};
+
+export default requestContext;
@@ -0,0 +1,56 @@
+/**
+ * @file requirePermission.js - Middleware factory restricting routes to users with a permission.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import logger from "../../tools/logging/logger.js";
+import errors from "../../errors.js";
+import checkPermission, { defaultBypass } from "../authorization/checkPermission.js";
+
+/**
+ * @description Loads the document a request targets. Requests whose document cannot be loaded are checked without a resource,
+ * the route itself answers them as usual.
+ * @param {Function} resource - Function returning the targeted document for a request.
+ * @param {Object} req - The request.
+ * @returns {Promise<BaseModel>} The targeted document or null.
+ * */
+async function loadResource(resource, req) {
+    if (!resource) return null;
+
+    try {
+        return await resource(req);
+    } catch (error) {
+        logger.server.debug(`Request #${ req.requestId }: target of permission check could not be loaded: ${ error.message }`);
+        return null;
+    }
+}
+
+/**
+ * @description Creates a middleware that rejects requests of users without the required permission with status 403.
+ * Must be used after the authentication middleware, which sets req.userAccount and req.user.
+ * @param {Object} rule - The permission rule of the route.
+ * @param {String} rule.permission - The required permission. See models/users/UserAccountPermissions.js.
+ * @param {Array<String>} rule.bypass - The account types that are allowed without having the permission. Defaults to ADMIN.
+ * @param {Function} rule.resource - Optional function returning the document the request targets, e.g. req => Club.getById(req.params.id).
+ * Grants scoped to that document are then considered as well. See authorization/resourceGrants.js.
+ * @returns {Function} The middleware.
+ * */
+export default function requirePermission({ permission, bypass = defaultBypass, resource = null }) {
+
+    return async (req, res, next) => {
+
+        if (!checkPermission(req.userAccount, req.user, permission, bypass, await loadResource(resource, req))) {
+            logger.server.error(`Request #${ req.requestId }: User '${ req.user?._id }' from '${ req.ip }' is missing permission '${ permission }'`);
+            res.status(403).send(
+                {
+                    errorCode: errors.server.authorization.insufficientPermission,
+                    errorMessage: `Missing permission '${ permission }'.`
+                }
+            );
+            return;
+        }
+
+        next();
+    };
+
+}
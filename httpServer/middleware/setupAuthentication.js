@@ -0,0 +1,63 @@
+/**
+ * @file setupAuthentication.js - Middleware authenticating the onboarding of a school with its setup code.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import logger from "../../tools/logging/logger.js";
+import errors from "../../errors.js";
+import createAttemptThrottle from "../authentication/attemptThrottle.js";
+import SchoolSetup from "../../models/general/setup/SchoolSetup.js";
+
+// failed setup codes per ip address, after 5 failures the ip has to wait 15 minutes
+const setupThrottle = createAttemptThrottle('setup', 5, 15);
+
+/**
+ * @description Authenticates a request with the setup code in the 'X-Setup-Code' header and sets req.setupAccount.
+ * Codes of completed onboardings are rejected with status 401, ip addresses with too many wrong codes with status 429.
+ * */
+const setupAuthentication = async (req, res, next) => {
+
+    try {
+        const retryAfter = await setupThrottle.getRetryAfter(req.ip);
+        if (retryAfter > 0) {
+            logger.server.error(`Request #${ req.requestId }: Setup from '${ req.ip }' is throttled`);
+            res.status(429).set('Retry-After', Math.ceil(retryAfter / 1000)).send(
+                {
+                    errorCode: errors.server.setup.throttled,
+                    errorMessage: `Too many failed attempts. Try again in ${ Math.ceil(retryAfter / 1000) } seconds.`,
+                    retryAfter: retryAfter
+                }
+            );
+            return;
+        }
+
+        const setupAccount = await SchoolSetup.getSetupAccountByCode(req.headers['x-setup-code']);
+        if (!setupAccount) {
+            await setupThrottle.registerFailure(req.ip);
+            logger.server.error(`Request #${ req.requestId }: Setup from '${ req.ip }' with invalid setup code`);
+            res.status(401).send(
+                {
+                    errorCode: errors.server.setup.invalid,
+                    errorMessage: "Setup code is invalid or the setup is already completed."
+                }
+            );
+            return;
+        }
+
+        await setupThrottle.reset(req.ip);
+        req.setupAccount = setupAccount;
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(401).send(
+            {
+                errorCode: errors.server.setup.invalid,
+                errorMessage: 'Setup authentication failed.'
+            }
+        );
+        return;
+    }
+
+    next();
+};
+
+export default setupAuthentication;
@@ -0,0 +1,20 @@
+/**
+ * @file viewerSerialization.js - Middleware rendering all JSON responses for the user that sent the request.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import { renderForViewer } from "../../models/visibility.js";
+
+/**
+ * @description Renders the body of res.json() for req.user, so fields the user is not allowed to see are never sent.
+ * See models/visibility.js. Requests without an authenticated user only receive public fields.
+ * */
+const viewerSerialization = (req, res, next) => {
+
+    const json = res.json.bind(res);
+    res.json = body => json(renderForViewer(body, req.user));
+
+    next();
+};
+
+export default viewerSerialization;
@@ -0,0 +1,102 @@
+/**
+ * @file index.js - Class handling the activation code routes.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+
+import express from "express";
+import errors from "../../../errors.js";
+import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import UserAccountTypes from "../../../models/users/UserAccountTypes.js";
+import logger from "../../../tools/logging/logger.js";
+import UserAccount from "../../../models/users/UserAccount.js";
+import ActivationCode, { activationCodePurposes } from "../../../models/users/ActivationCode.js";
+
+const router = express.Router();
+
+// properties that are required to generate codes
+const requiredProperties = [ 'userAccounts' ];
+
+// permissions that are required for the routes and the account types that bypass them (ADMIN if not declared)
+const routePermissions = {
+    creation: { permission: UserAccountPermissions.userAccount.activation.create, bypass: [ UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ] }
+};
+
+/**
+ * @description Formats generated codes as CSV, e.g. for printing them as letters.
+ * @param {Array<Object>} codes - The generated codes.
+ * @returns {String} The CSV with the columns username, code and expiresAt.
+ * */
+function codesToCsv(codes) {
+    const escape = value => `"${ String(value).replace(/"/g, '""') }"`;
+    const lines = codes.map(code => [ code.username, code.code, code.expiresAt.toISOString() ].map(escape).join(','));
+
+    return [ 'username,code,expiresAt', ...lines ].join('\n');
+}
+
+/**
+ * @description Generates activation or reset codes for user accounts. Earlier unused codes of the accounts are revoked.
+ * Teachers can only generate codes for student accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
+ * @param req.body.userAccounts - The ids of the user accounts
+ * @param req.body.purpose - 'ACTIVATION' (default) or 'RESET'
+ * @param req.query.format - 'csv' to receive the codes as CSV instead of JSON
+ * @returns {JSON<Array<Object>>} - The codes with username and expiration date. They cannot be retrieved again.
+ * @throws errors.server.document.creation.failed - When the codes could not be generated
+ * @throws errors.server.authorization.insufficientPermission - When a teacher generates codes for accounts that are not students
+ * */
+router.post('/', requirePermission(routePermissions.creation), async (req, res) => {
+
+    try {
+
+        if (!req.body || isMissingProperty(req.body, requiredProperties) || !Array.isArray(req.body.userAccounts)) {
+            logger.server.error(`Request #${ req.requestId }: Activation code creation from '${ req.ip }' does not contain user accounts`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.creation.failed,
+                    errorMessage: "User accounts missing in body. See documentation for more information. [https://github.com/Academi-fy/backend/wiki/UserAccount]"
+                }
+            );
+            return;
+        }
+
+        const userAccounts = [];
+        for (const userAccountId of req.body.userAccounts) {
+            userAccounts.push(await UserAccount.getUserAccountById(String(userAccountId)));
+        }
+
+        if (req.user.type !== UserAccountTypes.ADMIN && userAccounts.some(userAccount => userAccount.user?.type !== UserAccountTypes.STUDENT)) {
+            logger.server.error(`Request #${ req.requestId }: User '${ req.user._id }' from '${ req.ip }' tried to generate codes for accounts that are not students`);
+            res.status(403).send(
+                {
+                    errorCode: errors.server.authorization.insufficientPermission,
+                    errorMessage: "Codes for accounts that are not students can only be generated by admins."
+                }
+            );
+            return;
+        }
+
+        const codes = await ActivationCode.generateCodes(userAccounts, req.body.purpose ?? activationCodePurposes.ACTIVATION, req.user._id);
+        logger.server.info(`Request #${ req.requestId }: User '${ req.user._id }' generated ${ codes.length } codes`);
+
+        if (req.query.format === 'csv') {
+            res.type('text/csv').send(codesToCsv(codes));
+            return;
+        }
+
+        res.json(codes);
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.creation.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+export default router;
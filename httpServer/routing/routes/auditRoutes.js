@@ -0,0 +1,108 @@
+/**
+ * @file index.js - Class handling the audit log routes.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+
+import express from "express";
+import errors from "../../../errors.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import logger from "../../../tools/logging/logger.js";
+import AuditLog from "../../../models/general/AuditLog.js";
+
+const router = express.Router();
+
+// permissions that are required for the routes and the account types that bypass them (ADMIN if not declared)
+const routePermissions = {
+    query: { permission: UserAccountPermissions.audit.view }
+};
+
+/**
+ * @description Gets an optional value of the query string. The query parser turns e.g. 'actor[$ne]=' into objects,
+ * which would be used as operators in the criteria, so only single strings are accepted.
+ * @param {*} value - The value of the query string.
+ * @param {String} name - The name of the parameter for the error message.
+ * @returns {String|null} The value or null if no value was given.
+ * @throws {Error} If the value is not a single string.
+ * */
+function parseString(value, name) {
+    if (value === undefined || value === '') return null;
+    if (typeof value !== 'string') throw new Error(`Invalid value of '${ name }', expected a single string`);
+
+    return value;
+}
+
+/**
+ * @description Parses an optional positive integer of the query string.
+ * @param {*} value - The value of the query string.
+ * @param {String} name - The name of the parameter for the error message.
+ * @returns {Number|null} The number or null if no value was given.
+ * @throws {Error} If the value is not a positive integer.
+ * */
+function parsePositiveInteger(value, name) {
+    value = parseString(value, name);
+    if (value === null) return null;
+    if (!/^\d+$/.test(value) || parseInt(value) === 0) throw new Error(`Invalid value of '${ name }', expected a positive integer`);
+
+    return parseInt(value);
+}
+
+/**
+ * @description Parses an optional date of the query string.
+ * @param {*} value - The date as ISO string or timestamp.
+ * @param {String} name - The name of the parameter for the error message.
+ * @returns {Date|null} The date or null if no date was given.
+ * @throws {Error} If the value is not a valid date.
+ * */
+function parseDate(value, name) {
+    value = parseString(value, name);
+    if (!value) return null;
+
+    const date = new Date(/^\d+$/.test(value) ? parseInt(value) : value);
+    if (isNaN(date.getTime())) throw new Error(`Invalid date '${ value }'`);
+
+    return date;
+}
+
+/**
+ * @description Gets the audit log entries matching the filters in the query string, newest first.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
+ * @param req.query.actor - Optional id of the user that caused the writes.
+ * @param req.query.model - Optional name of the model that was written, e.g. 'Course'.
+ * @param req.query.document - Optional id of the document that was written.
+ * @param req.query.from - Optional earliest date of the writes (ISO string or timestamp).
+ * @param req.query.to - Optional latest date of the writes (ISO string or timestamp).
+ * @param req.query.limit - Optional maximum number of entries, a positive integer.
+ * @param req.query.impersonator - Optional id of the admin that caused the writes while impersonating.
+ * @param req.query.impersonated - Optional 'true' to only get writes made while impersonating.
+ * @returns {JSON<Array<AuditLog>>} - The matching audit log entries
+ * @throws errors.server.document.query.failed - When a value of the query string is invalid or the query failed
+ * */
+router.get('/', requirePermission(routePermissions.query), async (req, res) => {
+
+    try {
+        const auditLogs = await AuditLog.getAuditLogs({
+            actor: parseString(req.query.actor, 'actor'),
+            model: parseString(req.query.model, 'model'),
+            document: parseString(req.query.document, 'document'),
+            from: parseDate(req.query.from, 'from'),
+            to: parseDate(req.query.to, 'to'),
+            limit: parsePositiveInteger(req.query.limit, 'limit'),
+            impersonator: parseString(req.query.impersonator, 'impersonator'),
+            impersonated: parseString(req.query.impersonated, 'impersonated') === 'true'
+        });
+        res.json(auditLogs);
+    } catch (error) {
+        logger.server.error(`Request #${ req.requestId }: Audit log query from '${ req.ip }' failed: ${ error.message }`);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.query.failed,
+                errorMessage: error.message
+            }
+        );
+    }
+
+});
+
+export default router;
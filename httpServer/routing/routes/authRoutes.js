@@ -0,0 +1,348 @@
+/**
+ * @file authRoutes.js - Class handling the authentication routes.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+
+import express from "express";
+import errors from "../../../errors.js";
+import isMissingProperty from "../isMissingProperty.js";
+import logger from "../../../tools/logging/logger.js";
+import UserAccount from "../../../models/users/UserAccount.js";
+import { getLifetime, issueToken, issueTokenPair, tokenTypes, twoFactorPurposes, verifyToken } from "../../authentication/tokens.js";
+import startSession from "../../authentication/startSession.js";
+import authentication from "../../middleware/authentication.js";
+import { minimumPasswordLength } from "../../authentication/passwordHashing.js";
+import createAttemptThrottle from "../../authentication/attemptThrottle.js";
+import ActivationCode from "../../../models/users/ActivationCode.js";
+import LoginLock, { loginLockTypes } from "../../../models/users/LoginLock.js";
+import TwoFactor from "../../../models/users/TwoFactor.js";
+import Session from "../../../models/users/Session.js";
+
+const router = express.Router();
+
+// properties that are required for a login
+const requiredLoginProperties = [ 'username', 'password' ];
+
+// properties that are required to redeem an activation or reset code
+const requiredActivationProperties = [ 'code', 'password' ];
+
+// failed code redemptions per ip address, after 5 failures the ip has to wait 15 minutes
+const activationThrottle = createAttemptThrottle('activation', 5, 15);
+
+/**
+ * @description Sends the response for a failed login.
+ * The response is the same for unknown usernames and wrong passwords, so usernames cannot be guessed.
+ * @param res - The response object
+ * */
+function sendLoginFailed(res) {
+    res.status(401).send(
+        {
+            errorCode: errors.server.authentication.login.failed,
+            errorMessage: "Username or password is incorrect."
+        }
+    );
+}
+
+/**
+ * @description Sends the response for a login of a locked user account or ip address.
+ * @param res - The response object
+ * @param {Number} retryAfter - The time in milliseconds until the next login attempt is allowed
+ * */
+function sendLoginLocked(res, retryAfter) {
+    const seconds = Math.ceil(retryAfter / 1000);
+    res.status(429).set('Retry-After', seconds).send(
+        {
+            errorCode: errors.server.authentication.login.locked,
+            errorMessage: `Too many failed logins. Try again in ${ seconds } seconds.`,
+            retryAfter: retryAfter
+        }
+    );
+}
+
+/**
+ * @description Sends the response for a correct password of an account that still needs a two-factor code or enrollment.
+ * @param res - The response object
+ * @param {UserAccount} userAccount - The user account that entered the correct password
+ * @param {String} purpose - What the client has to do next. See twoFactorPurposes.
+ * */
+function sendTwoFactorPending(res, userAccount, purpose) {
+    const { token, expiresAt } = issueToken(tokenTypes.TWO_FACTOR, userAccount._id, { purpose: purpose });
+    res.json({
+        twoFactorRequired: purpose === twoFactorPurposes.VERIFICATION,
+        twoFactorEnrollmentRequired: purpose === twoFactorPurposes.ENROLLMENT,
+        twoFactorToken: token,
+        twoFactorTokenExpiresAt: expiresAt
+    });
+}
+
+/**
+ * @description Logs a user in with their username and password.
+ * Failed logins are counted per user account and per ip address, both are locked for a while after too many failures.
+ * See models/users/LoginLock.js.
+ * If the account has two-factor authentication enabled or a school requires it, no tokens are issued yet.
+ * Instead a short-lived two-factor token is returned, see twoFactorRoutes.js.
+ * @param req.body.username - The username of the userAccount
+ * @param req.body.password - The password of the userAccount
+ * @returns {JSON<Object>} - The userAccount that was logged in and its access and refresh tokens,
+ * or twoFactorRequired/twoFactorEnrollmentRequired and the two-factor token
+ * @throws errors.server.authentication.login.failed - When the username or password is incorrect
+ * @throws errors.server.authentication.login.locked - When the user account or ip address is locked
+ * */
+router.post('/login', async (req, res) => {
+
+    try {
+
+        if (!req.body || isMissingProperty(req.body, requiredLoginProperties)) {
+            logger.server.error(`Request #${ req.requestId }: Login from '${ req.ip }' does not contain username and password`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.authentication.login.failed,
+                    errorMessage: "Username or password missing in body."
+                }
+            );
+            return;
+        }
+
+        const { username, password } = req.body;
+
+        const userAccounts = await UserAccount.getAllUserAccountsByRule({ username: String(username) });
+        const userAccount = userAccounts[0];
+
+        const lockKeys = [
+            { type: loginLockTypes.ACCOUNT, key: userAccount?._id },
+            { type: loginLockTypes.IP, key: req.ip }
+        ];
+
+        const retryAfter = await LoginLock.getRetryAfter(lockKeys);
+        if (retryAfter > 0) {
+            logger.server.error(`Request #${ req.requestId }: Login from '${ req.ip }' for username '${ username }' is locked`)
+            sendLoginLocked(res, retryAfter);
+            return;
+        }
+
+        if (!userAccount || !await userAccount.verifyPassword(password)) {
+            logger.server.error(`Request #${ req.requestId }: Login from '${ req.ip }' failed for username '${ username }'`)
+            for (const { type, key } of lockKeys) {
+                if (key) await LoginLock.registerFailure(type, key);
+            }
+            sendLoginFailed(res);
+            return;
+        }
+
+        // the failures are reset once the two-factor code is verified, otherwise a known password would allow guessing codes endlessly
+        if (userAccount.twoFactorEnabled) {
+            logger.server.info(`Request #${ req.requestId }: User account '${ userAccount._id }' from '${ req.ip }' has to enter a two-factor code`);
+            sendTwoFactorPending(res, userAccount, twoFactorPurposes.VERIFICATION);
+            return;
+        }
+
+        if (await TwoFactor.isRequired(userAccount.user)) {
+            logger.server.info(`Request #${ req.requestId }: User account '${ userAccount._id }' from '${ req.ip }' has to enroll two-factor authentication`);
+            sendTwoFactorPending(res, userAccount, twoFactorPurposes.ENROLLMENT);
+            return;
+        }
+
+        // the failures of the ip address are not reset, otherwise a valid login would allow guessing other accounts again
+        await LoginLock.reset(loginLockTypes.ACCOUNT, userAccount._id);
+
+        logger.server.info(`Request #${ req.requestId }: User account '${ userAccount._id }' logged in from '${ req.ip }'`);
+
+        // the response is rendered for the user that just logged in, see middleware/viewerSerialization.js
+        req.user = userAccount.user;
+        res.json({
+            userAccount: userAccount,
+            ...await startSession(req, userAccount._id)
+        });
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.authentication.login.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+/**
+ * @description Issues a new access and refresh token for a valid refresh token. The tokens keep their session, whose expiration is extended.
+ * @param req.body.refreshToken - The refresh token received on login or the last refresh
+ * @returns {JSON<Object>} - The new access and refresh tokens
+ * @throws errors.server.authentication.token.missing - When the refresh token is missing
+ * @throws errors.server.authentication.token.invalid - When the refresh token is invalid or its session was revoked
+ * @throws errors.server.authentication.token.expired - When the refresh token is expired
+ * */
+router.post('/refresh', async (req, res) => {
+
+    try {
+        const token = verifyToken(req.body?.refreshToken, tokenTypes.REFRESH);
+
+        const userAccount = await UserAccount.getUserAccountById(token.sub);
+        if (!userAccount) {
+            logger.server.error(`Request #${ req.requestId }: Token refresh from '${ req.ip }' for unknown user account '${ token.sub }'`)
+            res.status(401).send(
+                {
+                    errorCode: errors.server.authentication.token.invalid,
+                    errorMessage: "User account of refresh token does not exist."
+                }
+            );
+            return;
+        }
+
+        const session = token.sid ? await Session.getSessionById(token.sid) : null;
+        if (!session || session.userAccount !== userAccount._id) {
+            logger.server.error(`Request #${ req.requestId }: Token refresh from '${ req.ip }' for revoked session '${ token.sid }'`)
+            res.status(401).send(
+                {
+                    errorCode: errors.server.authentication.token.invalid,
+                    errorMessage: "Session of refresh token was revoked or is expired."
+                }
+            );
+            return;
+        }
+
+        // impersonation sessions are not extended, they end after IMPERSONATION_EXPIRATION minutes
+        if (session.impersonator) {
+            await Session.touch(session._id);
+            res.json(issueTokenPair(userAccount._id, { sid: session._id, imp: session.impersonator }));
+            return;
+        }
+
+        await Session.touch(session._id, new Date(Date.now() + getLifetime(tokenTypes.REFRESH) * 1000));
+        res.json(issueTokenPair(userAccount._id, { sid: session._id }));
+    } catch (error) {
+        logger.server.error(`Request #${ req.requestId }: Token refresh from '${ req.ip }' failed: ${ error.message }`);
+        res.status(401).send(
+            {
+                errorCode: error.errorCode ?? errors.server.authentication.token.invalid,
+                errorMessage: error.name === 'AuthenticationError' ? error.message : 'Token refresh failed.'
+            }
+        );
+    }
+
+});
+
+/**
+ * @description Logs the authenticated device out by revoking its session. Its access and refresh tokens are rejected from now on.
+ * @param req.sessionId - The session of the access token. See middleware/authentication.js.
+ * @returns {Boolean} - If the session was revoked
+ * */
+router.post('/logout', authentication, async (req, res) => {
+
+    try {
+        await Session.revoke(req.sessionId);
+        logger.server.info(`Request #${ req.requestId }: User account '${ req.userAccount._id }' logged out session '${ req.sessionId }'`);
+
+        res.json(true);
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.deletion.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+/**
+ * @description Redeems an activation or reset code and sets the password of its user account.
+ * The user is logged in afterwards, so the response is the same as for a login.
+ * Failed redemptions are counted per ip address and blocked for a while after too many failures.
+ * @param req.body.code - The activation or reset code
+ * @param req.body.password - The new password
+ * @returns {JSON<Object>} - The userAccount and its access and refresh tokens, or the two-factor token like for a login
+ * @throws errors.server.authentication.activation.invalid - When the code is unknown, already used or expired
+ * @throws errors.server.authentication.activation.throttled - When there were too many failed redemptions
+ * @throws errors.server.authentication.activation.weakPassword - When the password is too short
+ * */
+router.post('/activate', async (req, res) => {
+
+    try {
+
+        const retryAfter = await activationThrottle.getRetryAfter(req.ip);
+        if (retryAfter > 0) {
+            logger.server.error(`Request #${ req.requestId }: Code redemption from '${ req.ip }' is throttled`)
+            res.status(429).set('Retry-After', Math.ceil(retryAfter / 1000)).send(
+                {
+                    errorCode: errors.server.authentication.activation.throttled,
+                    errorMessage: `Too many failed attempts. Try again in ${ Math.ceil(retryAfter / 1000) } seconds.`,
+                    retryAfter: retryAfter
+                }
+            );
+            return;
+        }
+
+        if (!req.body || isMissingProperty(req.body, requiredActivationProperties)) {
+            logger.server.error(`Request #${ req.requestId }: Code redemption from '${ req.ip }' does not contain code and password`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.authentication.activation.invalid,
+                    errorMessage: "Code or password missing in body."
+                }
+            );
+            return;
+        }
+
+        const { code, password } = req.body;
+
+        if (typeof password !== 'string' || password.length < minimumPasswordLength) {
+            res.status(400).send(
+                {
+                    errorCode: errors.server.authentication.activation.weakPassword,
+                    errorMessage: `Password must be at least ${ minimumPasswordLength } characters long.`
+                }
+            );
+            return;
+        }
+
+        const userAccount = await ActivationCode.redeem(code, password);
+
+        if (!userAccount) {
+            await activationThrottle.registerFailure(req.ip);
+            logger.server.error(`Request #${ req.requestId }: Code redemption from '${ req.ip }' failed`)
+            res.status(401).send(
+                {
+                    errorCode: errors.server.authentication.activation.invalid,
+                    errorMessage: "Code is invalid, already used or expired."
+                }
+            );
+            return;
+        }
+
+        await activationThrottle.reset(req.ip);
+        logger.server.info(`Request #${ req.requestId }: User account '${ userAccount._id }' set its password with a code from '${ req.ip }'`);
+
+        // a code only replaces the password, the second factor is still required
+        if (userAccount.twoFactorEnabled) {
+            sendTwoFactorPending(res, userAccount, twoFactorPurposes.VERIFICATION);
+            return;
+        }
+
+        if (await TwoFactor.isRequired(userAccount.user)) {
+            sendTwoFactorPending(res, userAccount, twoFactorPurposes.ENROLLMENT);
+            return;
+        }
+
+        // the response is rendered for the user that just set their password, see middleware/viewerSerialization.js
+        req.user = userAccount.user;
+        res.json({
+            userAccount: userAccount,
+            ...await startSession(req, userAccount._id)
+        });
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.authentication.activation.invalid,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+export default router;
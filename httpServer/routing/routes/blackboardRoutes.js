@@ -7,6 +7,9 @@ import express from "express";
 import errors from "../../../errors.js";
 import logger from "../../../tools/logging/logger.js";
 import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import UserAccountTypes from "../../../models/users/UserAccountTypes.js";
 import Blackboard from "../../../models/general/Blackboard.js";
 import { getAllDocuments } from "../../../mongoDb/mongoAccess.js";
 import BlackboardSchema from "../../../mongoDb/schemas/general/BlackboardSchema.js";
@@ -14,7 +17,15 @@ import BlackboardSchema from "../../../mongoDb/schemas/general/BlackboardSchema.
 const router = express.Router();
 
 // properties that are required for a blackboard
-const requiredProperties = [ 'title', 'author', 'coverImage', 'text', 'tags', 'date', 'state' ];
+const requiredProperties = [ 'title', 'coverImage', 'text', 'tags', 'date', 'state' ];
+
+// permissions that are required for the routes and the account types that bypass them (ADMIN if not declared)
+const routePermissions = {
+    query: { permission: UserAccountPermissions.blackboard.view, bypass: [ UserAccountTypes.STUDENT, UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ] },
+    creation: { permission: UserAccountPermissions.blackboard.creation.execute, bypass: [ UserAccountTypes.STUDENT, UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ] },
+    update: { permission: UserAccountPermissions.blackboard.edit.execute },
+    deletion: { permission: UserAccountPermissions.blackboard.deletion.execute }
+};
 
 /**
  * @description Formats the request body into a blackboard
@@ -27,10 +38,10 @@ function bodyToBlackboard(body) {
 
 /**
  * @description Gets all blackboards existing in the database.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Array<Blackboard>>} - The list of all blackboards existing in the database
  * */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(routePermissions.query), async (req, res) => {
 
     const blackboards = await Blackboard.getAll(null);
     res.json(blackboards);
@@ -39,12 +50,12 @@ router.get('/', async (req, res) => {
 
 /**
  * @description Gets all blackboards that exist in the database and match a certain filter.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.filter - The filter that the blackboards should match
  * @returns {JSON<Array<Blackboard>>} - The list of all blackboards matching the filter
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/filter', async (req, res) => {
+router.get('/filter', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const filter = req.body.filter;
@@ -76,12 +87,12 @@ router.get('/filter', async (req, res) => {
 
 /**
  * @description Gets the blackboard matching the id
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.params.id - The id of the blackboard
  * @returns {JSON<Blackboard>} - The blackboard matching the id
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const id = req.params.id;
@@ -113,12 +124,12 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @description Creates a blackboard
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.blackboard - The blackboard to be created
  * @returns {JSON<Blackboard>} - The created blackboard
  * @throws errors.server.document.creation.failed - When the creation failed
  * */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(routePermissions.creation), async (req, res) => {
 
     try {
 
@@ -133,6 +144,8 @@ router.post('/', async (req, res) => {
             return;
         }
 
+        // the author is always the authenticated user, the one sent by the client is ignored
+        req.body.blackboard.author = req.user._id.toString();
         const newBlackboard = bodyToBlackboard(req.body);
         newBlackboard._id = req.body.blackboard._id.toString();
 
@@ -176,12 +189,12 @@ router.post('/', async (req, res) => {
 /**
  * @description Updates a blackboard matching an id
  * @param req.params.id - The id of the blackboard to be updated.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.blackboard - The blackboard update
  * @returns {JSON<Blackboard>} - The updated blackboard
  * @throws errors.server.document.update.failed - When the update failed
  * */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(routePermissions.update), async (req, res) => {
 
     try {
 
@@ -198,6 +211,8 @@ router.put('/:id', async (req, res) => {
             return;
         }
 
+        // the author cannot be changed
+        req.body.blackboard.author = oldBlackboard?.author?._id ?? oldBlackboard?.author;
         const updatedBlackboard = bodyToBlackboard(req.body);
         updatedBlackboard._id = req.body.blackboard._id.toString();
 
@@ -262,11 +277,11 @@ router.put('/:id', async (req, res) => {
 /**
  * @description Deletes a blackboard matching an id
  * @param req.params.id - The id of the blackboard to be deleted.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Boolean>} - The state of the deletion
  * @throws errors.server.document.deletion.failed - When the deletion failed
  * */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(routePermissions.deletion), async (req, res) => {
 
     try {
 
@@ -7,6 +7,9 @@
 import express from "express";
 import errors from "../../../errors.js";
 import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import UserAccountTypes from "../../../models/users/UserAccountTypes.js";
 import logger from "../../../tools/logging/logger.js";
 import Chat from "../../../models/messages/Chat.js";
 
@@ -15,6 +18,15 @@ const router = express.Router();
 // properties that are required for a chat
 const requiredProperties = [ 'type', 'targets', 'courses', 'clubs', 'name', 'avatar', 'messages' ];
 
+// permissions that are required for the routes, the account types that bypass them (ADMIN if not declared)
+// and the document the permission is checked against
+const routePermissions = {
+    query: { permission: UserAccountPermissions.chat.view },
+    creation: { permission: UserAccountPermissions.chat.creation.execute, bypass: [ UserAccountTypes.STUDENT, UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ] },
+    update: { permission: UserAccountPermissions.chat.edit.execute, resource: req => Chat.getById(req.params.id) },
+    deletion: { permission: UserAccountPermissions.chat.deletion.execute, resource: req => Chat.getById(req.params.id) }
+};
+
 /**
  * @description Formats the request body into a chat
  * @param body - The request
@@ -26,10 +38,10 @@ function bodyToChat(body) {
 
 /**
  * @description Gets all chats existing in the database.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Array<Chat>>} - The list of all chats existing in the database
  * */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(routePermissions.query), async (req, res) => {
 
     const chats = await Chat.getAll(null);
     res.json(chats);
@@ -38,12 +50,12 @@ router.get('/', async (req, res) => {
 
 /**
  * @description Gets all chats that exist in the database and match a certain filter.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.filter - The filter that the chats should match
  * @returns {JSON<Array<Chat>>} - The list of all chats matching the filter
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/filter', async (req, res) => {
+router.get('/filter', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const filter = req.body.filter;
@@ -75,12 +87,12 @@ router.get('/filter', async (req, res) => {
 
 /**
  * @description Gets the chat matching the id
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.params.id - The id of the chat
  * @returns {JSON<Chat>} - The chat matching the id
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const id = req.params.id;
@@ -112,12 +124,12 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @description Creates a chat
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.chat - The chat to be created
  * @returns {JSON<Chat>} - The created chat
  * @throws errors.server.document.creation.failed - When the creation failed
  * */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(routePermissions.creation), async (req, res) => {
 
     try {
 
@@ -173,12 +185,12 @@ router.post('/', async (req, res) => {
 /**
  * @description Updates a chat matching an id
  * @param req.params.id - The id of the chat to be updated.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.chat - The chat update
  * @returns {JSON<Chat>} - The updated chat
  * @throws errors.server.document.update.failed - When the update failed
  * */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(routePermissions.update), async (req, res) => {
 
     try {
         const oldChat = await Chat.getById(req.params.id);
@@ -258,11 +270,11 @@ router.put('/:id', async (req, res) => {
 /**
  * @description Deletes a chat matching an id
  * @param req.params.id - The id of the chat to be deleted.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Boolean>} - The state of the deletion
  * @throws errors.server.document.deletion.failed - When the deletion failed
  * */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(routePermissions.deletion), async (req, res) => {
 
     try {
 
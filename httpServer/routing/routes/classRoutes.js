@@ -8,6 +8,9 @@ import express from "express";
 import Class from "../../../models/general/Class.js";
 import errors from "../../../errors.js";
 import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import UserAccountTypes from "../../../models/users/UserAccountTypes.js";
 import logger from "../../../tools/logging/logger.js";
 
 const router = express.Router();
@@ -15,6 +18,14 @@ const router = express.Router();
 // properties that are required for a class
 const requiredProperties = [ 'grade', 'courses', 'members', 'specifiedGrade' ];
 
+// permissions that are required for the routes and the account types that bypass them (ADMIN if not declared)
+const routePermissions = {
+    query: { permission: UserAccountPermissions.class.view, bypass: [ UserAccountTypes.STUDENT, UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ] },
+    creation: { permission: UserAccountPermissions.class.creation.execute },
+    update: { permission: UserAccountPermissions.class.edit.execute },
+    deletion: { permission: UserAccountPermissions.class.deletion.execute }
+};
+
 /**
  * @description Formats the request body into a blackboard
  * @param body - The request body
@@ -26,10 +37,10 @@ function bodyToClass(body) {
 
 /**
  * @description Gets all class existing in the database.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Array<Class>>} - The list of all class existing in the database
  * */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(routePermissions.query), async (req, res) => {
 
     const class_ = await Class.getAll(null);
     res.json(class_);
@@ -38,12 +49,12 @@ router.get('/', async (req, res) => {
 
 /**
  * @description Gets all class that exist in the database and match a certain filter.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.filter - The filter that the class should match
  * @returns {JSON<Array<Class>>} - The list of all class matching the filter
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/filter', async (req, res) => {
+router.get('/filter', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const filter = req.body.filter;
@@ -75,12 +86,12 @@ router.get('/filter', async (req, res) => {
 
 /**
  * @description Gets the class matching the id
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.params.id - The id of the class
  * @returns {JSON<Class>} - The class matching the id
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const id = req.params.id;
@@ -112,12 +123,12 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @description Creates a class
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.class - The class to be created
  * @returns {JSON<Class>} - The created class
  * @throws errors.server.document.creation.failed - When the creation failed
  * */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(routePermissions.creation), async (req, res) => {
 
     try {
 
@@ -173,12 +184,12 @@ router.post('/', async (req, res) => {
 /**
  * @description Updates a class matching an id
  * @param req.params.id - The id of the class to be updated.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.class - The class update
  * @returns {JSON<Class>} - The updated class
  * @throws errors.server.document.update.failed - When the update failed
  * */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(routePermissions.update), async (req, res) => {
 
     try {
         const oldClass = await Class.getById(req.params.id)
@@ -258,11 +269,11 @@ router.put('/:id', async (req, res) => {
 /**
  * @description Deletes a class matching an id
  * @param req.params.id - The id of the class to be deleted.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Boolean>} - The state of the deletion
  * @throws errors.server.document.deletion.failed - When the deletion failed
  * */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(routePermissions.deletion), async (req, res) => {
 
     try {
 
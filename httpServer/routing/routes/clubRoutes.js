@@ -6,6 +6,9 @@
 import express from "express";
 import errors from "../../../errors.js";
 import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import UserAccountTypes from "../../../models/users/UserAccountTypes.js";
 import logger from "../../../tools/logging/logger.js";
 import Club from "../../../models/clubs/Club.js";
 
@@ -14,6 +17,15 @@ const router = express.Router();
 // properties that are required for a club
 const requiredProperties = [ 'name', 'details', 'leaders', 'members', 'chat', 'events', 'state', 'editHistory' ];
 
+// permissions that are required for the routes, the account types that bypass them (ADMIN if not declared)
+// and the document the permission is checked against
+const routePermissions = {
+    query: { permission: UserAccountPermissions.club.view, bypass: [ UserAccountTypes.STUDENT, UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ] },
+    creation: { permission: UserAccountPermissions.club.creation.execute },
+    update: { permission: UserAccountPermissions.club.edit.execute, resource: req => Club.getById(req.params.id) },
+    deletion: { permission: UserAccountPermissions.club.deletion.execute, resource: req => Club.getById(req.params.id) }
+};
+
 /**
  * @description Formats the request body into a club
  * @param body - The request body
@@ -25,10 +37,10 @@ function bodyToClub(body) {
 
 /**
  * @description Gets all clubs existing in the database.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Array<Club>>} - The list of all clubs existing in the database
  * */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(routePermissions.query), async (req, res) => {
 
     const clubs = await Club.getAll(null);
     res.json(clubs);
@@ -37,12 +49,12 @@ router.get('/', async (req, res) => {
 
 /**
  * @description Gets all clubs that exist in the database and match a certain filter.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.filter - The filter that the clubs should match
  * @returns {JSON<Array<Club>>} - The list of all clubs matching the filter
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/filter', async (req, res) => {
+router.get('/filter', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const filter = req.body.filter;
@@ -74,12 +86,12 @@ router.get('/filter', async (req, res) => {
 
 /**
  * @description Gets the club matching the id
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.params.id - The id of the club
  * @returns {JSON<Club>} - The club matching the id
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const id = req.params.id;
@@ -111,12 +123,12 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @description Creates a club
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.club - The club to be created
  * @returns {JSON<Club>} - The created club
  * @throws errors.server.document.creation.failed - When the creation failed
  * */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(routePermissions.creation), async (req, res) => {
 
     try {
 
@@ -172,12 +184,12 @@ router.post('/', async (req, res) => {
 /**
  * @description Updates a club matching an id
  * @param req.params.id - The id of the club to be updated.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.club - The club update
  * @returns {JSON<Club>} - The updated club
  * @throws errors.server.document.update.failed - When the update failed
  * */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(routePermissions.update), async (req, res) => {
 
     try {
         const oldClub = await Club.getById(req.params.id);
@@ -257,11 +269,11 @@ router.put('/:id', async (req, res) => {
 /**
  * @description Deletes a club matching an id
  * @param req.params.id - The id of the club to be deleted.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Boolean>} - The state of the deletion
  * @throws errors.server.document.deletion.failed - When the deletion failed
  * */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(routePermissions.deletion), async (req, res) => {
 
     try {
 
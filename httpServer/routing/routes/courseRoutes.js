@@ -8,6 +8,9 @@ import express from "express";
 import Course from "../../../models/general/Course.js";
 import errors from "../../../errors.js";
 import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import UserAccountTypes from "../../../models/users/UserAccountTypes.js";
 import logger from "../../../tools/logging/logger.js";
 
 const router = express.Router();
@@ -15,6 +18,15 @@ const router = express.Router();
 // properties that are required for a course
 const requiredProperties = [ 'members', 'classes', 'teacher', 'chat', 'subject' ];
 
+// permissions that are required for the routes, the account types that bypass them (ADMIN if not declared)
+// and the document the permission is checked against
+const routePermissions = {
+    query: { permission: UserAccountPermissions.course.view, bypass: [ UserAccountTypes.STUDENT, UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ] },
+    creation: { permission: UserAccountPermissions.course.creation.execute, bypass: [ UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ] },
+    update: { permission: UserAccountPermissions.course.edit.execute, resource: req => Course.getById(req.params.id) },
+    deletion: { permission: UserAccountPermissions.course.deletion.execute, resource: req => Course.getById(req.params.id) }
+};
+
 /**
  * @description Formats the request body into a course
  * @param body - The request body
@@ -26,10 +38,10 @@ function bodyToCourse(body) {
 
 /**
  * @description Gets all courses existing in the database.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Array<Course>>} - The list of all courses existing in the database
  * */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(routePermissions.query), async (req, res) => {
 
     const courses = await Course.getAll(null);
     res.json(courses);
@@ -38,12 +50,12 @@ router.get('/', async (req, res) => {
 
 /**
  * @description Gets all courses that exist in the database and match a certain filter.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.filter - The filter that the courses should match
  * @returns {JSON<Array<Course>>} - The list of all courses matching the filter
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/filter', async (req, res) => {
+router.get('/filter', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const filter = req.body.filter;
@@ -75,12 +87,12 @@ router.get('/filter', async (req, res) => {
 
 /**
  * @description Gets the course matching the id
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.params.id - The id of the course
  * @returns {JSON<Course>} - The course matching the id
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const id = req.params.id;
@@ -112,12 +124,12 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @description Creates a course
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.course - The course to be created
  * @returns {JSON<Course>} - The created course
  * @throws errors.server.document.creation.failed - When the creation failed
  * */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(routePermissions.creation), async (req, res) => {
 
     try {
 
@@ -173,12 +185,12 @@ router.post('/', async (req, res) => {
 /**
  * @description Updates a course matching an id
  * @param req.params.id - The id of the course to be updated.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.course - The course update
  * @returns {JSON<Course>} - The updated course
  * @throws errors.server.document.update.failed - When the update failed
  * */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(routePermissions.update), async (req, res) => {
 
     try {
         const oldCourse = await Course.getById(req.params.id);
@@ -258,11 +270,11 @@ router.put('/:id', async (req, res) => {
 /**
  * @description Deletes a course matching an id
  * @param req.params.id - The id of the course to be deleted.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Boolean>} - The state of the deletion
  * @throws errors.server.document.deletion.failed - When the deletion failed
  * */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(routePermissions.deletion), async (req, res) => {
 
     try {
 
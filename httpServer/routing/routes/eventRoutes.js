@@ -9,6 +9,9 @@ import Event from "../../../models/events/Event.js";
 
 import errors from "../../../errors.js";
 import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import UserAccountTypes from "../../../models/users/UserAccountTypes.js";
 import logger from "../../../tools/logging/logger.js";
 
 const router = express.Router();
@@ -18,6 +21,14 @@ const requiredProperties = [ 'title', 'description', 'location', 'host',
     'clubs', 'startDate', 'endDate', 'information',
     'tickets', 'state', 'editHistory', 'subscribers' ];
 
+// permissions that are required for the routes and the account types that bypass them (ADMIN if not declared)
+const routePermissions = {
+    query: { permission: UserAccountPermissions.event.view, bypass: [ UserAccountTypes.STUDENT, UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ] },
+    creation: { permission: UserAccountPermissions.event.creation.execute, bypass: [ UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ] },
+    update: { permission: UserAccountPermissions.event.edit.execute, bypass: [ UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ] },
+    deletion: { permission: UserAccountPermissions.event.deletion.execute }
+};
+
 /**
  * @description Formats the request body into an event
  * @param body - The request body
@@ -29,10 +40,10 @@ function bodyToEvent(body) {
 
 /**
  * @description Gets all events existing in the database.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Array<Event>>} - The list of all events existing in the database
  * */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(routePermissions.query), async (req, res) => {
 
     const events = await Event.getAll(null);
     res.json(events);
@@ -41,12 +52,12 @@ router.get('/', async (req, res) => {
 
 /**
  * @description Gets all events that exist in the database and match a certain filter.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.filter - The filter that the events should match
  * @returns {JSON<Array<Event>>} - The list of all events matching the filter
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/filter', async (req, res) => {
+router.get('/filter', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const filter = req.body.filter;
@@ -78,12 +89,12 @@ router.get('/filter', async (req, res) => {
 
 /**
  * @description Gets the event matching the id
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.params.id - The id of the event
  * @returns {JSON<Event>} - The event matching the id
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const id = req.params.id;
@@ -115,12 +126,12 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @description Creates an event
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.event - The event to be created
  * @returns {JSON<Event>} - The created event
  * @throws errors.server.document.creation.failed - When the creation failed
  * */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(routePermissions.creation), async (req, res) => {
 
     try {
 
@@ -176,12 +187,12 @@ router.post('/', async (req, res) => {
 /**
  * @description Updates an event matching an id
  * @param req.params.id - The id of the event to be updated.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.event - The event update
  * @returns {JSON<Event>} - The updated event
  * @throws errors.server.document.update.failed - When the update failed
  * */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(routePermissions.update), async (req, res) => {
 
     try {
         const oldEvent = await Event.getById(req.params.id);
@@ -261,11 +272,11 @@ router.put('/:id', async (req, res) => {
 /**
  * @description Deletes an event matching an id
  * @param req.params.id - The id of the event to be deleted.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Boolean>} - The state of the deletion
  * @throws errors.server.document.deletion.failed - When the deletion failed
  * */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(routePermissions.deletion), async (req, res) => {
 
     try {
 
@@ -7,13 +7,24 @@
 import express from "express";
 import errors from "../../../errors.js";
 import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import UserAccountTypes from "../../../models/users/UserAccountTypes.js";
 import logger from "../../../tools/logging/logger.js";
 import EventTicket from "../../../models/events/EventTicket.js";
 
 const router = express.Router();
 
 // properties that are required for an event ticket
-const requiredProperties = [ 'event', 'buyer', 'price', 'saleDate' ];
+const requiredProperties = [ 'event', 'price', 'saleDate' ];
+
+// permissions that are required for the routes and the account types that bypass them (ADMIN if not declared)
+const routePermissions = {
+    query: { permission: UserAccountPermissions.eventTicket.view, bypass: [ UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ] },
+    creation: { permission: UserAccountPermissions.eventTicket.creation.execute, bypass: [ UserAccountTypes.STUDENT, UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ] },
+    update: { permission: UserAccountPermissions.eventTicket.edit.execute },
+    deletion: { permission: UserAccountPermissions.eventTicket.deletion.execute }
+};
 
 /**
  * @description Formats the request body into an event ticket
@@ -26,10 +37,10 @@ function bodyToEventTicket(body) {
 
 /**
  * @description Gets all eventTickets existing in the database.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Array<EventTicket>>} - The list of all eventTickets existing in the database
  * */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(routePermissions.query), async (req, res) => {
 
     const eventTickets = await EventTicket.getAll(null);
     res.json(eventTickets);
@@ -38,12 +49,12 @@ router.get('/', async (req, res) => {
 
 /**
  * @description Gets all eventTickets that exist in the database and match a certain filter.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.filter - The filter that the event tickets should match
  * @returns {JSON<Array<EventTicket>>} - The list of all eventTickets matching the filter
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/filter', async (req, res) => {
+router.get('/filter', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const filter = req.body.filter;
@@ -75,12 +86,12 @@ router.get('/filter', async (req, res) => {
 
 /**
  * @description Gets the event ticket matching the id
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.params.id - The id of the event ticket
  * @returns {JSON<EventTicket>} - The eventTicket matching the id
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const id = req.params.id;
@@ -112,12 +123,12 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @description Creates an event ticket
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.eventTicket - The eventTicket to be created
  * @returns {JSON<EventTicket>} - The created eventTicket
  * @throws errors.server.document.creation.failed - When the creation failed
  * */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(routePermissions.creation), async (req, res) => {
 
     try {
 
@@ -132,6 +143,8 @@ router.post('/', async (req, res) => {
             return;
         }
 
+        // the buyer is always the authenticated user, the one sent by the client is ignored
+        req.body.eventTicket.buyer = req.user._id.toString();
         const newEventTicket = bodyToEventTicket(req.body);
         newEventTicket._id = req.body.eventTicket._id.toString();
 
@@ -173,12 +186,12 @@ router.post('/', async (req, res) => {
 /**
  * @description Updates an event ticket matching an id
  * @param req.params.id - The id of the event ticket to be updated.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.eventTicket - The eventTicket update
  * @returns {JSON<EventTicket>} - The updated eventTicket
  * @throws errors.server.document.update.failed - When the update failed
  * */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(routePermissions.update), async (req, res) => {
 
     try {
         const oldEventTicket = await EventTicket.getById(req.params.id);
@@ -194,6 +207,8 @@ router.put('/:id', async (req, res) => {
             return;
         }
 
+        // the buyer cannot be changed
+        req.body.eventTicket.buyer = oldEventTicket?.buyer?._id ?? oldEventTicket?.buyer;
         const updatedEventTicket = bodyToEventTicket(req.body);
         updatedEventTicket._id = req.body.eventTicket._id.toString();
 
@@ -258,11 +273,11 @@ router.put('/:id', async (req, res) => {
 /**
  * @description Deletes an event ticket matching an id
  * @param req.params.id - The id of the event ticket to be deleted.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Boolean>} - The state of the deletion
  * @throws errors.server.document.deletion.failed - When the deletion failed
  * */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(routePermissions.deletion), async (req, res) => {
 
     try {
 
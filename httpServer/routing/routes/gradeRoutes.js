@@ -7,6 +7,9 @@
 import express from "express";
 import errors from "../../../errors.js";
 import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import UserAccountTypes from "../../../models/users/UserAccountTypes.js";
 import logger from "../../../tools/logging/logger.js";
 import Grade from "../../../models/general/Grade.js";
 
@@ -15,6 +18,14 @@ const router = express.Router();
 // properties that are required for a grade
 const requiredProperties = [ 'level', 'classes' ];
 
+// permissions that are required for the routes and the account types that bypass them (ADMIN if not declared)
+const routePermissions = {
+    query: { permission: UserAccountPermissions.grade.view, bypass: [ UserAccountTypes.STUDENT, UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ] },
+    creation: { permission: UserAccountPermissions.grade.creation.execute },
+    update: { permission: UserAccountPermissions.grade.edit.execute },
+    deletion: { permission: UserAccountPermissions.grade.deletion.execute }
+};
+
 /**
  * @description Formats the request body into a grade
  * @param body - The request body
@@ -26,10 +37,10 @@ function bodyToGrade(body) {
 
 /**
  * @description Gets all grades existing in the database.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Array<Grade>>} - The list of all grades existing in the database
  * */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(routePermissions.query), async (req, res) => {
 
     const grades = await Grade.getAll(null);
     res.json(grades);
@@ -38,12 +49,12 @@ router.get('/', async (req, res) => {
 
 /**
  * @description Gets all grades that exist in the database and match a certain filter.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.filter - The filter that the grades should match
  * @returns {JSON<Array<Grade>>} - The list of all grades matching the filter
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/filter', async (req, res) => {
+router.get('/filter', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const filter = req.body.filter;
@@ -75,12 +86,12 @@ router.get('/filter', async (req, res) => {
 
 /**
  * @description Gets the grade matching the id
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.params.id - The id of the grade
  * @returns {JSON<Grade>} - The grade matching the id
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const id = req.params.id;
@@ -112,12 +123,12 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @description Creates a grade
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.grade - The grade to be created
  * @returns {JSON<Grade>} - The created grade
  * @throws errors.server.document.creation.failed - When the creation failed
  * */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(routePermissions.creation), async (req, res) => {
 
     try {
 
@@ -173,12 +184,12 @@ router.post('/', async (req, res) => {
 /**
  * @description Updates a grade matching an id
  * @param req.params.id - The id of the grade to be updated.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.grade - The grade update
  * @returns {JSON<Grade>} - The updated grade
  * @throws errors.server.document.update.failed - When the update failed
  * */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(routePermissions.update), async (req, res) => {
 
     try {
         const oldGrade = await Grade.getById(req.params.id);
@@ -258,11 +269,11 @@ router.put('/:id', async (req, res) => {
 /**
  * @description Deletes a grade matching an id
  * @param req.params.id - The id of the grade to be deleted.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Boolean>} - The state of the deletion
  * @throws errors.server.document.deletion.failed - When the deletion failed
  * */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(routePermissions.deletion), async (req, res) => {
 
     try {
 
@@ -0,0 +1,104 @@
+/**
+ * @file impersonationRoutes.js - Class handling the impersonation routes.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * Admins can impersonate a user to see exactly what the user sees, e.g. to debug a report.
+ * The impersonation is a session of the user that remembers the admin. Everything done in it is flagged with the admin
+ * in the logs and the audit log, see tools/requestContext.js. Routes touching passwords, two-factor authentication
+ * and sessions cannot be used in it, see middleware/rejectImpersonation.js.
+ */
+
+import express from "express";
+import errors from "../../../errors.js";
+import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import UserAccountTypes from "../../../models/users/UserAccountTypes.js";
+import logger from "../../../tools/logging/logger.js";
+import UserAccount from "../../../models/users/UserAccount.js";
+import Session from "../../../models/users/Session.js";
+import { issueTokenPair } from "../../authentication/tokens.js";
+import config from "../../../config.js";
+
+const router = express.Router();
+
+// properties that are required to start an impersonation
+const requiredProperties = [ 'userAccount' ];
+
+// permissions that are required for the routes and the account types that bypass them (ADMIN if not declared)
+const routePermissions = {
+    creation: { permission: UserAccountPermissions.userAccount.impersonation.execute }
+};
+
+/**
+ * @description Starts impersonating a user. The admin receives tokens of a new session of the user,
+ * which ends after IMPERSONATION_EXPIRATION minutes or with a logout (POST /api/auth/logout).
+ * Admins cannot be impersonated.
+ * @param req.body.userAccount - The id of the user account to impersonate
+ * @param req.user - The authenticated admin. See middleware/authentication.js.
+ * @returns {JSON<Object>} - The impersonated userAccount, the tokens and the date the impersonation ends
+ * @throws errors.server.document.creation.failed - When the user account does not exist or the session could not be created
+ * @throws errors.server.authorization.insufficientPermission - When the user account belongs to an admin
+ * */
+router.post('/', requirePermission(routePermissions.creation), async (req, res) => {
+
+    try {
+
+        if (!req.body || isMissingProperty(req.body, requiredProperties)) {
+            logger.server.error(`Request #${ req.requestId }: Impersonation from '${ req.ip }' does not contain a user account`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.creation.failed,
+                    errorMessage: "User account missing in body."
+                }
+            );
+            return;
+        }
+
+        const userAccount = await UserAccount.getUserAccountById(String(req.body.userAccount)).catch(() => null);
+        if (!userAccount?.user) {
+            res.status(404).send(
+                {
+                    errorCode: errors.server.document.creation.failed,
+                    errorMessage: "User account does not exist."
+                }
+            );
+            return;
+        }
+
+        if (userAccount.user.type === UserAccountTypes.ADMIN) {
+            logger.server.error(`Request #${ req.requestId }: Admin '${ req.user._id }' tried to impersonate admin account '${ userAccount._id }'`);
+            res.status(403).send(
+                {
+                    errorCode: errors.server.authorization.insufficientPermission,
+                    errorMessage: "Admins cannot be impersonated."
+                }
+            );
+            return;
+        }
+
+        const impersonator = req.user._id.toString();
+        const expiresAt = new Date(Date.now() + parseInt(config.IMPERSONATION_EXPIRATION) * 60 * 1000);
+        const session = await Session.start(userAccount._id, req.headers['user-agent'], req.ip, expiresAt, req.school, impersonator);
+
+        logger.server.warning(`Request #${ req.requestId }: Admin '${ impersonator }' started impersonating user account '${ userAccount._id }' in session '${ session._id }'`);
+
+        res.json({
+            userAccount: userAccount,
+            impersonationExpiresAt: expiresAt,
+            ...issueTokenPair(userAccount._id, { sid: session._id, imp: impersonator })
+        });
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.creation.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+export default router;
@@ -0,0 +1,213 @@
+/**
+ * @file inviteCodeRoutes.js - Class handling the invite code routes.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+
+import express from "express";
+import errors from "../../../errors.js";
+import checkPermission, { defaultBypass } from "../../authorization/checkPermission.js";
+import createAttemptThrottle from "../../authentication/attemptThrottle.js";
+import logger from "../../../tools/logging/logger.js";
+import InviteCode, { inviteCodeTargets } from "../../../models/general/InviteCode.js";
+
+const router = express.Router();
+
+// failed code redemptions per user, after 10 failures the user has to wait 15 minutes
+const redemptionThrottle = createAttemptThrottle('invite', 10, 15);
+
+/**
+ * @description Creates a middleware that rejects requests of users that do not own the target of the codes with status 403.
+ * Requests without a valid target are rejected with status 400.
+ * Owners are users with the permission of the target type on the target, see InviteCode.js.
+ * The target is saved in req.inviteTarget.
+ * @param {Function} getTarget - Function returning the type and the id of the target for a request, or null if it is unknown.
+ * @returns {Function} The middleware.
+ * */
+function requireTargetOwner(getTarget) {
+
+    return async (req, res, next) => {
+
+        let targetType, targetId, target;
+        try {
+            ({ targetType, target: targetId } = await getTarget(req) ?? {});
+            target = await InviteCode.getTarget(targetType, targetId);
+        } catch (error) {
+            logger.server.error(error.stack);
+            target = null;
+        }
+
+        if (!target) {
+            logger.server.error(`Request #${ req.requestId }: Invite code target ${ targetType } '${ targetId }' from '${ req.ip }' does not exist or cannot be joined by code`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.inviteCode.target,
+                    errorMessage: "Target does not exist or cannot be joined by code. See documentation for more information. [https://github.com/Academi-fy/backend/wiki/InviteCode]"
+                }
+            );
+            return;
+        }
+
+        const { permission } = inviteCodeTargets[targetType];
+        if (!checkPermission(req.userAccount, req.user, permission, defaultBypass, target)) {
+            logger.server.error(`Request #${ req.requestId }: User '${ req.user._id }' from '${ req.ip }' is missing permission '${ permission }'`);
+            res.status(403).send(
+                {
+                    errorCode: errors.server.authorization.insufficientPermission,
+                    errorMessage: `Missing permission '${ permission }'.`
+                }
+            );
+            return;
+        }
+
+        req.inviteTarget = { targetType: targetType, target: target };
+        next();
+    };
+
+}
+
+/**
+ * @description Gets the type and the id of the target of the code in the path.
+ * @param req - The request object
+ * @returns {Promise<Object|null>} The code document, which contains targetType and target, or null if it does not exist.
+ * */
+async function getCodeTarget(req) {
+    req.inviteCode = await InviteCode.getCodeById(req.params.id);
+    return req.inviteCode;
+}
+
+/**
+ * @description Sends the response for a failed route.
+ * @param res - The response object
+ * @param error - The error
+ * @param fallbackCode - The error code if the error does not carry one
+ * */
+function sendFailed(res, error, fallbackCode) {
+    res.status(400).send(
+        {
+            errorCode: error.name === 'InviteCodeError' ? error.errorCode : fallbackCode,
+            errorMessage: error.name === 'InviteCodeError' ? error.message : error.stack
+        }
+    );
+}
+
+/**
+ * @description Gets all codes of a target.
+ * @param req.query.targetType - 'CLASS', 'COURSE', 'CLUB' or 'CHAT'
+ * @param req.query.target - The id of the class, course, club or group chat
+ * @returns {JSON<Array<Object>>} - The codes, including expired, used up and revoked ones
+ * @throws errors.server.inviteCode.target - When the target does not exist or cannot be joined by code
+ * @throws errors.server.authorization.insufficientPermission - When the user does not own the target
+ * */
+router.get('/', requireTargetOwner(req => req.query), async (req, res) => {
+
+    try {
+        const { targetType, target } = req.inviteTarget;
+        res.json(await InviteCode.getCodes(targetType, target._id));
+    } catch (error) {
+        logger.server.error(error.stack);
+        sendFailed(res, error, errors.server.document.query.failed);
+    }
+
+});
+
+/**
+ * @description Generates a code for a target.
+ * @param req.body.targetType - 'CLASS', 'COURSE', 'CLUB' or 'CHAT'. Only group chats can be joined by code.
+ * @param req.body.target - The id of the class, course, club or group chat
+ * @param req.body.expiresAt - Optional: The date after which the code cannot be redeemed anymore
+ * @param req.body.maxUses - Optional: How often the code can be redeemed
+ * @returns {JSON<Object>} - The code
+ * @throws errors.server.inviteCode.target - When the target does not exist, cannot be joined by code or the options are invalid
+ * @throws errors.server.authorization.insufficientPermission - When the user does not own the target
+ * */
+router.post('/', requireTargetOwner(req => req.body), async (req, res) => {
+
+    try {
+        const { targetType, target } = req.inviteTarget;
+        const inviteCode = await InviteCode.createCode(targetType, target._id, {
+            expiresAt: req.body.expiresAt ?? null,
+            maxUses: req.body.maxUses ?? null
+        }, req.user._id);
+
+        logger.server.info(`Request #${ req.requestId }: User '${ req.user._id }' generated an invite code for ${ targetType } '${ target._id }'`);
+        res.json(inviteCode);
+    } catch (error) {
+        logger.server.error(error.stack);
+        sendFailed(res, error, errors.server.document.creation.failed);
+    }
+
+});
+
+/**
+ * @description Redeems a code. The user is added to the members of its target, the other members are notified by the socket.
+ * @param req.user - The authenticated user redeeming. See middleware/authentication.js.
+ * @param req.body.code - The code
+ * @returns {JSON<Object>} - The type and the id of the target and if the user joined it. Users that already are a member do not use up the code.
+ * @throws errors.server.inviteCode.invalid - When the code is unknown, expired, used up or revoked
+ * @throws errors.server.inviteCode.throttled - After too many invalid codes, the response contains retryAfter in milliseconds
+ * */
+router.post('/redeem', async (req, res) => {
+
+    try {
+
+        const userId = req.user._id.toString();
+        const retryAfter = await redemptionThrottle.getRetryAfter(userId);
+        if (retryAfter > 0) {
+            logger.server.error(`Request #${ req.requestId }: Invite code redemption of user '${ userId }' is throttled`)
+            res.status(429).set('Retry-After', Math.ceil(retryAfter / 1000)).send(
+                {
+                    errorCode: errors.server.inviteCode.throttled,
+                    errorMessage: `Too many invalid codes. Try again in ${ Math.ceil(retryAfter / 1000) } seconds.`,
+                    retryAfter: retryAfter
+                }
+            );
+            return;
+        }
+
+        const redeemed = typeof req.body?.code === 'string' ? await InviteCode.redeem(req.body.code, userId) : null;
+
+        if (!redeemed) {
+            await redemptionThrottle.registerFailure(userId);
+            logger.server.error(`Request #${ req.requestId }: Invite code redemption of user '${ userId }' failed`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.inviteCode.invalid,
+                    errorMessage: "Code is invalid, expired, used up or revoked."
+                }
+            );
+            return;
+        }
+
+        await redemptionThrottle.reset(userId);
+        logger.server.info(`Request #${ req.requestId }: User '${ userId }' redeemed an invite code for ${ redeemed.targetType } '${ redeemed.target }'`);
+        res.json(redeemed);
+    } catch (error) {
+        logger.server.error(error.stack);
+        sendFailed(res, error, errors.server.document.update.failed);
+    }
+
+});
+
+/**
+ * @description Revokes a code. The members that joined with it stay.
+ * @param req.params.id - The id of the code
+ * @returns {JSON<Object>} - The revoked code
+ * @throws errors.server.inviteCode.target - When the code does not exist
+ * @throws errors.server.authorization.insufficientPermission - When the user does not own the target of the code
+ * */
+router.delete('/:id', requireTargetOwner(getCodeTarget), async (req, res) => {
+
+    try {
+        const revoked = await InviteCode.revokeCode(req.inviteCode);
+
+        logger.server.info(`Request #${ req.requestId }: User '${ req.user._id }' revoked invite code '${ revoked._id }'`);
+        res.json(revoked);
+    } catch (error) {
+        logger.server.error(error.stack);
+        sendFailed(res, error, errors.server.document.update.failed);
+    }
+
+});
+
+export default router;
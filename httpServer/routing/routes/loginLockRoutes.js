@@ -0,0 +1,82 @@
+/**
+ * @file index.js - Class handling the login lock routes.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+
+import express from "express";
+import errors from "../../../errors.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import logger from "../../../tools/logging/logger.js";
+import LoginLock from "../../../models/users/LoginLock.js";
+
+const router = express.Router();
+
+// permissions that are required for the routes and the account types that bypass them (ADMIN if not declared)
+const routePermissions = {
+    query: { permission: UserAccountPermissions.loginLock.view },
+    deletion: { permission: UserAccountPermissions.loginLock.deletion.execute }
+};
+
+/**
+ * @description Gets all user accounts and ip addresses that are currently locked.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
+ * @returns {JSON<Array<LoginLock>>} - The active login locks
+ * @throws errors.server.document.query.failed - When the query failed
+ * */
+router.get('/', requirePermission(routePermissions.query), async (req, res) => {
+
+    try {
+        const loginLocks = await LoginLock.getActiveLocks();
+        res.json(loginLocks);
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.query.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+/**
+ * @description Clears a login lock, so the user account or ip address can log in again immediately.
+ * @param req.params.id - The id of the login lock to be cleared.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
+ * @returns {Boolean} - If the lock was cleared
+ * @throws errors.server.document.deletion.failed - When the lock does not exist or could not be cleared
+ * */
+router.delete('/:id', requirePermission(routePermissions.deletion), async (req, res) => {
+
+    try {
+        const cleared = await LoginLock.clear(req.params.id);
+
+        if (!cleared) {
+            logger.server.error(`Request #${ req.requestId }: Login lock '${ req.params.id }' to clear from '${ req.ip }' does not exist`)
+            res.status(404).send(
+                {
+                    errorCode: errors.server.document.deletion.failed,
+                    errorMessage: "Login lock does not exist."
+                }
+            );
+            return;
+        }
+
+        logger.server.info(`Request #${ req.requestId }: User '${ req.user._id }' cleared login lock '${ req.params.id }'`);
+        res.json(true);
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.deletion.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+export default router;
@@ -7,13 +7,26 @@
 import express from "express";
 import errors from "../../../errors.js";
 import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
 import logger from "../../../tools/logging/logger.js";
 import Message from "../../../models/messages/Message.js";
+import Chat from "../../../models/messages/Chat.js";
 
 const router = express.Router();
 
 // properties that are required for a messages
-const requiredProperties = [ 'chat', 'author', 'content', 'reactions', 'answer', 'editHistory', 'date' ];
+const requiredProperties = [ 'chat', 'content', 'reactions', 'answer', 'editHistory', 'date' ];
+
+// permissions that are required for the routes, the account types that bypass them (ADMIN if not declared)
+// and the document the permission is checked against
+const routePermissions = {
+    query: { permission: UserAccountPermissions.message.view },
+    // only allowed in chats the user takes part in, like MESSAGE_SEND of the socket
+    creation: { permission: UserAccountPermissions.message.creation.execute, resource: req => Chat.getById(req.body.message?.chat) },
+    update: { permission: UserAccountPermissions.message.edit.execute, resource: req => Message.getById(req.params.id) },
+    deletion: { permission: UserAccountPermissions.message.deletion.execute, resource: req => Message.getById(req.params.id) }
+};
 
 /**
  * @description Formats the request body into a messages
@@ -26,10 +39,10 @@ function bodyToMessage(body) {
 
 /**
  * @description Gets all messages existing in the database.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Array<Message>>} - The list of all messages existing in the database
  * */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(routePermissions.query), async (req, res) => {
 
     const messages = await Message.getAll(null);
     res.json(messages);
@@ -38,12 +51,12 @@ router.get('/', async (req, res) => {
 
 /**
  * @description Gets all messages that exist in the database and match a certain filter.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.filter - The filter that the messages should match
  * @returns {JSON<Array<Message>>} - The list of all messages matching the filter
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/filter', async (req, res) => {
+router.get('/filter', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const filter = req.body.filter;
@@ -75,12 +88,12 @@ router.get('/filter', async (req, res) => {
 
 /**
  * @description Gets the messages matching the id
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.params.id - The id of the messages
  * @returns {JSON<Message>} - The messages matching the id
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const id = req.params.id;
@@ -112,12 +125,12 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @description Creates a messages
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.messages - The messages to be created
  * @returns {JSON<Message>} - The created messages
  * @throws errors.server.document.creation.failed - When the creation failed
  * */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(routePermissions.creation), async (req, res) => {
 
     try {
 
@@ -132,6 +145,8 @@ router.post('/', async (req, res) => {
             return;
         }
 
+        // the author is always the authenticated user, the one sent by the client is ignored
+        req.body.message.author = req.user._id.toString();
         const newMessage = bodyToMessage(req.body);
         newMessage._id = req.body.message._id.toString();
 
@@ -173,12 +188,12 @@ router.post('/', async (req, res) => {
 /**
  * @description Updates a messages matching an id
  * @param req.params.id - The id of the messages to be updated.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.messages - The messages update
  * @returns {JSON<Message>} - The updated messages
  * @throws errors.server.document.update.failed - When the update failed
  * */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(routePermissions.update), async (req, res) => {
 
     try {
         const oldMessage = await Message.getById(req.params.id);
@@ -194,6 +209,8 @@ router.put('/:id', async (req, res) => {
             return;
         }
 
+        // the author cannot be changed
+        req.body.message.author = oldMessage?.author?._id ?? oldMessage?.author;
         const updatedMessage = bodyToMessage(req.body);
         updatedMessage._id = req.body.message._id.toString();
 
@@ -258,11 +275,11 @@ router.put('/:id', async (req, res) => {
 /**
  * @description Deletes a messages matching an id
  * @param req.params.id - The id of the messages to be deleted.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Boolean>} - The state of the deletion
  * @throws errors.server.document.deletion.failed - When the deletion failed
  * */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(routePermissions.deletion), async (req, res) => {
 
     try {
 
@@ -0,0 +1,331 @@
+/**
+ * @file index.js - Class handling the role routes.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+
+import express from "express";
+import errors from "../../../errors.js";
+import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import logger from "../../../tools/logging/logger.js";
+import Role from "../../../models/users/Role.js";
+
+const router = express.Router();
+
+// properties that are required for a role
+const requiredProperties = [ 'name', 'permissions' ];
+
+// permissions that are required for the routes and the account types that bypass them (ADMIN if not declared)
+const routePermissions = {
+    query: { permission: UserAccountPermissions.role.view },
+    creation: { permission: UserAccountPermissions.role.creation.execute },
+    update: { permission: UserAccountPermissions.role.edit.execute },
+    deletion: { permission: UserAccountPermissions.role.deletion.execute }
+};
+
+/**
+ * @description Formats the request body into a role
+ * @param body - The request body
+ * @returns {Role} - The formatted role
+ * */
+function bodyToRole(body) {
+    return Role.castToRole(body.role);
+}
+
+/**
+ * @description Gets all roles existing in the database.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
+ * @returns {JSON<Array<Role>>} - The list of all roles existing in the database
+ * */
+router.get('/', requirePermission(routePermissions.query), async (req, res) => {
+
+    const roles = await Role.getAll(null);
+    res.json(roles);
+
+});
+
+/**
+ * @description Gets all roles that exist in the database and match a certain filter.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
+ * @param req.body.filter - The filter that the roles should match
+ * @returns {JSON<Array<Role>>} - The list of all roles matching the filter
+ * @throws errors.server.document.query.failed - When the query failed
+ * */
+router.get('/filter', requirePermission(routePermissions.query), async (req, res) => {
+
+    try {
+        const filter = req.body.filter;
+
+        if (!filter) {
+            logger.server.error(`Request #${ req.requestId }: Role query from '${ req.ip }' does not contain filter in body`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.query.failed,
+                    errorMessage: "Role filter missing in body."
+                }
+            );
+            return;
+        }
+
+        const roles = await Role.getAllByRule(filter);
+        res.json(roles)
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.query.failed,
+                errorMessage: error.stack,
+            }
+        );
+    }
+
+});
+
+/**
+ * @description Gets the role matching the id
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
+ * @param req.params.id - The id of the role
+ * @returns {JSON<Role>} - The role matching the id
+ * @throws errors.server.document.query.failed - When the query failed
+ * */
+router.get('/:id', requirePermission(routePermissions.query), async (req, res) => {
+
+    try {
+        const id = req.params.id;
+
+        if (!id) {
+            logger.server.error(`Request #${ req.requestId }: Role query from '${ req.ip }' does not contain role id in URL`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.query.failed,
+                    errorMessage: "Role id missing in URL."
+                }
+            );
+            return;
+        }
+
+        const role = await Role.getById(id);
+        res.json(role);
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.query.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+/**
+ * @description Creates a role
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
+ * @param req.body.role - The role to be created
+ * @returns {JSON<Role>} - The created role
+ * @throws errors.server.document.creation.failed - When the creation failed
+ * */
+router.post('/', requirePermission(routePermissions.creation), async (req, res) => {
+
+    try {
+
+        if (isMissingProperty(req.body.role, requiredProperties)) {
+            logger.server.error(`Request #${ req.requestId }: Role creation from '${ req.ip }' does not contain all required properties`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.creation.failed,
+                    errorMessage: "Role missing required properties. See documentation for more information. [https://github.com/Academi-fy/backend/wiki/Role]"
+                }
+            );
+            return;
+        }
+
+        const newRole = bodyToRole(req.body);
+        newRole._id = req.body.role._id.toString();
+
+        if (!newRole) {
+            logger.server.error(`Request #${ req.requestId }: Role creation from '${ req.ip }' does not contain role in body`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.creation.failed,
+                    errorMessage: "Role missing in body. See documentation for more information. [https://github.com/Academi-fy/backend/wiki/Role]"
+                }
+            );
+            return;
+        }
+
+        if (!newRole._id) {
+            logger.server.error(`Request #${ req.requestId }: Role creation from '${ req.ip }' does not contain role id in body`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.creation.failed,
+                    errorMessage: "Role id missing in body. See documentation for more information. [https://github.com/Academi-fy/backend/wiki/Role]"
+                }
+            );
+            return;
+        }
+
+        const role = await newRole.create();
+        res.json(role);
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.creation.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+});
+
+/**
+ * @description Updates a role matching an id
+ * @param req.params.id - The id of the role to be updated.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
+ * @param req.body.role - The role update
+ * @returns {JSON<Role>} - The updated role
+ * @throws errors.server.document.update.failed - When the update failed
+ * */
+router.put('/:id', requirePermission(routePermissions.update), async (req, res) => {
+
+    try {
+        const oldRole = await Role.getById(req.params.id);
+
+        if (isMissingProperty(req.body.role, requiredProperties)) {
+            logger.server.error(`Request #${ req.requestId }: Role creation from '${ req.ip }' does not contain all required properties.`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.update.failed,
+                    errorMessage: "Role missing required properties. See documentation for more information. [https://github.com/Academi-fy/backend/wiki/Role]"
+                }
+            );
+            return;
+        }
+
+        const updatedRole = bodyToRole(req.body);
+        updatedRole._id = req.body.role._id.toString();
+
+        if (!updatedRole) {
+            logger.server.error(`Request #${ req.requestId }: Role update from '${ req.ip }' does not contain the full information.`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.update.failed,
+                    errorMessage: "Role missing information. See documentation for more information. [https://github.com/Academi-fy/backend/wiki/Role]"
+                }
+            );
+            return;
+        }
+
+        if (req.params.id !== updatedRole._id) {
+            logger.server.error(`Request #${ req.requestId }: Role update from '${ req.ip }' with URL '${ req.params.id }' does not match role id in body '${ updatedRole._id }'`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.update.failed,
+                    errorMessage: "Role id in URL does not match role id in body."
+                }
+            );
+            return;
+        }
+
+        if (!updatedRole._id) {
+            logger.server.error(`Request #${ req.requestId }: Role update from '${ req.ip }' with URL '${ req.params.id }' does not contain role id in body`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.update.failed,
+                    errorMessage: "Role id missing in body. See documentation for more information. [https://github.com/Academi-fy/backend/wiki/Role]"
+                }
+            );
+            return;
+        }
+
+        if (oldRole === null) {
+            logger.server.error(`Request #${ req.requestId }: Role update from '${ req.ip }' with URL '${ req.url }' does not match any role`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.update.failed,
+                    errorMessage: "Role id in body does not match any role."
+                }
+            );
+            return;
+        }
+
+        const role = await oldRole.update(updatedRole.data);
+        res.json(role);
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.update.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+/**
+ * @description Deletes a role matching an id
+ * @param req.params.id - The id of the role to be deleted.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
+ * @returns {JSON<Boolean>} - The state of the deletion
+ * @throws errors.server.document.deletion.failed - When the deletion failed
+ * */
+router.delete('/:id', requirePermission(routePermissions.deletion), async (req, res) => {
+
+    try {
+
+        const id = req.params.id;
+
+        if (!id) {
+            logger.server.error(`Request #${ req.requestId }: Role deletion from '${ req.ip }' does not contain id in params`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.deletion.failed,
+                    errorMessage: "Role id missing in params."
+                }
+            );
+            return;
+        }
+
+        const role = await Role.getById(id);
+
+        if (role === null) {
+            logger.server.error(`Request #${ req.requestId }: Role deletion from '${ req.ip }' with URL '${ req.url }' does not match any role`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.deletion.failed,
+                    errorMessage: "Role id in params does not match any role."
+                }
+            );
+            return;
+        }
+
+        if (role.accountType !== null) {
+            logger.server.error(`Request #${ req.requestId }: Role deletion from '${ req.ip }' tried to delete the template of account type '${ role.accountType }'`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.deletion.failed,
+                    errorMessage: "Role templates of account types cannot be deleted."
+                }
+            );
+            return;
+        }
+
+        const deletionState = await role.delete();
+        res.json(deletionState);
+
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.deletion.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+export default router;
\ No newline at end of file
@@ -7,8 +7,12 @@
 import express from "express";
 import errors from "../../../errors.js";
 import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import UserAccountTypes from "../../../models/users/UserAccountTypes.js";
 import logger from "../../../tools/logging/logger.js";
 import School from "../../../models/general/setup/School.js";
+import SchoolExport from "../../../models/general/setup/SchoolExport.js";
 
 const router = express.Router();
 
@@ -17,6 +21,15 @@ const requiredProperties = [ 'name', 'grades', 'courses', 'members',
     'classes', 'messages', 'subjects',
     'clubs', 'events', 'blackboards' ];
 
+// permissions that are required for the routes and the account types that bypass them (ADMIN if not declared)
+const routePermissions = {
+    query: { permission: UserAccountPermissions.school.view, bypass: [ UserAccountTypes.STUDENT, UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ] },
+    creation: { permission: UserAccountPermissions.school.creation.execute },
+    update: { permission: UserAccountPermissions.school.edit.execute },
+    deletion: { permission: UserAccountPermissions.school.deletion.execute },
+    export: { permission: UserAccountPermissions.school.export.execute }
+};
+
 /**
  * @description Formats the request body into a school
  * @param body - The request body
@@ -28,24 +41,35 @@ function bodyToSchool(body) {
 
 /**
  * @description Gets all schools existing in the database.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Array<School>>} - The list of all schools existing in the database
+ * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(routePermissions.query), async (req, res) => {
 
-    const schools = await School.getAll(null);
-    res.json(schools);
+    try {
+        const schools = await School.getAll(null);
+        res.json(schools);
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.query.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
 
 });
 
 /**
  * @description Gets all schools that exist in the database and match a certain filter.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.filter - The filter that the schools should match
  * @returns {JSON<Array<School>>} - The list of all schools matching the filter
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/filter', async (req, res) => {
+router.get('/filter', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const filter = req.body.filter;
@@ -75,14 +99,110 @@ router.get('/filter', async (req, res) => {
 
 });
 
+/**
+ * @description Sends the response for a failed export.
+ * @param req - The request object
+ * @param res - The response object
+ * @param {Error} error - The error of the export.
+ * */
+function sendExportFailed(req, res, error) {
+    logger.server.error(error.stack);
+    res.status(400).send(
+        {
+            errorCode: errors.server.document.query.failed,
+            errorMessage: error.stack
+        }
+    );
+}
+
+/**
+ * @description Checks that the user exporting belongs to a school.
+ * @param req - The request object
+ * @param res - The response object
+ * @returns {Boolean} - If the school can be exported. If not, the response is sent.
+ * */
+function canExport(req, res) {
+    if (req.school) return true;
+
+    logger.server.error(`Request #${ req.requestId }: School export from '${ req.ip }' is not bound to a school`);
+    res.status(400).send(
+        {
+            errorCode: errors.server.document.query.failed,
+            errorMessage: "Only users of a school can export it. See documentation for more information. [https://github.com/Academi-fy/backend/wiki/SchoolExport]"
+        }
+    );
+    return false;
+}
+
+/**
+ * @description Exports all documents of the school of the user as versioned JSON bundle. See models/general/setup/SchoolExport.js.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
+ * @param req.school - The school of the user. See middleware/authentication.js.
+ * @param req.query.messages - 'true' to export chats and messages as well
+ * @returns {JSON<Object>} - The bundle as download
+ * @throws errors.server.document.query.failed - When the export failed
+ * */
+router.get('/export', requirePermission(routePermissions.export), async (req, res) => {
+
+    try {
+        if (!canExport(req, res)) return;
+
+        const bundle = await SchoolExport.exportSchool(req.school.toString(), { includeMessages: req.query.messages === 'true' });
+        logger.server.info(`Request #${ req.requestId }: School '${ req.school }' exported by '${ req.user._id }'`);
+
+        res.attachment(`school-${ req.school }-${ bundle.exportedAt.toISOString().slice(0, 10) }.json`);
+        res.json(bundle);
+    } catch (error) {
+        sendExportFailed(req, res, error);
+    }
+
+});
+
+/**
+ * @description Exports the documents of one model of the school of the user as CSV, e.g. 'User' or 'Class'.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
+ * @param req.school - The school of the user. See middleware/authentication.js.
+ * @param req.params.model - The name of the model. See exportedModels in SchoolExport.js.
+ * @returns {String} - The CSV as download
+ * @throws errors.server.document.query.failed - When the model is not exported or the export failed
+ * */
+router.get('/export/csv/:model', requirePermission(routePermissions.export), async (req, res) => {
+
+    try {
+        if (!canExport(req, res)) return;
+
+        const model = req.params.model;
+        const includeMessages = [ 'Chat', 'Message' ].includes(model);
+        const bundle = await SchoolExport.exportSchool(req.school.toString(), { includeMessages: includeMessages, models: [ model ] });
+
+        const csv = SchoolExport.collectionToCsv(bundle, model);
+        if (csv === null) {
+            logger.server.error(`Request #${ req.requestId }: School export from '${ req.ip }' requested model '${ model }' which is not exported`);
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.query.failed,
+                    errorMessage: `Model '${ model }' is not exported. See documentation for more information. [https://github.com/Academi-fy/backend/wiki/SchoolExport]`
+                }
+            );
+            return;
+        }
+
+        res.attachment(`school-${ req.school }-${ model }.csv`);
+        res.type('text/csv').send(csv);
+    } catch (error) {
+        sendExportFailed(req, res, error);
+    }
+
+});
+
 /**
  * @description Gets the school matching the id
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.params.id - The id of the school
  * @returns {JSON<School>} - The school matching the id
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const id = req.params.id;
@@ -114,12 +234,12 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @description Creates a school
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.school - The school to be created
  * @returns {JSON<School>} - The created school
  * @throws errors.server.document.creation.failed - When the creation failed
  * */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(routePermissions.creation), async (req, res) => {
 
     try {
 
@@ -175,12 +295,12 @@ router.post('/', async (req, res) => {
 /**
  * @description Updates a school matching an id
  * @param req.params.id - The id of the school to be updated.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.school - The school update
  * @returns {JSON<School>} - The updated school
  * @throws errors.server.document.update.failed - When the update failed
  * */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(routePermissions.update), async (req, res) => {
 
     try {
         const oldSchool = await School.getById(req.params.id);
@@ -260,11 +380,11 @@ router.put('/:id', async (req, res) => {
 /**
  * @description Deletes a school matching an id
  * @param req.params.id - The id of the school to be deleted.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Boolean>} - The state of the deletion
  * @throws errors.server.document.deletion.failed - When the deletion failed
  * */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(routePermissions.deletion), async (req, res) => {
 
     try {
 
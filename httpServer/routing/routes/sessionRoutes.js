@@ -0,0 +1,186 @@
+/**
+ * @file sessionRoutes.js - Class handling the session routes.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+
+import express from "express";
+import errors from "../../../errors.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import checkPermission from "../../authorization/checkPermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import logger from "../../../tools/logging/logger.js";
+import Session from "../../../models/users/Session.js";
+
+const router = express.Router();
+
+// permissions that are required for the sessions of other user accounts and the account types that bypass them (ADMIN if not declared)
+// every user account can always see and revoke its own sessions
+const routePermissions = {
+    query: { permission: UserAccountPermissions.session.view },
+    deletion: { permission: UserAccountPermissions.session.deletion.execute }
+};
+
+/**
+ * @description Marks the session of the request, so clients can show which device is the current one.
+ * @param {Array<Session>} sessions - The sessions.
+ * @param {String} currentSessionId - The session of the request.
+ * @returns {Array<Object>} The sessions with the additional property 'current'.
+ * */
+function markCurrentSession(sessions, currentSessionId) {
+    return sessions.map(session => ({ ...session.toJSON(), current: session._id === currentSessionId }));
+}
+
+/**
+ * @description Gets the sessions of the authenticated user account.
+ * @param req.userAccount - The authenticated user account. See middleware/authentication.js.
+ * @returns {JSON<Array<Session>>} - The sessions, the most recently used first
+ * @throws errors.server.document.query.failed - When the query failed
+ * */
+router.get('/', async (req, res) => {
+
+    try {
+        const sessions = await Session.getSessionsByUserAccount(req.userAccount._id);
+        res.json(markCurrentSession(sessions, req.sessionId));
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.query.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+/**
+ * @description Gets the sessions of another user account.
+ * @param req.params.id - The id of the user account.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
+ * @returns {JSON<Array<Session>>} - The sessions, the most recently used first
+ * @throws errors.server.document.query.failed - When the query failed
+ * */
+router.get('/user-accounts/:id', requirePermission(routePermissions.query), async (req, res) => {
+
+    try {
+        const sessions = await Session.getSessionsByUserAccount(req.params.id);
+        res.json(markCurrentSession(sessions, req.sessionId));
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.query.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+/**
+ * @description Revokes all sessions of the authenticated user account. The WebSocket connections of the sessions are closed as well.
+ * @param req.userAccount - The authenticated user account. See middleware/authentication.js.
+ * @param req.query.exceptCurrent - 'true' to keep the session of the request, e.g. "log out all other devices"
+ * @returns {JSON<Object>} - The number of revoked sessions
+ * @throws errors.server.document.deletion.failed - When the sessions could not be revoked
+ * */
+router.delete('/', async (req, res) => {
+
+    try {
+        const exceptSessionId = req.query.exceptCurrent === 'true' ? req.sessionId : null;
+        const revoked = await Session.revokeAll(req.userAccount._id, exceptSessionId);
+
+        logger.server.info(`Request #${ req.requestId }: User account '${ req.userAccount._id }' revoked ${ revoked } of its sessions`);
+        res.json({ revoked: revoked });
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.deletion.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+/**
+ * @description Revokes all sessions of another user account, e.g. when its password was leaked.
+ * @param req.params.id - The id of the user account.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
+ * @returns {JSON<Object>} - The number of revoked sessions
+ * @throws errors.server.document.deletion.failed - When the sessions could not be revoked
+ * */
+router.delete('/user-accounts/:id', requirePermission(routePermissions.deletion), async (req, res) => {
+
+    try {
+        const revoked = await Session.revokeAll(req.params.id);
+
+        logger.server.info(`Request #${ req.requestId }: User '${ req.user._id }' revoked ${ revoked } sessions of user account '${ req.params.id }'`);
+        res.json({ revoked: revoked });
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.deletion.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+/**
+ * @description Revokes a session. Sessions of other user accounts require the permission session.deletion.execute.
+ * @param req.params.id - The id of the session.
+ * @param req.userAccount - The authenticated user account. See middleware/authentication.js.
+ * @returns {Boolean} - If the session was revoked
+ * @throws errors.server.document.deletion.failed - When the session does not exist or could not be revoked
+ * @throws errors.server.authorization.insufficientPermission - When the session belongs to another user account
+ * */
+router.delete('/:id', async (req, res) => {
+
+    try {
+        const session = await Session.getSessionById(req.params.id);
+
+        if (!session) {
+            logger.server.error(`Request #${ req.requestId }: Session '${ req.params.id }' to revoke from '${ req.ip }' does not exist`)
+            res.status(404).send(
+                {
+                    errorCode: errors.server.document.deletion.failed,
+                    errorMessage: "Session does not exist."
+                }
+            );
+            return;
+        }
+
+        const { permission, bypass } = routePermissions.deletion;
+        if (session.userAccount !== req.userAccount._id && !checkPermission(req.userAccount, req.user, permission, bypass)) {
+            logger.server.error(`Request #${ req.requestId }: User '${ req.user._id }' from '${ req.ip }' is missing permission '${ permission }'`);
+            res.status(403).send(
+                {
+                    errorCode: errors.server.authorization.insufficientPermission,
+                    errorMessage: `Missing permission '${ permission }'.`
+                }
+            );
+            return;
+        }
+
+        await Session.revoke(session._id);
+        logger.server.info(`Request #${ req.requestId }: User '${ req.user._id }' revoked session '${ session._id }'`);
+
+        res.json(true);
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.deletion.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+export default router;
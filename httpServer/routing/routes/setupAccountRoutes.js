@@ -7,6 +7,8 @@
 import express from "express";
 import errors from "../../../errors.js";
 import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
 import logger from "../../../tools/logging/logger.js";
 import SetupAccount from "../../../models/general/setup/SetupAccount.js";
 
@@ -15,6 +17,14 @@ const router = express.Router();
 // properties that are required for a setupAccount
 const requiredProperties = [ 'schoolName', 'school' ];
 
+// permissions that are required for the routes and the account types that bypass them (ADMIN if not declared)
+const routePermissions = {
+    query: { permission: UserAccountPermissions.setupAccount.view },
+    creation: { permission: UserAccountPermissions.setupAccount.creation.execute },
+    update: { permission: UserAccountPermissions.setupAccount.edit.execute },
+    deletion: { permission: UserAccountPermissions.setupAccount.deletion.execute }
+};
+
 /**
  * @description Formats the request body into a setupAccount
  * @param body - The request body
@@ -26,10 +36,10 @@ function bodyToSetupAccount(body) {
 
 /**
  * @description Gets all setupAccounts existing in the database.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Array<SetupAccount>>} - The list of all setupAccounts existing in the database
  * */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(routePermissions.query), async (req, res) => {
 
     const setupAccounts = await SetupAccount.getAll(null);
     res.json(setupAccounts);
@@ -38,12 +48,12 @@ router.get('/', async (req, res) => {
 
 /**
  * @description Gets all setupAccounts that exist in the database and match a certain filter.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.filter - The filter that the setupAccounts should match
  * @returns {JSON<Array<SetupAccount>>} - The list of all setupAccounts matching the filter
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/filter', async (req, res) => {
+router.get('/filter', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const filter = req.body.filter;
@@ -75,12 +85,12 @@ router.get('/filter', async (req, res) => {
 
 /**
  * @description Gets the setupAccount matching the id
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.params.id - The id of the setupAccount
  * @returns {JSON<SetupAccount>} - The setupAccount matching the id
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const id = req.params.id;
@@ -112,12 +122,12 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @description Creates a setupAccount
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.setupAccount - The setupAccount to be created
  * @returns {JSON<SetupAccount>} - The created setupAccount
  * @throws errors.server.document.creation.failed - When the creation failed
  * */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(routePermissions.creation), async (req, res) => {
 
     try {
 
@@ -173,12 +183,12 @@ router.post('/', async (req, res) => {
 /**
  * @description Updates a setupAccount matching an id
  * @param req.params.id - The id of the setupAccount to be updated.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.setupAccount - The setupAccount update
  * @returns {JSON<SetupAccount>} - The updated setupAccount
  * @throws errors.server.document.update.failed - When the update failed
  * */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(routePermissions.update), async (req, res) => {
 
     try {
         const oldSetupAccount = await SetupAccount.getById(req.params.id);
@@ -258,11 +268,11 @@ router.put('/:id', async (req, res) => {
 /**
  * @description Deletes a setupAccount matching an id
  * @param req.params.id - The id of the setupAccount to be deleted.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Boolean>} - The state of the deletion
  * @throws errors.server.document.deletion.failed - When the deletion failed
  * */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(routePermissions.deletion), async (req, res) => {
 
     try {
 
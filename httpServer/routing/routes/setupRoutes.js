@@ -0,0 +1,184 @@
+/**
+ * @file setupRoutes.js - Class handling the routes of the stepwise onboarding of a new school.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+
+import express from "express";
+import errors from "../../../errors.js";
+import isMissingProperty from "../isMissingProperty.js";
+import logger from "../../../tools/logging/logger.js";
+import SchoolSetup, { setupSteps } from "../../../models/general/setup/SchoolSetup.js";
+import { renderForViewer } from "../../../models/visibility.js";
+
+const router = express.Router();
+
+// properties that are required for the first admin of a school
+const requiredAdminProperties = [ 'firstName', 'lastName', 'avatar', 'username' ];
+
+/**
+ * @description Sends the response for a failed step.
+ * Steps that are done too early are rejected with status 409, all other failures with status 400.
+ * @param req - The request object
+ * @param res - The response object
+ * @param {String} step - The step that failed. See setupSteps.
+ * @param {Error} error - The error of the step.
+ * */
+function sendStepFailed(req, res, step, error) {
+    if (error.name !== 'SetupError') {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.creation.failed,
+                errorMessage: error.stack
+            }
+        );
+        return;
+    }
+
+    logger.server.error(`Request #${ req.requestId }: Setup step '${ step }' of setup account '${ req.setupAccount._id }' failed: ${ error.message }`);
+    res.status(error.errorCode === errors.server.setup.step ? 409 : 400).send(
+        {
+            errorCode: error.errorCode,
+            errorMessage: error.message,
+            problems: error.problems
+        }
+    );
+}
+
+/**
+ * @description Gets the progress of the onboarding, e.g. to resume it.
+ * @param req.setupAccount - The setup account of the setup code. See middleware/setupAuthentication.js.
+ * @returns {JSON<Object>} - The setup account with the next step, all steps and the inconsistencies of the school found so far
+ * @throws errors.server.document.query.failed - When the query failed
+ * */
+router.get('/', async (req, res) => {
+
+    try {
+        res.json(await SchoolSetup.getProgress(req.setupAccount._id));
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.query.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+/**
+ * @description Step 1: Creates the school.
+ * @param req.setupAccount - The setup account of the setup code. See middleware/setupAuthentication.js.
+ * @param req.body.school - Optional: The name and the account types that have to use two-factor authentication ('twoFactorAccountTypes').
+ * @returns {JSON<Object>} - The setup account and the school
+ * @throws errors.server.setup.step - When the setup is already completed
+ * @throws errors.server.setup.inconsistent - When an account type does not exist
+ * */
+router.post('/school', async (req, res) => {
+
+    try {
+        const { setupAccount, result } = await SchoolSetup.createSchool(req.setupAccount._id, req.body.school ?? {});
+        logger.server.info(`Request #${ req.requestId }: Setup account '${ setupAccount._id }' created school '${ result._id }'`);
+
+        res.json({ setupAccount: setupAccount, school: result });
+    } catch (error) {
+        sendStepFailed(req, res, setupSteps.SCHOOL, error);
+    }
+
+});
+
+/**
+ * @description Step 2: Sets the grade levels of the school.
+ * @param req.setupAccount - The setup account of the setup code. See middleware/setupAuthentication.js.
+ * @param req.body.grades - The grade levels, e.g. [ 5, 6, 7, 8, 9, 10, 11, 12 ]
+ * @returns {JSON<Object>} - The setup account and the grades
+ * @throws errors.server.setup.step - When the school was not created yet or the setup is already completed
+ * @throws errors.server.setup.inconsistent - When the levels are not unique positive integers
+ * */
+router.post('/grades', async (req, res) => {
+
+    try {
+        const { setupAccount, result } = await SchoolSetup.defineGrades(req.setupAccount._id, req.body.grades);
+        res.json({ setupAccount: setupAccount, grades: result });
+    } catch (error) {
+        sendStepFailed(req, res, setupSteps.GRADES, error);
+    }
+
+});
+
+/**
+ * @description Step 3: Generates the classes of the grades.
+ * @param req.setupAccount - The setup account of the setup code. See middleware/setupAuthentication.js.
+ * @param req.body.classes - The suffixes of the classes of every grade, e.g. [ 'a', 'b', 'c', 'd' ] for 5a–5d, 6a–6d, …,
+ * or the suffixes by grade level, e.g. { "5": [ "a", "b" ], "6": [ "a", "b", "c" ] }
+ * @returns {JSON<Object>} - The setup account and the classes
+ * @throws errors.server.setup.step - When the grades were not set yet or the setup is already completed
+ * @throws errors.server.setup.inconsistent - When the suffixes are invalid or a grade level does not exist
+ * */
+router.post('/classes', async (req, res) => {
+
+    try {
+        const { setupAccount, result } = await SchoolSetup.generateClasses(req.setupAccount._id, req.body.classes);
+        res.json({ setupAccount: setupAccount, classes: result });
+    } catch (error) {
+        sendStepFailed(req, res, setupSteps.CLASSES, error);
+    }
+
+});
+
+/**
+ * @description Step 4: Imports the subject catalog.
+ * @param req.setupAccount - The setup account of the setup code. See middleware/setupAuthentication.js.
+ * @param req.body.subjects - Optional: The subjects, e.g. [ { "type": "Mathematik", "shortName": "M" } ]. The default catalog if missing.
+ * @returns {JSON<Object>} - The setup account and the subjects
+ * @throws errors.server.setup.step - When the classes were not generated yet or the setup is already completed
+ * @throws errors.server.setup.inconsistent - When the subjects are invalid or not unique
+ * */
+router.post('/subjects', async (req, res) => {
+
+    try {
+        const { setupAccount, result } = await SchoolSetup.importSubjects(req.setupAccount._id, req.body.subjects);
+        res.json({ setupAccount: setupAccount, subjects: result });
+    } catch (error) {
+        sendStepFailed(req, res, setupSteps.SUBJECTS, error);
+    }
+
+});
+
+/**
+ * @description Step 5: Creates the first admin and completes the setup. The setup code becomes invalid.
+ * @param req.setupAccount - The setup account of the setup code. See middleware/setupAuthentication.js.
+ * @param req.body.admin - The first name, last name, avatar and username of the admin
+ * @returns {JSON<Object>} - The completed setup account, the school, the user account of the admin and its activation code, rendered for the admin
+ * @throws errors.server.setup.step - When the subjects were not imported yet
+ * @throws errors.server.setup.inconsistent - When the username is taken or the school is inconsistent (see 'problems')
+ * */
+router.post('/admin', async (req, res) => {
+
+    try {
+
+        if (!req.body.admin || isMissingProperty(req.body.admin, requiredAdminProperties)) {
+            logger.server.error(`Request #${ req.requestId }: Setup admin from '${ req.ip }' does not contain all required properties`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.creation.failed,
+                    errorMessage: "Admin missing required properties. See documentation for more information. [https://github.com/Academi-fy/backend/wiki/SetupAccount]"
+                }
+            );
+            return;
+        }
+
+        const { setupAccount, result } = await SchoolSetup.createAdmin(req.setupAccount._id, req.body.admin);
+        logger.server.info(`Request #${ req.requestId }: Setup account '${ setupAccount._id }' completed the setup of school '${ setupAccount.school }'`);
+
+        // setup requests have no authenticated user, the result is rendered for the new admin instead
+        res.json(renderForViewer({ setupAccount: setupAccount, ...result }, result.userAccount.user));
+    } catch (error) {
+        sendStepFailed(req, res, setupSteps.ADMIN, error);
+    }
+
+});
+
+export default router;
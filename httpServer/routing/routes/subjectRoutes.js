@@ -8,6 +8,9 @@ import express from "express";
 import Subject from "../../../models/general/Subject.js";
 import errors from "../../../errors.js";
 import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import UserAccountTypes from "../../../models/users/UserAccountTypes.js";
 import logger from "../../../tools/logging/logger.js";
 
 const router = express.Router();
@@ -15,6 +18,14 @@ const router = express.Router();
 // properties that are required for a subject
 const requiredProperties = [ 'type', 'shortName', 'courses' ];
 
+// permissions that are required for the routes and the account types that bypass them (ADMIN if not declared)
+const routePermissions = {
+    query: { permission: UserAccountPermissions.subject.view, bypass: [ UserAccountTypes.STUDENT, UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ] },
+    creation: { permission: UserAccountPermissions.subject.creation.execute },
+    update: { permission: UserAccountPermissions.subject.edit.execute },
+    deletion: { permission: UserAccountPermissions.subject.deletion.execute }
+};
+
 /**
  * @description Formats the request body into a subject
  * @param body - The request body
@@ -26,10 +37,10 @@ function bodyToSubject(body) {
 
 /**
  * @description Gets all subjects existing in the database.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Array<Subject>>} - The list of all subjects existing in the database
  * */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(routePermissions.query), async (req, res) => {
 
     const subjects = await Subject.getAll(null);
     res.json(subjects);
@@ -38,12 +49,12 @@ router.get('/', async (req, res) => {
 
 /**
  * @description Gets all subjects that exist in the database and match a certain filter.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.filter - The filter that the subjects should match
  * @returns {JSON<Array<Subject>>} - The list of all subjects matching the filter
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/filter', async (req, res) => {
+router.get('/filter', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const filter = req.body.filter;
@@ -75,12 +86,12 @@ router.get('/filter', async (req, res) => {
 
 /**
  * @description Gets the subject matching the id
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.params.id - The id of the subject
  * @returns {JSON<Subject>} - The subject matching the id
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const id = req.params.id;
@@ -112,12 +123,12 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @description Creates a subject
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.subject - The subject to be created
  * @returns {JSON<Subject>} - The created subject
  * @throws errors.server.document.creation.failed - When the creation failed
  * */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(routePermissions.creation), async (req, res) => {
 
     try {
 
@@ -173,12 +184,12 @@ router.post('/', async (req, res) => {
 /**
  * @description Updates a subject matching an id
  * @param req.params.id - The id of the subject to be updated.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.subject - The subject update
  * @returns {JSON<Subject>} - The updated subject
  * @throws errors.server.document.update.failed - When the update failed
  * */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(routePermissions.update), async (req, res) => {
 
     try {
         const oldSubject = await Subject.getById(req.params.id);
@@ -258,11 +269,11 @@ router.put('/:id', async (req, res) => {
 /**
  * @description Deletes a subject matching an id
  * @param req.params.id - The id of the subject to be deleted.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Boolean>} - The state of the deletion
  * @throws errors.server.document.deletion.failed - When the deletion failed
  * */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(routePermissions.deletion), async (req, res) => {
 
     try {
 
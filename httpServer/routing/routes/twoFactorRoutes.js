@@ -0,0 +1,427 @@
+/**
+ * @file twoFactorRoutes.js - Class handling the two-factor authentication routes.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+
+import express from "express";
+import errors from "../../../errors.js";
+import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import authentication from "../../middleware/authentication.js";
+import rejectImpersonation from "../../middleware/rejectImpersonation.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import logger from "../../../tools/logging/logger.js";
+import UserAccount from "../../../models/users/UserAccount.js";
+import TwoFactor from "../../../models/users/TwoFactor.js";
+import LoginLock, { loginLockTypes } from "../../../models/users/LoginLock.js";
+import AuthenticationError from "../../errors/AuthenticationError.js";
+import { tokenTypes, twoFactorPurposes, verifyToken } from "../../authentication/tokens.js";
+import startSession from "../../authentication/startSession.js";
+
+const router = express.Router();
+
+// properties that are required to verify a login
+const requiredVerificationProperties = [ 'twoFactorToken', 'code' ];
+
+// properties that are required to confirm an enrollment, regenerate the recovery codes or disable two-factor authentication
+const requiredCodeProperties = [ 'code' ];
+
+// permissions that are required for the routes and the account types that bypass them (ADMIN if not declared)
+const routePermissions = {
+    reset: { permission: UserAccountPermissions.userAccount.twoFactor.reset }
+};
+
+/**
+ * @description Verifies a two-factor token issued on login and loads its user account.
+ * @param {String} twoFactorToken - The two-factor token.
+ * @param {String} purpose - The purpose the token must have been issued for. See twoFactorPurposes.
+ * @returns {Promise<UserAccount>} The user account of the token.
+ * @throws {AuthenticationError} If the token is invalid, expired, issued for another purpose or the user account does not exist anymore.
+ * */
+async function resolveTwoFactorToken(twoFactorToken, purpose) {
+    const token = verifyToken(twoFactorToken, tokenTypes.TWO_FACTOR);
+    if (token.purpose !== purpose) {
+        throw new AuthenticationError(`Two-factor token cannot be used for ${ purpose }`, errors.server.authentication.token.invalid);
+    }
+
+    const userAccount = await UserAccount.getUserAccountById(token.sub).catch(() => null);
+    if (!userAccount) {
+        throw new AuthenticationError(`User account '${ token.sub }' of token does not exist`, errors.server.authentication.token.invalid);
+    }
+
+    return userAccount;
+}
+
+/**
+ * @description Sends the response for a failed authentication.
+ * @param res - The response object
+ * @param {Error} error - The error that occurred
+ * */
+function sendAuthenticationFailed(res, error) {
+    res.status(401).send(
+        {
+            errorCode: error.errorCode ?? errors.server.authentication.token.invalid,
+            errorMessage: error.name === 'AuthenticationError' ? error.message : 'Authentication failed.'
+        }
+    );
+}
+
+/**
+ * @description Authenticates the enrollment routes. Accounts that have to enroll before their first login
+ * send the two-factor token of the login in the body, all other accounts their access token.
+ * Sets req.userAccount and req.user like middleware/authentication.js and req.enrollmentToken if the two-factor token was used.
+ * */
+async function enrollmentAuthentication(req, res, next) {
+
+    if (!req.body?.twoFactorToken) {
+        await authentication(req, res, next);
+        return;
+    }
+
+    try {
+        const userAccount = await resolveTwoFactorToken(req.body.twoFactorToken, twoFactorPurposes.ENROLLMENT);
+
+        req.enrollmentToken = true;
+        req.userAccount = userAccount;
+        req.user = userAccount.user;
+        if (req.context) req.context.actor = userAccount.user?._id?.toString() ?? null;
+    } catch (error) {
+        logger.server.error(`Request #${ req.requestId }: Enrollment authentication from '${ req.ip }' failed: ${ error.message }`);
+        sendAuthenticationFailed(res, error);
+        return;
+    }
+
+    next();
+}
+
+/**
+ * @description Verifies a code of the authenticator app or a recovery code.
+ * The failures count towards the login lock of the account and ip address, so codes cannot be guessed.
+ * Sends the error response if the code is invalid or the account is locked.
+ * @param req - The request object
+ * @param res - The response object
+ * @param {String} userAccountId - The id of the user account.
+ * @returns {Promise<Boolean>} If the code is valid.
+ * */
+async function verifyCode(req, res, userAccountId) {
+
+    const lockKeys = [
+        { type: loginLockTypes.ACCOUNT, key: userAccountId },
+        { type: loginLockTypes.IP, key: req.ip }
+    ];
+
+    const retryAfter = await LoginLock.getRetryAfter(lockKeys);
+    if (retryAfter > 0) {
+        logger.server.error(`Request #${ req.requestId }: Two-factor verification from '${ req.ip }' for user account '${ userAccountId }' is locked`)
+        res.status(429).set('Retry-After', Math.ceil(retryAfter / 1000)).send(
+            {
+                errorCode: errors.server.authentication.login.locked,
+                errorMessage: `Too many failed attempts. Try again in ${ Math.ceil(retryAfter / 1000) } seconds.`,
+                retryAfter: retryAfter
+            }
+        );
+        return false;
+    }
+
+    if (!await TwoFactor.verify(userAccountId, req.body.code)) {
+        logger.server.error(`Request #${ req.requestId }: Two-factor verification from '${ req.ip }' failed for user account '${ userAccountId }'`)
+        for (const { type, key } of lockKeys) {
+            await LoginLock.registerFailure(type, key);
+        }
+        res.status(401).send(
+            {
+                errorCode: errors.server.authentication.twoFactor.invalid,
+                errorMessage: "Two-factor code is invalid."
+            }
+        );
+        return false;
+    }
+
+    await LoginLock.reset(loginLockTypes.ACCOUNT, userAccountId);
+    return true;
+}
+
+/**
+ * @description Completes a login of an account with two-factor authentication.
+ * @param req.body.twoFactorToken - The two-factor token returned by the login
+ * @param req.body.code - The code of the authenticator app or a recovery code
+ * @returns {JSON<Object>} - The userAccount that was logged in and its access and refresh tokens
+ * @throws errors.server.authentication.token.invalid - When the two-factor token is invalid
+ * @throws errors.server.authentication.token.expired - When the two-factor token is expired
+ * @throws errors.server.authentication.twoFactor.invalid - When the code is invalid
+ * @throws errors.server.authentication.login.locked - When the user account or ip address is locked
+ * */
+router.post('/verify', async (req, res) => {
+
+    if (!req.body || isMissingProperty(req.body, requiredVerificationProperties)) {
+        logger.server.error(`Request #${ req.requestId }: Two-factor verification from '${ req.ip }' does not contain token and code`)
+        res.status(400).send(
+            {
+                errorCode: errors.server.authentication.twoFactor.invalid,
+                errorMessage: "Two-factor token or code missing in body."
+            }
+        );
+        return;
+    }
+
+    let userAccount;
+    try {
+        userAccount = await resolveTwoFactorToken(req.body.twoFactorToken, twoFactorPurposes.VERIFICATION);
+    } catch (error) {
+        logger.server.error(`Request #${ req.requestId }: Two-factor verification from '${ req.ip }' failed: ${ error.message }`);
+        sendAuthenticationFailed(res, error);
+        return;
+    }
+
+    try {
+        if (!await verifyCode(req, res, userAccount._id)) return;
+
+        logger.server.info(`Request #${ req.requestId }: User account '${ userAccount._id }' logged in with two-factor authentication from '${ req.ip }'`);
+
+        // the response is rendered for the user that just logged in, see middleware/viewerSerialization.js
+        req.user = userAccount.user;
+        res.json({
+            userAccount: userAccount,
+            ...await startSession(req, userAccount._id)
+        });
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.authentication.twoFactor.invalid,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+/**
+ * @description Starts the enrollment of two-factor authentication with a new secret.
+ * @param req.userAccount - The authenticated user account. See enrollmentAuthentication.
+ * @param req.body.twoFactorToken - The two-factor token of the login, only if the account has to enroll before it can log in
+ * @returns {JSON<Object>} - The secret and the otpauth URI for the authenticator app, usually shown as QR code
+ * @throws errors.server.authentication.twoFactor.conflict - When two-factor authentication is already enabled
+ * */
+router.post('/enrollment', enrollmentAuthentication, rejectImpersonation, async (req, res) => {
+
+    try {
+
+        if (req.userAccount.twoFactorEnabled) {
+            res.status(409).send(
+                {
+                    errorCode: errors.server.authentication.twoFactor.conflict,
+                    errorMessage: "Two-factor authentication is already enabled."
+                }
+            );
+            return;
+        }
+
+        const enrollment = await TwoFactor.startEnrollment(req.userAccount);
+        logger.server.info(`Request #${ req.requestId }: User account '${ req.userAccount._id }' started two-factor enrollment`);
+
+        res.json(enrollment);
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.update.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+/**
+ * @description Confirms the enrollment with the first code of the authenticator app and enables two-factor authentication.
+ * @param req.userAccount - The authenticated user account. See enrollmentAuthentication.
+ * @param req.body.code - The code of the authenticator app
+ * @param req.body.twoFactorToken - The two-factor token of the login, only if the account has to enroll before it can log in
+ * @returns {JSON<Object>} - The recovery codes. They cannot be retrieved again.
+ * If the two-factor token was used, also the userAccount and its access and refresh tokens like for a login.
+ * @throws errors.server.authentication.twoFactor.invalid - When there is no enrollment or the code is invalid
+ * */
+router.post('/enrollment/confirm', enrollmentAuthentication, rejectImpersonation, async (req, res) => {
+
+    try {
+
+        if (isMissingProperty(req.body, requiredCodeProperties)) {
+            res.status(400).send(
+                {
+                    errorCode: errors.server.authentication.twoFactor.invalid,
+                    errorMessage: "Code missing in body."
+                }
+            );
+            return;
+        }
+
+        const recoveryCodes = await TwoFactor.confirmEnrollment(req.userAccount._id, req.body.code);
+        if (!recoveryCodes) {
+            logger.server.error(`Request #${ req.requestId }: Two-factor enrollment of user account '${ req.userAccount._id }' could not be confirmed`);
+            res.status(401).send(
+                {
+                    errorCode: errors.server.authentication.twoFactor.invalid,
+                    errorMessage: "Two-factor code is invalid or no enrollment was started."
+                }
+            );
+            return;
+        }
+
+        logger.server.info(`Request #${ req.requestId }: User account '${ req.userAccount._id }' enabled two-factor authentication`);
+
+        if (!req.enrollmentToken) {
+            res.json({ recoveryCodes: recoveryCodes });
+            return;
+        }
+
+        await LoginLock.reset(loginLockTypes.ACCOUNT, req.userAccount._id);
+        const userAccount = await UserAccount.getUserAccountById(req.userAccount._id);
+        res.json({
+            recoveryCodes: recoveryCodes,
+            userAccount: userAccount,
+            ...await startSession(req, userAccount._id)
+        });
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.update.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+/**
+ * @description Replaces the recovery codes of the authenticated user account with new ones.
+ * @param req.userAccount - The authenticated user account. See middleware/authentication.js.
+ * @param req.body.code - A current code of the authenticator app or a recovery code
+ * @returns {JSON<Object>} - The new recovery codes. They cannot be retrieved again.
+ * @throws errors.server.authentication.twoFactor.conflict - When two-factor authentication is not enabled
+ * @throws errors.server.authentication.twoFactor.invalid - When the code is invalid
+ * */
+router.post('/recovery-codes', authentication, rejectImpersonation, async (req, res) => {
+
+    try {
+
+        if (!req.userAccount.twoFactorEnabled || isMissingProperty(req.body, requiredCodeProperties)) {
+            res.status(req.userAccount.twoFactorEnabled ? 400 : 409).send(
+                {
+                    errorCode: req.userAccount.twoFactorEnabled ? errors.server.authentication.twoFactor.invalid : errors.server.authentication.twoFactor.conflict,
+                    errorMessage: req.userAccount.twoFactorEnabled ? "Code missing in body." : "Two-factor authentication is not enabled."
+                }
+            );
+            return;
+        }
+
+        if (!await verifyCode(req, res, req.userAccount._id)) return;
+
+        const recoveryCodes = await TwoFactor.regenerateRecoveryCodes(req.userAccount._id);
+        logger.server.info(`Request #${ req.requestId }: User account '${ req.userAccount._id }' regenerated its recovery codes`);
+
+        res.json({ recoveryCodes: recoveryCodes });
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.update.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+/**
+ * @description Disables the two-factor authentication of the authenticated user account.
+ * Not possible if a school of the user requires two-factor authentication for the account type.
+ * @param req.userAccount - The authenticated user account. See middleware/authentication.js.
+ * @param req.body.code - A current code of the authenticator app or a recovery code
+ * @returns {Boolean} - If two-factor authentication was disabled
+ * @throws errors.server.authentication.twoFactor.conflict - When two-factor authentication is not enabled
+ * @throws errors.server.authentication.twoFactor.required - When a school requires two-factor authentication
+ * @throws errors.server.authentication.twoFactor.invalid - When the code is invalid
+ * */
+router.delete('/', authentication, rejectImpersonation, async (req, res) => {
+
+    try {
+
+        if (!req.userAccount.twoFactorEnabled) {
+            res.status(409).send(
+                {
+                    errorCode: errors.server.authentication.twoFactor.conflict,
+                    errorMessage: "Two-factor authentication is not enabled."
+                }
+            );
+            return;
+        }
+
+        if (await TwoFactor.isRequired(req.user)) {
+            res.status(403).send(
+                {
+                    errorCode: errors.server.authentication.twoFactor.required,
+                    errorMessage: "Two-factor authentication is required for your account type."
+                }
+            );
+            return;
+        }
+
+        if (isMissingProperty(req.body, requiredCodeProperties)) {
+            res.status(400).send(
+                {
+                    errorCode: errors.server.authentication.twoFactor.invalid,
+                    errorMessage: "Code missing in body."
+                }
+            );
+            return;
+        }
+
+        if (!await verifyCode(req, res, req.userAccount._id)) return;
+
+        await TwoFactor.disable(req.userAccount._id);
+        logger.server.info(`Request #${ req.requestId }: User account '${ req.userAccount._id }' disabled two-factor authentication`);
+
+        res.json(true);
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.update.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+/**
+ * @description Resets the two-factor authentication of another user account, e.g. when the phone and the recovery codes are lost.
+ * If a school requires two-factor authentication, the account has to enroll again on its next login.
+ * @param req.params.id - The id of the user account.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
+ * @returns {Boolean} - If two-factor authentication was reset
+ * @throws errors.server.document.update.failed - When the user account does not exist or could not be updated
+ * */
+router.delete('/:id', authentication, rejectImpersonation, requirePermission(routePermissions.reset), async (req, res) => {
+
+    try {
+        await TwoFactor.disable(req.params.id);
+        logger.server.info(`Request #${ req.requestId }: User '${ req.user._id }' reset two-factor authentication of user account '${ req.params.id }'`);
+
+        res.json(true);
+    } catch (error) {
+        logger.server.error(error.stack);
+        res.status(400).send(
+            {
+                errorCode: errors.server.document.update.failed,
+                errorMessage: error.stack
+            }
+        );
+    }
+
+});
+
+export default router;
@@ -7,13 +7,51 @@
 import express from "express";
 import errors from "../../../errors.js";
 import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
 import logger from "../../../tools/logging/logger.js";
 import UserAccount from "../../../models/users/UserAccount.js";
 
 const router = express.Router();
 
 // properties that are required for a userAccount
-const requiredProperties = [ 'user', 'username', 'password', 'settings', 'permissions' ];
+const requiredProperties = [ 'user', 'username', 'settings', 'permissions' ];
+
+// properties that are additionally required when a userAccount is created
+const requiredCreationProperties = [ ...requiredProperties, 'password' ];
+
+// permissions that are required for the routes and the account types that bypass them (ADMIN if not declared)
+const routePermissions = {
+    query: { permission: UserAccountPermissions.userAccount.view },
+    creation: { permission: UserAccountPermissions.userAccount.creation.execute },
+    update: { permission: UserAccountPermissions.userAccount.edit.execute },
+    deletion: { permission: UserAccountPermissions.userAccount.deletion.execute }
+};
+
+// fields that cannot be filtered by, as the results would reveal them bit by bit
+const secretFields = [ 'password', 'twoFactor' ];
+
+// operators that can read any field, e.g. through aggregation expressions or JavaScript
+const forbiddenOperators = [ '$where', '$expr', '$function', '$accumulator' ];
+
+/**
+ * @description Checks if a filter refers to a secret field anywhere, also nested in operators like $or or $elemMatch.
+ * @param {*} filter - The filter or a part of it.
+ * @returns {Boolean} If the filter refers to a secret field or uses a forbidden operator.
+ * */
+function filtersBySecret(filter) {
+    if (Array.isArray(filter)) return filter.some(filtersBySecret);
+    if (!filter || typeof filter !== 'object') return false;
+
+    return Object.entries(filter).some(([ key, value ]) => {
+        if (forbiddenOperators.includes(key)) return true;
+
+        const field = key.split('.')[0];
+        if (secretFields.some(secretField => field.startsWith(secretField))) return true;
+
+        return filtersBySecret(value);
+    });
+}
 
 /**
  * @description Formats the request body into a userAccount
@@ -26,10 +64,10 @@ function bodyToUserAccount(body) {
 
 /**
  * @description Gets all userAccounts existing in the database.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Array<UserAccount>>} - The list of all userAccounts existing in the database
  * */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(routePermissions.query), async (req, res) => {
 
     res.status(400).send(
         {
@@ -42,12 +80,12 @@ router.get('/', async (req, res) => {
 
 /**
  * @description Gets all userAccounts that exist in the database and match a certain filter.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.filter - The filter that the userAccounts should match
  * @returns {JSON<Array<UserAccount>>} - The list of all userAccounts matching the filter
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/filter', async (req, res) => {
+router.get('/filter', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const filter = req.body.filter;
@@ -63,6 +101,17 @@ router.get('/filter', async (req, res) => {
             return;
         }
 
+        if (filtersBySecret(filter)) {
+            logger.server.error(`Request #${ req.requestId }: UserAccount query from '${ req.ip }' tried to filter by password or two-factor authentication`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.query.failed,
+                    errorMessage: "UserAccounts cannot be filtered by password or two-factor authentication."
+                }
+            );
+            return;
+        }
+
         const userAccounts = await UserAccount.getAllUserAccountsByRule(filter);
         res.json(userAccounts)
     } catch (error) {
@@ -79,12 +128,12 @@ router.get('/filter', async (req, res) => {
 
 /**
  * @description Gets the userAccount matching the id
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.params.id - The id of the userAccount
  * @returns {JSON<UserAccount>} - The userAccount matching the id
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const id = req.params.id;
@@ -116,16 +165,16 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @description Creates a userAccount
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.userAccount - The userAccount to be created
  * @returns {JSON<UserAccount>} - The created userAccount
  * @throws errors.server.document.creation.failed - When the creation failed
  * */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(routePermissions.creation), async (req, res) => {
 
     try {
 
-        if (isMissingProperty(req.body.userAccount, requiredProperties)) {
+        if (isMissingProperty(req.body.userAccount, requiredCreationProperties)) {
             logger.server.error(`Request #${ req.requestId }: UserAccount creation from '${ req.ip }' does not contain all required properties`)
             res.status(400).send(
                 {
@@ -177,12 +226,12 @@ router.post('/', async (req, res) => {
 /**
  * @description Updates a userAccount matching an id
  * @param req.params.id - The id of the userAccount to be updated.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
- * @param req.body.userAccount - The userAccount update
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
+ * @param req.body.userAccount - The userAccount update. The password is only changed if it is contained.
  * @returns {JSON<UserAccount>} - The updated userAccount
  * @throws errors.server.document.update.failed - When the update failed
  * */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(routePermissions.update), async (req, res) => {
 
     try {
 
@@ -261,11 +310,11 @@ router.put('/:id', async (req, res) => {
 /**
  * @description Deletes a userAccount matching an id
  * @param req.params.id - The id of the userAccount to be deleted.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Boolean>} - The state of the deletion
  * @throws errors.server.document.deletion.failed - When the deletion failed
  * */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(routePermissions.deletion), async (req, res) => {
 
     try {
 
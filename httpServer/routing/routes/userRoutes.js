@@ -7,14 +7,27 @@
 import express from "express";
 import errors from "../../../errors.js";
 import isMissingProperty from "../isMissingProperty.js";
+import requirePermission from "../../middleware/requirePermission.js";
+import UserAccountPermissions from "../../../models/users/UserAccountPermissions.js";
+import UserAccountTypes from "../../../models/users/UserAccountTypes.js";
 import logger from "../../../tools/logging/logger.js";
 import User from "../../../models/users/User.js";
+import RosterImport from "../../../models/users/RosterImport.js";
 
 const router = express.Router();
 
 // properties that are required for a user
 const requiredProperties = [ 'firstName', 'lastName', 'avatar', 'type', 'classes', 'extraCourses', 'blackboards', 'clubs' ];
 
+// permissions that are required for the routes and the account types that bypass them (ADMIN if not declared)
+const routePermissions = {
+    query: { permission: UserAccountPermissions.user.view, bypass: [ UserAccountTypes.STUDENT, UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ] },
+    creation: { permission: UserAccountPermissions.user.creation.execute },
+    update: { permission: UserAccountPermissions.user.edit.execute },
+    deletion: { permission: UserAccountPermissions.user.deletion.execute },
+    import: { permission: UserAccountPermissions.user.import.execute }
+};
+
 /**
  * @description Formats the request body into a user
  * @param body - The request body
@@ -26,10 +39,10 @@ function bodyToUser(body) {
 
 /**
  * @description Gets all users existing in the database.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Array<User>>} - The list of all users existing in the database
  * */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(routePermissions.query), async (req, res) => {
 
     const users = await User.getAll(null);
     res.json(users);
@@ -38,12 +51,12 @@ router.get('/', async (req, res) => {
 
 /**
  * @description Gets all users that exist in the database and match a certain filter.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.filter - The filter that the users should match
  * @returns {JSON<Array<User>>} - The list of all users matching the filter
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/filter', async (req, res) => {
+router.get('/filter', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const filter = req.body.filter;
@@ -75,12 +88,12 @@ router.get('/filter', async (req, res) => {
 
 /**
  * @description Gets the user matching the id
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.params.id - The id of the user
  * @returns {JSON<User>} - The user matching the id
  * @throws errors.server.document.query.failed - When the query failed
  * */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(routePermissions.query), async (req, res) => {
 
     try {
         const id = req.params.id;
@@ -110,14 +123,71 @@ router.get('/:id', async (req, res) => {
 
 });
 
+/**
+ * @description Imports a roster of students and teachers with their classes and courses. See models/users/RosterImport.js.
+ * Without 'commit' the changes are only reported, so the report can be checked before importing.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
+ * @param req.body - The roster as CSV (Content-Type: text/csv) or as JSON in 'csv'
+ * @param req.query.commit - 'true' to save the changes, only possible if the roster has no conflicts
+ * @returns {JSON<Object>} - The report with the created, updated and unchanged users, the conflicts and after a commit the activation codes of the new users
+ * @throws errors.server.rosterImport.invalid - When the roster cannot be parsed or required columns are missing
+ * @throws errors.server.rosterImport.conflicts - When a commit is rejected because of conflicts (see 'report')
+ * */
+router.post('/import', requirePermission(routePermissions.import), express.text({ type: 'text/csv', limit: '5mb' }), async (req, res) => {
+
+    try {
+        const csv = typeof req.body === 'string' ? req.body : req.body.csv;
+
+        if (!csv) {
+            logger.server.error(`Request #${ req.requestId }: Roster import from '${ req.ip }' does not contain a roster`)
+            res.status(400).send(
+                {
+                    errorCode: errors.server.rosterImport.invalid,
+                    errorMessage: "Roster missing in body. See documentation for more information. [https://github.com/Academi-fy/backend/wiki/RosterImport]"
+                }
+            );
+            return;
+        }
+
+        const dryRun = req.query.commit !== 'true';
+        const report = await RosterImport.importRoster(csv, { dryRun: dryRun, createdBy: req.user._id });
+        if (!dryRun) {
+            logger.server.info(`Request #${ req.requestId }: Roster imported, ${ report.created.length } user(s) created, ${ report.updated.length } user(s) updated`);
+        }
+
+        res.json(report);
+    } catch (error) {
+        if (error.name !== 'RosterImportError') {
+            logger.server.error(error.stack);
+            res.status(400).send(
+                {
+                    errorCode: errors.server.document.creation.failed,
+                    errorMessage: error.stack
+                }
+            );
+            return;
+        }
+
+        logger.server.error(`Request #${ req.requestId }: Roster import from '${ req.ip }' failed: ${ error.message }`);
+        res.status(error.errorCode === errors.server.rosterImport.conflicts ? 409 : 400).send(
+            {
+                errorCode: error.errorCode,
+                errorMessage: error.message,
+                report: error.report
+            }
+        );
+    }
+
+});
+
 /**
  * @description Creates a user
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.user - The user to be created
  * @returns {JSON<User>} - The created user
  * @throws errors.server.document.creation.failed - When the creation failed
  * */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(routePermissions.creation), async (req, res) => {
 
     try {
 
@@ -173,12 +243,12 @@ router.post('/', async (req, res) => {
 /**
  * @description Updates a user matching an id
  * @param req.params.id - The id of the user to be updated.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @param req.body.user - The user update
  * @returns {JSON<User>} - The updated user
  * @throws errors.server.document.update.failed - When the update failed
  * */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(routePermissions.update), async (req, res) => {
 
     try {
         const oldUser = await User.getById(req.params.id);
@@ -258,11 +328,11 @@ router.put('/:id', async (req, res) => {
 /**
  * @description Deletes a user matching an id
  * @param req.params.id - The id of the user to be deleted.
- * @param req.body.inquirer - The id of the user querying. '1' for setup accounts.
+ * @param req.user - The authenticated user querying. See middleware/authentication.js.
  * @returns {JSON<Boolean>} - The state of the deletion
  * @throws errors.server.document.deletion.failed - When the deletion failed
  * */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(routePermissions.deletion), async (req, res) => {
 
     try {
 
@@ -2,10 +2,19 @@ import cache from "../httpServer/cache.js";
 import * as mongoAccess from '../mongoDb/mongoAccess.js';
 import DatabaseError from "../httpServer/errors/DatabaseError.js";
 import CacheError from "../httpServer/errors/CacheError.js";
-import { findByRule } from "./findByRule.js";
+import {
+    createCacheEntry,
+    deleteCacheEntryItem,
+    getCacheEntryItem,
+    getCacheEntryItems,
+    setCacheEntryItem
+} from "./modelCache.js";
 import { castProperties, mapProperties } from "./modelPropertyHelper.js";
 import logger from "../tools/logging/logger.js";
 import { Mutex } from 'async-mutex';
+import AuditLog, { auditActions } from "./general/AuditLog.js";
+import { getTenant } from "../mongoDb/tenancy.js";
+import { invalidationOperations, publishInvalidation } from "../httpServer/cache/invalidationBus.js";
 
 /**
  * @file BaseModel.js - The base model for all models in the application.
@@ -15,12 +24,15 @@ import { Mutex } from 'async-mutex';
 export default class BaseModel {
 
     static cacheMutex = new Mutex();
+    static cacheUpdates = new Map(); // running cache updates by cache key
 
     static modelName = '';
     static schema = '';
     static cacheKey = '';
     static expirationTime = 0;
     static populationPaths = [];
+    static cacheIndexes = []; // fields indexed in the cache, see modelCache.js
+    static visibility = null; // field visibility rules, see visibility.js
 
     constructor(
         data
@@ -44,6 +56,58 @@ export default class BaseModel {
         this._data = value;
     }
 
+    /**
+     * Gets the users an instance belongs to, used for the SELF audience of the visibility rules.
+     * This method should be overridden in subclasses that declare visibility rules.
+     * @param {BaseModel} object - The instance.
+     * @returns {Array<String|Object>} The owners or their ids.
+     */
+    static getOwnerIds(object) {
+        return [];
+    }
+
+    /**
+     * Gets the classes an instance belongs to, used for the SAME_CLASS audience of the visibility rules.
+     * This method should be overridden in subclasses that declare visibility rules.
+     * @param {BaseModel} object - The instance.
+     * @returns {Array<String|Object>} The classes or their ids.
+     */
+    static getClassIds(object) {
+        return [];
+    }
+
+    /**
+     * Gets the key of the cache for the school of the current request.
+     * The caches are partitioned by school like the database, see mongoDb/tenancy.js.
+     * @returns {String} The cache key.
+     */
+    static getCacheKey() {
+        const school = getTenant();
+        return school === undefined ? this.cacheKey : `${ this.cacheKey }:${ school }`;
+    }
+
+    /**
+     * Gets the cached instances of the model for the school of the current request.
+     * @param {Object} rule - Optional: The rule to find the instances by, see findByRule.js.
+     * @returns {Promise<Array<BaseModel>|null>} The instances or null if they are not cached.
+     */
+    static async getCached(rule) {
+        const entry = await cache.get(this.getCacheKey());
+        return entry ? getCacheEntryItems(entry, rule).map(item => this.castFromCache(item)) : null;
+    }
+
+    /**
+     * Casts an instance read from the cache back to an instance of the model.
+     * Caches saving JSON (see httpServer/cache/redisCache.js) return plain objects, the memory cache returns the instances themselves.
+     * Every model casts plain objects with its static castTo<modelName> method, e.g. User.castToUser.
+     * @param {Object} object - The instance or its plain object.
+     * @returns {BaseModel} The instance.
+     */
+    static castFromCache(object) {
+        if (!object || object instanceof BaseModel) return object;
+        return this[`castTo${ this.modelName }`](object);
+    }
+
     static getMapPaths() {
         throw new Error('method not yet implemented')
     }
@@ -58,11 +122,12 @@ export default class BaseModel {
      * @returns {Promise<Array<BaseModel>>}
      * */
     static async getAll(searchFunction) {
-        if (this.cacheUpdating) {
-            await this.cacheUpdatePromise;
+        const cacheKey = this.getCacheKey();
+        if (this.cacheUpdates.has(cacheKey)) {
+            await this.cacheUpdates.get(cacheKey);
         }
 
-        const cacheResults = cache.get(this.cacheKey);
+        const cacheResults = await this.getCached();
 
         if (cacheResults) {
             return cacheResults;
@@ -93,22 +158,16 @@ export default class BaseModel {
      * @throws {RetrievalError} If the instance with the given ID is not found.
      */
     static async getById(_id) {
-        let item = this.verifyInCache(_id) ? cache.get(this.cacheKey).find(i => i._id === _id) : null;
+        const entry = await cache.get(this.getCacheKey());
+        let item = entry ? this.castFromCache(getCacheEntryItem(entry, _id)) : null;
 
         if (!item) {
             const result = await mongoAccess.getDocument(this.schema, _id);
             if (!result) throw new DatabaseError(`Failed to fetch ${ this.modelName } with _id '${ _id }' from database`);
             item = await this.populate(result);
 
-            Promise.resolve(item).then(async () => {
-                const release = await this.cacheMutex.acquire();
-                try {
-                    const items = await this.getAll(null);
-                    items.push(item);
-                    cache.put(this.cacheKey, items, this.expirationTime * 60 * 1000);
-                } finally {
-                    release();
-                }
+            this.addToCache([ item ]).catch(error => {
+                logger.database.error(`Failed to add ${ this.modelName } with _id '${ _id }' to cache:\n${ error.stack }`);
             });
         }
 
@@ -122,10 +181,7 @@ export default class BaseModel {
      * @throws {RetrievalError} When the instances could not be found.
      */
     static async getAllByRule(rule) {
-        let items = cache.get(this.cacheKey);
-        if (items) {
-            items = items.filter(i => findByRule(i, rule));
-        }
+        let items = await this.getCached(rule);
 
         if (!items || items.length === 0) {
             items = await mongoAccess.getDocumentsByRule(this.schema, rule);
@@ -137,36 +193,112 @@ export default class BaseModel {
             }
             items = populatedItems;
 
-            Promise.resolve(items).then(async () => {
-                const release = await this.cacheMutex.acquire();
-                try {
-                    const allItems = await this.getAll(null);
-                    allItems.push(...items);
-                    cache.put(this.cacheKey, allItems, this.expirationTime * 60 * 1000);
-                } finally {
-                    release();
-                }
+            this.addToCache(items).catch(error => {
+                logger.database.error(`Failed to add ${ this.modelName }s to cache:\n${ error.stack }`);
             });
         }
 
         return items;
     }
 
+    /**
+     * Adds instances read from the database to the cache of the school of the current request.
+     * Instances already in the cache are kept, as they might have been changed since they were read.
+     * Nothing is added if the cache is not loaded, the next call of getAll loads all instances.
+     * @param {Array<BaseModel>} items - The instances to add.
+     * @returns {Promise<void>}
+     */
+    static async addToCache(items) {
+        const release = await this.cacheMutex.acquire();
+        try {
+            await cache.update(this.getCacheKey(), entry => {
+                if (!entry) return null;
+                for (const item of items) {
+                    if (!getCacheEntryItem(entry, item._id)) setCacheEntryItem(entry, item, this.cacheIndexes);
+                }
+                return entry;
+            }, this.expirationTime * 60 * 1000);
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Applies a write to the cache of the school of the current request, so reads after the write return the new state.
+     * A running cache update is awaited first, as it might have read the instances before the write.
+     * Nothing is changed if the cache is not loaded, the next call of getAll loads the instances including the write.
+     * @param {String} _id - The id of the written instance.
+     * @param {BaseModel|null} item - The new instance or null if it was deleted.
+     * @returns {Promise<void>}
+     * @throws {CacheError} If the cache does not contain the new state afterwards.
+     */
+    static async writeToCache(_id, item) {
+        const cacheKey = this.getCacheKey();
+        if (this.cacheUpdates.has(cacheKey)) {
+            await this.cacheUpdates.get(cacheKey).catch(() => null);
+        }
+
+        const release = await this.cacheMutex.acquire();
+        try {
+            const entry = await cache.update(cacheKey, entry => {
+                if (!entry) return null;
+                return item ? setCacheEntryItem(entry, item, this.cacheIndexes) : deleteCacheEntryItem(entry, _id, this.cacheIndexes);
+            }, this.expirationTime * 60 * 1000);
+
+            if (entry && await this.verifyInCache(_id) !== Boolean(item))
+                throw new CacheError(`Failed to write ${ this.modelName } with _id '${ _id }' to cache`);
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Reads an instance from the database again and writes it to the cache, e.g. after another process changed it.
+     * @param {String} _id - The id of the instance.
+     * @returns {Promise<void>}
+     */
+    static async refreshInCache(_id) {
+        const document = await mongoAccess.getDocument(this.schema, _id);
+        await this.writeToCache(_id, document ? await this.populate(document) : null);
+    }
+
+    /**
+     * Removes the cached instances of the school of the current request, e.g. after the documents were written directly.
+     * The other processes are notified to remove theirs as well, see httpServer/cache/invalidationBus.js.
+     * @returns {Promise<void>}
+     */
+    static async clearCache() {
+        await cache.del(this.getCacheKey());
+        await publishInvalidation(this.modelName, null, invalidationOperations.CLEAR);
+    }
+
+    /**
+     * Gets the schools the instances of the model are cached for.
+     * @returns {Promise<Array<String|undefined>>} The ids of the schools, undefined for the instances cached without a school.
+     */
+    static async getCachedSchools() {
+        const entries = await cache.entries(this.cacheKey);
+        return entries
+            .map(([ key ]) => key)
+            .filter(key => key === this.cacheKey || key.startsWith(`${ this.cacheKey }:`))
+            .map(key => key === this.cacheKey ? undefined : key.slice(this.cacheKey.length + 1));
+    }
+
     /**
      * Updates the cache with all instances of the model from the database.
      * The function is designed to run asynchronously and slowly, spreading out the performance impact.
-     * Each operation is delayed by an additional 100 milliseconds.
+     * Each operation is delayed by an additional 100 milliseconds. The cache is replaced once all instances are populated.
      *
      * @throws {DatabaseError} If the instances could not be fetched from the database.
-     * @throws {CacheError} If an instance could not be added to the cache.
      */
     static updateCache() {
-        this.cacheUpdating = true;
-        this.cacheUpdatePromise = new Promise(async (resolve, reject) => {
+        const cacheKey = this.getCacheKey();
+        const cacheUpdatePromise = new Promise(async (resolve, reject) => {
             try {
                 const itemsFromDb = await mongoAccess.getAllDocuments(this.schema);
                 if (!itemsFromDb || !Array.isArray(itemsFromDb)) {
                     reject(new DatabaseError(`Failed to fetch ${ this.modelName }s from database`));
+                    return;
                 }
 
                 let before = Date.now();
@@ -177,43 +309,42 @@ export default class BaseModel {
                     promises.push(new Promise(resolve => {
                         setTimeout(() => {
                             this.populate(itemsFromDb[i]).then(item => {
-                                items.push(item);
-                                cache.put(this.cacheKey, items, this.expirationTime * 60 * 1000);
-
-                                if (item && !this.verifyInCache(item._id)) {
-                                    throw new CacheError(`Failed to insert ${ this.modelName } with _id '${ item._id }'`);
-                                }
+                                if (item) items.push(item);
                                 resolve();
-                            });
+                            }, reject);
                         }, i * 100);
                     }));
                 }
 
                 await Promise.all(promises);
+                await cache.put(cacheKey, createCacheEntry(items, this.cacheIndexes), this.expirationTime * 60 * 1000);
                 logger.database.info(`Updated ${ this.modelName } cache in ${ Date.now() - before }ms`);
 
-                this.cacheUpdating = false;
                 resolve(items);
             } catch (error) {
                 reject(error); // Reject the Promise if an error occurs
             }
         });
 
-        if (!(this.cacheUpdatePromise instanceof Promise)) {
+        if (!(cacheUpdatePromise instanceof Promise)) {
             throw new Error('cacheUpdatePromise is not a Promise');
         }
 
-        return this.cacheUpdatePromise; // Return the Promise that resolves with the new cache
+        this.cacheUpdates.set(cacheKey, cacheUpdatePromise);
+        const finishUpdate = () => this.cacheUpdates.delete(cacheKey);
+        cacheUpdatePromise.then(finishUpdate, finishUpdate);
+
+        return cacheUpdatePromise; // Return the Promise that resolves with the new cache
     }
 
     /**
      * Verifies if an instance of the model with the given ID is in the cache.
      * @param {string} _id - The ID of the instance to verify.
-     * @returns {boolean} Returns true if the instance is in the cache, false otherwise.
+     * @returns {Promise<boolean>} Returns true if the instance is in the cache, false otherwise.
      */
-    static verifyInCache(_id) {
-        const items = cache.get(this.cacheKey);
-        return items ? items.some(i => i._id === _id) : false;
+    static async verifyInCache(_id) {
+        const entry = await cache.get(this.getCacheKey());
+        return entry ? getCacheEntryItem(entry, _id) !== null : false;
     }
 
     /**
@@ -236,8 +367,8 @@ export default class BaseModel {
     }
 
     /**
-     * Creates a new instance of the model and saves it to the database and cache.
-     * The method returns the newly created instance immediately and continues updating the cache in the background.
+     * Creates a new instance of the model and saves it to the database and cache. The creation is recorded in the audit log.
+     * The instance is in the cache when the method returns, so reads afterward return it. The other processes are notified.
      * @returns {Promise<Object>} The newly created instance of the model.
      * @throws {DatabaseError} If the instance could not be created in the database.
      * @throws {CacheError} If the instance could not be added to the cache.
@@ -248,27 +379,19 @@ export default class BaseModel {
         let insertedItem = await mongoAccess.createDocument(this.constructor.schema, this.data);
         if (!insertedItem) throw new DatabaseError(`Failed to create ${ this.constructor.modelName } with _id '${ _id }'`);
 
-        insertedItem = this.constructor.populate(insertedItem);
-
-        const release = await this.constructor.cacheMutex.acquire();
-        try {
-            BaseModel.getAll(null).then(items => {
-                items.push(insertedItem);
-                cache.put(this.constructor.cacheKey, items, this.constructor.expirationTime * 60 * 1000);
+        await AuditLog.record(auditActions.CREATE, this.constructor.modelName, insertedItem._id, null, insertedItem);
 
-                if (!this.constructor.verifyInCache(_id))
-                    throw new CacheError(`Failed to put ${ this.constructor.modelName } with id '${ _id }' in cache`);
-            });
-        } finally {
-            release();
-        }
+        insertedItem = await this.constructor.populate(insertedItem);
+        await this.constructor.writeToCache(insertedItem._id, insertedItem);
+        await publishInvalidation(this.constructor.modelName, insertedItem._id, invalidationOperations.CREATE);
 
         return insertedItem;
     }
 
     /**
-     * Updates an existing instance of the model in the database and cache.
-     * The method returns the updated instance immediately and continues updating the cache in the background.
+     * Updates an existing instance of the model in the database and cache. The update is recorded in the audit log.
+     * The cache contains the updated instance when the method returns, so reads afterward return the new state.
+     * The other processes are notified.
      * @param {Object} newModel - The new data for the instance.
      * @returns {Promise<Object>} The updated instance of the model.
      * @throws {DatabaseError} If the instance could not be updated in the database.
@@ -277,33 +400,23 @@ export default class BaseModel {
     async update(newModel) {
         const _id = this._id;
 
+        const oldItem = await mongoAccess.getDocument(this.constructor.schema, _id);
+
         let updatedItem = await mongoAccess.updateDocument(this.constructor.schema, _id, newModel);
         if (!updatedItem) throw new DatabaseError(`Failed to update ${ this.constructor.modelName } with _id '${ _id }'`);
 
-        updatedItem = this.constructor.populate(updatedItem);
+        await AuditLog.record(auditActions.UPDATE, this.constructor.modelName, _id, oldItem, updatedItem);
 
-        const release = await this.constructor.cacheMutex.acquire();
-        try {
-            BaseModel.getAll(null).then(items => {
-                const index = items.findIndex(item => item._id === _id);
-                if (index !== -1) {
-                    items[index] = updatedItem;
-                }
-                cache.put(this.constructor.cacheKey, items, this.constructor.expirationTime * 60 * 1000);
-
-                if (!this.constructor.verifyInCache(_id))
-                    throw new CacheError(`Failed to update ${ this.constructor.modelName } with id '${ _id }' in cache`);
-            });
-        } finally {
-            release();
-        }
+        updatedItem = await this.constructor.populate(updatedItem);
+        await this.constructor.writeToCache(_id, updatedItem);
+        await publishInvalidation(this.constructor.modelName, _id, invalidationOperations.UPDATE);
 
         return updatedItem;
     }
 
     /**
-     * Deletes an existing instance of the model from the database and cache.
-     * The method returns true immediately and continues updating the cache in the background.
+     * Deletes an existing instance of the model from the database and cache. The deletion is recorded in the audit log.
+     * The instance is removed from the cache when the method returns. The other processes are notified.
      * @returns {Promise<boolean>} Returns true if the instance was successfully deleted.
      * @throws {DatabaseError} If the instance could not be deleted from the database.
      * @throws {CacheError} If the instance could not be removed from the cache.
@@ -314,24 +427,10 @@ export default class BaseModel {
         const deletedItem = await mongoAccess.deleteDocument(this.constructor.schema, _id);
         if (!deletedItem) throw new DatabaseError(`Failed to delete ${ this.constructor.modelName } with _id '${ _id }'`);
 
-        const release = await this.constructor.cacheMutex.acquire();
-        try {
-            if (this.constructor.cacheUpdating) {
-                await this.constructor.cacheUpdating;
-            }
-            BaseModel.getAll(null).then(items => {
-                const index = items.findIndex(item => item._id === _id);
-                if (index !== -1) {
-                    items.splice(index, 1);
-                }
-                cache.put(this.constructor.cacheKey, items, this.constructor.expirationTime * 60 * 1000);
+        await AuditLog.record(auditActions.DELETE, this.constructor.modelName, _id, deletedItem, null);
 
-                if (this.constructor.verifyInCache(_id))
-                    throw new CacheError(`Failed to delete ${ this.constructor.modelName } from cache with _id '${ _id }'`);
-            });
-        } finally {
-            release();
-        }
+        await this.constructor.writeToCache(_id, null);
+        await publishInvalidation(this.constructor.modelName, _id, invalidationOperations.DELETE);
 
         return true;
     }
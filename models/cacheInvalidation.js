@@ -0,0 +1,75 @@
+/**
+ * @file cacheInvalidation.js - Updates the cached models when another process changed them.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * The notifications are received through the bus (see httpServer/cache/invalidationBus.js). Created and updated instances
+ * are read from the database again, deleted ones are removed. Entries that are not loaded are left as they are,
+ * they are loaded from the database including the change on the next read.
+ */
+import cache from "../httpServer/cache.js";
+import { invalidationOperations, subscribeInvalidations } from "../httpServer/cache/invalidationBus.js";
+import { runWithTenant } from "../mongoDb/tenancy.js";
+import Blackboard from "./general/Blackboard.js";
+import Chat from "./messages/Chat.js";
+import Class from "./general/Class.js";
+import Club from "./clubs/Club.js";
+import Course from "./general/Course.js";
+import Event from "./events/Event.js";
+import EventTicket from "./events/EventTicket.js";
+import Grade from "./general/Grade.js";
+import Message from "./messages/Message.js";
+import Role from "./users/Role.js";
+import School from "./general/setup/School.js";
+import SetupAccount from "./general/setup/SetupAccount.js";
+import Subject from "./general/Subject.js";
+import User from "./users/User.js";
+
+/**
+ * @description The models with a cache.
+ * */
+const cachedModels = [
+    Blackboard, Chat, Class, Club, Course, Event, EventTicket, Grade, Message, Role, School, SetupAccount, Subject, User
+];
+
+/**
+ * @description Applies a notification to the cache of the school of the current request.
+ * @param {BaseModel} model - The changed model.
+ * @param {String|null} _id - The id of the changed instance, null if all instances were changed.
+ * @param {String} op - The operation, see invalidationOperations.
+ * */
+async function applyInvalidation(model, _id, op) {
+    switch (op) {
+        // not clearCache, the other processes were notified already
+        case invalidationOperations.CLEAR:
+            await cache.del(model.getCacheKey());
+            break;
+        case invalidationOperations.DELETE:
+            await model.writeToCache(_id, null);
+            break;
+        default:
+            await model.refreshInCache(_id);
+    }
+}
+
+/**
+ * @description Handles a notification of another process.
+ * Without a school (e.g. a deletion reported by a change stream) the entries of all cached schools are updated.
+ * @param {Invalidation} invalidation - The notification.
+ * */
+async function handleInvalidation({ model: modelName, _id, op, school }) {
+    const model = cachedModels.find(cachedModel => cachedModel.modelName === modelName);
+    if (!model) return;
+
+    const schools = school === null ? await model.getCachedSchools() : [ school ];
+    for (const cachedSchool of schools) {
+        await runWithTenant(cachedSchool, () => applyInvalidation(model, _id, op));
+    }
+}
+
+/**
+ * @description Starts to update the cached models with the changes of the other processes.
+ * */
+export default async function listenForCacheInvalidations() {
+    await subscribeInvalidations(handleInvalidation);
+}
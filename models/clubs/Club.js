@@ -6,6 +6,7 @@
 
 import BaseModel from "../BaseModel.js";
 import ClubSchema from "../../mongoDb/schemas/clubs/ClubSchema.js";
+import { populateDocument } from "../../mongoDb/mongoAccess.js";
 import DatabaseError from "../../httpServer/errors/DatabaseError.js";
 import Message from "../messages/Message.js";
 import User from "../users/User.js";
@@ -171,25 +172,24 @@ export default class Club extends BaseModel {
      */
     static async populateClub(club) {
         try {
-            club = await club
-                .populate([
-                    {
-                        path: 'targets',
-                        populate: User.getPopulationPaths()
-                    },
-                    {
-                        path: 'courses',
-                        populate: Course.getPopulationPaths()
-                    },
-                    {
-                        path: 'clubs',
-                        populate: Club.getPopulationPaths()
-                    },
-                    {
-                        path: 'messages',
-                        populate: Message.getPopulationPaths()
-                    },
-                ]);
+            club = await populateDocument(ClubSchema, club, [
+                {
+                    path: 'targets',
+                    populate: User.getPopulationPaths()
+                },
+                {
+                    path: 'courses',
+                    populate: Course.getPopulationPaths()
+                },
+                {
+                    path: 'clubs',
+                    populate: Club.getPopulationPaths()
+                },
+                {
+                    path: 'messages',
+                    populate: Message.getPopulationPaths()
+                },
+            ]);
             club._id = club._id.toString();
 
             return this.castToClub(club);
@@ -6,6 +6,7 @@
 
 import BaseModel from "../BaseModel.js";
 import EventSchema from "../../mongoDb/schemas/events/EventSchema.js";
+import { populateDocument } from "../../mongoDb/mongoAccess.js";
 import DatabaseError from "../../httpServer/errors/DatabaseError.js";
 import Club from "../clubs/Club.js";
 import EventTicket from "./EventTicket.js";
@@ -23,7 +24,7 @@ import EventInformation from "./EventInformation.js";
  * @param {Number} startDate - The start date of the event.
  * @param {Number} endDate - The end date of the event.
  * @param {Array<EventInformation>} information - The information of the event.
- * @param {Array<EventTicket>} tickets - The tickets of the event.
+ * @param {Object} tickets - The tickets of the event: their details and the sold tickets.
  * @param {String} state - The state of the event. Valid states are:
  * 'SUGGESTED', 'REJECTED', 'APPROVED',
  * 'EDIT_SUGGESTED', 'EDIT_REJECTED', 'EDIT_APPROVED',
@@ -211,13 +212,16 @@ export default class Event extends BaseModel {
 
     static getMapPaths() {
         return [
-            { path: 'clubs', function: Club.castToUser },
-            { path: 'tickets', function: EventTicket.castToEventTicket },
+            { path: 'clubs', function: Club.castToClub },
             { path: 'subscribers', function: User.castToUser },
             { path: 'information', function: EventInformation.castToEventInformation }
         ];
     }
 
+    static getCastPaths() {
+        return [];
+    }
+
     /**
      * Casts a plain object to an instance of the Event class.
      * @param {Object} event - The plain object to cast.
@@ -253,7 +257,7 @@ export default class Event extends BaseModel {
             editHistory,
             subscribers
         );
-        event._id = _id.toString();
+        castEvent._id = _id.toString();
         return castEvent;
     }
 
@@ -265,21 +269,20 @@ export default class Event extends BaseModel {
      */
     static async populateEvent(event) {
         try {
-            event = await event
-                .populate([
-                    {
-                        path: 'clubs',
-                        populate: Club.getPopulationPaths()
-                    },
-                    {
-                        path: 'tickets',
-                        populate: EventTicket.getPopulationPaths()
-                    },
-                    {
-                        path: 'subscribers',
-                        populate: User.getPopulationPaths()
-                    },
-                ]);
+            event = await populateDocument(EventSchema, event, [
+                {
+                    path: 'clubs',
+                    populate: Club.getPopulationPaths()
+                },
+                {
+                    path: 'tickets',
+                    populate: EventTicket.getPopulationPaths()
+                },
+                {
+                    path: 'subscribers',
+                    populate: User.getPopulationPaths()
+                },
+            ]);
             event._id = event._id.toString();
 
             let castEvent = this.castToEvent(event);
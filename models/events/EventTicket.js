@@ -5,6 +5,7 @@
  */
 import BaseModel from "../BaseModel.js";
 import EventTicketSchema from "../../mongoDb/schemas/events/EventTicketSchema.js";
+import { populateDocument } from "../../mongoDb/mongoAccess.js";
 import DatabaseError from "../../httpServer/errors/DatabaseError.js";
 import Event from "./Event.js";
 import User from "../users/User.js";
@@ -94,10 +95,14 @@ export default class EventTicket extends BaseModel {
         this.id = value;
     }
 
+    static getMapPaths() {
+        return [];
+    }
+
     static getCastPaths() {
         return [
-            { path: 'event', function: User.castToUser },
-            { path: 'buyer', function: EventTicket.castToEventTicket }
+            { path: 'event', function: Event.castToEvent },
+            { path: 'buyer', function: User.castToUser }
         ];
     }
 
@@ -114,7 +119,7 @@ export default class EventTicket extends BaseModel {
             price,
             saleDate
         );
-        eventTicket._id = _id.toString();
+        castEventTicket._id = _id.toString();
         return castEventTicket;
     }
 
@@ -126,17 +131,16 @@ export default class EventTicket extends BaseModel {
      */
     static async populateEventTicket(eventTicket) {
         try {
-            eventTicket = await eventTicket
-                .populate([
-                    {
-                        path: 'event',
-                        populate: Event.getPopulationPaths()
-                    },
-                    {
-                        path: 'buyer',
-                        populate: User.getPopulationPaths()
-                    }
-                ]);
+            eventTicket = await populateDocument(EventTicketSchema, eventTicket, [
+                {
+                    path: 'event',
+                    populate: Event.getPopulationPaths()
+                },
+                {
+                    path: 'buyer',
+                    populate: User.getPopulationPaths()
+                }
+            ]);
             eventTicket._id = eventTicket._id.toString();
 
             let castEventTicket = this.castToEventTicket(eventTicket);
@@ -0,0 +1,217 @@
+/**
+ * @file AuditLog.js - Module for recording and querying the audit log of all writes.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import { createDocument, getDocumentsByRule } from "../../mongoDb/mongoAccess.js";
+import AuditLogSchema from "../../mongoDb/schemas/general/AuditLogSchema.js";
+import { getContext } from "../../tools/requestContext.js";
+import logger from "../../tools/logging/logger.js";
+
+/**
+ * @description The kinds of writes that are recorded.
+ * */
+export const auditActions = {
+    CREATE: 'CREATE',
+    UPDATE: 'UPDATE',
+    DELETE: 'DELETE'
+};
+
+// properties that are never compared or written to the audit log
+const ignoredProperties = [ '_id', '__v', 'createdAt', 'updatedAt' ];
+
+// properties whose values must not be written to the audit log, only the fact that they changed
+const redactedProperties = [ 'password', 'codeHash', 'twoFactor' ];
+
+const redactedValue = '[REDACTED]';
+
+/**
+ * @description Converts a document into a plain object with JSON values, so ObjectIds and dates can be compared.
+ * @param {Object} document - The mongoose document or plain object.
+ * @returns {Object} The plain object. Empty if there is no document.
+ * */
+function toPlainObject(document) {
+    if (!document) return {};
+
+    const object = typeof document.toObject === 'function' ? document.toObject({ depopulate: true }) : document;
+    return JSON.parse(JSON.stringify(object));
+}
+
+/**
+ * @description Creates the diff between two states of a document. Only changed top level properties are kept.
+ * @param {Object} before - The document before the write. Null for creations.
+ * @param {Object} after - The document after the write. Null for deletions.
+ * @returns {{ before: Object, after: Object }} The changed properties before and after the write.
+ * */
+export function createDiff(before, after) {
+    before = toPlainObject(before);
+    after = toPlainObject(after);
+
+    const diff = { before: {}, after: {} };
+    const properties = new Set([ ...Object.keys(before), ...Object.keys(after) ]);
+
+    for (const property of properties) {
+        if (ignoredProperties.includes(property)) continue;
+        if (JSON.stringify(before[property]) === JSON.stringify(after[property])) continue;
+
+        const valueOf = state => redactedProperties.includes(property) ? redactedValue : state[property];
+
+        if (property in before) diff.before[property] = valueOf(before);
+        if (property in after) diff.after[property] = valueOf(after);
+    }
+
+    return diff;
+}
+
+/**
+ * @description Class representing an entry of the audit log.
+ * @param {String} _id - The _id of the entry.
+ * @param {String} actor - The id of the user that caused the write. Null for writes by the system.
+ * @param {String} action - The kind of write. See auditActions.
+ * @param {String} model - The name of the model that was written.
+ * @param {String} document - The id of the document that was written.
+ * @param {Object} before - The changed properties before the write.
+ * @param {Object} after - The changed properties after the write.
+ * @param {String} requestId - The id of the request or socket message that caused the write.
+ * @param {String} source - Where the write came from. See tools/requestContext.js.
+ * @param {Date} date - The date of the write.
+ * @param {String} impersonator - The id of the admin that caused the write while impersonating the actor. Null if the actor was not impersonated.
+ * */
+export default class AuditLog {
+
+    /**
+     * @description Creates an audit log entry.
+     * @param {String} actor - The id of the user that caused the write.
+     * @param {String} action - The kind of write.
+     * @param {String} model - The name of the model that was written.
+     * @param {String} document - The id of the document that was written.
+     * @param {Object} before - The changed properties before the write.
+     * @param {Object} after - The changed properties after the write.
+     * @param {String} requestId - The id of the request or socket message that caused the write.
+     * @param {String} source - Where the write came from.
+     * @param {Date} date - The date of the write.
+     * @param {String} impersonator - The id of the admin impersonating the actor.
+     */
+    constructor(
+        actor,
+        action,
+        model,
+        document,
+        before,
+        after,
+        requestId,
+        source,
+        date,
+        impersonator = null
+    ) {
+        this._id = null;
+        this.actor = actor;
+        this.action = action;
+        this.model = model;
+        this.document = document;
+        this.before = before;
+        this.after = after;
+        this.requestId = requestId;
+        this.source = source;
+        this.date = date;
+        this.impersonator = impersonator;
+    }
+
+    /**
+     * @description Casts a database document into an audit log entry.
+     * @param {Object} document - The document from the database.
+     * @returns {AuditLog} The audit log entry.
+     */
+    static castToAuditLog(document) {
+        const { _id, actor, action, model, document: documentId, before, after, requestId, source, createdAt, impersonator } = document;
+        const auditLog = new AuditLog(actor ? actor.toString() : null, action, model, documentId, before, after, requestId, source, createdAt,
+            impersonator ? impersonator.toString() : null);
+        auditLog._id = _id.toString();
+        return auditLog;
+    }
+
+    /**
+     * @description Records a write in the audit log. The actor, request id, source and impersonator are taken from the current request context.
+     * A failing audit log does not fail the write itself, it is only logged.
+     * @param {String} action - The kind of write. See auditActions.
+     * @param {String} model - The name of the model that was written.
+     * @param {String} documentId - The id of the document that was written.
+     * @param {Object} before - The document before the write. Null for creations.
+     * @param {Object} after - The document after the write. Null for deletions.
+     * @returns {Promise<AuditLog|null>} The recorded entry or null if it could not be recorded.
+     */
+    static async record(action, model, documentId, before, after) {
+        const { actor, requestId, source, impersonator } = getContext();
+
+        try {
+            const diff = createDiff(before, after);
+            const entry = await createDocument(AuditLogSchema, {
+                actor: actor,
+                action: action,
+                model: model,
+                document: documentId.toString(),
+                before: diff.before,
+                after: diff.after,
+                requestId: requestId,
+                source: source,
+                impersonator: impersonator ?? null
+            });
+
+            return AuditLog.castToAuditLog(entry);
+        } catch (error) {
+            logger.database.error(`Failed to record ${ action } of ${ model } '${ documentId }' in the audit log:\n${ error.stack }`);
+            return null;
+        }
+    }
+
+    /**
+     * @description Gets the audit log entries matching the filters, newest first.
+     * @param {Object} filters - The filters. All of them are optional.
+     * @param {String} filters.actor - The id of the user that caused the writes.
+     * @param {String} filters.model - The name of the model that was written.
+     * @param {String} filters.document - The id of the document that was written.
+     * @param {Date} filters.from - The earliest date of the writes.
+     * @param {Date} filters.to - The latest date of the writes.
+     * @param {Number} filters.limit - The maximum number of entries.
+     * @param {String} filters.impersonator - The id of the admin that caused the writes while impersonating.
+     * @param {Boolean} filters.impersonated - True to only get writes made while impersonating.
+     * @returns {Promise<Array<AuditLog>>} The matching entries.
+     */
+    static async getAuditLogs({ actor, model, document, from, to, limit, impersonator, impersonated } = {}) {
+        const criteria = {};
+
+        if (actor) criteria.actor = actor;
+        if (impersonator) criteria.impersonator = impersonator;
+        else if (impersonated) criteria.impersonator = { $ne: null };
+        if (model) criteria.model = model;
+        if (document) criteria.document = document;
+        if (from || to) {
+            criteria.createdAt = {};
+            if (from) criteria.createdAt.$gte = from;
+            if (to) criteria.createdAt.$lte = to;
+        }
+
+        // sorted and limited by the storage, so only the returned entries are loaded
+        const entries = await getDocumentsByRule(AuditLogSchema, criteria, { sort: { createdAt: -1, _id: -1 }, limit: limit });
+
+        return entries.map(entry => AuditLog.castToAuditLog(entry));
+    }
+
+    toJSON() {
+        const { _id, actor, action, model, document, before, after, requestId, source, date, impersonator } = this;
+        return {
+            _id,
+            actor,
+            action,
+            model,
+            document,
+            before,
+            after,
+            requestId,
+            source,
+            date,
+            impersonator
+        };
+    }
+
+}
@@ -6,6 +6,7 @@
 
 import BaseModel from "../BaseModel.js";
 import BlackboardSchema from "../../mongoDb/schemas/general/BlackboardSchema.js";
+import { populateDocument } from "../../mongoDb/mongoAccess.js";
 import DatabaseError from "../../httpServer/errors/DatabaseError.js";
 import User from "../users/User.js";
 
@@ -133,6 +134,10 @@ export default class Blackboard extends BaseModel {
         this.id = value;
     }
 
+    static getMapPaths() {
+        return [];
+    }
+
     static getCastPaths() {
         return [
             { path: 'author', function: User.castToUser }
@@ -167,13 +172,12 @@ export default class Blackboard extends BaseModel {
      */
     static async populateBlackboard(blackboard) {
         try {
-            blackboard = await blackboard
-                .populate([
-                    {
-                        path: 'author',
-                        populate: User.getPopulationPaths()
-                    },
-                ]);
+            blackboard = await populateDocument(BlackboardSchema, blackboard, [
+                {
+                    path: 'author',
+                    populate: User.getPopulationPaths()
+                },
+            ]);
             blackboard._id = blackboard._id.toString();
 
             let castBlackboard = this.castToBlackboard(blackboard);
@@ -5,6 +5,7 @@
  */
 import BaseModel from "../BaseModel.js";
 import ClassSchema from "../../mongoDb/schemas/general/ClassSchema.js";
+import { populateDocument } from "../../mongoDb/mongoAccess.js";
 import DatabaseError from "../../httpServer/errors/DatabaseError.js";
 import Grade from "./Grade.js";
 import Course from "./Course.js";
@@ -24,6 +25,7 @@ export default class Class extends BaseModel {
     static schema = ClassSchema;
     static cacheKey = 'classes';
     static expirationTime = 5; // time in minutes after which the cache expires
+    static cacheIndexes = [ 'specifiedGrade' ]; // fields indexed in the cache
     static populationPaths = [
         { path: 'grade' },
         { path: 'courses' },
@@ -135,21 +137,20 @@ export default class Class extends BaseModel {
      */
     static async populateClass(class_) {
         try {
-            class_ = await class_
-                .populate([
-                    {
-                        path: 'grade',
-                        populate: Grade.getPopulationPaths()
-                    },
-                    {
-                        path: 'courses',
-                        populate: Course.getPopulationPaths()
-                    },
-                    {
-                        path: 'members',
-                        populate: User.getPopulationPaths()
-                    },
-                ]);
+            class_ = await populateDocument(ClassSchema, class_, [
+                {
+                    path: 'grade',
+                    populate: Grade.getPopulationPaths()
+                },
+                {
+                    path: 'courses',
+                    populate: Course.getPopulationPaths()
+                },
+                {
+                    path: 'members',
+                    populate: User.getPopulationPaths()
+                },
+            ]);
 
             if (!class_) return null;
 
@@ -6,6 +6,7 @@
 
 import BaseModel from "../BaseModel.js";
 import CourseSchema from "../../mongoDb/schemas/general/CourseSchema.js";
+import { populateDocument } from "../../mongoDb/mongoAccess.js";
 import DatabaseError from "../../httpServer/errors/DatabaseError.js";
 import Class from "./Class.js";
 import Chat from "../messages/Chat.js";
@@ -155,29 +156,28 @@ export default class Course extends BaseModel {
      */
     static async populateCourse(course) {
         try {
-            course = await course
-                .populate([
-                    {
-                        path: 'members',
-                        populate: User.getPopulationPaths()
-                    },
-                    {
-                        path: 'classes',
-                        populate: Class.getPopulationPaths()
-                    },
-                    {
-                        path: 'teacher',
-                        populate: User.getPopulationPaths()
-                    },
-                    {
-                        path: 'subject',
-                        populate: Subject.getPopulationPaths()
-                    },
-                    {
-                        path: 'chat',
-                        populate: Chat.getPopulationPaths()
-                    },
-                ]);
+            course = await populateDocument(CourseSchema, course, [
+                {
+                    path: 'members',
+                    populate: User.getPopulationPaths()
+                },
+                {
+                    path: 'classes',
+                    populate: Class.getPopulationPaths()
+                },
+                {
+                    path: 'teacher',
+                    populate: User.getPopulationPaths()
+                },
+                {
+                    path: 'subject',
+                    populate: Subject.getPopulationPaths()
+                },
+                {
+                    path: 'chat',
+                    populate: Chat.getPopulationPaths()
+                },
+            ]);
 
             course._id = course._id.toString();
 
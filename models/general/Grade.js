@@ -5,6 +5,7 @@
  */
 import BaseModel from "../BaseModel.js";
 import GradeSchema from "../../mongoDb/schemas/general/GradeSchema.js";
+import { populateDocument } from "../../mongoDb/mongoAccess.js";
 import Class from "./Class.js";
 import DatabaseError from "../../httpServer/errors/DatabaseError.js";
 
@@ -20,6 +21,7 @@ export default class Grade extends BaseModel {
     static schema = GradeSchema;
     static cacheKey = 'grades';
     static expirationTime = 10; // time in minutes after which the cache expires
+    static cacheIndexes = [ 'level' ]; // fields indexed in the cache
     static populationPaths = [
         { path: 'classes' }
     ];
@@ -99,13 +101,12 @@ export default class Grade extends BaseModel {
      */
     static async populateGrade(grade) {
         try {
-            grade = await grade
-                .populate([
-                    {
-                        path: 'classes',
-                        populate: Class.getPopulationPaths()
-                    }
-                ]);
+            grade = await populateDocument(GradeSchema, grade, [
+                {
+                    path: 'classes',
+                    populate: Class.getPopulationPaths()
+                }
+            ]);
 
             if (!grade) return null;
 
@@ -0,0 +1,296 @@
+/**
+ * @file InviteCode.js - Module for codes that let users join a class, course, club or group chat themselves.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * Instead of adding every member one by one, the owners of a target (e.g. the teacher of a course) generate a short code
+ * and hand it out. Codes can expire and be limited to a number of uses. Redeeming a code adds the user to the members
+ * of the target and the target to the user, like CLASS_USER_ADD and USER_CLASS_ADD together.
+ * Codes are saved in plain text, they only grant a membership and the owners have to be able to share them again.
+ */
+import mongoose from "mongoose";
+import {
+    createDocument,
+    getDocument,
+    getDocumentsByRule,
+    updateDocumentByRule
+} from "../../mongoDb/mongoAccess.js";
+import InviteCodeSchema from "../../mongoDb/schemas/general/InviteCodeSchema.js";
+import UserSchema from "../../mongoDb/schemas/user/UserSchema.js";
+import DatabaseError from "../../httpServer/errors/DatabaseError.js";
+import InviteCodeError from "../../httpServer/errors/InviteCodeError.js";
+import errors from "../../errors.js";
+import { getContext } from "../../tools/requestContext.js";
+import { generateCode, normalizeCode } from "../../tools/codes.js";
+import { updateRecorded } from "../recordedAccess.js";
+import { invalidationOperations, publishInvalidation } from "../../httpServer/cache/invalidationBus.js";
+import AuditLog, { auditActions } from "./AuditLog.js";
+import UserAccountPermissions from "../users/UserAccountPermissions.js";
+import User from "../users/User.js";
+import Class from "./Class.js";
+import Course from "./Course.js";
+import Club from "../clubs/Club.js";
+import Chat from "../messages/Chat.js";
+
+// invite codes are typed in by users that are already logged in, two groups are enough: 'K7PX-3MQA'
+const codeGroups = 2;
+
+/**
+ * @description The targets a code can be generated for.
+ * model: The model of the target.
+ * memberPath: The list of the target containing its members.
+ * userPath: The list of the user containing the targets they are a member of.
+ * permission: The permission required to generate, list and revoke codes of the target.
+ * Owners like the teacher of a course or the leaders of a club have it implicitly, see authorization/resourceGrants.js.
+ * */
+export const inviteCodeTargets = {
+    CLASS: {
+        model: Class,
+        memberPath: 'members',
+        userPath: 'classes',
+        permission: UserAccountPermissions.class.members.add
+    },
+    COURSE: {
+        model: Course,
+        memberPath: 'members',
+        userPath: 'extraCourses',
+        permission: UserAccountPermissions.course.members.add
+    },
+    CLUB: {
+        model: Club,
+        memberPath: 'members',
+        userPath: 'clubs',
+        permission: UserAccountPermissions.club.members.add
+    },
+    CHAT: {
+        model: Chat,
+        memberPath: 'targets',
+        userPath: 'chats',
+        permission: UserAccountPermissions.chat.targets.add
+    }
+};
+
+/**
+ * @description Checks if a list of ids contains an id.
+ * @param {Array<ObjectId>} ids - The ids.
+ * @param {String} id - The id.
+ * @returns {Boolean} If the id is part of the list.
+ * */
+function includesId(ids, id) {
+    return (ids ?? []).some(entry => entry.toString() === id.toString());
+}
+
+/**
+ * @description Creates the conditions of a code that can be redeemed: not revoked, not expired and not used up.
+ * A new object is created for every query, as the tenancy plugin adds its conditions to the '$and' of the query.
+ * @param {String} code - The normalized code.
+ * @param {Date} now - The date of the redemption.
+ * @returns {Object} The conditions.
+ * */
+function activeConditions(code, now) {
+    return {
+        code: code,
+        revokedAt: null,
+        $and: [
+            { $or: [ { expiresAt: null }, { expiresAt: { $gt: now } } ] },
+            { $or: [ { maxUses: null }, { $expr: { $lt: [ '$uses', '$maxUses' ] } } ] }
+        ]
+    };
+}
+
+/**
+ * @description Class managing invite codes of classes, courses, clubs and group chats.
+ * */
+export default class InviteCode {
+
+    /**
+     * @description Gets the target of a code. Only group chats can be joined by code, the members of the other chats
+     * follow their course or club.
+     * @param {String} targetType - The type of the target. See inviteCodeTargets.
+     * @param {String} targetId - The id of the target.
+     * @return {Promise<BaseModel|null>} The target or null if it does not exist or cannot be joined by code.
+     */
+    static async getTarget(targetType, targetId) {
+        const targetRule = inviteCodeTargets[targetType];
+        if (!targetRule || !mongoose.isValidObjectId(targetId)) return null;
+
+        let target;
+        try {
+            target = await targetRule.model.getById(String(targetId));
+        } catch (error) {
+            return null;
+        }
+
+        if (targetType === 'CHAT' && target.type !== 'GROUP') return null;
+        return target;
+    }
+
+    /**
+     * @description Generates a code for a target.
+     * @param {String} targetType - The type of the target. See inviteCodeTargets.
+     * @param {String} targetId - The id of the target.
+     * @param {Object} options - The options of the code.
+     * @param {Date|String} options.expiresAt - Optional: The date after which the code cannot be redeemed anymore.
+     * @param {Number} options.maxUses - Optional: How often the code can be redeemed.
+     * @param {String} createdBy - The id of the user generating the code.
+     * @return {Promise<Object>} The code document.
+     * @throws {InviteCodeError} errors.server.inviteCode.target when the target cannot be joined by code or the options are invalid.
+     * @throws {DatabaseError} When the code could not be saved.
+     */
+    static async createCode(targetType, targetId, { expiresAt = null, maxUses = null } = {}, createdBy = null) {
+
+        if (!await InviteCode.getTarget(targetType, targetId)) {
+            throw new InviteCodeError(`${ targetType } '${ targetId }' does not exist or cannot be joined by code`, errors.server.inviteCode.target);
+        }
+
+        if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+            throw new InviteCodeError('maxUses must be a positive integer', errors.server.inviteCode.target);
+        }
+
+        const expiration = expiresAt === null ? null : new Date(expiresAt);
+        if (expiration !== null && !(expiration.getTime() > Date.now())) {
+            throw new InviteCodeError('expiresAt must be a date in the future', errors.server.inviteCode.target);
+        }
+
+        const created = await createDocument(InviteCodeSchema, {
+            code: generateCode(codeGroups),
+            targetType: targetType,
+            target: targetId,
+            createdBy: createdBy,
+            expiresAt: expiration,
+            maxUses: maxUses
+        });
+        if (!created) throw new DatabaseError(`Failed to create invite code for ${ targetType } '${ targetId }'`);
+
+        await AuditLog.record(auditActions.CREATE, 'InviteCode', created._id, null, created);
+        return created;
+    }
+
+    /**
+     * @description Gets the codes of a target, including expired, used up and revoked ones.
+     * @param {String} targetType - The type of the target. See inviteCodeTargets.
+     * @param {String} targetId - The id of the target.
+     * @return {Promise<Array<Object>>} The code documents.
+     */
+    static async getCodes(targetType, targetId) {
+        return await getDocumentsByRule(InviteCodeSchema, { targetType: targetType, target: targetId });
+    }
+
+    /**
+     * @description Gets a code by its id.
+     * @param {String} _id - The id of the code.
+     * @return {Promise<Object|null>} The code document or null if it does not exist.
+     */
+    static async getCodeById(_id) {
+        if (!mongoose.isValidObjectId(_id)) return null;
+        return await getDocument(InviteCodeSchema, _id);
+    }
+
+    /**
+     * @description Revokes a code, so it cannot be redeemed anymore. The members that joined with it stay.
+     * @param {Object} inviteCode - The code document.
+     * @return {Promise<Object>} The revoked code document.
+     * @throws {DatabaseError} When the code could not be revoked.
+     */
+    static async revokeCode(inviteCode) {
+        if (inviteCode.revokedAt) return inviteCode;
+        return await updateRecorded(InviteCodeSchema, 'InviteCode', inviteCode, { revokedAt: new Date() });
+    }
+
+    /**
+     * @description Redeems a code and adds the user to the members of its target.
+     * Users that already are a member do not use up the code.
+     * The use is counted atomically, so a code with maxUses cannot be redeemed more often by concurrent requests.
+     * @param {String} code - The code as typed in by the user.
+     * @param {String} userId - The id of the user redeeming the code.
+     * @return {Promise<{ targetType: String, target: String, joined: Boolean }|null>} The target of the code and
+     * if the user joined it, or null if the code is unknown, expired, used up or revoked.
+     * @throws {DatabaseError} When the memberships could not be saved.
+     */
+    static async redeem(code, userId) {
+
+        const now = new Date();
+        const inviteCode = (await getDocumentsByRule(InviteCodeSchema, activeConditions(normalizeCode(code), now)))[0];
+        if (!inviteCode) return null;
+
+        const { model, memberPath, userPath } = inviteCodeTargets[inviteCode.targetType];
+        const targetId = inviteCode.target.toString();
+        const target = await getDocument(model.schema, targetId);
+        const user = await getDocument(UserSchema, userId);
+        if (!target || !user) return null;
+
+        if (includesId(target[memberPath], userId)) {
+            return { targetType: inviteCode.targetType, target: targetId, joined: false };
+        }
+
+        const redeemed = await updateDocumentByRule(InviteCodeSchema,
+            { _id: inviteCode._id, ...activeConditions(inviteCode.code, now) },
+            {
+                $inc: { uses: 1 },
+                $push: { redemptions: { user: userId, redeemedAt: now, source: getContext().source } }
+            }
+        );
+        // used up by a concurrent redemption in the meantime
+        if (!redeemed) return null;
+
+        await AuditLog.record(auditActions.UPDATE, 'InviteCode', inviteCode._id, inviteCode, redeemed);
+
+        // added to the set instead of replacing the list, so users joining at the same time do not overwrite each other
+        await updateRecorded(model.schema, model.modelName, target, { $addToSet: { [memberPath]: userId } });
+        await updateRecorded(UserSchema, 'User', user, { $addToSet: { [userPath]: targetId } });
+
+        // the documents were written directly, the cached ones are outdated
+        for (const changedModel of [ model, User ]) {
+            await changedModel.clearCache();
+        }
+
+        // the WebSocket server announces redemptions by the HTTP server, see webSocket/notifyInviteRedemptions.js
+        await publishInvalidation('InviteCode', inviteCode._id, invalidationOperations.UPDATE);
+
+        return { targetType: inviteCode.targetType, target: targetId, joined: true };
+    }
+
+    /**
+     * @description Gets the ids of the users that belong to a target: its members and, for courses and clubs, its teacher and leaders.
+     * @param {String} targetType - The type of the target. See inviteCodeTargets.
+     * @param {String} targetId - The id of the target.
+     * @return {Promise<Array<String>>} The ids of the users. Empty if the target does not exist.
+     */
+    static async getMemberIds(targetType, targetId) {
+        const { model, memberPath } = inviteCodeTargets[targetType];
+        const target = await getDocument(model.schema, targetId);
+        if (!target) return [];
+
+        const ids = [ ...(target[memberPath] ?? []) ];
+        if (targetType === 'COURSE' && target.teacher) ids.push(target.teacher);
+        if (targetType === 'CLUB') ids.push(...(target.leaders ?? []));
+
+        return [ ...new Set(ids.map(id => id.toString())) ];
+    }
+
+    /**
+     * @description Gets the redemptions of a code since a date.
+     * @param {String} _id - The _id of the code.
+     * @param {Date} since - The date, exclusive.
+     * @param {String} source - Optional: Only redemptions from this source, see tools/requestContext.js.
+     * @return {Promise<Array<{ school: String, targetType: String, target: String, user: String, redeemedAt: Date }>>}
+     * The redemptions, oldest first. Empty if the code does not exist.
+     */
+    static async getRedemptions(_id, since, source = null) {
+        const inviteCode = await getDocument(InviteCodeSchema, _id);
+        if (!inviteCode) return [];
+
+        const redemptions = inviteCode.redemptions
+            .filter(redemption => redemption.redeemedAt > since && (!source || redemption.source === source))
+            .map(redemption => ({
+                school: inviteCode.school?.toString() ?? null,
+                targetType: inviteCode.targetType,
+                target: inviteCode.target.toString(),
+                user: redemption.user.toString(),
+                redeemedAt: redemption.redeemedAt
+            }));
+
+        return redemptions.sort((a, b) => a.redeemedAt - b.redeemedAt);
+    }
+
+}
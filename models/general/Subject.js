@@ -6,6 +6,7 @@
 
 import BaseModel from "../BaseModel.js";
 import SubjectSchema from "../../mongoDb/schemas/general/SubjectSchema.js";
+import { populateDocument } from "../../mongoDb/mongoAccess.js";
 import Course from "./Course.js";
 import DatabaseError from "../../httpServer/errors/DatabaseError.js";
 
@@ -22,6 +23,7 @@ export default class Subject extends BaseModel {
     static schema = SubjectSchema;
     static cacheKey = 'subjects';
     static expirationTime = 10; // time in minutes after which the cache expires
+    static cacheIndexes = [ 'type', 'shortName' ]; // fields indexed in the cache
     static populationPaths = [
         { path: 'courses' }
     ];
@@ -114,13 +116,12 @@ export default class Subject extends BaseModel {
      */
     static async populateSubject(subject) {
         try {
-            subject = await subject
-                .populate([
-                    {
-                        path: 'courses',
-                        populate: Course.getPopulationPaths()
-                    }
-                ]);
+            subject = await populateDocument(SubjectSchema, subject, [
+                {
+                    path: 'courses',
+                    populate: Course.getPopulationPaths()
+                }
+            ]);
 
             subject._id = subject._id.toString();
 
@@ -16,6 +16,8 @@ import User from "../../users/User.js";
 import Class from "../Class.js";
 import Subject from "../Subject.js";
 import Blackboard from "../Blackboard.js";
+import { audiences } from "../../visibility.js";
+import { getDocumentsByRule, populateDocument } from "../../../mongoDb/mongoAccess.js";
 
 /**
  * @description Class representing a school.
@@ -30,6 +32,7 @@ import Blackboard from "../Blackboard.js";
  * @param {Array<Club>} clubs - The clubs in the school.
  * @param {Array<Event>} events - The events in the school.
  * @param {Array<Blackboard>} blackboards - The blackboards in the school.
+ * @param {Array<String>} twoFactorAccountTypes - The account types that have to use two-factor authentication. See UserAccountTypes.js.
  * */
 export default class School extends BaseModel {
 
@@ -49,6 +52,22 @@ export default class School extends BaseModel {
         { path: 'blackboards' }
     ];
 
+    // the members and messages of a school are not visible to students
+    static visibility = {
+        _id: [ audiences.PUBLIC ],
+        name: [ audiences.PUBLIC ],
+        grades: [ audiences.PUBLIC ],
+        courses: [ audiences.PUBLIC ],
+        members: [ audiences.TEACHER ],
+        classes: [ audiences.PUBLIC ],
+        messages: [ audiences.ADMIN ],
+        subjects: [ audiences.PUBLIC ],
+        clubs: [ audiences.PUBLIC ],
+        events: [ audiences.PUBLIC ],
+        blackboards: [ audiences.PUBLIC ],
+        twoFactorAccountTypes: [ audiences.TEACHER ]
+    };
+
     /**
      * @description Create a school.
      * @param {String} name - The name of the school.
@@ -61,6 +80,7 @@ export default class School extends BaseModel {
      * @param {Array<String>} clubs - The ids of the clubs in the school.
      * @param {Array<String>} events - The ids of the events in the school.
      * @param {Array<String>} blackboards - The ids of the blackboards in the school.
+     * @param {Array<String>} twoFactorAccountTypes - The account types that have to use two-factor authentication.
      * */
     constructor(
         name,
@@ -72,7 +92,8 @@ export default class School extends BaseModel {
         subjects,
         clubs,
         events,
-        blackboards
+        blackboards,
+        twoFactorAccountTypes
     ) {
         super({
             name,
@@ -84,7 +105,8 @@ export default class School extends BaseModel {
             subjects,
             clubs,
             events,
-            blackboards
+            blackboards,
+            twoFactorAccountTypes
         });
         this.id = null;
         this._name = name;
@@ -97,6 +119,7 @@ export default class School extends BaseModel {
         this._clubs = clubs;
         this._events = events;
         this._blackboards = blackboards;
+        this._twoFactorAccountTypes = twoFactorAccountTypes;
     }
 
     get name() {
@@ -179,6 +202,14 @@ export default class School extends BaseModel {
         this._blackboards = value;
     }
 
+    get twoFactorAccountTypes() {
+        return this._twoFactorAccountTypes;
+    }
+
+    set twoFactorAccountTypes(value) {
+        this._twoFactorAccountTypes = value;
+    }
+
     get _id() {
         return this.id;
     }
@@ -189,7 +220,7 @@ export default class School extends BaseModel {
 
     static getMapPaths() {
         return [
-            { path: 'grades', function: Grade.castToUser },
+            { path: 'grades', function: Grade.castToGrade },
             { path: 'courses', function: Course.castToCourse },
             { path: 'members', function: User.castToUser },
             { path: 'classes', function: Class.castToClass },
@@ -201,13 +232,30 @@ export default class School extends BaseModel {
         ];
     }
 
+    static getCastPaths() {
+        return [];
+    }
+
+    /**
+     * @description Checks if a school of the user requires two-factor authentication for the account type of the user.
+     * The database is queried directly, so a changed policy applies to the next login immediately.
+     * @param {User} user - The user.
+     * @returns {Promise<Boolean>} If the user has to use two-factor authentication.
+     */
+    static async requiresTwoFactor(user) {
+        if (!user?.type) return false;
+
+        const schools = await getDocumentsByRule(this.schema, { members: user._id, twoFactorAccountTypes: user.type });
+        return schools.length > 0;
+    }
+
     /**
      * Casts a plain object to an instance of the school class.
      * @param {Object} school - The plain object to cast.
      * @returns {School} The cast instance of the School class.
      */
     static castToSchool(school) {
-        const { _id, name, grades, courses, members, classes, messages, subjects, clubs, events, blackboards } = school;
+        const { _id, name, grades, courses, members, classes, messages, subjects, clubs, events, blackboards, twoFactorAccountTypes } = school;
         const castSchool = new School(
             name,
             grades,
@@ -218,7 +266,8 @@ export default class School extends BaseModel {
             subjects,
             clubs,
             events,
-            blackboards
+            blackboards,
+            twoFactorAccountTypes
         );
         castSchool._id = _id.toString();
         return castSchool;
@@ -232,45 +281,44 @@ export default class School extends BaseModel {
      */
     static async populateSchool(school) {
         try {
-            school = await school
-                .populate([
-                    {
-                        path: 'grades',
-                        populate: Grade.getPopulationPaths()
-                    },
-                    {
-                        path: 'courses',
-                        populate: Course.getPopulationPaths()
-                    },
-                    {
-                        path: 'members',
-                        populate: User.getPopulationPaths()
-                    },
-                    {
-                        path: 'classes',
-                        populate: Class.getPopulationPaths()
-                    },
-                    {
-                        path: 'messages',
-                        populate: Message.getPopulationPaths()
-                    },
-                    {
-                        path: 'subjects',
-                        populate: Subject.getPopulationPaths()
-                    },
-                    {
-                        path: 'clubs',
-                        populate: Club.getPopulationPaths()
-                    },
-                    {
-                        path: 'events',
-                        populate: Event.getPopulationPaths()
-                    },
-                    {
-                        path: 'blackboards',
-                        populate: Blackboard.getPopulationPaths()
-                    },
-                ]);
+            school = await populateDocument(SchoolSchema, school, [
+                {
+                    path: 'grades',
+                    populate: Grade.getPopulationPaths()
+                },
+                {
+                    path: 'courses',
+                    populate: Course.getPopulationPaths()
+                },
+                {
+                    path: 'members',
+                    populate: User.getPopulationPaths()
+                },
+                {
+                    path: 'classes',
+                    populate: Class.getPopulationPaths()
+                },
+                {
+                    path: 'messages',
+                    populate: Message.getPopulationPaths()
+                },
+                {
+                    path: 'subjects',
+                    populate: Subject.getPopulationPaths()
+                },
+                {
+                    path: 'clubs',
+                    populate: Club.getPopulationPaths()
+                },
+                {
+                    path: 'events',
+                    populate: Event.getPopulationPaths()
+                },
+                {
+                    path: 'blackboards',
+                    populate: Blackboard.getPopulationPaths()
+                },
+            ]);
             school._id = school._id.toString();
 
             let castSchool = this.castToSchool(school);
@@ -298,7 +346,7 @@ export default class School extends BaseModel {
      * @returns {Object} An object representation of the School instance without underscores in the property names.
      */
     toJSON() {
-        const { _id, name, grades, courses, members, classes, messages, subjects, clubs, events, blackboards } = this;
+        const { _id, name, grades, courses, members, classes, messages, subjects, clubs, events, blackboards, twoFactorAccountTypes } = this;
         return {
             _id,
             name,
@@ -310,7 +358,8 @@ export default class School extends BaseModel {
             subjects,
             clubs,
             events,
-            blackboards
+            blackboards,
+            twoFactorAccountTypes
         };
     }
 
@@ -0,0 +1,243 @@
+/**
+ * @file SchoolExport.js - Module exporting all documents of a school into a versioned bundle and restoring it.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * The bundle is a JSON object with the documents of every exported model by model name. Every collection can be
+ * converted to CSV as well. Secrets are never exported: user accounts lose their passwords and two-factor secrets,
+ * sessions, activation codes, login locks, setup accounts and the audit log are left out.
+ * A bundle can be restored into a database that does not contain the school yet. The restored user accounts
+ * get activation codes to set new passwords.
+ */
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { countDocuments, getAllDocuments, getDocumentsByRule, insertDocuments } from "../../../mongoDb/mongoAccess.js";
+import { getAllModels } from "../../../mongoDb/initializeSchemas.js";
+import { runWithTenant } from "../../../mongoDb/tenancy.js";
+import { formatCsv } from "../../../tools/csv.js";
+import UserAccount from "../../users/UserAccount.js";
+import ActivationCode, { activationCodePurposes } from "../../users/ActivationCode.js";
+import logger from "../../../tools/logging/logger.js";
+
+/**
+ * @description The format name and the current version of the bundle. Bundles of newer versions cannot be restored.
+ * */
+export const exportFormat = 'academi-fy-school-export';
+export const exportVersion = 1;
+
+/**
+ * @description The exported models. 'optional' ones are only exported on request.
+ * */
+export const exportedModels = [
+    { name: 'School' },
+    { name: 'Grade' },
+    { name: 'Class' },
+    { name: 'Course' },
+    { name: 'Subject' },
+    { name: 'User' },
+    { name: 'UserAccount' },
+    { name: 'Role' },
+    { name: 'Club' },
+    { name: 'Event' },
+    { name: 'EventTicket' },
+    { name: 'Blackboard' },
+    { name: 'Chat', optional: true },
+    { name: 'Message', optional: true }
+];
+
+/**
+ * @description Gets the schema of a model by its name.
+ * @param {String} name - The name of the model.
+ * @returns {Schema} The schema.
+ * */
+function getSchema(name) {
+    return getAllModels().find(model => model.name === name).schema;
+}
+
+/**
+ * @description Removes the secrets of a user account.
+ * @param {Object} userAccount - The user account document as plain object.
+ * @returns {Object} The user account without password and two-factor authentication.
+ * */
+function removeSecrets(userAccount) {
+    const { password, twoFactor, ...rest } = userAccount;
+    return rest;
+}
+
+/**
+ * @description Converts a value of a document into a CSV field.
+ * Ids and dates are written as strings, lists are separated by spaces, other objects are written as JSON.
+ * @param {*} value - The value.
+ * @returns {String} The field.
+ * */
+function toField(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(item => typeof item === 'object' && !(item instanceof mongoose.Types.ObjectId) ? JSON.stringify(item) : String(item)).join(' ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * @description Class exporting and restoring schools.
+ * */
+export default class SchoolExport {
+
+    /**
+     * @description Exports all documents of a school.
+     * @param {String} schoolId - The _id of the school.
+     * @param {Object} options - The options of the export.
+     * @param {Boolean} options.includeMessages - If chats and messages are exported.
+     * @param {Array<String>} options.models - Optional: The names of the models to export. The school is always exported.
+     * @return {Promise<Object>} The bundle: format, version, date of the export, the school and the documents by model name.
+     * @throws {Error} When the school does not exist.
+     */
+    static async exportSchool(schoolId, { includeMessages = false, models = null } = {}) {
+        return await runWithTenant(schoolId, async () => {
+            const collections = {};
+
+            for (const { name, optional } of exportedModels) {
+                if (optional && !includeMessages) continue;
+                if (models && name !== 'School' && !models.includes(name)) continue;
+
+                const documents = await getAllDocuments(getSchema(name));
+                collections[name] = documents.map(document => {
+                    const plain = JSON.parse(JSON.stringify(document.toObject ? document.toObject() : document));
+                    delete plain.__v;
+                    return name === 'UserAccount' ? removeSecrets(plain) : plain;
+                });
+            }
+
+            if (collections.School.length === 0) throw new Error(`School '${ schoolId }' does not exist`);
+
+            logger.database.info(`Exported school '${ schoolId }': ${ Object.entries(collections).map(([ name, documents ]) => `${ documents.length } ${ name }`).join(', ') }`);
+
+            return {
+                format: exportFormat,
+                version: exportVersion,
+                exportedAt: new Date(),
+                school: schoolId,
+                includesMessages: includeMessages,
+                collections: collections
+            };
+        });
+    }
+
+    /**
+     * @description Converts a collection of a bundle to CSV. The columns are the properties of the documents.
+     * @param {Object} bundle - The bundle. See exportSchool.
+     * @param {String} name - The name of the model.
+     * @return {String|null} The CSV text or null if the bundle does not contain the collection.
+     */
+    static collectionToCsv(bundle, name) {
+        const documents = bundle.collections[name];
+        if (!documents) return null;
+
+        const header = [ '_id' ];
+        for (const document of documents) {
+            for (const key of Object.keys(document)) {
+                if (!header.includes(key)) header.push(key);
+            }
+        }
+
+        return formatCsv(header, documents.map(document => Object.fromEntries(header.map(key => [ key, toField(document[key]) ]))));
+    }
+
+    /**
+     * @description Checks that a bundle can be restored: the format and version are supported and none of its documents exist.
+     * @param {Object} bundle - The bundle. See exportSchool.
+     * @return {Promise<Array<String>>} The problems. Empty if the bundle can be restored.
+     */
+    static async checkBundle(bundle) {
+        if (bundle?.format !== exportFormat) return [ `Not a school export, format must be '${ exportFormat }'.` ];
+        if (!Number.isInteger(bundle.version) || bundle.version > exportVersion) {
+            return [ `Export version ${ bundle.version } is not supported, the latest version is ${ exportVersion }.` ];
+        }
+        if (!bundle.collections?.School?.length) return [ 'Export does not contain a school.' ];
+
+        const problems = [];
+        return await runWithTenant(undefined, async () => {
+            for (const [ name, documents ] of Object.entries(bundle.collections)) {
+                if (!exportedModels.some(model => model.name === name)) {
+                    problems.push(`Model '${ name }' cannot be restored.`);
+                    continue;
+                }
+
+                // shared roles like the default roles exist in every database, see restoreSchool
+                const ids = documents.filter(document => name !== 'Role' || document.school).map(document => document._id);
+                const existing = await countDocuments(getSchema(name), { _id: { $in: ids } });
+                if (existing > 0) problems.push(`${ existing } ${ name } document(s) of the export already exist.`);
+            }
+            return problems;
+        });
+    }
+
+    /**
+     * @description Restores a bundle. The documents keep their ids, their school and their timestamps.
+     * Shared roles (without school) are only created if no role of the same account type exists, references to them are redirected.
+     * Every user account gets a random password and an activation code.
+     * @param {Object} bundle - The bundle. See exportSchool.
+     * @param {Object} options - The options of the restore.
+     * @param {String} options.createdBy - The id of the user restoring, saved with the activation codes.
+     * @return {Promise<{ restored: Object<String, Number>, activationCodes: Array<Object> }>}
+     * The number of restored documents by model name and the activation codes of the user accounts.
+     * @throws {Error} When the bundle cannot be restored. See checkBundle.
+     */
+    static async restoreSchool(bundle, { createdBy = null } = {}) {
+        const problems = await SchoolExport.checkBundle(bundle);
+        if (problems.length > 0) throw new Error(`Export cannot be restored:\n${ problems.join('\n') }`);
+
+        const schoolId = bundle.collections.School[0]._id;
+        const restored = {};
+
+        // restored outside of the school, so the documents keep their school, see tenancy.js
+        await runWithTenant(undefined, async () => {
+            const roleIds = new Map();
+            const roles = [];
+            for (const role of bundle.collections.Role ?? []) {
+                const shared = role.school ? null : (await getDocumentsByRule(getSchema('Role'),
+                    role.accountType ? { accountType: role.accountType, school: null } : { _id: role._id }
+                ))[0];
+                if (shared) roleIds.set(role._id, shared._id.toString());
+                else roles.push(role);
+            }
+
+            for (const [ name, documents ] of Object.entries(bundle.collections)) {
+                let restoredDocuments = name === 'Role' ? roles : documents;
+
+                if (name === 'UserAccount') {
+                    const withPasswords = [];
+                    for (const userAccount of restoredDocuments) {
+                        // the password is random and unknown, the user sets a new one with the activation code
+                        const { password } = await UserAccount.prepareDocument({ password: crypto.randomBytes(32).toString('base64url') });
+                        withPasswords.push({
+                            ...userAccount,
+                            password: password,
+                            roles: (userAccount.roles ?? []).map(role => roleIds.get(role) ?? role)
+                        });
+                    }
+                    restoredDocuments = withPasswords;
+                }
+
+                restored[name] = restoredDocuments.length;
+                if (restoredDocuments.length === 0) continue;
+
+                // inserted as they are, so ids, schools and timestamps are kept
+                await insertDocuments(getSchema(name), restoredDocuments);
+            }
+        });
+
+        const activationCodes = await runWithTenant(schoolId, async () => {
+            const userAccounts = (bundle.collections.UserAccount ?? []).map(({ _id, username }) => ({ _id, username }));
+            return userAccounts.length > 0
+                ? await ActivationCode.generateCodes(userAccounts, activationCodePurposes.ACTIVATION, createdBy)
+                : [];
+        });
+
+        logger.database.info(`Restored school '${ schoolId }': ${ Object.entries(restored).map(([ name, count ]) => `${ count } ${ name }`).join(', ') }`);
+
+        return { restored: restored, activationCodes: activationCodes };
+    }
+
+}
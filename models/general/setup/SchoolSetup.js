@@ -0,0 +1,536 @@
+/**
+ * @file SchoolSetup.js - Module for the stepwise onboarding of a new school, driven by its setup account.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * A setup account is created with a single-use setup code (see tools/createSetupAccount.js).
+ * With the code the school goes through the steps in setupSteps: school → grades → classes → subjects → first admin.
+ * The next step is saved in the setup account, so an interrupted onboarding can be resumed.
+ * Every step sets its documents completely, so it can be repeated, e.g. after a failed request. Repeating a step
+ * resets the onboarding to the step after it. The references of the school are checked before the onboarding is completed.
+ */
+import crypto from "crypto";
+import { Mutex } from "async-mutex";
+import { getDocument, getDocumentsByRule } from "../../../mongoDb/mongoAccess.js";
+import { runWithTenant } from "../../../mongoDb/tenancy.js";
+import SetupAccountSchema from "../../../mongoDb/schemas/general/setup/SetupAccountSchema.js";
+import SchoolSchema from "../../../mongoDb/schemas/general/setup/SchoolSchema.js";
+import GradeSchema from "../../../mongoDb/schemas/general/GradeSchema.js";
+import ClassSchema from "../../../mongoDb/schemas/general/ClassSchema.js";
+import SubjectSchema from "../../../mongoDb/schemas/general/SubjectSchema.js";
+import UserSchema from "../../../mongoDb/schemas/user/UserSchema.js";
+import UserAccountSchema from "../../../mongoDb/schemas/user/UserAccountSchema.js";
+import DatabaseError from "../../../httpServer/errors/DatabaseError.js";
+import SetupError from "../../../httpServer/errors/SetupError.js";
+import errors from "../../../errors.js";
+import { createRecorded, deleteRecorded, updateRecorded } from "../../recordedAccess.js";
+import SetupAccount from "./SetupAccount.js";
+import School from "./School.js";
+import Grade from "../Grade.js";
+import Class from "../Class.js";
+import Subject from "../Subject.js";
+import User from "../../users/User.js";
+import UserAccount from "../../users/UserAccount.js";
+import UserAccountTypes from "../../users/UserAccountTypes.js";
+import UserAccountSettings from "../../users/UserAccountSettings.js";
+import ActivationCode, { activationCodePurposes } from "../../users/ActivationCode.js";
+import defaultSubjects from "./defaultSubjects.js";
+import logger from "../../../tools/logging/logger.js";
+
+/**
+ * @description The steps of the onboarding in their order. COMPLETED is reached after the last step.
+ * */
+export const setupSteps = {
+    SCHOOL: 'SCHOOL',
+    GRADES: 'GRADES',
+    CLASSES: 'CLASSES',
+    SUBJECTS: 'SUBJECTS',
+    ADMIN: 'ADMIN',
+    COMPLETED: 'COMPLETED'
+};
+
+const stepOrder = Object.values(setupSteps);
+
+// characters of a setup code, without characters that are easily confused when printed (0/O, 1/I/L)
+const codeAlphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const codeGroups = 4;
+const codeGroupLength = 4;
+
+// the steps of all setup accounts run one after another, so a repeated request cannot interleave with the first one
+const setupMutex = new Mutex();
+
+/**
+ * @description Generates a random setup code like 'K7PX-3MQA-Z9RT-W4HN'.
+ * @returns {String} The setup code.
+ * */
+function generateCode() {
+    const groups = [];
+    for (let i = 0; i < codeGroups; i++) {
+        let group = '';
+        for (let j = 0; j < codeGroupLength; j++) {
+            group += codeAlphabet[crypto.randomInt(codeAlphabet.length)];
+        }
+        groups.push(group);
+    }
+    return groups.join('-');
+}
+
+/**
+ * @description Hashes a setup code. Case and dashes do not matter.
+ * @param {String} code - The setup code.
+ * @returns {String} The hex encoded SHA-256 hash.
+ * */
+function hashCode(code) {
+    const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * @description Converts a list of ids to strings, so they can be compared.
+ * @param {Array<ObjectId|String>} ids - The ids.
+ * @returns {Array<String>} The ids as strings.
+ * */
+function toIds(ids) {
+    return (ids ?? []).map(id => id.toString());
+}
+
+/**
+ * @description Class managing the onboarding of new schools.
+ * */
+export default class SchoolSetup {
+
+    /**
+     * @description Creates a setup account for a new school.
+     * @param {String} schoolName - The name of the new school.
+     * @return {Promise<{ setupAccount: SetupAccount, code: String }>} The setup account and its setup code.
+     * This is the only place the code appears in plain text.
+     * @throws {DatabaseError} When the setup account could not be saved.
+     */
+    static async createSetupAccount(schoolName) {
+        const code = generateCode();
+        const created = await createRecorded(SetupAccountSchema, 'SetupAccount', {
+            schoolName: schoolName,
+            school: null,
+            step: setupSteps.SCHOOL,
+            codeHash: hashCode(code)
+        });
+
+        return { setupAccount: SetupAccount.castToSetupAccount(created), code: code };
+    }
+
+    /**
+     * @description Gets the setup account of a setup code.
+     * @param {String} code - The setup code.
+     * @return {Promise<SetupAccount|null>} The setup account or null if the code is unknown or the onboarding is completed.
+     */
+    static async getSetupAccountByCode(code) {
+        if (!code) return null;
+
+        const documents = await getDocumentsByRule(SetupAccountSchema, { codeHash: hashCode(code), completedAt: null });
+        return documents.length > 0 ? SetupAccount.castToSetupAccount(documents[0]) : null;
+    }
+
+    /**
+     * @description Gets the progress of an onboarding.
+     * @param {String} setupAccountId - The _id of the setup account.
+     * @return {Promise<{ setupAccount: SetupAccount, steps: Array<String>, problems: Array<String> }>}
+     * The setup account with the next step, all steps and the inconsistencies of the school found so far.
+     */
+    static async getProgress(setupAccountId) {
+        const document = await SchoolSetup.getSetupAccountDocument(setupAccountId);
+        const problems = document.school
+            ? await SchoolSetup.validateSchool(document.school.toString(), { requireAdmin: false })
+            : [];
+
+        return {
+            setupAccount: SetupAccount.castToSetupAccount(document),
+            steps: stepOrder,
+            problems: problems
+        };
+    }
+
+    /**
+     * @description Gets the document of a setup account.
+     * @param {String} setupAccountId - The _id of the setup account.
+     * @return {Promise<Object>} The document.
+     * @throws {DatabaseError} When the setup account does not exist.
+     */
+    static async getSetupAccountDocument(setupAccountId) {
+        const document = await getDocument(SetupAccountSchema, setupAccountId);
+        if (!document) throw new DatabaseError(`Failed to fetch setup account with _id '${ setupAccountId }' from database`);
+        return document;
+    }
+
+    /**
+     * @description Runs a step of an onboarding within the school of the setup account and moves the onboarding to the next step.
+     * @param {String} setupAccountId - The _id of the setup account.
+     * @param {String} step - The step. See setupSteps.
+     * @param {Function} action - The function doing the step. It is called with the setup account document and returns the result of the step.
+     * @return {Promise<{ setupAccount: SetupAccount, result: * }>} The updated setup account and the result of the step.
+     * @throws {SetupError} When the onboarding is completed or a step before this one is missing.
+     */
+    static async runStep(setupAccountId, step, action) {
+        const release = await setupMutex.acquire();
+        try {
+            const document = await SchoolSetup.getSetupAccountDocument(setupAccountId);
+
+            if (document.completedAt) {
+                throw new SetupError('The setup is already completed.', errors.server.setup.step);
+            }
+            if (stepOrder.indexOf(step) > stepOrder.indexOf(document.step)) {
+                throw new SetupError(`Step '${ step }' cannot be done before step '${ document.step }'.`, errors.server.setup.step);
+            }
+
+            const school = document.school ? document.school.toString() : undefined;
+            const result = await runWithTenant(school, () => action(document));
+
+            // the action might have assigned the school or completed the setup
+            const current = await SchoolSetup.getSetupAccountDocument(setupAccountId);
+            const nextStep = stepOrder[stepOrder.indexOf(step) + 1];
+            const updated = current.step === nextStep
+                ? current
+                : await updateRecorded(SetupAccountSchema, 'SetupAccount', current, { step: nextStep });
+
+            logger.server.info(`Setup account '${ setupAccountId }' finished step '${ step }', next step: '${ nextStep }'`);
+
+            return { setupAccount: SetupAccount.castToSetupAccount(updated), result: result };
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * @description Step SCHOOL: Creates the school of the setup account. Repeating the step updates the school instead.
+     * @param {String} setupAccountId - The _id of the setup account.
+     * @param {Object} school - The properties of the school.
+     * @param {String} school.name - The name of the school. The school name of the setup account if not given.
+     * @param {Array<String>} school.twoFactorAccountTypes - The account types that have to use two-factor authentication.
+     * @return {Promise<{ setupAccount: SetupAccount, result: Object }>} The setup account and the school document.
+     */
+    static async createSchool(setupAccountId, { name, twoFactorAccountTypes = [] } = {}) {
+        for (const accountType of twoFactorAccountTypes) {
+            if (!Object.values(UserAccountTypes).includes(accountType)) {
+                throw new SetupError(`Account type does not exist: ${ accountType }`, errors.server.setup.inconsistent);
+            }
+        }
+
+        return await SchoolSetup.runStep(setupAccountId, setupSteps.SCHOOL, async document => {
+            const properties = {
+                name: name ?? document.schoolName,
+                twoFactorAccountTypes: twoFactorAccountTypes
+            };
+
+            if (document.school) {
+                const school = await getDocument(SchoolSchema, document.school);
+                return await updateRecorded(SchoolSchema, 'School', school, properties);
+            }
+
+            const school = await createRecorded(SchoolSchema, 'School', properties);
+            await updateRecorded(SetupAccountSchema, 'SetupAccount', document, { school: school._id });
+
+            return school;
+        });
+    }
+
+    /**
+     * @description Step GRADES: Sets the grade levels of the school. Missing grades are created,
+     * grades (and their classes) that are not listed anymore are deleted.
+     * @param {String} setupAccountId - The _id of the setup account.
+     * @param {Array<Number>} levels - The grade levels, e.g. [ 5, 6, 7, 8, 9, 10, 11, 12 ].
+     * @return {Promise<{ setupAccount: SetupAccount, result: Array<Object> }>} The setup account and the grade documents.
+     */
+    static async defineGrades(setupAccountId, levels) {
+        if (!Array.isArray(levels) || levels.length === 0 || !levels.every(level => Number.isInteger(level) && level > 0)) {
+            throw new SetupError('Grade levels must be a list of positive integers.', errors.server.setup.inconsistent);
+        }
+        if (new Set(levels).size !== levels.length) {
+            throw new SetupError('Grade levels must be unique.', errors.server.setup.inconsistent);
+        }
+
+        return await SchoolSetup.runStep(setupAccountId, setupSteps.GRADES, async document => {
+            const existing = await getDocumentsByRule(GradeSchema, {});
+
+            for (const grade of existing.filter(grade => !levels.includes(grade.level))) {
+                for (const schoolClass of await getDocumentsByRule(ClassSchema, { grade: grade._id })) {
+                    await deleteRecorded(ClassSchema, 'Class', schoolClass);
+                }
+                await deleteRecorded(GradeSchema, 'Grade', grade);
+            }
+
+            const grades = [];
+            for (const level of [ ...levels ].sort((a, b) => a - b)) {
+                const grade = existing.find(grade => grade.level === level);
+                grades.push(grade ?? await createRecorded(GradeSchema, 'Grade', { level: level, classes: [] }));
+            }
+
+            const classes = await getDocumentsByRule(ClassSchema, {});
+            const school = await getDocument(SchoolSchema, document.school);
+            await updateRecorded(SchoolSchema, 'School', school, {
+                grades: grades.map(grade => grade._id),
+                classes: classes.map(schoolClass => schoolClass._id)
+            });
+
+            return grades;
+        });
+    }
+
+    /**
+     * @description Step CLASSES: Generates the classes of every grade, e.g. 5a–5d. Classes that are not listed anymore are deleted.
+     * @param {String} setupAccountId - The _id of the setup account.
+     * @param {Array<String>|Object<String, Array<String>>} classes - The suffixes of the classes of every grade, e.g. [ 'a', 'b', 'c', 'd' ],
+     * or the suffixes by grade level, e.g. { 5: [ 'a', 'b' ], 6: [ 'a', 'b', 'c' ] }.
+     * @return {Promise<{ setupAccount: SetupAccount, result: Array<Object> }>} The setup account and the class documents.
+     */
+    static async generateClasses(setupAccountId, classes) {
+        const isSuffixList = suffixes => Array.isArray(suffixes)
+            && suffixes.every(suffix => typeof suffix === 'string' && suffix.trim().length > 0)
+            && new Set(suffixes).size === suffixes.length;
+
+        const validInput = Array.isArray(classes)
+            ? isSuffixList(classes)
+            : classes !== null && typeof classes === 'object' && Object.values(classes).every(isSuffixList);
+        if (!validInput) {
+            throw new SetupError('Classes must be a list of unique suffixes or lists of unique suffixes by grade level.', errors.server.setup.inconsistent);
+        }
+
+        return await SchoolSetup.runStep(setupAccountId, setupSteps.CLASSES, async document => {
+            const grades = await getDocumentsByRule(GradeSchema, {});
+            const existing = await getDocumentsByRule(ClassSchema, {});
+
+            if (!Array.isArray(classes)) {
+                const unknownLevels = Object.keys(classes).filter(level => !grades.some(grade => String(grade.level) === level));
+                if (unknownLevels.length > 0) {
+                    throw new SetupError(`Grade levels do not exist: ${ unknownLevels.join(', ') }`, errors.server.setup.inconsistent);
+                }
+            }
+
+            const created = [];
+            for (const grade of grades) {
+                const suffixes = Array.isArray(classes) ? classes : classes[grade.level] ?? [];
+                const specifiedGrades = suffixes.map(suffix => `${ grade.level }${ suffix.trim() }`);
+
+                const gradeClasses = existing.filter(schoolClass => schoolClass.grade?.toString() === grade._id.toString());
+                for (const schoolClass of gradeClasses.filter(schoolClass => !specifiedGrades.includes(schoolClass.specifiedGrade))) {
+                    await deleteRecorded(ClassSchema, 'Class', schoolClass);
+                }
+
+                const classIds = [];
+                for (const specifiedGrade of specifiedGrades) {
+                    const schoolClass = gradeClasses.find(schoolClass => schoolClass.specifiedGrade === specifiedGrade)
+                        ?? await createRecorded(ClassSchema, 'Class', {
+                            grade: grade._id,
+                            courses: [],
+                            members: [],
+                            specifiedGrade: specifiedGrade
+                        });
+                    classIds.push(schoolClass._id);
+                    created.push(schoolClass);
+                }
+
+                await updateRecorded(GradeSchema, 'Grade', grade, { classes: classIds });
+            }
+
+            const school = await getDocument(SchoolSchema, document.school);
+            await updateRecorded(SchoolSchema, 'School', school, { classes: created.map(schoolClass => schoolClass._id) });
+
+            return created;
+        });
+    }
+
+    /**
+     * @description Step SUBJECTS: Imports the subject catalog of the school. Subjects that are not listed anymore are deleted.
+     * @param {String} setupAccountId - The _id of the setup account.
+     * @param {Array<{ type: String, shortName: String }>} subjects - The subjects. The default catalog if not given, see defaultSubjects.js.
+     * @return {Promise<{ setupAccount: SetupAccount, result: Array<Object> }>} The setup account and the subject documents.
+     */
+    static async importSubjects(setupAccountId, subjects = defaultSubjects) {
+        const valid = Array.isArray(subjects) && subjects.length > 0
+            && subjects.every(subject => typeof subject?.type === 'string' && subject.type.trim()
+                && typeof subject.shortName === 'string' && subject.shortName.trim());
+        if (!valid) {
+            throw new SetupError('Subjects must be a list of objects with type and shortName.', errors.server.setup.inconsistent);
+        }
+        if (new Set(subjects.map(subject => subject.type)).size !== subjects.length
+            || new Set(subjects.map(subject => subject.shortName)).size !== subjects.length) {
+            throw new SetupError('Subject types and short names must be unique.', errors.server.setup.inconsistent);
+        }
+
+        return await SchoolSetup.runStep(setupAccountId, setupSteps.SUBJECTS, async document => {
+            const existing = await getDocumentsByRule(SubjectSchema, {});
+            const isListed = subject => subjects.some(({ type, shortName }) => subject.type === type && subject.shortName === shortName);
+
+            for (const subject of existing.filter(subject => !isListed(subject))) {
+                await deleteRecorded(SubjectSchema, 'Subject', subject);
+            }
+
+            const imported = [];
+            for (const { type, shortName } of subjects) {
+                const subject = existing.find(subject => subject.type === type && subject.shortName === shortName)
+                    ?? await createRecorded(SubjectSchema, 'Subject', { type: type, shortName: shortName, courses: [] });
+                imported.push(subject);
+            }
+
+            const school = await getDocument(SchoolSchema, document.school);
+            await updateRecorded(SchoolSchema, 'School', school, { subjects: imported.map(subject => subject._id) });
+
+            return imported;
+        });
+    }
+
+    /**
+     * @description Step ADMIN: Creates the first admin of the school and completes the onboarding.
+     * The admin gets an activation code to set a password, see /api/auth/activate. The setup code becomes invalid.
+     * Repeating the step for an admin that was already created issues a new activation code.
+     * @param {String} setupAccountId - The _id of the setup account.
+     * @param {Object} admin - The admin.
+     * @param {String} admin.firstName - The first name of the admin.
+     * @param {String} admin.lastName - The last name of the admin.
+     * @param {String} admin.avatar - The avatar of the admin.
+     * @param {String} admin.username - The username of the user account of the admin.
+     * @return {Promise<{ setupAccount: SetupAccount, result: { school: School, userAccount: UserAccount, activationCode: Object } }>}
+     * The completed setup account, the finished school, the user account of the admin and its activation code.
+     * @throws {SetupError} When the username is taken or the school is inconsistent.
+     */
+    static async createAdmin(setupAccountId, { firstName, lastName, avatar, username }) {
+        return await SchoolSetup.runStep(setupAccountId, setupSteps.ADMIN, async document => {
+            const schoolId = document.school.toString();
+
+            const problems = await SchoolSetup.validateSchool(schoolId, { requireAdmin: false });
+            if (problems.length > 0) {
+                throw new SetupError('The school is inconsistent.', errors.server.setup.inconsistent, problems);
+            }
+
+            let userAccountDocument = (await getDocumentsByRule(UserAccountSchema, { username: username }))[0];
+            if (!userAccountDocument) {
+                // usernames are unique across all schools, see the login in authRoutes.js
+                const taken = await runWithTenant(undefined, () => getDocumentsByRule(UserAccountSchema, { username: username }));
+                if (taken.length > 0) {
+                    throw new SetupError(`Username '${ username }' is already taken.`, errors.server.setup.inconsistent);
+                }
+
+                const user = await createRecorded(UserSchema, 'User', {
+                    firstName: firstName,
+                    lastName: lastName,
+                    avatar: avatar,
+                    type: UserAccountTypes.ADMIN,
+                    classes: [],
+                    extraCourses: [],
+                    blackboards: [],
+                    clubs: [],
+                    chats: []
+                });
+
+                // the password is random and unknown, the admin sets one with the activation code
+                const created = await UserAccount.createUserAccount({
+                    user: user._id,
+                    username: username,
+                    password: crypto.randomBytes(32).toString('base64url'),
+                    settings: Object.fromEntries(Object.values(UserAccountSettings).map(setting => [ setting.name, setting.defaultValue ])),
+                    permissions: [],
+                    roles: [],
+                    deniedPermissions: []
+                });
+                userAccountDocument = await getDocument(UserAccountSchema, created._id);
+            }
+
+            const school = await getDocument(SchoolSchema, schoolId);
+            if (!toIds(school.members).includes(userAccountDocument.user.toString())) {
+                await updateRecorded(SchoolSchema, 'School', school, { members: [ ...school.members, userAccountDocument.user ] });
+            }
+
+            const adminProblems = await SchoolSetup.validateSchool(schoolId, { requireAdmin: true });
+            if (adminProblems.length > 0) {
+                throw new SetupError('The school is inconsistent.', errors.server.setup.inconsistent, adminProblems);
+            }
+
+            // the documents were written directly, the cached ones are outdated
+            for (const model of [ School, Grade, Class, Subject, User ]) {
+                await model.clearCache();
+            }
+
+            // read back like every other request will, so a school the models cannot load fails the step
+            const finishedSchool = await School.getById(schoolId);
+
+            const userAccount = await UserAccount.getUserAccountById(userAccountDocument._id);
+            const [ activationCode ] = await ActivationCode.generateCodes([ userAccount ], activationCodePurposes.ACTIVATION, null);
+
+            await updateRecorded(SetupAccountSchema, 'SetupAccount', document, {
+                step: setupSteps.COMPLETED,
+                codeHash: null,
+                completedAt: new Date()
+            });
+
+            return { school: finishedSchool, userAccount: userAccount, activationCode: activationCode };
+        });
+    }
+
+    /**
+     * @description Checks that the school document and the documents it references are consistent.
+     * @param {String} schoolId - The _id of the school.
+     * @param {Object} options - The options of the check.
+     * @param {Boolean} options.requireAdmin - If the school has to have an admin among its members.
+     * @return {Promise<Array<String>>} The problems found. Empty if the school is consistent.
+     */
+    static async validateSchool(schoolId, { requireAdmin = true } = {}) {
+        return await runWithTenant(schoolId, async () => {
+            const school = await getDocument(SchoolSchema, schoolId);
+            if (!school) return [ `School '${ schoolId }' does not exist.` ];
+
+            const problems = [];
+
+            const grades = await getDocumentsByRule(GradeSchema, {});
+            const classes = await getDocumentsByRule(ClassSchema, {});
+            const subjects = await getDocumentsByRule(SubjectSchema, {});
+
+            const gradeIds = toIds(grades.map(grade => grade._id));
+            const classIds = toIds(classes.map(schoolClass => schoolClass._id));
+            const subjectIds = toIds(subjects.map(subject => subject._id));
+
+            const compare = (name, referenced, existing) => {
+                for (const id of referenced.filter(id => !existing.includes(id))) {
+                    problems.push(`School references ${ name } '${ id }' which does not exist.`);
+                }
+                for (const id of existing.filter(id => !referenced.includes(id))) {
+                    problems.push(`${ name } '${ id }' is not referenced by the school.`);
+                }
+            };
+            compare('Grade', toIds(school.grades), gradeIds);
+            compare('Class', toIds(school.classes), classIds);
+            compare('Subject', toIds(school.subjects), subjectIds);
+
+            for (const grade of grades) {
+                const gradeClassIds = toIds(grade.classes);
+                if (gradeClassIds.length === 0) problems.push(`Grade ${ grade.level } has no classes.`);
+
+                for (const id of gradeClassIds) {
+                    const schoolClass = classes.find(schoolClass => schoolClass._id.toString() === id);
+                    if (!schoolClass) problems.push(`Grade ${ grade.level } references class '${ id }' which does not exist.`);
+                    else if (schoolClass.grade?.toString() !== grade._id.toString()) {
+                        problems.push(`Class ${ schoolClass.specifiedGrade } is listed in grade ${ grade.level } but references another grade.`);
+                    }
+                }
+            }
+
+            for (const schoolClass of classes) {
+                const grade = grades.find(grade => grade._id.toString() === schoolClass.grade?.toString());
+                if (!grade) problems.push(`Class ${ schoolClass.specifiedGrade } references a grade which does not exist.`);
+                else if (!toIds(grade.classes).includes(schoolClass._id.toString())) {
+                    problems.push(`Class ${ schoolClass.specifiedGrade } is missing in the classes of grade ${ grade.level }.`);
+                }
+
+                if (classes.filter(other => other.specifiedGrade === schoolClass.specifiedGrade).length > 1) {
+                    problems.push(`Class ${ schoolClass.specifiedGrade } exists more than once.`);
+                }
+            }
+
+            if (requireAdmin) {
+                const members = await getDocumentsByRule(UserSchema, { _id: { $in: school.members } });
+                if (members.length !== school.members.length) problems.push('School references members which do not exist.');
+                if (!members.some(member => member.type === UserAccountTypes.ADMIN)) problems.push('School has no admin.');
+            }
+
+            return [ ...new Set(problems) ];
+        });
+    }
+
+}
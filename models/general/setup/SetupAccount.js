@@ -8,12 +8,15 @@ import BaseModel from "../../BaseModel.js";
 import DatabaseError from "../../../httpServer/errors/DatabaseError.js";
 import School from "./School.js";
 import SetupAccountSchema from "../../../mongoDb/schemas/general/setup/SetupAccountSchema.js";
+import { populateDocument } from "../../../mongoDb/mongoAccess.js";
 
 /**
  * @description The setup account model.
  * @param {String} _id - The _id of the setup account.
  * @param {String} schoolName - The name of the school of the setup account.
  * @param {School} school - The school of the setup account. Assigned once the school is created.
+ * @param {String} step - The next step of the onboarding. See SchoolSetup.js.
+ * @param {Date} completedAt - The date the onboarding was completed. Null while it is running.
  * */
 export default class SetupAccount extends BaseModel {
 
@@ -21,29 +24,35 @@ export default class SetupAccount extends BaseModel {
     static schema = SetupAccountSchema;
     static cacheKey = 'setupAccounts';
     static expirationTime = 15; // time in minutes after which the cache expires
+    static cacheIndexes = [ 'step' ]; // fields indexed in the cache
     static populationPaths = [
         { path: 'school' }
     ];
-    static castPaths = [
-        { path: 'school', function: School.castToUser }
-    ];
 
     /**
      * @description Create a setup account.
      * @param {String} schoolName - The name of the school of the setup account.
      * @param {School} school - The school of the setup account. Assigned once the school is created.
+     * @param {String} step - The next step of the onboarding.
+     * @param {Date} completedAt - The date the onboarding was completed.
      */
     constructor(
         schoolName,
-        school
+        school,
+        step,
+        completedAt
     ) {
         super({
             schoolName,
-            school
+            school,
+            step,
+            completedAt
         });
         this.id = null;
         this._schoolName = schoolName;
         this._school = school;
+        this._step = step;
+        this._completedAt = completedAt ?? null;
     }
 
     get schoolName() {
@@ -62,6 +71,22 @@ export default class SetupAccount extends BaseModel {
         this._school = value;
     }
 
+    get step() {
+        return this._step;
+    }
+
+    set step(value) {
+        this._step = value;
+    }
+
+    get completedAt() {
+        return this._completedAt;
+    }
+
+    set completedAt(value) {
+        this._completedAt = value;
+    }
+
     get _id() {
         return this.id;
     }
@@ -70,16 +95,28 @@ export default class SetupAccount extends BaseModel {
         this.id = value;
     }
 
+    static getMapPaths() {
+        return [];
+    }
+
+    static getCastPaths() {
+        return [
+            { path: 'school', function: School.castToSchool }
+        ];
+    }
+
     /**
      * Casts a plain object to an instance of the setup account class.
      * @param {Object} setupAccount - The plain object to cast.
      * @returns {SetupAccount} The cast instance of the School class.
      */
     static castToSetupAccount(setupAccount) {
-        const { _id, schoolName, school } = setupAccount;
+        const { _id, schoolName, school, step, completedAt } = setupAccount;
         const castSetupAccount = new SetupAccount(
             schoolName,
-            school
+            school,
+            step,
+            completedAt
         );
         castSetupAccount._id = _id.toString();
         return castSetupAccount;
@@ -93,13 +130,12 @@ export default class SetupAccount extends BaseModel {
      */
     static async populateSetupAccount(setupAccount) {
         try {
-            setupAccount = await setupAccount
-                .populate([
-                    {
-                        path: 'school',
-                        populate: School.getPopulationPaths()
-                    }
-                ]);
+            setupAccount = await populateDocument(SetupAccountSchema, setupAccount, [
+                {
+                    path: 'school',
+                    populate: School.getPopulationPaths()
+                }
+            ]);
             setupAccount._id = setupAccount._id.toString();
 
             let castSetupAccount = this.castToSetupAccount(setupAccount);
@@ -126,11 +162,13 @@ export default class SetupAccount extends BaseModel {
      * @returns {Object} An object representation of the SetupAccount instance without underscores in the property names.
      */
     toJSON() {
-        const { _id, schoolName, school } = this;
+        const { _id, schoolName, school, step, completedAt } = this;
         return {
             _id,
             schoolName,
-            school
+            school,
+            step,
+            completedAt
         };
     }
 
@@ -0,0 +1,29 @@
+/**
+ * @file defaultSubjects.js - List of the subjects a school is set up with if it does not import its own catalog.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+
+/**
+ * @description The default subject catalog. See SchoolSetup.importSubjects.
+ * */
+export default [
+    { type: 'Deutsch', shortName: 'D' },
+    { type: 'Mathematik', shortName: 'M' },
+    { type: 'Englisch', shortName: 'E' },
+    { type: 'Französisch', shortName: 'F' },
+    { type: 'Latein', shortName: 'L' },
+    { type: 'Spanisch', shortName: 'S' },
+    { type: 'Biologie', shortName: 'BIO' },
+    { type: 'Chemie', shortName: 'CH' },
+    { type: 'Physik', shortName: 'PH' },
+    { type: 'Informatik', shortName: 'INF' },
+    { type: 'Geschichte', shortName: 'G' },
+    { type: 'Geographie', shortName: 'EK' },
+    { type: 'Politik', shortName: 'PO' },
+    { type: 'Religion', shortName: 'REL' },
+    { type: 'Ethik', shortName: 'ETH' },
+    { type: 'Kunst', shortName: 'KU' },
+    { type: 'Musik', shortName: 'MU' },
+    { type: 'Sport', shortName: 'SP' }
+];
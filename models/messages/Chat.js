@@ -6,10 +6,12 @@
 import BaseModel from "../BaseModel.js";
 import DatabaseError from "../../httpServer/errors/DatabaseError.js";
 import ChatSchema from "../../mongoDb/schemas/general/ChatSchema.js";
+import { populateDocument } from "../../mongoDb/mongoAccess.js";
 import Course from "../general/Course.js";
 import Club from "../clubs/Club.js";
 import User from "../users/User.js";
 import Message from "./Message.js";
+import { audiences } from "../visibility.js";
 
 /**
  * @description Class representing a Chat.
@@ -34,6 +36,18 @@ export default class Chat extends BaseModel {
         { path: 'clubs' }
     ];
 
+    // only the targets of a chat can see who takes part in it and what is written
+    static visibility = {
+        _id: [ audiences.PUBLIC ],
+        type: [ audiences.PUBLIC ],
+        targets: [ audiences.SELF ],
+        courses: [ audiences.SELF ],
+        clubs: [ audiences.SELF ],
+        name: [ audiences.PUBLIC ],
+        avatar: [ audiences.PUBLIC ],
+        messages: [ audiences.SELF ]
+    };
+
     /**
      * Create a chat.
      * @param {String} type - The type of the chat. Valid types are: 'PRIVATE', 'GROUP', 'COURSE', 'CLUB'.
@@ -177,26 +191,25 @@ export default class Chat extends BaseModel {
      */
     static async populateChat(chat) {
         try {
-            chat = await chat
-                .populate([
-                    {
-                        path: 'targets',
-                        populate: User.getPopulationPaths()
-                    },
-                    {
-                        path: 'courses',
-                        populate: Course.getPopulationPaths()
-                    },
-                    {
-                        path: 'clubs',
-                        populate: Club.getPopulationPaths()
-                    }
-                    ,
-                    {
-                        path: 'messages',
-                        populate: Message.getPopulationPaths()
-                    }
-                ]);
+            chat = await populateDocument(ChatSchema, chat, [
+                {
+                    path: 'targets',
+                    populate: User.getPopulationPaths()
+                },
+                {
+                    path: 'courses',
+                    populate: Course.getPopulationPaths()
+                },
+                {
+                    path: 'clubs',
+                    populate: Club.getPopulationPaths()
+                }
+                ,
+                {
+                    path: 'messages',
+                    populate: Message.getPopulationPaths()
+                }
+            ]);
 
             chat._id = chat._id.toString();
 
@@ -218,6 +231,15 @@ export default class Chat extends BaseModel {
         return await this.populateChat(object);
     }
 
+    /**
+     * @description Gets the users a chat belongs to, which are all its targets. See visibility.js.
+     * @param {Chat} chat - The chat.
+     * @returns {Array<User|String>} The targets or their ids.
+     */
+    static getOwnerIds(chat) {
+        return chat.getAllTargets();
+    }
+
     /**
      * @description Get all the targets from targets, courses and clubs.
      * @return {Array<User>} The targets of the chats.
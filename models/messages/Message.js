@@ -5,6 +5,7 @@
  */
 import BaseModel from "../BaseModel.js";
 import MessageSchema from "../../mongoDb/schemas/messages/MessageSchema.js";
+import { populateDocument } from "../../mongoDb/mongoAccess.js";
 import DatabaseError from "../../httpServer/errors/DatabaseError.js";
 import Chat from "./Chat.js";
 import User from "../users/User.js";
@@ -184,21 +185,20 @@ export default class Message extends BaseModel {
      */
     static async populateMessage(message) {
         try {
-            message = await message
-                .populate([
-                    {
-                        path: 'chat',
-                        populate: Chat.getPopulationPaths()
-                    },
-                    {
-                        path: 'author',
-                        populate: User.getPopulationPaths()
-                    },
-                    {
-                        path: 'answer',
-                        populate: Message.getPopulationPaths()
-                    }
-                ]);
+            message = await populateDocument(MessageSchema, message, [
+                {
+                    path: 'chat',
+                    populate: Chat.getPopulationPaths()
+                },
+                {
+                    path: 'author',
+                    populate: User.getPopulationPaths()
+                },
+                {
+                    path: 'answer',
+                    populate: Message.getPopulationPaths()
+                }
+            ]);
             message._id = message._id.toString();
 
             let castMessage = this.castToMessage(message);
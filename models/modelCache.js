@@ -0,0 +1,108 @@
+/**
+ * @file modelCache.js - Methods to manage the cache entries of the models.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * A model caches its instances of a school in one entry (see BaseModel.getCacheKey), which maps the ids to the instances.
+ * Every field in the cacheIndexes of the model is indexed by its values, so rules on these fields do not scan all instances.
+ * The entries are plain objects, so they can be saved as JSON in shared caches (see httpServer/cache/redisCache.js):
+ * {
+ *     items: { <_id>: <instance> },
+ *     indexes: { <field>: { <value>: [ <_id> ] } }
+ * }
+ */
+import { findByRule } from "./findByRule.js";
+
+/**
+ * @description Creates a cache entry.
+ * @param {Array<Object>} items - The instances.
+ * @param {Array<String>} indexes - The fields to index.
+ * @returns {Object} The entry.
+ * */
+export function createCacheEntry(items, indexes) {
+    const entry = {
+        items: {},
+        indexes: Object.fromEntries(indexes.map(field => [ field, {} ]))
+    };
+
+    for (const item of items) {
+        setCacheEntryItem(entry, item, indexes);
+    }
+    return entry;
+}
+
+/**
+ * @description Gets an instance of a cache entry.
+ * @param {Object} entry - The entry.
+ * @param {String} _id - The id of the instance.
+ * @returns {Object|null} The instance or null if it is not in the entry.
+ * */
+export function getCacheEntryItem(entry, _id) {
+    return entry.items[String(_id)] ?? null;
+}
+
+/**
+ * @description Gets the instances of a cache entry matching a rule.
+ * If the rule contains an indexed field, only the instances with its value are checked.
+ * @param {Object} entry - The entry.
+ * @param {Object} rule - Optional: The rule to find the instances by, see findByRule.js.
+ * @returns {Array<Object>} The matching instances.
+ * */
+export function getCacheEntryItems(entry, rule) {
+    if (!rule) return Object.values(entry.items);
+
+    const field = Object.keys(rule).find(key => entry.indexes[key]);
+    const items = field
+        ? (entry.indexes[field][String(rule[field])] ?? []).map(_id => entry.items[_id])
+        : Object.values(entry.items);
+
+    return findByRule(items, rule);
+}
+
+/**
+ * @description Adds an instance to a cache entry or replaces the instance with the same id.
+ * @param {Object} entry - The entry, it is changed.
+ * @param {Object} item - The instance.
+ * @param {Array<String>} indexes - The indexed fields.
+ * @returns {Object} The entry.
+ * */
+export function setCacheEntryItem(entry, item, indexes) {
+    const _id = String(item._id);
+
+    deleteCacheEntryItem(entry, _id, indexes);
+    entry.items[_id] = item;
+
+    for (const field of indexes) {
+        const value = item[field];
+        if (value === undefined || value === null) continue;
+
+        const index = entry.indexes[field] ??= {};
+        (index[String(value)] ??= []).push(_id);
+    }
+    return entry;
+}
+
+/**
+ * @description Removes an instance from a cache entry.
+ * @param {Object} entry - The entry, it is changed.
+ * @param {String} _id - The id of the instance.
+ * @param {Array<String>} indexes - The indexed fields.
+ * @returns {Object} The entry.
+ * */
+export function deleteCacheEntryItem(entry, _id, indexes) {
+    const item = entry.items[String(_id)];
+    if (!item) return entry;
+
+    for (const field of indexes) {
+        const value = item[field];
+        const ids = entry.indexes[field]?.[String(value)];
+        if (!ids) continue;
+
+        const remaining = ids.filter(id => id !== String(_id));
+        if (remaining.length > 0) entry.indexes[field][String(value)] = remaining;
+        else delete entry.indexes[field][String(value)];
+    }
+
+    delete entry.items[String(_id)];
+    return entry;
+}
@@ -0,0 +1,56 @@
+/**
+ * @file recordedAccess.js - Functions writing documents directly to the database and recording the changes in the audit log.
+ * Used by bulk operations like the school setup or the roster import that change many documents of different models at once.
+ * The caches of the models are not updated, see BaseModel.js.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import mongoose from "mongoose";
+import { createDocument, deleteDocument, updateDocument } from "../mongoDb/mongoAccess.js";
+import DatabaseError from "../httpServer/errors/DatabaseError.js";
+import AuditLog, { auditActions } from "./general/AuditLog.js";
+
+/**
+ * @description Creates a document and records it in the audit log.
+ * The _id is generated if missing, so the created document is found again even if another one has the same properties.
+ * @param {Schema} schema - The schema of the document.
+ * @param {String} modelName - The name of the model for the audit log.
+ * @param {Object} document - The document to create.
+ * @returns {Promise<Object>} The created document.
+ * @throws {DatabaseError} When the document could not be created.
+ * */
+export async function createRecorded(schema, modelName, document) {
+    const created = await createDocument(schema, { _id: new mongoose.Types.ObjectId(), ...document });
+    if (!created) throw new DatabaseError(`Failed to create ${ modelName }`);
+
+    await AuditLog.record(auditActions.CREATE, modelName, created._id, null, created);
+    return created;
+}
+
+/**
+ * @description Updates a document and records the update in the audit log.
+ * @param {Schema} schema - The schema of the document.
+ * @param {String} modelName - The name of the model for the audit log.
+ * @param {Object} document - The document before the update.
+ * @param {Object} update - The changed properties.
+ * @returns {Promise<Object>} The updated document.
+ * @throws {DatabaseError} When the document could not be updated.
+ * */
+export async function updateRecorded(schema, modelName, document, update) {
+    const updated = await updateDocument(schema, document._id, update);
+    if (!updated) throw new DatabaseError(`Failed to update ${ modelName } with _id '${ document._id }'`);
+
+    await AuditLog.record(auditActions.UPDATE, modelName, document._id, document, updated);
+    return updated;
+}
+
+/**
+ * @description Deletes a document and records the deletion in the audit log.
+ * @param {Schema} schema - The schema of the document.
+ * @param {String} modelName - The name of the model for the audit log.
+ * @param {Object} document - The document to delete.
+ * */
+export async function deleteRecorded(schema, modelName, document) {
+    await deleteDocument(schema, document._id);
+    await AuditLog.record(auditActions.DELETE, modelName, document._id, document, null);
+}
@@ -0,0 +1,136 @@
+/**
+ * @file ActivationCode.js - Module for one-time codes that set the password of a user account.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * Activation codes are handed out to students so they can set their own password on first use,
+ * reset codes are handed out when a password is forgotten. Both are single-use and expire.
+ * Only the SHA-256 hash of a code is saved, the code itself is returned once when it is generated.
+ */
+import crypto from "crypto";
+import {
+    createDocument,
+    deleteDocument,
+    getDocumentsByRule,
+    updateDocumentByRule
+} from "../../mongoDb/mongoAccess.js";
+import ActivationCodeSchema from "../../mongoDb/schemas/user/ActivationCodeSchema.js";
+import { generateCode, normalizeCode } from "../../tools/codes.js";
+import DatabaseError from "../../httpServer/errors/DatabaseError.js";
+import AuditLog, { auditActions } from "../general/AuditLog.js";
+import UserAccount from "./UserAccount.js";
+import Session from "./Session.js";
+import config from "../../config.js";
+
+/**
+ * @description The purposes a code can be generated for.
+ * */
+export const activationCodePurposes = {
+    ACTIVATION: 'ACTIVATION',
+    RESET: 'RESET'
+};
+
+// activation codes are longer than invite codes, they set a password: 'K7PX-3MQA-Z9RT'
+const codeGroups = 3;
+
+/**
+ * @description Hashes a code. Codes are random and short-lived, so a fast hash is enough.
+ * @param {String} code - The code.
+ * @returns {String} The hex encoded SHA-256 hash.
+ * */
+function hashCode(code) {
+    return crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+}
+
+/**
+ * @description Class managing activation and reset codes of user accounts.
+ * */
+export default class ActivationCode {
+
+    /**
+     * @description Generates a new code for every user account. Unused codes generated earlier for the accounts are revoked.
+     * @param {Array<UserAccount>} userAccounts - The user accounts.
+     * @param {String} purpose - What the codes are for. See activationCodePurposes.
+     * @param {String} createdBy - The id of the user generating the codes.
+     * @return {Promise<Array<{ userAccount: String, username: String, code: String, expiresAt: Date }>>} The codes.
+     * These are the only place the codes appear in plain text.
+     * @throws {DatabaseError} When a code could not be saved.
+     */
+    static async generateCodes(userAccounts, purpose, createdBy) {
+
+        if (!Object.values(activationCodePurposes).includes(purpose)) throw new Error(`Invalid activation code purpose: ${ purpose }`);
+
+        const expiresAt = new Date(Date.now() + parseInt(config.ACTIVATION_CODE_EXPIRATION) * 60 * 1000);
+        const codes = [];
+
+        for (const userAccount of userAccounts) {
+
+            await ActivationCode.revokeCodes(userAccount._id);
+
+            const code = generateCode(codeGroups);
+            // the code belongs to the school of its user account, also when it is generated outside a school, e.g. by scripts
+            const created = await createDocument(ActivationCodeSchema, {
+                userAccount: userAccount._id,
+                school: await UserAccount.getSchoolId(userAccount._id),
+                codeHash: hashCode(code),
+                purpose: purpose,
+                expiresAt: expiresAt,
+                createdBy: createdBy
+            });
+            if (!created) throw new DatabaseError(`Failed to create activation code for user account '${ userAccount._id }'`);
+
+            await AuditLog.record(auditActions.CREATE, 'ActivationCode', created._id, null, created);
+
+            codes.push({
+                userAccount: userAccount._id,
+                username: userAccount.username,
+                code: code,
+                expiresAt: expiresAt
+            });
+        }
+
+        return codes;
+    }
+
+    /**
+     * @description Revokes all unused codes of a user account.
+     * @param {String} userAccountId - The id of the user account.
+     * @return {Promise<Number>} The number of revoked codes.
+     */
+    static async revokeCodes(userAccountId) {
+
+        const unused = await getDocumentsByRule(ActivationCodeSchema, { userAccount: userAccountId, usedAt: null });
+        for (const document of unused) {
+            await deleteDocument(ActivationCodeSchema, document._id);
+            await AuditLog.record(auditActions.DELETE, 'ActivationCode', document._id, document, null);
+        }
+
+        return unused.length;
+    }
+
+    /**
+     * @description Redeems a code and sets the password of its user account.
+     * The code is claimed in one step, so it cannot be redeemed twice by concurrent requests.
+     * The sessions of the user account are revoked, a session started with the old password does not survive the new one.
+     * @param {String} code - The code as typed in by the user.
+     * @param {String} password - The new plaintext password. It is hashed before it is saved.
+     * @return {Promise<UserAccount|null>} The user account of the code or null if the code is unknown, used or expired.
+     */
+    static async redeem(code, password) {
+
+        const usedAt = new Date();
+        const claimed = await updateDocumentByRule(ActivationCodeSchema,
+            { codeHash: hashCode(code), usedAt: null, expiresAt: { $gt: usedAt } },
+            { usedAt: usedAt }
+        );
+        if (!claimed) return null;
+
+        await AuditLog.record(auditActions.UPDATE, 'ActivationCode', claimed._id, { usedAt: null }, { usedAt: claimed.usedAt });
+
+        const userAccount = await UserAccount.updateUserAccount(claimed.userAccount, { password: password });
+        await Session.revokeAll(claimed.userAccount.toString());
+
+        return userAccount;
+    }
+
+}
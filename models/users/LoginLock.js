@@ -0,0 +1,231 @@
+/**
+ * @file LoginLock.js - Module tracking failed logins per user account and per ip address and locking them temporarily.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * After a number of failed logins every further failure locks the account or ip address,
+ * and the lock doubles with every failure up to a maximum (progressive delay).
+ * A successful login resets the failures of the account. Applied and cleared locks are recorded in the audit log.
+ * The locks of an account belong to the school of the account, so admins only see and clear the locks of their school.
+ * Ip addresses can be shared by several schools, their locks belong to none.
+ */
+import {
+    createDocument,
+    deleteDocument,
+    getDocument,
+    getDocumentsByRule,
+    updateDocument
+} from "../../mongoDb/mongoAccess.js";
+import LoginLockSchema from "../../mongoDb/schemas/user/LoginLockSchema.js";
+import AuditLog, { auditActions } from "../general/AuditLog.js";
+import logger from "../../tools/logging/logger.js";
+import UserAccount from "./UserAccount.js";
+import { runWithTenant } from "../../mongoDb/tenancy.js";
+
+/**
+ * @description What a lock applies to.
+ * */
+export const loginLockTypes = {
+    ACCOUNT: 'ACCOUNT',
+    IP: 'IP'
+};
+
+/**
+ * @description The lock rules per type.
+ * Ip addresses get more attempts, because a whole school usually shares one ip address.
+ * threshold: the number of failures after which every further failure locks.
+ * baseSeconds: the duration of the first lock, it doubles with every further failure.
+ * maxSeconds: the maximum duration of a lock.
+ * forgetHours: the time without failures after which the failures are forgotten.
+ * */
+const lockRules = {
+    [loginLockTypes.ACCOUNT]: { threshold: 3, baseSeconds: 30, maxSeconds: 60 * 60, forgetHours: 24 },
+    [loginLockTypes.IP]: { threshold: 20, baseSeconds: 30, maxSeconds: 60 * 60, forgetHours: 1 }
+};
+
+/**
+ * @description Calculates how long a key is locked after a number of failures.
+ * @param {String} type - The type of the lock. See loginLockTypes.
+ * @param {Number} failures - The number of failures.
+ * @returns {Number} The duration in milliseconds, 0 if the key is not locked.
+ * */
+export function getLockDuration(type, failures) {
+    const { threshold, baseSeconds, maxSeconds } = lockRules[type];
+    if (failures < threshold) return 0;
+
+    return Math.min(baseSeconds * Math.pow(2, failures - threshold), maxSeconds) * 1000;
+}
+
+/**
+ * @description Gets the school the lock of a key belongs to.
+ * @param {String} type - The type of the lock. See loginLockTypes.
+ * @param {String} key - The id of the user account or the ip address.
+ * @returns {Promise<String|null>} The id of the school of the user account, null for ip addresses and accounts without a school.
+ * */
+async function getSchoolOfKey(type, key) {
+    if (type !== loginLockTypes.ACCOUNT) return null;
+
+    return runWithTenant(undefined, () => UserAccount.getSchoolId(String(key)));
+}
+
+/**
+ * @description Class representing the failed logins of a user account or an ip address.
+ * @param {String} _id - The _id of the lock.
+ * @param {String} type - What is tracked. See loginLockTypes.
+ * @param {String} key - The id of the user account or the ip address.
+ * @param {Number} failures - The number of failed logins since the last successful one.
+ * @param {Date} lastFailureAt - The date of the last failed login.
+ * @param {Date} lockedUntil - The date until which logins are rejected. Null if not locked.
+ * */
+export default class LoginLock {
+
+    /**
+     * @description Creates a login lock.
+     * @param {String} type - What is tracked.
+     * @param {String} key - The id of the user account or the ip address.
+     * @param {Number} failures - The number of failed logins.
+     * @param {Date} lastFailureAt - The date of the last failed login.
+     * @param {Date} lockedUntil - The date until which logins are rejected.
+     */
+    constructor(
+        type,
+        key,
+        failures,
+        lastFailureAt,
+        lockedUntil
+    ) {
+        this._id = null;
+        this.type = type;
+        this.key = key;
+        this.failures = failures;
+        this.lastFailureAt = lastFailureAt;
+        this.lockedUntil = lockedUntil;
+    }
+
+    /**
+     * @description Casts a database document into a login lock.
+     * @param {Object} document - The document from the database.
+     * @returns {LoginLock} The login lock.
+     */
+    static castToLoginLock(document) {
+        const { _id, type, key, failures, lastFailureAt, lockedUntil } = document;
+        const loginLock = new LoginLock(type, key, failures, lastFailureAt, lockedUntil);
+        loginLock._id = _id.toString();
+        return loginLock;
+    }
+
+    /**
+     * @description Gets the lock document of a key. The keys are unique across all schools,
+     * so the lock is found no matter which school the request is restricted to, see mongoDb/tenancy.js.
+     * @param {String} type - The type of the lock. See loginLockTypes.
+     * @param {String} key - The id of the user account or the ip address.
+     * @returns {Promise<Object|null>} The document or null if the key has no failures.
+     */
+    static async getDocumentByKey(type, key) {
+        const documents = await runWithTenant(undefined, () => getDocumentsByRule(LoginLockSchema, { type: type, key: String(key) }));
+        return documents[0] ?? null;
+    }
+
+    /**
+     * @description Gets the time until the keys can try to log in again.
+     * @param {Array<{ type: String, key: String }>} keys - The user account and the ip address of a login.
+     * @returns {Promise<Number>} The time in milliseconds, 0 if none of the keys is locked.
+     */
+    static async getRetryAfter(keys) {
+        let retryAfter = 0;
+
+        for (const { type, key } of keys) {
+            if (!key) continue;
+
+            const document = await LoginLock.getDocumentByKey(type, key);
+            if (document?.lockedUntil) {
+                retryAfter = Math.max(retryAfter, document.lockedUntil.getTime() - Date.now());
+            }
+        }
+
+        return retryAfter;
+    }
+
+    /**
+     * @description Counts a failed login of a key and locks it if there were too many failures.
+     * @param {String} type - The type of the lock. See loginLockTypes.
+     * @param {String} key - The id of the user account or the ip address.
+     * @returns {Promise<Number>} The time in milliseconds the key is locked now, 0 if it is not locked.
+     */
+    static async registerFailure(type, key) {
+        const document = await LoginLock.getDocumentByKey(type, key);
+        const now = new Date();
+
+        const forgetAfter = lockRules[type].forgetHours * 60 * 60 * 1000;
+        const forgotten = !document?.lastFailureAt || now.getTime() - document.lastFailureAt.getTime() > forgetAfter;
+
+        const failures = (forgotten ? 0 : document.failures) + 1;
+        const lockDuration = getLockDuration(type, failures);
+        const school = await getSchoolOfKey(type, key);
+        const update = {
+            failures: failures,
+            lastFailureAt: now,
+            lockedUntil: lockDuration > 0 ? new Date(now.getTime() + lockDuration) : null,
+            school: school
+        };
+
+        // written without a restriction, so the school of the lock is set even if the request is restricted to another one
+        const updated = await runWithTenant(undefined, () => document
+            ? updateDocument(LoginLockSchema, document._id, update)
+            : createDocument(LoginLockSchema, { type: type, key: String(key), ...update }));
+
+        if (lockDuration > 0) {
+            logger.server.warning(`Login of ${ type.toLowerCase() } '${ key }' locked for ${ lockDuration / 1000 } seconds after ${ failures } failures`);
+            await runWithTenant(school, () => AuditLog.record(document ? auditActions.UPDATE : auditActions.CREATE, 'LoginLock', updated._id, document, updated));
+        }
+
+        return lockDuration;
+    }
+
+    /**
+     * @description Forgets the failed logins of a key after a successful login.
+     * @param {String} type - The type of the lock. See loginLockTypes.
+     * @param {String} key - The id of the user account or the ip address.
+     */
+    static async reset(type, key) {
+        const document = await LoginLock.getDocumentByKey(type, key);
+        if (document) await runWithTenant(undefined, () => deleteDocument(LoginLockSchema, document._id));
+    }
+
+    /**
+     * @description Gets all keys that are currently locked, restricted to the school of the request.
+     * @returns {Promise<Array<LoginLock>>} The active locks.
+     */
+    static async getActiveLocks() {
+        const documents = await getDocumentsByRule(LoginLockSchema, { lockedUntil: { $gt: new Date() } });
+        return documents.map(document => LoginLock.castToLoginLock(document));
+    }
+
+    /**
+     * @description Clears a lock and its failures, e.g. when an admin unlocks an account.
+     * Only locks of the school of the request can be cleared.
+     * @param {String} _id - The _id of the lock.
+     * @returns {Promise<Boolean>} If the lock existed.
+     */
+    static async clear(_id) {
+        const document = await getDocument(LoginLockSchema, _id);
+        if (!document) return false;
+
+        await deleteDocument(LoginLockSchema, _id);
+        await AuditLog.record(auditActions.DELETE, 'LoginLock', _id, document, null);
+        return true;
+    }
+
+    toJSON() {
+        const { _id, type, key, failures, lastFailureAt, lockedUntil } = this;
+        return {
+            _id,
+            type,
+            key,
+            failures,
+            lastFailureAt,
+            lockedUntil
+        };
+    }
+
+}
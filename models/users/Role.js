@@ -0,0 +1,229 @@
+/**
+ * @file Role.js - Module for representing a role. Roles are named sets of permissions that user accounts can hold.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import BaseModel from "../BaseModel.js";
+import RoleSchema from "../../mongoDb/schemas/user/RoleSchema.js";
+import DatabaseError from "../../httpServer/errors/DatabaseError.js";
+import UserAccountTypes from "./UserAccountTypes.js";
+import defaultRoles from "./defaultRoles.js";
+import { validatePermissions } from "./permissionRegistry.js";
+import { createDocument, getDocumentsByRule, updateDocument } from "../../mongoDb/mongoAccess.js";
+import logger from "../../tools/logging/logger.js";
+
+/**
+ * @description Class representing a Role.
+ * @param {String} _id - The _id of the role.
+ * @param {String} name - The name of the role.
+ * @param {Array<String>} permissions - The permissions granted by the role.
+ * @param {String} accountType - The account type the role is the default template for. Null for custom roles.
+ * @param {String} school - The _id of the school that defined the role. Null for roles shared by all schools.
+ */
+export default class Role extends BaseModel {
+
+    static modelName = 'Role';
+    static schema = RoleSchema;
+    static cacheKey = 'roles';
+    static expirationTime = 5; // time in minutes after which the cache expires
+    static cacheIndexes = [ 'name', 'accountType' ]; // fields indexed in the cache
+    static populationPaths = [];
+
+    /**
+     * @description Create a role.
+     * @param {String} name - The name of the role.
+     * @param {Array<String>} permissions - The permissions granted by the role.
+     * @param {String} accountType - The account type the role is the default template for. Null for custom roles.
+     * @param {String} school - The _id of the school that defined the role. Null for roles shared by all schools.
+     */
+    constructor(
+        name,
+        permissions,
+        accountType,
+        school
+    ) {
+        super({
+            name,
+            permissions,
+            accountType,
+            school
+        });
+        this.id = null;
+        this._name = name;
+        this._permissions = permissions;
+        this._accountType = accountType ?? null;
+        this._school = school ?? null;
+
+        validatePermissions(permissions);
+
+        if (this._accountType !== null && !Object.keys(UserAccountTypes).includes(this._accountType)) {
+            throw new Error(`Role account type does not exist: ${ this._accountType }`);
+        }
+    }
+
+    get name() {
+        return this._name;
+    }
+
+    set name(value) {
+        this._name = value;
+    }
+
+    get permissions() {
+        return this._permissions;
+    }
+
+    set permissions(value) {
+        validatePermissions(value);
+        this._permissions = value;
+    }
+
+    get accountType() {
+        return this._accountType;
+    }
+
+    set accountType(value) {
+        this._accountType = value;
+    }
+
+    get school() {
+        return this._school;
+    }
+
+    set school(value) {
+        this._school = value;
+    }
+
+    get _id() {
+        return this.id;
+    }
+
+    set _id(value) {
+        this.id = value;
+    }
+
+    static getMapPaths() {
+        return [];
+    }
+
+    static getCastPaths() {
+        return [];
+    }
+
+    /**
+     * Casts a plain object to an instance of the Role class.
+     * @param {Object} role - The plain object to cast.
+     * @returns {Role} The cast instance of the Role class.
+     */
+    static castToRole(role) {
+        if (!role) return null;
+        const { _id, name, permissions, accountType, school } = role;
+        const castRole = new Role(
+            name,
+            permissions ? [ ...permissions ] : [],
+            accountType,
+            school ? school.toString() : null
+        );
+        castRole._id = _id.toString();
+        return castRole;
+    }
+
+    /**
+     * Populates the given Role. Roles do not reference other collections, so it is only cast.
+     * @param {Object} role - The Role to populate.
+     * @returns {Promise<Role>} The populated Role.
+     * @throws {DatabaseError} If the Role could not be populated.
+     */
+    static async populateRole(role) {
+        try {
+            if (!role) return null;
+
+            let castRole = this.castToRole(role);
+            castRole.handleProperties();
+            return castRole;
+        } catch (error) {
+            throw new DatabaseError(`Failed to populate role with _id #${ role._id }' \n${ error.stack }`);
+        }
+    }
+
+    /**
+     * Calls the static populateRole method.
+     * @param {Object} object - The instance to populate.
+     * @returns {Promise<Role>} The populated instance.
+     * @throws {DatabaseError} If the instance could not be populated.
+     */
+    static async populate(object) {
+        return await this.populateRole(object);
+    }
+
+    /**
+     * @description Gets the role templates of an account type directly from the database.
+     * The cache is skipped, so changes to a template apply to all holders immediately.
+     * @param {String} accountType - The account type.
+     * @returns {Promise<Array<Role>>} The role templates of the account type.
+     */
+    static async getTemplatesByAccountType(accountType) {
+        if (!accountType) return [];
+
+        const documents = await getDocumentsByRule(RoleSchema, { accountType: accountType });
+        return documents.map(document => Role.castToRole(document));
+    }
+
+    /**
+     * @description Creates the default role templates of all account types that do not have one yet
+     * and removes the withdrawn permissions from the existing ones. See defaultRoles.js.
+     * @returns {Promise<void>}
+     */
+    static async ensureDefaultRoles() {
+        for (const [ accountType, template ] of Object.entries(defaultRoles)) {
+
+            const existing = await getDocumentsByRule(RoleSchema, { accountType: accountType });
+            if (existing.length > 0) {
+                await this.withdrawPermissions(existing, template.withdrawnPermissions ?? []);
+                continue;
+            }
+
+            await createDocument(RoleSchema, {
+                name: template.name,
+                permissions: template.permissions,
+                accountType: accountType,
+                school: null
+            });
+            logger.database.info(`Created default role for account type '${ accountType }'`);
+        }
+    }
+
+    /**
+     * @description Removes permissions from existing role templates. Templates without them are not written.
+     * @param {Array<Object>} templates - The documents of the templates.
+     * @param {Array<String>} withdrawnPermissions - The permissions to remove.
+     * @returns {Promise<void>}
+     */
+    static async withdrawPermissions(templates, withdrawnPermissions) {
+        for (const template of templates) {
+
+            const permissions = template.permissions.filter(permission => !withdrawnPermissions.includes(permission));
+            if (permissions.length === template.permissions.length) continue;
+
+            await updateDocument(RoleSchema, template._id, { permissions: permissions });
+            logger.database.info(`Withdrew permissions from role '${ template.name }': ${ template.permissions.filter(permission => withdrawnPermissions.includes(permission)).join(', ') }`);
+        }
+    }
+
+    /**
+     * Converts the Role instance into a JSON-friendly format by removing the underscores from the property names.
+     * This method is automatically called when JSON.stringify() is used on a Role instance.
+     * @returns {Object} An object representation of the Role instance without underscores in the property names.
+     */
+    toJSON() {
+        const { _id, name, permissions, accountType, school } = this;
+        return {
+            _id,
+            name,
+            permissions,
+            accountType,
+            school
+        };
+    }
+
+}
@@ -0,0 +1,481 @@
+/**
+ * @file RosterImport.js - Module importing students, teachers and their class and course assignments from a CSV roster.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * Schools get their rosters as spreadsheets from their administration software. Every line of the roster is a user,
+ * identified by their username (generated from the name if the roster has no username column).
+ * An import first plans all changes and reports them: creations, updates and conflicts. Nothing is saved in a dry run.
+ * When committed, the changes are saved only if no line has a conflict. The roster describes the target state,
+ * so importing the same roster again does not change anything.
+ */
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { Mutex } from "async-mutex";
+import { getDocumentsByRule } from "../../mongoDb/mongoAccess.js";
+import { runWithTenant } from "../../mongoDb/tenancy.js";
+import UserSchema from "../../mongoDb/schemas/user/UserSchema.js";
+import UserAccountSchema from "../../mongoDb/schemas/user/UserAccountSchema.js";
+import ClassSchema from "../../mongoDb/schemas/general/ClassSchema.js";
+import CourseSchema from "../../mongoDb/schemas/general/CourseSchema.js";
+import SubjectSchema from "../../mongoDb/schemas/general/SubjectSchema.js";
+import RosterImportError from "../../httpServer/errors/RosterImportError.js";
+import errors from "../../errors.js";
+import config from "../../config.js";
+import { parseCsv } from "../../tools/csv.js";
+import { createRecorded, updateRecorded } from "../recordedAccess.js";
+import UserAccount from "./UserAccount.js";
+import UserAccountTypes from "./UserAccountTypes.js";
+import UserAccountSettings from "./UserAccountSettings.js";
+import ActivationCode, { activationCodePurposes } from "./ActivationCode.js";
+import User from "./User.js";
+import Class from "../general/Class.js";
+import Course from "../general/Course.js";
+import logger from "../../tools/logging/logger.js";
+
+/**
+ * @description The columns of a roster and the header names they are recognized by (case, spaces and underscores do not matter).
+ * Either 'firstName' and 'lastName' or 'name' ("<first name> <last name>") and 'type' are required.
+ * */
+export const rosterColumns = {
+    firstName: [ 'firstname', 'vorname' ],
+    lastName: [ 'lastname', 'nachname' ],
+    name: [ 'name' ],
+    type: [ 'type', 'typ' ],
+    class: [ 'class', 'klasse' ],
+    courses: [ 'courses', 'kurse' ],
+    username: [ 'username', 'benutzername' ],
+    avatar: [ 'avatar' ]
+};
+
+// spellings of the account types in rosters
+const typeAliases = {
+    STUDENT: UserAccountTypes.STUDENT,
+    SCHÜLER: UserAccountTypes.STUDENT,
+    SCHUELER: UserAccountTypes.STUDENT,
+    TEACHER: UserAccountTypes.TEACHER,
+    LEHRER: UserAccountTypes.TEACHER,
+    ADMIN: UserAccountTypes.ADMIN,
+    ADMINISTRATOR: UserAccountTypes.ADMIN
+};
+
+// the imports of all schools run one after another, so two imports cannot create the same user twice
+const importMutex = new Mutex();
+
+/**
+ * @description Normalizes the name of a class or a header for comparing, e.g. ' 7 B ' → '7b'.
+ * @param {String} name - The name.
+ * @returns {String} The normalized name.
+ * */
+function normalize(name) {
+    return String(name ?? '').toLowerCase().replace(/[\s_]/g, '');
+}
+
+/**
+ * @description Generates a username from the name of a user, e.g. 'Jörg Müller-Lüdenscheidt' → 'joerg.mueller-luedenscheidt'.
+ * @param {String} firstName - The first name.
+ * @param {String} lastName - The last name.
+ * @returns {String} The username. Empty if the name contains no usable characters.
+ * */
+function generateUsername(firstName, lastName) {
+    const transliterate = name => name.toLowerCase()
+        .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/\s+/g, '-')
+        .replace(/[^a-z0-9-]/g, '');
+
+    const parts = [ transliterate(firstName), transliterate(lastName) ];
+    return parts.every(part => part.length > 0) ? parts.join('.') : '';
+}
+
+/**
+ * @description Reads the lines of a roster.
+ * @param {String} csv - The roster as CSV text.
+ * @returns {Array<Object>} The lines with their line number and their values by column. See rosterColumns.
+ * @throws {RosterImportError} When the CSV cannot be parsed or required columns are missing.
+ * */
+function readRoster(csv) {
+    let parsed;
+    try {
+        parsed = parseCsv(csv);
+    } catch (error) {
+        throw new RosterImportError(`Roster cannot be parsed: ${ error.message }`, errors.server.rosterImport.invalid);
+    }
+
+    const columns = {};
+    for (const name of parsed.header) {
+        const column = Object.keys(rosterColumns).find(column => rosterColumns[column].includes(normalize(name)));
+        if (column) columns[column] = name;
+    }
+
+    const hasName = columns.name || (columns.firstName && columns.lastName);
+    if (!hasName || !columns.type) {
+        throw new RosterImportError(
+            'Roster requires the columns firstName and lastName (or name) and type.',
+            errors.server.rosterImport.invalid
+        );
+    }
+    if (parsed.records.length === 0) {
+        throw new RosterImportError('Roster contains no users.', errors.server.rosterImport.invalid);
+    }
+
+    return parsed.records.map(({ line, values }) => {
+        const value = column => columns[column] ? values[columns[column]] : '';
+
+        let firstName = value('firstName');
+        let lastName = value('lastName');
+        if ((!firstName || !lastName) && value('name')) {
+            const name = value('name').split(/\s+/);
+            lastName = name.pop();
+            firstName = name.join(' ');
+        }
+
+        return {
+            line: line,
+            firstName: firstName,
+            lastName: lastName,
+            type: value('type'),
+            class: value('class'),
+            courses: value('courses').split(/[\s,|]+/).filter(course => course.length > 0),
+            username: value('username'),
+            avatar: value('avatar')
+        };
+    });
+}
+
+/**
+ * @description Converts a list of ids to strings, so they can be compared.
+ * @param {Array<ObjectId|String>} ids - The ids.
+ * @returns {Array<String>} The ids as strings.
+ * */
+function toIds(ids) {
+    return (ids ?? []).map(id => id.toString());
+}
+
+/**
+ * @description Class importing rosters into the school of the current request.
+ * */
+export default class RosterImport {
+
+    /**
+     * @description Imports a roster. See the description of this file.
+     * @param {String} csv - The roster as CSV text.
+     * @param {Object} options - The options of the import.
+     * @param {Boolean} options.dryRun - If the changes are only reported, not saved.
+     * @param {String} options.createdBy - The id of the user importing, saved with the activation codes of the new users.
+     * @return {Promise<Object>} The report: the created, updated and unchanged users, the conflicts
+     * and after a commit the activation codes of the new user accounts.
+     * @throws {RosterImportError} When the roster is invalid or a commit is rejected because of conflicts (see error.report).
+     */
+    static async importRoster(csv, { dryRun = true, createdBy = null } = {}) {
+        const rows = readRoster(csv);
+
+        const release = await importMutex.acquire();
+        try {
+            const plan = await RosterImport.planImport(rows);
+
+            const report = {
+                dryRun: dryRun,
+                created: plan.created,
+                updated: plan.updated,
+                unchanged: plan.unchanged,
+                conflicts: plan.conflicts
+            };
+            if (dryRun) return report;
+
+            if (plan.conflicts.length > 0) {
+                throw new RosterImportError(
+                    `Roster has ${ plan.conflicts.length } conflict(s), nothing was imported.`,
+                    errors.server.rosterImport.conflicts,
+                    report
+                );
+            }
+
+            report.activationCodes = await RosterImport.applyImport(plan, createdBy);
+            logger.server.info(`Imported roster: ${ plan.created.length } created, ${ plan.updated.length } updated, ${ plan.unchanged.length } unchanged`);
+
+            return report;
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * @description Plans the changes of a roster without saving them.
+     * The documents of the school are loaded once and changed in memory line by line, so later lines see the changes of earlier ones.
+     * @param {Array<Object>} rows - The lines of the roster. See readRoster.
+     * @return {Promise<Object>} The plan: the report entries and the new and changed documents.
+     */
+    static async planImport(rows) {
+        const toState = (documents, fields) => new Map(documents.map(document => [
+            document._id.toString(),
+            Object.fromEntries(fields.map(field => {
+                const value = document[field];
+                if (Array.isArray(value)) return [ field, toIds(value) ];
+                return [ field, value instanceof mongoose.Types.ObjectId ? value.toString() : value ?? null ];
+            }))
+        ]));
+
+        const userDocuments = await getDocumentsByRule(UserSchema, {});
+        const classDocuments = await getDocumentsByRule(ClassSchema, {});
+        const courseDocuments = await getDocumentsByRule(CourseSchema, {});
+        const subjects = await getDocumentsByRule(SubjectSchema, {});
+        const accounts = await getDocumentsByRule(UserAccountSchema, {});
+
+        const users = toState(userDocuments, [ 'firstName', 'lastName', 'avatar', 'type', 'classes', 'extraCourses' ]);
+        const classes = toState(classDocuments, [ 'specifiedGrade', 'members' ]);
+        const courses = toState(courseDocuments, [ 'subject', 'classes', 'members', 'teacher' ]);
+
+        const accountsByUsername = new Map(accounts.map(account => [ account.username, account ]));
+        const subjectNames = new Map(subjects.map(subject => [ subject._id.toString(), subject.shortName ]));
+        const className = id => classes.get(id)?.specifiedGrade ?? id;
+        const courseName = id => {
+            const course = courses.get(id);
+            const courseClasses = course.classes.map(className);
+            return `${ subjectNames.get(course.subject) ?? id }${ courseClasses.length === 1 ? `@${ courseClasses[0] }` : '' }`;
+        };
+
+        // usernames are unique across all schools, see the login in authRoutes.js
+        const rowUsernames = rows.map(row => row.username || generateUsername(row.firstName, row.lastName));
+        const takenElsewhere = new Set(
+            (await runWithTenant(undefined, () => getDocumentsByRule(UserAccountSchema, { username: { $in: rowUsernames } })))
+                .filter(account => !accountsByUsername.has(account.username))
+                .map(account => account.username)
+        );
+
+        /**
+         * Resolves a course of a roster line: '<subject short name>' or '<subject short name>@<class>', e.g. 'INF' or 'INF@7b'.
+         * Without a class the course is searched in the class of the line first, then in the whole school.
+         */
+        const resolveCourse = (reference, rowClassId) => {
+            const [ shortName, qualifier ] = reference.split('@');
+            let candidates = [ ...courses.keys() ].filter(id => normalize(subjectNames.get(courses.get(id).subject)) === normalize(shortName));
+
+            if (qualifier) {
+                candidates = candidates.filter(id => courses.get(id).classes.some(classId => normalize(className(classId)) === normalize(qualifier)));
+            }
+            else if (rowClassId && candidates.length > 1) {
+                const classCandidates = candidates.filter(id => courses.get(id).classes.includes(rowClassId));
+                if (classCandidates.length > 0) candidates = classCandidates;
+            }
+
+            if (candidates.length === 0) return { error: `Course '${ reference }' does not exist.` };
+            if (candidates.length > 1) return { error: `Course '${ reference }' is ambiguous, specify its class like '${ shortName }@7b'.` };
+            return { id: candidates[0] };
+        };
+
+        const plan = {
+            created: [],
+            updated: [],
+            unchanged: [],
+            conflicts: [],
+            newUsers: [],
+            changedUsers: new Set(),
+            changedClasses: new Set(),
+            changedCourses: new Set(),
+            documents: { users: userDocuments, classes: classDocuments, courses: courseDocuments },
+            state: { users, classes, courses }
+        };
+        const seen = new Map();
+
+        for (const [ index, row ] of rows.entries()) {
+            const username = rowUsernames[index];
+            const problems = [];
+
+            const type = typeAliases[row.type.toUpperCase()];
+            if (!row.firstName || !row.lastName) problems.push('First and last name are required.');
+            if (!type) problems.push(`Type '${ row.type }' does not exist.`);
+            if (!username) problems.push('Username cannot be generated from the name, add a username column.');
+            else if (seen.has(username)) problems.push(`Username '${ username }' is already used in line ${ seen.get(username) }.`);
+            else if (takenElsewhere.has(username)) problems.push(`Username '${ username }' is taken by a user of another school.`);
+
+            const account = accountsByUsername.get(username);
+            if (account && !users.has(account.user?.toString())) {
+                problems.push(`User account '${ username }' has no user.`);
+            }
+
+            let classId = null;
+            if (row.class) {
+                classId = [ ...classes.keys() ].find(id => normalize(classes.get(id).specifiedGrade) === normalize(row.class)) ?? null;
+                if (!classId) problems.push(`Class '${ row.class }' does not exist.`);
+            }
+            else if (type === UserAccountTypes.STUDENT) problems.push('Students require a class.');
+
+            const courseIds = [];
+            for (const reference of row.courses) {
+                const { id, error } = resolveCourse(reference, classId);
+                if (error) problems.push(error);
+                else courseIds.push(id);
+            }
+
+            const userId = account?.user ? account.user.toString() : new mongoose.Types.ObjectId().toString();
+            if (type === UserAccountTypes.TEACHER) {
+                for (const courseId of courseIds) {
+                    const teacher = courses.get(courseId).teacher;
+                    if (teacher && teacher !== userId) {
+                        problems.push(`Course '${ courseName(courseId) }' already has another teacher.`);
+                    }
+                }
+            }
+
+            if (username && !seen.has(username)) seen.set(username, row.line);
+            if (problems.length > 0) {
+                for (const problem of problems) plan.conflicts.push({ line: row.line, username: username, message: problem });
+                continue;
+            }
+
+            let user = users.get(userId);
+            const changes = [];
+
+            if (!user) {
+                user = {
+                    firstName: row.firstName,
+                    lastName: row.lastName,
+                    avatar: row.avatar || config.DEFAULT_AVATAR,
+                    type: type,
+                    classes: [],
+                    extraCourses: []
+                };
+                users.set(userId, user);
+                plan.newUsers.push({ userId: userId, userAccountId: new mongoose.Types.ObjectId().toString(), username: username });
+            }
+            else {
+                for (const [ field, value ] of [ [ 'firstName', row.firstName ], [ 'lastName', row.lastName ], [ 'type', type ] ]) {
+                    if (user[field] !== value) {
+                        changes.push(`${ field }: ${ user[field] } → ${ value }`);
+                        user[field] = value;
+                    }
+                }
+                if (row.avatar && user.avatar !== row.avatar) {
+                    changes.push(`avatar: ${ user.avatar } → ${ row.avatar }`);
+                    user.avatar = row.avatar;
+                }
+            }
+
+            // students are in exactly one class and move with the roster, teachers and admins keep their other classes
+            if (classId) {
+                if (type === UserAccountTypes.STUDENT) {
+                    for (const otherId of user.classes.filter(id => id !== classId)) {
+                        changes.push(`class ${ className(otherId) } removed`);
+                        const otherClass = classes.get(otherId);
+                        if (otherClass) {
+                            otherClass.members = otherClass.members.filter(member => member !== userId);
+                            plan.changedClasses.add(otherId);
+                        }
+                    }
+                    if (user.classes.length !== 1 || user.classes[0] !== classId) user.classes = [ classId ];
+                }
+                else if (!user.classes.includes(classId)) {
+                    user.classes = [ ...user.classes, classId ];
+                }
+
+                const schoolClass = classes.get(classId);
+                if (!schoolClass.members.includes(userId) || !user.classes.includes(classId)) {
+                    changes.push(`class ${ schoolClass.specifiedGrade } added`);
+                }
+                if (!schoolClass.members.includes(userId)) {
+                    schoolClass.members = [ ...schoolClass.members, userId ];
+                    plan.changedClasses.add(classId);
+                }
+            }
+
+            for (const courseId of courseIds) {
+                const course = courses.get(courseId);
+                const isMember = type === UserAccountTypes.TEACHER ? course.teacher === userId : course.members.includes(userId);
+
+                if (!isMember || !user.extraCourses.includes(courseId)) changes.push(`course ${ courseName(courseId) } added`);
+                if (!user.extraCourses.includes(courseId)) user.extraCourses = [ ...user.extraCourses, courseId ];
+                if (!isMember) {
+                    if (type === UserAccountTypes.TEACHER) course.teacher = userId;
+                    else course.members = [ ...course.members, userId ];
+                    plan.changedCourses.add(courseId);
+                }
+            }
+
+            const summary = {
+                line: row.line,
+                username: username,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                type: user.type,
+                classes: user.classes.map(className),
+                courses: user.extraCourses.map(courseName)
+            };
+
+            if (!account) plan.created.push(summary);
+            else if (changes.length > 0) {
+                plan.changedUsers.add(userId);
+                plan.updated.push({ ...summary, changes: changes });
+            }
+            else plan.unchanged.push({ line: row.line, username: username });
+        }
+
+        return plan;
+    }
+
+    /**
+     * @description Saves the changes of a planned import.
+     * The documents are saved one after another. If saving fails, importing the roster again completes the import.
+     * @param {Object} plan - The plan. See planImport.
+     * @param {String} createdBy - The id of the user importing.
+     * @return {Promise<Array<Object>>} The activation codes of the new user accounts. See ActivationCode.generateCodes.
+     */
+    static async applyImport(plan, createdBy) {
+        const { users, classes, courses } = plan.state;
+        const findDocument = (documents, id) => documents.find(document => document._id.toString() === id);
+
+        const createdAccounts = [];
+        for (const { userId, userAccountId, username } of plan.newUsers) {
+            await createRecorded(UserSchema, 'User', {
+                _id: userId,
+                ...users.get(userId),
+                blackboards: [],
+                clubs: [],
+                chats: []
+            });
+
+            // the password is random and unknown, the user sets one with the activation code
+            createdAccounts.push(await UserAccount.createUserAccount({
+                _id: userAccountId,
+                user: userId,
+                username: username,
+                password: crypto.randomBytes(32).toString('base64url'),
+                settings: Object.fromEntries(Object.values(UserAccountSettings).map(setting => [ setting.name, setting.defaultValue ])),
+                permissions: [],
+                roles: [],
+                deniedPermissions: []
+            }));
+        }
+
+        for (const userId of plan.changedUsers) {
+            const { firstName, lastName, avatar, type, classes: userClasses, extraCourses } = users.get(userId);
+            await updateRecorded(UserSchema, 'User', findDocument(plan.documents.users, userId), {
+                firstName, lastName, avatar, type, classes: userClasses, extraCourses
+            });
+        }
+
+        for (const classId of plan.changedClasses) {
+            await updateRecorded(ClassSchema, 'Class', findDocument(plan.documents.classes, classId), {
+                members: classes.get(classId).members
+            });
+        }
+
+        for (const courseId of plan.changedCourses) {
+            const { members, teacher } = courses.get(courseId);
+            await updateRecorded(CourseSchema, 'Course', findDocument(plan.documents.courses, courseId), {
+                members: members,
+                teacher: teacher
+            });
+        }
+
+        // the documents were written directly, the cached ones are outdated
+        for (const model of [ User, Class, Course ]) {
+            await model.clearCache();
+        }
+
+        return createdAccounts.length > 0
+            ? await ActivationCode.generateCodes(createdAccounts, activationCodePurposes.ACTIVATION, createdBy)
+            : [];
+    }
+
+}
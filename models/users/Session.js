@@ -0,0 +1,210 @@
+/**
+ * @file Session.js - Module for the sessions of user accounts, one per login of a device.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * Every access and refresh token carries the id of its session in the 'sid' claim.
+ * Tokens of a revoked session are rejected, even if they are not expired yet, see httpServer/authentication/resolveIdentity.js.
+ * Revoking deletes the session, expired sessions are deleted by MongoDB itself.
+ */
+import {
+    createDocument,
+    deleteDocument,
+    getDocument,
+    getDocumentsByRule,
+    updateDocument
+} from "../../mongoDb/mongoAccess.js";
+import SessionSchema from "../../mongoDb/schemas/user/SessionSchema.js";
+import DatabaseError from "../../httpServer/errors/DatabaseError.js";
+import AuditLog, { auditActions } from "../general/AuditLog.js";
+
+/**
+ * @description The time in milliseconds after which the last activity of a session is updated again.
+ * Updating it on every request would cause a write per request.
+ * */
+export const activityUpdateInterval = 60 * 1000;
+
+/**
+ * @description Class representing a session.
+ * @param {String} _id - The _id of the session.
+ * @param {String} userAccount - The id of the user account that logged in.
+ * @param {String} userAgent - The user-agent of the device.
+ * @param {String} ip - The ip address the session was created from.
+ * @param {Date} lastActivityAt - The date the session was last used.
+ * @param {Date} expiresAt - The date the session expires if it is not refreshed.
+ * @param {Date} createdAt - The date of the login.
+ * @param {String} school - The id of the school of the user account. Null if the user account does not belong to a school.
+ * @param {String} impersonator - The id of the admin impersonating the user account in this session. Null for normal logins.
+ * */
+export default class Session {
+
+    /**
+     * @description Creates a session.
+     * @param {String} userAccount - The id of the user account that logged in.
+     * @param {String} userAgent - The user-agent of the device.
+     * @param {String} ip - The ip address the session was created from.
+     * @param {Date} lastActivityAt - The date the session was last used.
+     * @param {Date} expiresAt - The date the session expires.
+     * @param {Date} createdAt - The date of the login.
+     * @param {String} school - The id of the school of the user account.
+     * @param {String} impersonator - The id of the admin impersonating the user account.
+     */
+    constructor(
+        userAccount,
+        userAgent,
+        ip,
+        lastActivityAt,
+        expiresAt,
+        createdAt,
+        school = null,
+        impersonator = null
+    ) {
+        this._id = null;
+        this.userAccount = userAccount;
+        this.userAgent = userAgent;
+        this.ip = ip;
+        this.lastActivityAt = lastActivityAt;
+        this.expiresAt = expiresAt;
+        this.createdAt = createdAt;
+        this.school = school;
+        this.impersonator = impersonator;
+    }
+
+    /**
+     * @description Casts a database document into a session.
+     * @param {Object} document - The document from the database.
+     * @returns {Session} The session.
+     */
+    static castToSession(document) {
+        const { _id, userAccount, userAgent, ip, lastActivityAt, expiresAt, createdAt, school, impersonator } = document;
+        const session = new Session(userAccount.toString(), userAgent, ip, lastActivityAt, expiresAt, createdAt,
+            school ? school.toString() : null, impersonator ? impersonator.toString() : null);
+        session._id = _id.toString();
+        return session;
+    }
+
+    /**
+     * @description Starts a session for a login.
+     * @param {String} userAccountId - The id of the user account that logged in.
+     * @param {String} userAgent - The user-agent of the device.
+     * @param {String} ip - The ip address of the device.
+     * @param {Date} expiresAt - The date the refresh token of the session expires.
+     * @param {String} school - The id of the school of the user account. Null if it does not belong to a school.
+     * @param {String} impersonator - The id of the admin impersonating the user account. Null for normal logins.
+     * @returns {Promise<Session>} The session.
+     * @throws {DatabaseError} When the session could not be saved.
+     */
+    static async start(userAccountId, userAgent, ip, expiresAt, school, impersonator = null) {
+        const created = await createDocument(SessionSchema, {
+            userAccount: userAccountId,
+            userAgent: userAgent ?? null,
+            ip: ip ?? null,
+            lastActivityAt: new Date(),
+            expiresAt: expiresAt,
+            school: school ?? null,
+            impersonator: impersonator
+        });
+        if (!created) throw new DatabaseError(`Failed to create session for user account '${ userAccountId }'`);
+
+        await AuditLog.record(auditActions.CREATE, 'Session', created._id, null, created);
+        return Session.castToSession(created);
+    }
+
+    /**
+     * @description Gets a session by its _id.
+     * @param {String} _id - The _id of the session.
+     * @returns {Promise<Session|null>} The session or null if it does not exist, was revoked or expired.
+     */
+    static async getSessionById(_id) {
+        const document = await getDocument(SessionSchema, _id).catch(() => null);
+        if (!document || document.expiresAt.getTime() <= Date.now()) return null;
+
+        return Session.castToSession(document);
+    }
+
+    /**
+     * @description Gets the sessions of a user account, the most recently used first.
+     * @param {String} userAccountId - The id of the user account.
+     * @returns {Promise<Array<Session>>} The active sessions.
+     */
+    static async getSessionsByUserAccount(userAccountId) {
+        const documents = await getDocumentsByRule(SessionSchema, { userAccount: userAccountId, expiresAt: { $gt: new Date() } });
+
+        return documents
+            .map(document => Session.castToSession(document))
+            .sort((a, b) => b.lastActivityAt - a.lastActivityAt);
+    }
+
+    /**
+     * @description Gets which of the sessions still exist, e.g. to close the connections of revoked sessions.
+     * @param {Array<String>} sessionIds - The ids of the sessions.
+     * @returns {Promise<Set<String>>} The ids of the sessions that were not revoked and are not expired.
+     */
+    static async getActiveSessionIds(sessionIds) {
+        const documents = await getDocumentsByRule(SessionSchema, { _id: { $in: sessionIds }, expiresAt: { $gt: new Date() } });
+        return new Set(documents.map(document => document._id.toString()));
+    }
+
+    /**
+     * @description Updates the last activity of a session. Not recorded in the audit log.
+     * @param {String} _id - The _id of the session.
+     * @param {Date} expiresAt - The new expiration date, e.g. after a token refresh. The old one is kept if not given.
+     */
+    static async touch(_id, expiresAt = null) {
+        const update = { lastActivityAt: new Date() };
+        if (expiresAt) update.expiresAt = expiresAt;
+
+        await updateDocument(SessionSchema, _id, update);
+    }
+
+    /**
+     * @description Revokes a session. Its tokens are rejected from now on.
+     * @param {String} _id - The _id of the session.
+     * @returns {Promise<Boolean>} If the session existed.
+     */
+    static async revoke(_id) {
+        const document = await getDocument(SessionSchema, _id).catch(() => null);
+        if (!document) return false;
+
+        await deleteDocument(SessionSchema, _id);
+        await AuditLog.record(auditActions.DELETE, 'Session', _id, document, null);
+        return true;
+    }
+
+    /**
+     * @description Revokes all sessions of a user account.
+     * @param {String} userAccountId - The id of the user account.
+     * @param {String} exceptSessionId - The id of a session that is kept, e.g. the one revoking the others.
+     * @returns {Promise<Number>} The number of revoked sessions.
+     */
+    static async revokeAll(userAccountId, exceptSessionId = null) {
+        const documents = await getDocumentsByRule(SessionSchema, { userAccount: userAccountId });
+
+        let revoked = 0;
+        for (const document of documents) {
+            if (document._id.toString() === exceptSessionId) continue;
+
+            await deleteDocument(SessionSchema, document._id);
+            await AuditLog.record(auditActions.DELETE, 'Session', document._id, document, null);
+            revoked++;
+        }
+
+        return revoked;
+    }
+
+    toJSON() {
+        const { _id, userAccount, userAgent, ip, lastActivityAt, expiresAt, createdAt, school, impersonator } = this;
+        return {
+            _id,
+            userAccount,
+            userAgent,
+            ip,
+            lastActivityAt,
+            expiresAt,
+            createdAt,
+            school,
+            impersonator
+        };
+    }
+
+}
@@ -0,0 +1,238 @@
+/**
+ * @file TwoFactor.js - Module for the TOTP two-factor authentication of user accounts.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * A user account enrolls by scanning the otpauth URI of a new secret and confirming it with a first code.
+ * Afterwards a code of the authenticator app or a single-use recovery code is required on every login.
+ * The secrets are saved encrypted with a key derived from the TOKEN_SECRET, recovery codes only as SHA-256 hashes.
+ * Everything is computed locally, see httpServer/authentication/totp.js.
+ */
+import crypto from "crypto";
+import { getDocument, updateDocument } from "../../mongoDb/mongoAccess.js";
+import UserAccountSchema from "../../mongoDb/schemas/user/UserAccountSchema.js";
+import DatabaseError from "../../httpServer/errors/DatabaseError.js";
+import ConfigError from "../../httpServer/errors/ConfigError.js";
+import { createOtpauthUri, generateSecret, verifyCode } from "../../httpServer/authentication/totp.js";
+import AuditLog, { auditActions } from "../general/AuditLog.js";
+import School from "../general/setup/School.js";
+import config from "../../config.js";
+
+// characters of a recovery code, without characters that are easily confused when printed (0/O, 1/I/L)
+const recoveryCodeAlphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const recoveryCodeCount = 10;
+const recoveryCodeGroups = 2;
+const recoveryCodeGroupLength = 5;
+
+/**
+ * @description Derives the key the secrets are encrypted with.
+ * Changing the TOKEN_SECRET makes all saved secrets unreadable, the accounts have to enroll again.
+ * @returns {Buffer} The 256 bit key.
+ * @throws {ConfigError} If the token secret is not configured.
+ * */
+function getEncryptionKey() {
+    if (!config.TOKEN_SECRET) throw new ConfigError('TOKEN_SECRET cannot be accessed from config');
+    return crypto.createHash('sha256').update(`two-factor:${ config.TOKEN_SECRET }`).digest();
+}
+
+/**
+ * @description Encrypts a secret with AES-256-GCM.
+ * @param {String} secret - The base32 encoded secret.
+ * @returns {String} The initialization vector, authentication tag and ciphertext, base64url encoded and separated by dots.
+ * */
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([ cipher.update(secret, 'utf8'), cipher.final() ]);
+
+    return [ iv, cipher.getAuthTag(), encrypted ].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * @description Decrypts a secret encrypted by encryptSecret.
+ * @param {String} encrypted - The encrypted secret.
+ * @returns {String} The base32 encoded secret.
+ * @throws {Error} If the secret was encrypted with another key or was modified.
+ * */
+function decryptSecret(encrypted) {
+    const [ iv, tag, ciphertext ] = encrypted.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([ decipher.update(ciphertext), decipher.final() ]).toString('utf8');
+}
+
+/**
+ * @description Generates a random recovery code like 'K7PXA-3MQZ9'.
+ * @returns {String} The recovery code.
+ * */
+function generateRecoveryCode() {
+    const groups = [];
+    for (let i = 0; i < recoveryCodeGroups; i++) {
+        let group = '';
+        for (let j = 0; j < recoveryCodeGroupLength; j++) {
+            group += recoveryCodeAlphabet[crypto.randomInt(recoveryCodeAlphabet.length)];
+        }
+        groups.push(group);
+    }
+    return groups.join('-');
+}
+
+/**
+ * @description Hashes a recovery code. Case and dashes do not matter.
+ * @param {String} code - The recovery code.
+ * @returns {String} The hex encoded SHA-256 hash.
+ * */
+function hashRecoveryCode(code) {
+    const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * @description Class managing the two-factor authentication of user accounts.
+ * */
+export default class TwoFactor {
+
+    /**
+     * @description Gets the user account document including the two-factor properties.
+     * @param {String} userAccountId - The id of the user account.
+     * @return {Promise<Object>} The document.
+     * @throws {DatabaseError} When the user account does not exist.
+     */
+    static async getUserAccountDocument(userAccountId) {
+        const document = await getDocument(UserAccountSchema, userAccountId);
+        if (!document) throw new DatabaseError(`Failed to fetch user account with _id '${ userAccountId }' from database`);
+        return document;
+    }
+
+    /**
+     * @description Updates the two-factor properties of a user account and records the update in the audit log.
+     * @param {Object} document - The user account document before the update.
+     * @param {Object} twoFactor - The changed two-factor properties.
+     * @return {Promise<Object>} The updated document.
+     * @throws {DatabaseError} When the user account is not updated.
+     */
+    static async updateTwoFactor(document, twoFactor) {
+        const update = {};
+        for (const [ key, value ] of Object.entries(twoFactor)) {
+            update[`twoFactor.${ key }`] = value;
+        }
+
+        const updated = await updateDocument(UserAccountSchema, document._id, update);
+        if (!updated) throw new DatabaseError(`Failed to update two-factor authentication of user account '${ document._id }'`);
+
+        await AuditLog.record(auditActions.UPDATE, 'UserAccount', document._id, document, updated);
+        return updated;
+    }
+
+    /**
+     * @description Checks if a user has to use two-factor authentication because a school requires it for the account type.
+     * @param {User} user - The user.
+     * @return {Promise<Boolean>} If two-factor authentication is required.
+     */
+    static async isRequired(user) {
+        return await School.requiresTwoFactor(user);
+    }
+
+    /**
+     * @description Starts an enrollment with a new secret. The secret only becomes active once it is confirmed with a code.
+     * Starting again replaces the secret of an unconfirmed enrollment.
+     * @param {UserAccount} userAccount - The user account.
+     * @return {Promise<{ secret: String, otpauthUri: String }>} The secret and the URI for the authenticator app.
+     */
+    static async startEnrollment(userAccount) {
+        const document = await TwoFactor.getUserAccountDocument(userAccount._id);
+        const secret = generateSecret();
+
+        await TwoFactor.updateTwoFactor(document, { pendingSecret: encryptSecret(secret) });
+
+        return {
+            secret: secret,
+            otpauthUri: createOtpauthUri(secret, userAccount.username, config.TWO_FACTOR_ISSUER)
+        };
+    }
+
+    /**
+     * @description Confirms an enrollment with the first code of the authenticator app and enables two-factor authentication.
+     * @param {String} userAccountId - The id of the user account.
+     * @param {String} code - The code of the authenticator app.
+     * @return {Promise<Array<String>|null>} The recovery codes or null if there is no enrollment or the code is invalid.
+     * These are the only place the recovery codes appear in plain text.
+     */
+    static async confirmEnrollment(userAccountId, code) {
+        const document = await TwoFactor.getUserAccountDocument(userAccountId);
+        if (!document.twoFactor?.pendingSecret) return null;
+
+        const pendingSecret = document.twoFactor.pendingSecret;
+        const step = verifyCode(decryptSecret(pendingSecret), code);
+        if (step === null) return null;
+
+        const recoveryCodes = Array.from({ length: recoveryCodeCount }, generateRecoveryCode);
+        await TwoFactor.updateTwoFactor(document, {
+            enabled: true,
+            secret: pendingSecret,
+            pendingSecret: null,
+            lastUsedStep: step,
+            recoveryCodes: recoveryCodes.map(hashRecoveryCode)
+        });
+
+        return recoveryCodes;
+    }
+
+    /**
+     * @description Verifies a code of the authenticator app or a recovery code. Both can only be used once.
+     * @param {String} userAccountId - The id of the user account.
+     * @param {String} code - The code typed in by the user.
+     * @return {Promise<Boolean>} If the code is valid. Always false if two-factor authentication is not enabled.
+     */
+    static async verify(userAccountId, code) {
+        const document = await TwoFactor.getUserAccountDocument(userAccountId);
+        const twoFactor = document.twoFactor;
+        if (!twoFactor?.enabled || !twoFactor.secret) return false;
+
+        const step = verifyCode(decryptSecret(twoFactor.secret), code, twoFactor.lastUsedStep);
+        if (step !== null) {
+            await TwoFactor.updateTwoFactor(document, { lastUsedStep: step });
+            return true;
+        }
+
+        const hash = hashRecoveryCode(code);
+        if (twoFactor.recoveryCodes.includes(hash)) {
+            await TwoFactor.updateTwoFactor(document, { recoveryCodes: twoFactor.recoveryCodes.filter(recoveryCode => recoveryCode !== hash) });
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * @description Replaces the recovery codes of a user account with new ones.
+     * @param {String} userAccountId - The id of the user account.
+     * @return {Promise<Array<String>>} The new recovery codes.
+     */
+    static async regenerateRecoveryCodes(userAccountId) {
+        const document = await TwoFactor.getUserAccountDocument(userAccountId);
+
+        const recoveryCodes = Array.from({ length: recoveryCodeCount }, generateRecoveryCode);
+        await TwoFactor.updateTwoFactor(document, { recoveryCodes: recoveryCodes.map(hashRecoveryCode) });
+
+        return recoveryCodes;
+    }
+
+    /**
+     * @description Disables the two-factor authentication of a user account and removes its secret and recovery codes.
+     * @param {String} userAccountId - The id of the user account.
+     */
+    static async disable(userAccountId) {
+        const document = await TwoFactor.getUserAccountDocument(userAccountId);
+
+        await TwoFactor.updateTwoFactor(document, {
+            enabled: false,
+            secret: null,
+            pendingSecret: null,
+            lastUsedStep: -1,
+            recoveryCodes: []
+        });
+    }
+
+}
@@ -5,6 +5,7 @@
  */
 import BaseModel from "../BaseModel.js";
 import UserSchema from "../../mongoDb/schemas/user/UserSchema.js";
+import { populateDocument } from "../../mongoDb/mongoAccess.js";
 import UserAccountTypes from "./UserAccountTypes.js";
 import DatabaseError from "../../httpServer/errors/DatabaseError.js";
 import Blackboard from "../general/Blackboard.js";
@@ -12,6 +13,7 @@ import Course from "../general/Course.js";
 import Class from "../general/Class.js";
 import Chat from "../messages/Chat.js";
 import Club from "../clubs/Club.js";
+import { audiences } from "../visibility.js";
 
 /**
  * @description Class representing a User.
@@ -32,6 +34,7 @@ export default class User extends BaseModel {
     static schema = UserSchema;
     static cacheKey = 'users';
     static expirationTime = 3; // time in minutes after which the cache expires
+    static cacheIndexes = [ 'type' ]; // fields indexed in the cache
     static populationPaths = [
         { path: 'classes' },
         { path: 'extraCourses' },
@@ -40,6 +43,20 @@ export default class User extends BaseModel {
         { path: 'chats' }
     ];
 
+    // fields every user can see, the rest is only visible to the user, their classmates, teachers or admins
+    static visibility = {
+        _id: [ audiences.PUBLIC ],
+        firstName: [ audiences.PUBLIC ],
+        lastName: [ audiences.PUBLIC ],
+        avatar: [ audiences.PUBLIC ],
+        type: [ audiences.PUBLIC ],
+        classes: [ audiences.SELF, audiences.SAME_CLASS, audiences.TEACHER ],
+        extraCourses: [ audiences.SELF, audiences.SAME_CLASS, audiences.TEACHER ],
+        blackboards: [ audiences.SELF, audiences.TEACHER ],
+        clubs: [ audiences.PUBLIC ],
+        chats: [ audiences.SELF ]
+    };
+
     /**
      * User constructor
      * @param {String} firstName - The first name of the user.
@@ -188,6 +205,24 @@ export default class User extends BaseModel {
         return [];
     }
 
+    /**
+     * @description Gets the users a user belongs to, which is only the user itself. See visibility.js.
+     * @param {User} user - The user.
+     * @returns {Array<String>} The ids of the owners.
+     */
+    static getOwnerIds(user) {
+        return [ user._id ];
+    }
+
+    /**
+     * @description Gets the classes of a user. See visibility.js.
+     * @param {User} user - The user.
+     * @returns {Array<Class|String>} The classes or their ids.
+     */
+    static getClassIds(user) {
+        return user.classes ?? [];
+    }
+
     /**
      * Casts a plain object to an instance of the User class.
      * @param {Object} user - The plain object to cast.
@@ -220,29 +255,28 @@ export default class User extends BaseModel {
     static async populateUser(user) {
 
         try {
-            user = await user
-                .populate([
-                    {
-                        path: 'classes',
-                        populate: Class.getPopulationPaths()
-                    },
-                    {
-                        path: 'extraCourses',
-                        populate: Course.getPopulationPaths()
-                    },
-                    {
-                        path: 'blackboards',
-                        populate: Blackboard.getPopulationPaths()
-                    },
-                    {
-                        path: 'clubs',
-                        populate: Club.getPopulationPaths()
-                    },
-                    {
-                        path: 'chats',
-                        populate: Chat.getPopulationPaths()
-                    }
-                ]);
+            user = await populateDocument(UserSchema, user, [
+                {
+                    path: 'classes',
+                    populate: Class.getPopulationPaths()
+                },
+                {
+                    path: 'extraCourses',
+                    populate: Course.getPopulationPaths()
+                },
+                {
+                    path: 'blackboards',
+                    populate: Blackboard.getPopulationPaths()
+                },
+                {
+                    path: 'clubs',
+                    populate: Club.getPopulationPaths()
+                },
+                {
+                    path: 'chats',
+                    populate: Chat.getPopulationPaths()
+                }
+            ]);
 
             user._id = user._id.toString();
 
@@ -8,53 +8,80 @@ import {
     deleteDocument,
     getDocument,
     getDocumentsByRule,
+    populateDocument,
     updateDocument
 } from "../../mongoDb/mongoAccess.js";
+import crypto from "crypto";
 import UserAccountSchema from "../../mongoDb/schemas/user/UserAccountSchema.js";
 import DatabaseError from "../../httpServer/errors/DatabaseError.js";
-import UserAccountPermissions from "./UserAccountPermissions.js";
+import { isPermissionGranted, validatePermissions } from "./permissionRegistry.js";
 import User from "./User.js";
+import Role from "./Role.js";
+import { hashPassword, isPasswordHash, needsRehash, verifyPassword } from "../../httpServer/authentication/passwordHashing.js";
+import logger from "../../tools/logging/logger.js";
+import AuditLog, { auditActions } from "../general/AuditLog.js";
+import { audiences } from "../visibility.js";
 
 /**
  * @description The model for a users account.
  * @param {String} _id - The _id of the users account.
  * @param {String} user - The _id of the user of the users account.
  * @param {String} username - The username of the users.
- * @param {String} password - The password of the users.
+ * @param {String} password - The password hash of the users. It is never serialized.
  * @param {Array<String>} settings - The settings of the users.
- * @param {Array<String>} permissions - The permissions of the users.
+ * @param {Array<String>} permissions - The permissions granted to the users individually. Wildcards like 'club.*' grant a whole branch.
+ * @param {Array<Role>} roles - The roles of the users.
+ * @param {Array<String>} deniedPermissions - The permissions explicitly denied to the users, even if a role grants them.
+ * @param {Boolean} twoFactorEnabled - If the users has to enter a code on login. The secret itself is never loaded, see TwoFactor.js.
+ *
+ * The effective permissions are the permissions of the role template of the users account type,
+ * the permissions of the roles and the individual permissions, minus the denied permissions.
  * */
 export default class UserAccount {
 
+    // user accounts are private, only the user itself (and admins) can see them
+    static visibility = {
+        _id: [ audiences.SELF ],
+        user: [ audiences.SELF ],
+        username: [ audiences.SELF, audiences.TEACHER ],
+        settings: [ audiences.SELF ],
+        permissions: [ audiences.SELF ],
+        roles: [ audiences.SELF ],
+        deniedPermissions: [ audiences.SELF ],
+        twoFactorEnabled: [ audiences.SELF ]
+    };
+
     /**
      * @description The constructor for a users account.
      * @param {String} user - The _id of the user that the account belongs to.
      * @param {String} username - The username of the users.
      * @param {String} password - The password of the users.
      * @param {Array<String>} settings - The settings of the users.
-     * @param {Array<String>} permissions - The permissions of the users.
+     * @param {Array<String>} permissions - The permissions granted to the users individually.
+     * @param {Array<String|Role>} roles - The roles or the ids of the roles of the users.
+     * @param {Array<String>} deniedPermissions - The permissions explicitly denied to the users.
      */
     constructor(
         user,
         username,
         password,
         settings,
-        permissions
+        permissions,
+        roles = [],
+        deniedPermissions = []
     ) {
         this.user = user;
         this.username = username;
         this.password = password;
         this.settings = settings;
         this.permissions = permissions;
+        this.roles = roles;
+        this.deniedPermissions = deniedPermissions;
+        this.accountTypeRoles = [];
+        this.twoFactorEnabled = false;
 
-        for (let perm of permissions) {
-
-            if (typeof perm !== 'string') throw new Error(`User account permissions must be of type string:\n${ perm }`);
-
-            const allPerms = Object.keys(UserAccountPermissions);
-            if (!allPerms.includes(perm)) throw new Error(`User account permission does not exist:\n${ perm }`);
-
-        }
+        validatePermissions(permissions);
+        validatePermissions(deniedPermissions);
 
     }
 
@@ -95,17 +122,25 @@ export default class UserAccount {
     }
 
     set _permissions(permissions) {
+        validatePermissions(permissions);
+        this.permissions = permissions;
+    }
 
-        for (let perm of permissions) {
-
-            if (typeof perm !== 'string') throw new Error(`User account permissions must be of type string:\n${ perm }`);
+    get _roles() {
+        return this.roles;
+    }
 
-            const allPerms = Object.keys(UserAccountPermissions);
-            if (!allPerms.includes(perm)) throw new Error(`User account permission does not exist:\n${ perm }`);
+    set _roles(value) {
+        this.roles = value;
+    }
 
-        }
+    get _deniedPermissions() {
+        return this.deniedPermissions;
+    }
 
-        this.permissions = permissions;
+    set _deniedPermissions(deniedPermissions) {
+        validatePermissions(deniedPermissions);
+        this.deniedPermissions = deniedPermissions;
     }
 
     /**
@@ -114,18 +149,30 @@ export default class UserAccount {
      * @returns {UserAccount} The cast instance of the User class.
      */
     static castToUserAccount(userAccount) {
-        const { _id, user, username, password, settings, permissions } = userAccount;
+        const { _id, user, username, password, settings, permissions, roles, deniedPermissions, twoFactor } = userAccount;
         const castUserAccount = new UserAccount(
             user,
             username,
             password,
             settings,
-            permissions
+            permissions,
+            roles,
+            deniedPermissions
         );
         castUserAccount._id = _id.toString();
+        castUserAccount.twoFactorEnabled = Boolean(twoFactor?.enabled);
         return castUserAccount;
     }
 
+    /**
+     * @description Gets the users a users account belongs to. See visibility.js.
+     * @param {UserAccount} userAccount - The users account.
+     * @return {Array<User|String>} The user of the account.
+     */
+    static getOwnerIds(userAccount) {
+        return [ userAccount.user ];
+    }
+
     /**
      * @description Get a users account by its _id.
      * @param {String} _id - The _id of the users account.
@@ -136,6 +183,19 @@ export default class UserAccount {
         return await UserAccount.populateUserAccount(document);
     }
 
+    /**
+     * @description Gets the school a users account belongs to, e.g. to bind a new session to it.
+     * @param {String} _id - The _id of the users account.
+     * @return {Promise<String|null>} The _id of the school or null if the users account does not belong to a school.
+     * @throws {DatabaseError} When the users account does not exist.
+     * */
+    static async getSchoolId(_id) {
+        const document = await getDocument(UserAccountSchema, _id);
+        if (!document) throw new DatabaseError(`Failed to fetch user account with _id '${ _id }' from database`);
+
+        return document.school ? document.school.toString() : null;
+    }
+
     /**
      * @description Get a users account by its username.
      * @param {Object} rule - The username of the users account.
@@ -161,9 +221,13 @@ export default class UserAccount {
      */
     static async createUserAccount(userAccount) {
 
+        userAccount = await UserAccount.prepareDocument(userAccount);
+
         const insertedUserAccount = await createDocument(UserAccountSchema, userAccount);
         if (!insertedUserAccount) throw new DatabaseError(`Failed to create user account:\n${ userAccount }`);
 
+        await AuditLog.record(auditActions.CREATE, 'UserAccount', insertedUserAccount._id, null, insertedUserAccount);
+
         return await this.populateUserAccount(insertedUserAccount);
     }
 
@@ -176,9 +240,14 @@ export default class UserAccount {
      */
     static async updateUserAccount(_id, userAccount) {
 
+        userAccount = await UserAccount.prepareDocument(userAccount);
+        const oldUserAccount = await getDocument(UserAccountSchema, _id);
+
         const updatedUserAccount = await updateDocument(UserAccountSchema, _id, userAccount);
         if (!updatedUserAccount) throw new DatabaseError(`Failed to update user account:\n${ userAccount }`);
 
+        await AuditLog.record(auditActions.UPDATE, 'UserAccount', _id, oldUserAccount, updatedUserAccount);
+
         return await this.populateUserAccount(updatedUserAccount);
 
     }
@@ -194,9 +263,102 @@ export default class UserAccount {
         const deletedUserAccount = await deleteDocument(UserAccountSchema, userAccount._id);
         if (!deletedUserAccount) throw new DatabaseError(`Failed to delete user account:\n${ userAccount }`);
 
+        await AuditLog.record(auditActions.DELETE, 'UserAccount', userAccount._id, deletedUserAccount, null);
+
         return true;
     }
 
+    /**
+     * @description Prepares a users account for saving it in the database.
+     * Passwords are always hashed, also values looking like a hash, so clients cannot set a hash of their choice.
+     * Missing properties are left out so they are not overwritten.
+     * Populated references are replaced by their ids.
+     * @param {UserAccount|Object} userAccount - The users account to prepare.
+     * @return {Promise<Object>} A copy of the users account that can be saved in the database.
+     */
+    static async prepareDocument(userAccount) {
+
+        const { _id, user, username, password, settings, permissions, roles, deniedPermissions } = userAccount;
+        const prepared = {
+            _id,
+            user: user?._id ?? user,
+            username,
+            password,
+            settings,
+            permissions,
+            roles: roles?.map(role => role?._id ?? role),
+            deniedPermissions
+        };
+
+        if (prepared.password === null || prepared.password === '') {
+            delete prepared.password;
+        }
+        else if (prepared.password !== undefined) {
+            prepared.password = await hashPassword(prepared.password);
+        }
+
+        for (const key of Object.keys(prepared)) {
+            if (prepared[key] === undefined) delete prepared[key];
+        }
+
+        return prepared;
+    }
+
+    /**
+     * @description Hashes the passwords of all users accounts that are still saved in plaintext.
+     * @return {Promise<Number>} The number of migrated users accounts.
+     */
+    static async migratePlaintextPasswords() {
+
+        const documents = await getDocumentsByRule(UserAccountSchema, {});
+
+        let migrated = 0;
+        for (let doc of documents) {
+            if (!doc.password || isPasswordHash(doc.password)) continue;
+
+            const updated = await updateDocument(UserAccountSchema, doc._id, { password: await hashPassword(doc.password) });
+            await AuditLog.record(auditActions.UPDATE, 'UserAccount', doc._id, doc, updated);
+            migrated++;
+        }
+
+        return migrated;
+    }
+
+    /**
+     * @description Verifies a password against the password of the users account.
+     * Accounts that still have a plaintext password or an outdated hash are migrated on a successful verification.
+     * @param {String} password - The plaintext password to verify.
+     * @return {Promise<Boolean>} If the password is correct.
+     */
+    async verifyPassword(password) {
+
+        if (typeof password !== 'string' || !this.password) return false;
+
+        let valid;
+        if (isPasswordHash(this.password)) {
+            valid = await verifyPassword(password, this.password);
+        }
+        else {
+            const stored = Buffer.from(this.password);
+            const given = Buffer.from(password);
+            valid = stored.length === given.length && crypto.timingSafeEqual(stored, given);
+        }
+
+        if (valid && needsRehash(this.password)) {
+            try {
+                const oldPassword = this.password;
+                this.password = await hashPassword(password);
+                await updateDocument(UserAccountSchema, this._id, { password: this.password });
+                await AuditLog.record(auditActions.UPDATE, 'UserAccount', this._id, { password: oldPassword }, { password: this.password });
+                logger.database.info(`Migrated password of user account '${ this._id }' to new hash`);
+            } catch (error) {
+                logger.database.error(`Failed to migrate password of user account '${ this._id }':\n${ error.stack }`);
+            }
+        }
+
+        return valid;
+    }
+
     /**
      * @description Populate a users account.
      * @param {Object} userAccount - The users account to populate.
@@ -206,22 +368,30 @@ export default class UserAccount {
 
         try {
 
-            userAccount = await userAccount
-                .populate([
-                    {
-                        path: 'user',
-                        populate: User.getPopulationPaths()
-                    }
-                ]);
+            userAccount = await populateDocument(UserAccountSchema, userAccount, [
+                {
+                    path: 'user',
+                    populate: User.getPopulationPaths()
+                },
+                {
+                    path: 'roles'
+                }
+            ]);
 
             const populatedUserAccount = new UserAccount(
                 userAccount.user,
                 userAccount.username,
                 userAccount.password,
                 userAccount.settings,
-                userAccount.permissions
+                userAccount.permissions,
+                userAccount.roles.map(role => Role.castToRole(role)).filter(role => role !== null),
+                userAccount.deniedPermissions ?? []
             );
             populatedUserAccount._id = userAccount._id.toString();
+            populatedUserAccount.twoFactorEnabled = Boolean(userAccount.twoFactor?.enabled);
+
+            // roles are read from the database on every population, so role changes reach all holders immediately
+            populatedUserAccount.accountTypeRoles = await Role.getTemplatesByAccountType(userAccount.user?.type);
             userAccount.user = userAccount.user ? User.castToUser(userAccount.user) : null;
 
             return populatedUserAccount;
@@ -233,24 +403,49 @@ export default class UserAccount {
     }
 
     /**
-     * Converts the User instance into a JSON-friendly format by removing the underscores from the property names.
-     * This method is automatically called when JSON.stringify() is used on a User instance.
-     * @returns {Object} An object representation of the User instance without underscores in the property names.
+     * Converts the UserAccount instance into a JSON-friendly format.
+     * The password hash is left out, so it never leaves the server.
+     * This method is automatically called when JSON.stringify() is used on a UserAccount instance.
+     * @returns {Object} An object representation of the UserAccount instance without the password.
      */
     toJSON() {
-        const { _id, user, username, password, settings, permissions } = this;
+        const { _id, user, username, settings, permissions, roles, deniedPermissions, twoFactorEnabled } = this;
         return {
             _id,
             user,
             username,
-            password,
             settings,
-            permissions
+            permissions,
+            roles,
+            deniedPermissions,
+            twoFactorEnabled
         };
     }
 
-    hasPermission(permission) {
-        return this._permissions.includes(permission);
+    /**
+     * @description Gets the permissions granted by the account type template, the roles and the individual permissions.
+     * Denied permissions are not removed here, see hasPermission.
+     * @return {Array<String>} The granted permissions and wildcards.
+     */
+    getGrantedPermissions() {
+        const rolePermissions = [ ...this.accountTypeRoles, ...this._roles ]
+            .flatMap(role => role?.permissions ?? []);
+
+        return [ ...new Set([ ...rolePermissions, ...this._permissions ]) ];
+    }
+
+    /**
+     * @description Checks if the users account has a permission, either directly or through a wildcard like 'club.*'.
+     * Explicitly denied permissions are never granted, even if a role or the resource grants them.
+     * @param {String} permission - The required permission. See UserAccountPermissions.js.
+     * @param {String} resourceId - The id of the resource the permission is required on. Scoped grants only apply to this resource.
+     * @param {Array<String>} resourceGrants - Grants the user implicitly has on the resource. See authorization/resourceGrants.js.
+     * @return {Boolean} If the permission is granted.
+     */
+    hasPermission(permission, resourceId = null, resourceGrants = []) {
+        if (isPermissionGranted(this._deniedPermissions, permission, resourceId)) return false;
+
+        return isPermissionGranted([ ...this.getGrantedPermissions(), ...resourceGrants ], permission, resourceId);
     }
 
 }
\ No newline at end of file
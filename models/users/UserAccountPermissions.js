@@ -1,11 +1,72 @@
 /**
  * @file UserAccountPermissions.js - Object listing all permissions a user account can have.
+ * Every permission is named after its path in this object. See permissionRegistry.js for validation and wildcards.
  * @author Daniel Dopatka
  * @copyright 2023 Daniel Dopatka, Linus Bung
  */
 export default {
 
+    audit: {
+        view: "audit.view"
+    },
+    blackboard: {
+        view: "blackboard.view",
+        creation: {
+            execute: "blackboard.creation.execute"
+        },
+        edit: {
+            execute: "blackboard.edit.execute"
+        },
+        deletion: {
+            execute: "blackboard.deletion.execute"
+        }
+    },
+    chat: {
+        view: "chat.view",
+        creation: {
+            execute: "chat.creation.execute"
+        },
+        edit: {
+            execute: "chat.edit.execute"
+        },
+        deletion: {
+            execute: "chat.deletion.execute"
+        },
+        targets: {
+            add: "chat.targets.add",
+            remove: "chat.targets.remove"
+        },
+        courses: {
+            add: "chat.courses.add",
+            remove: "chat.courses.remove"
+        },
+        clubs: {
+            add: "chat.clubs.add",
+            remove: "chat.clubs.remove"
+        }
+    },
+    class: {
+        view: "class.view",
+        creation: {
+            execute: "class.creation.execute"
+        },
+        edit: {
+            execute: "class.edit.execute"
+        },
+        deletion: {
+            execute: "class.deletion.execute"
+        },
+        members: {
+            add: "class.members.add",
+            remove: "class.members.remove"
+        },
+        courses: {
+            add: "class.courses.add",
+            remove: "class.courses.remove"
+        }
+    },
     club: {
+        view: "club.view",
         creation: {
             execute: "club.creation.execute",
             suggest: "club.creation.suggest"
@@ -20,11 +81,23 @@ export default {
             suggest: "club.edit.suggest",
             execute: "club.edit.execute"
         },
+        members: {
+            add: "club.members.add",
+            remove: "club.members.remove"
+        },
+        leaders: {
+            add: "club.leaders.add",
+            remove: "club.leaders.remove"
+        },
+        events: {
+            add: "club.events.add",
+            remove: "club.events.remove"
+        },
         administration: {
             suggestion: {
                 creation: {
-                    approve: "club.administration.creation.approve",
-                    reject: "club.administration.creation.reject"
+                    approve: "club.administration.suggestion.creation.approve",
+                    reject: "club.administration.suggestion.creation.reject"
                 },
                 deletion: {
                     approve: "club.administration.suggestion.deletion.approve",
@@ -37,65 +110,199 @@ export default {
             }
         }
     },
-    event: {}
+    course: {
+        view: "course.view",
+        creation: {
+            execute: "course.creation.execute"
+        },
+        edit: {
+            execute: "course.edit.execute"
+        },
+        deletion: {
+            execute: "course.deletion.execute"
+        },
+        members: {
+            add: "course.members.add",
+            remove: "course.members.remove"
+        },
+        classes: {
+            add: "course.classes.add",
+            remove: "course.classes.remove"
+        },
+        teacher: {
+            set: "course.teacher.set"
+        },
+        subject: {
+            set: "course.subject.set"
+        },
+        chat: {
+            set: "course.chat.set"
+        }
+    },
+    event: {
+        view: "event.view",
+        creation: {
+            execute: "event.creation.execute"
+        },
+        edit: {
+            execute: "event.edit.execute"
+        },
+        deletion: {
+            execute: "event.deletion.execute"
+        },
+        pings: {
+            create: "event.pings.create"
+        },
+        tickets: {
+            manage: "event.tickets.manage"
+        },
+        administration: {
+            approve: "event.administration.approve",
+            reject: "event.administration.reject"
+        }
+    },
+    eventTicket: {
+        view: "eventTicket.view",
+        creation: {
+            execute: "eventTicket.creation.execute"
+        },
+        edit: {
+            execute: "eventTicket.edit.execute"
+        },
+        deletion: {
+            execute: "eventTicket.deletion.execute"
+        }
+    },
+    grade: {
+        view: "grade.view",
+        creation: {
+            execute: "grade.creation.execute"
+        },
+        edit: {
+            execute: "grade.edit.execute"
+        },
+        deletion: {
+            execute: "grade.deletion.execute"
+        }
+    },
+    loginLock: {
+        view: "loginLock.view",
+        deletion: {
+            execute: "loginLock.deletion.execute"
+        }
+    },
+    message: {
+        view: "message.view",
+        creation: {
+            execute: "message.creation.execute"
+        },
+        edit: {
+            execute: "message.edit.execute"
+        },
+        deletion: {
+            execute: "message.deletion.execute"
+        }
+    },
+    role: {
+        view: "role.view",
+        creation: {
+            execute: "role.creation.execute"
+        },
+        edit: {
+            execute: "role.edit.execute"
+        },
+        deletion: {
+            execute: "role.deletion.execute"
+        }
+    },
+    school: {
+        view: "school.view",
+        creation: {
+            execute: "school.creation.execute"
+        },
+        edit: {
+            execute: "school.edit.execute"
+        },
+        deletion: {
+            execute: "school.deletion.execute"
+        },
+        export: {
+            execute: "school.export.execute"
+        }
+    },
+    session: {
+        view: "session.view",
+        deletion: {
+            execute: "session.deletion.execute"
+        }
+    },
+    setupAccount: {
+        view: "setupAccount.view",
+        creation: {
+            execute: "setupAccount.creation.execute"
+        },
+        edit: {
+            execute: "setupAccount.edit.execute"
+        },
+        deletion: {
+            execute: "setupAccount.deletion.execute"
+        }
+    },
+    subject: {
+        view: "subject.view",
+        creation: {
+            execute: "subject.creation.execute"
+        },
+        edit: {
+            execute: "subject.edit.execute"
+        },
+        deletion: {
+            execute: "subject.deletion.execute"
+        }
+    },
+    user: {
+        view: "user.view",
+        creation: {
+            execute: "user.creation.execute"
+        },
+        edit: {
+            execute: "user.edit.execute"
+        },
+        deletion: {
+            execute: "user.deletion.execute"
+        },
+        classes: {
+            add: "user.classes.add",
+            remove: "user.classes.remove"
+        },
+        courses: {
+            add: "user.courses.add",
+            remove: "user.courses.remove"
+        },
+        import: {
+            execute: "user.import.execute"
+        }
+    },
+    userAccount: {
+        view: "userAccount.view",
+        creation: {
+            execute: "userAccount.creation.execute"
+        },
+        edit: {
+            execute: "userAccount.edit.execute"
+        },
+        deletion: {
+            execute: "userAccount.deletion.execute"
+        },
+        activation: {
+            create: "userAccount.activation.create"
+        },
+        twoFactor: {
+            reset: "userAccount.twoFactor.reset"
+        },
+        impersonation: {
+            execute: "userAccount.impersonation.execute"
+        }
+    }
 
 }
-
-
-const test = {
-
-    chat: [
-        'CHAT_CREATE',
-        'CHAT_DELETE',
-        'CHAT_VIEW',
-        'CHAT_ADD_USER',
-        'CHAT_ADD_CLUB',
-        'CHAT_ADD_CLASS'
-    ],
-    class: [
-        'CLASS_CREATE',
-        'CLASS_DELETE',
-        'CLASS_ADD_USER',
-        'CLASS_ADD_TEACHER'
-    ],
-    club: [
-        'CLUB_CREATE',
-        'CLUB_DELETE',
-        'CLUB_APPROVE',
-        'CLUB_REJECT',
-        'CLUB_JOIN',
-        'CLUB_LEAVE',
-        'CLUB_NAME_CHANGE',
-        'CLUB_DETAILS_CHANGE',
-        'CLUB_EVENT_ADMIN',
-        'CLUB_MEMBER_PROMOTE_DEMOTE',
-        'CLUB_MEMBER_ADD_REMOVE',
-        'CLUB_TEACHER_ADD_REMOVE'
-    ],
-    course: [
-        'COURSE_CREATE',
-        'COURSE_DELETE',
-        'COURSE_EDIT',
-        'COURSE_SET_TEACHER',
-        'COURSE_ADD_USER',
-        'COURSE_ADD_CLASS',
-        'COURSE_SET_SUBJECT',
-        'COURSE_SET_CHAT'
-    ],
-    event: [
-        'EVENT_CREATE',
-        'EVENT_DELETE',
-        'EVENT_VIEW',
-        'EVENT_APPROVE',
-        'EVENT_REJECT',
-        'EVENT_EDIT',
-        'EVENT_TICKET_MANAGE'
-    ],
-    user: [
-        'USER_MANUAL_CREATE',
-        'USER_DELETE',
-        'USER_MANUAL_ASSIGN_CLASSES',
-        'USER_MANUAL_ASSIGN_COURSES'
-    ]
-
-}
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * @file defaultRoles.js - Object listing the default role templates of every account type.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import UserAccountTypes from "./UserAccountTypes.js";
+import UserAccountPermissions from "./UserAccountPermissions.js";
+
+const { blackboard, chat, club, course, event, message } = UserAccountPermissions;
+
+/**
+ * @description The default role templates. Every user account inherits the template of its user's account type.
+ * The templates are created on startup if they do not exist and can be edited through /api/roles afterwards.
+ * withdrawnPermissions were granted by earlier versions of a template and are removed from existing templates on startup.
+ * */
+export default {
+
+    [UserAccountTypes.STUDENT]: {
+        name: 'Schüler',
+        permissions: [
+            blackboard.view,
+            blackboard.creation.execute,
+            chat.creation.execute,
+            club.view,
+            club.join,
+            club.leave,
+            club.creation.suggest,
+            club.deletion.suggest,
+            club.edit.suggest,
+            course.view,
+            event.view,
+            message.creation.execute
+        ]
+    },
+    // teachers manage their own courses and the chats of them through the grants of resourceGrants.js,
+    // so they get no unscoped rights on chats, clubs and courses of others
+    [UserAccountTypes.TEACHER]: {
+        name: 'Lehrer',
+        permissions: [
+            'blackboard.*',
+            chat.view,
+            chat.creation.execute,
+            club.view,
+            club.join,
+            club.leave,
+            club.creation.execute,
+            club.deletion.suggest,
+            club.edit.suggest,
+            course.view,
+            course.creation.execute,
+            'event.*',
+            message.creation.execute
+        ],
+        withdrawnPermissions: [
+            'chat.*',
+            'club.*',
+            'course.*'
+        ]
+    },
+    [UserAccountTypes.ADMIN]: {
+        name: 'Administrator',
+        permissions: [
+            '*'
+        ]
+    }
+
+}
@@ -0,0 +1,153 @@
+/**
+ * @file permissionRegistry.js - Registry of all permissions in UserAccountPermissions.js and functions to match permission grants.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * Permissions are dotted names like 'club.edit.execute'.
+ * A grant can be an exact permission, a wildcard for a whole branch like 'club.administration.*' or '*' for all permissions.
+ * A grant can be scoped to a single resource by appending its id, e.g. 'club.edit.execute@507f191e810c19729de860ea'.
+ */
+import UserAccountPermissions from "./UserAccountPermissions.js";
+
+/**
+ * @description The wildcard that grants every permission below a branch.
+ * */
+export const wildcard = '*';
+
+/**
+ * @description The separator between a grant and the id of the resource it is scoped to.
+ * */
+export const scopeSeparator = '@';
+
+/**
+ * @description Flattens the permission tree into a list of permission names.
+ * @param {Object} tree - The (sub) tree of permissions.
+ * @param {String} path - The path of the tree.
+ * @returns {{ permissions: Array<String>, branches: Array<String> }} The permission names and the names of all branches.
+ * @throws {Error} If the name of a permission does not match its path in the tree.
+ */
+function flatten(tree, path = '') {
+    let permissions = [];
+    let branches = [];
+
+    for (const [ key, value ] of Object.entries(tree)) {
+        const name = path ? `${ path }.${ key }` : key;
+
+        if (typeof value === 'string') {
+            if (value !== name) throw new Error(`Permission '${ value }' does not match its path '${ name }'`);
+            permissions.push(name);
+        }
+        else {
+            branches.push(name);
+            const flattened = flatten(value, name);
+            permissions.push(...flattened.permissions);
+            branches.push(...flattened.branches);
+        }
+    }
+
+    return { permissions, branches };
+}
+
+const { permissions, branches } = flatten(UserAccountPermissions);
+
+/**
+ * @description All existing permission names.
+ * */
+export const allPermissions = Object.freeze([ ...permissions ]);
+
+const permissionSet = new Set(permissions);
+const branchSet = new Set(branches);
+
+/**
+ * @description Scopes a grant to a single resource.
+ * @param {String} grant - The permission or wildcard.
+ * @param {String} resourceId - The id of the resource.
+ * @returns {String} The scoped grant.
+ */
+export function scopePermission(grant, resourceId) {
+    return `${ grant }${ scopeSeparator }${ resourceId }`;
+}
+
+/**
+ * @description Splits a grant into the permission and the id of the resource it is scoped to.
+ * @param {String} grant - The permission grant.
+ * @returns {{ permission: String, resourceId: String }} The permission and the resource id (null for unscoped grants).
+ */
+export function parseScope(grant) {
+    const index = grant.indexOf(scopeSeparator);
+    if (index === -1) return { permission: grant, resourceId: null };
+
+    return { permission: grant.slice(0, index), resourceId: grant.slice(index + 1) };
+}
+
+/**
+ * @description Checks if a permission grant is valid.
+ * Valid grants are existing permissions, '*' and wildcards of existing branches like 'club.administration.*'.
+ * Each of them may be scoped to a resource id.
+ * @param {String} grant - The permission grant to check.
+ * @returns {Boolean} If the grant is valid.
+ */
+export function isValidPermission(grant) {
+    if (typeof grant !== 'string') return false;
+
+    const { permission, resourceId } = parseScope(grant);
+    if (resourceId !== null) return resourceId.length > 0 && isValidPermission(permission);
+
+    if (grant === wildcard) return true;
+
+    if (grant.endsWith(`.${ wildcard }`)) {
+        return branchSet.has(grant.slice(0, -(wildcard.length + 1)));
+    }
+
+    return permissionSet.has(grant);
+}
+
+/**
+ * @description Validates a list of permission grants.
+ * @param {Array<String>} grants - The permission grants to validate.
+ * @throws {TypeError} If a grant is not a string.
+ * @throws {Error} If a grant does not exist.
+ */
+export function validatePermissions(grants) {
+    for (let grant of grants) {
+
+        if (typeof grant !== 'string') throw new TypeError(`User account permissions must be of type string:\n${ grant }`);
+        if (!isValidPermission(grant)) throw new Error(`User account permission does not exist:\n${ grant }`);
+
+    }
+}
+
+/**
+ * @description Checks if a single grant covers a permission.
+ * Scoped grants only cover the permission on the resource they are scoped to, unscoped grants cover it on every resource.
+ * @param {String} grant - The granted permission or wildcard.
+ * @param {String} permission - The required permission.
+ * @param {String} resourceId - The id of the resource the permission is required on. Null if not required on a resource.
+ * @returns {Boolean} If the grant covers the permission.
+ */
+export function matchesPermission(grant, permission, resourceId = null) {
+    const scope = parseScope(grant);
+    if (scope.resourceId !== null) {
+        if (resourceId === null || scope.resourceId !== resourceId.toString()) return false;
+        grant = scope.permission;
+    }
+
+    if (grant === wildcard || grant === permission) return true;
+
+    if (grant.endsWith(`.${ wildcard }`)) {
+        return permission.startsWith(grant.slice(0, -wildcard.length));
+    }
+
+    return false;
+}
+
+/**
+ * @description Checks if any of the grants covers a permission.
+ * @param {Array<String>} grants - The granted permissions and wildcards.
+ * @param {String} permission - The required permission.
+ * @param {String} resourceId - The id of the resource the permission is required on. Null if not required on a resource.
+ * @returns {Boolean} If the permission is granted.
+ */
+export function isPermissionGranted(grants, permission, resourceId = null) {
+    return Array.isArray(grants) && grants.some(grant => typeof grant === 'string' && matchesPermission(grant, permission, resourceId));
+}
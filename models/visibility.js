@@ -0,0 +1,123 @@
+/**
+ * @file visibility.js - Renders models for a specific viewer, leaving out the fields the viewer is not allowed to see.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * Every model can declare the audiences of its fields in a static 'visibility' object:
+ *
+ *     static visibility = {
+ *         firstName: [ audiences.PUBLIC ],
+ *         chats: [ audiences.SELF ]
+ *     };
+ *
+ * Admins see every field. Fields of a model with visibility rules that are not declared are only visible to admins.
+ * Models without visibility rules are rendered completely, their nested models are still rendered by their own rules.
+ */
+import UserAccountTypes from "./users/UserAccountTypes.js";
+
+/**
+ * @description The audiences a field can be visible to.
+ * PUBLIC: every viewer, even unauthenticated ones.
+ * SELF: the users the document belongs to. See getOwnerIds() of the model.
+ * SAME_CLASS: users that share a class with the document. See getClassIds() of the model.
+ * TEACHER: teachers.
+ * ADMIN: admins. They can see every field anyway.
+ * */
+export const audiences = {
+    PUBLIC: 'PUBLIC',
+    SELF: 'SELF',
+    SAME_CLASS: 'SAME_CLASS',
+    TEACHER: 'TEACHER',
+    ADMIN: 'ADMIN'
+};
+
+/**
+ * @description Gets the id of a reference, no matter if it is populated or not.
+ * @param {Object|String} reference - The populated document or its id.
+ * @returns {String} The id of the reference.
+ * */
+function idOf(reference) {
+    if (!reference) return null;
+    return (reference._id ?? reference).toString();
+}
+
+/**
+ * @description Creates the viewer a document is rendered for.
+ * @param {User} user - The user viewing the document. Null for unauthenticated viewers.
+ * @returns {{ _id: String, type: String, classIds: Array<String> }} The viewer or null.
+ * */
+export function createViewer(user) {
+    if (!user) return null;
+
+    return {
+        _id: idOf(user),
+        type: user.type,
+        classIds: (user.classes ?? []).map(idOf)
+    };
+}
+
+/**
+ * @description Checks if a viewer can see a field of a document.
+ * @param {Array<String>} fieldAudiences - The audiences of the field. See audiences.
+ * @param {Object} document - The document the field belongs to.
+ * @param {Object} viewer - The viewer. See createViewer().
+ * @returns {Boolean} If the viewer can see the field.
+ * */
+function canSee(fieldAudiences, document, viewer) {
+    fieldAudiences = fieldAudiences ?? [];
+
+    if (fieldAudiences.includes(audiences.PUBLIC)) return true;
+    if (!viewer) return false;
+    if (viewer.type === UserAccountTypes.ADMIN) return true;
+
+    if (fieldAudiences.includes(audiences.TEACHER) && viewer.type === UserAccountTypes.TEACHER) return true;
+
+    const model = document.constructor;
+    if (fieldAudiences.includes(audiences.SELF) && typeof model.getOwnerIds === 'function') {
+        if (model.getOwnerIds(document).map(idOf).includes(viewer._id)) return true;
+    }
+    if (fieldAudiences.includes(audiences.SAME_CLASS) && typeof model.getClassIds === 'function') {
+        if (model.getClassIds(document).map(idOf).some(classId => viewer.classIds.includes(classId))) return true;
+    }
+
+    return false;
+}
+
+/**
+ * @description Renders a value for a viewer. Models are reduced to the fields the viewer can see, recursively.
+ * @param {*} value - The value to render, e.g. a model, a list of models or a response body containing models.
+ * @param {Object} viewer - The viewer. See createViewer().
+ * @param {Set<Object>} path - The objects that are currently being rendered, to stop at circular references.
+ * @returns {*} A plain JSON value.
+ * */
+function render(value, viewer, path) {
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value;
+    if (value._bsontype) return value.toString();
+    if (Array.isArray(value)) return value.map(item => render(item, viewer, path));
+
+    if (path.has(value)) return idOf(value);
+    path.add(value);
+
+    const rules = value.constructor?.visibility;
+    const object = typeof value.toJSON === 'function' ? value.toJSON() : value;
+
+    const rendered = {};
+    for (const [ key, field ] of Object.entries(object ?? {})) {
+        if (rules && !canSee(rules[key], value, viewer)) continue;
+        rendered[key] = render(field, viewer, path);
+    }
+
+    path.delete(value);
+    return rendered;
+}
+
+/**
+ * @description Renders a value for the user viewing it. Fields the user is not allowed to see are left out.
+ * @param {*} value - The value to render, e.g. a model, a list of models or a response body containing models.
+ * @param {User} user - The user viewing the value. Null for unauthenticated viewers.
+ * @returns {*} A plain JSON value that can be sent to the user.
+ * */
+export function renderForViewer(value, user) {
+    return render(value, createViewer(user), new Set());
+}
@@ -1,21 +1,20 @@
-import config from "../config.js";
-import ConfigError from "../httpServer/errors/ConfigError.js";
-import mongoose from "mongoose";
 import { initializeSchemas } from "./initializeSchemas.js";
-import logger from "../tools/logging/logger.js";
-
-const mongoPassword = config.MONGODB_PASSWORD;
-if (!mongoPassword) throw new ConfigError('MONGODB_PASSWORD cannot be accessed from config')
-
-const mongoURI = `mongodb+srv://admin:${ mongoPassword }@rotteck-messenger.fejn8su.mongodb.net/?retryWrites=true&w=majority`;
+import { getStorageAdapter } from "./storage/storageAdapter.js";
 
+/**
+ * @description Connects to the storage configured with STORAGE, see config.js and storage/storageAdapter.js.
+ * For MongoDB the database is configured with MONGODB_URI and MONGODB_DATABASE. The database name in MONGODB_URI
+ * is ignored, so the same cluster can hold e.g. a test database.
+ * */
 export async function connect() {
-    await mongoose.connect(mongoURI,
-        {
-            useNewUrlParser: true,
-            useUnifiedTopology: true
-        }
-    ).then(() => logger.database.info("Connection established.")).catch(err => logger.database.error(err));
+    await getStorageAdapter().connect();
 
     initializeSchemas();
-}
\ No newline at end of file
+}
+
+/**
+ * @description Closes the connection to the storage, e.g. at the end of a script in tools/.
+ * */
+export async function disconnect() {
+    await getStorageAdapter().disconnect();
+}
@@ -13,6 +13,18 @@ import GradeSchema from "./schemas/general/GradeSchema.js";
 import SubjectSchema from "./schemas/general/SubjectSchema.js";
 import MessageSchema from "./schemas/messages/MessageSchema.js";
 import UserAccountSchema from "./schemas/user/UserAccountSchema.js";
+import RoleSchema from "./schemas/user/RoleSchema.js";
+import AuditLogSchema from "./schemas/general/AuditLogSchema.js";
+import ActivationCodeSchema from "./schemas/user/ActivationCodeSchema.js";
+import LoginLockSchema from "./schemas/user/LoginLockSchema.js";
+import SessionSchema from "./schemas/user/SessionSchema.js";
+import InviteCodeSchema from "./schemas/general/InviteCodeSchema.js";
+import tenancyPlugin, { tenancyModes } from "./tenancy.js";
+
+// the plugins have to be applied before the models are compiled, see tenancy.js
+for (const model of getAllModels()) {
+    if (model.tenancy) model.schema.plugin(tenancyPlugin, { mode: model.tenancy });
+}
 
 export function initializeSchemas() {
 
@@ -22,6 +34,12 @@ export function initializeSchemas() {
 
 }
 
+/**
+ * @description Gets the model of a schema.
+ * @param {Schema} model - The schema of the model.
+ * @returns {{ name: String, schema: Schema, tenancy: String, model: Model }} The model.
+ * @throws {Error} When the schema does not belong to a model.
+ * */
 export function getModel(model) {
 
     model = getAllModels().find(m => m.schema === model);
@@ -30,68 +48,135 @@ export function getModel(model) {
     }
     return {
         name: model.name,
+        schema: model.schema,
+        tenancy: model.tenancy,
         model: mongoose.model(model.name, model.schema)
     };
 }
 
+/**
+ * @description Gets a model by its name, e.g. the model a reference of a schema points to.
+ * @param {String} name - The name of the model.
+ * @returns {{ name: String, schema: Schema, tenancy: String, model: Model }} The model.
+ * @throws {Error} When no model has the name.
+ * */
+export function getModelByName(name) {
+
+    const model = getAllModels().find(m => m.name === name);
+    if (!model) {
+        throw new Error(`Model '${ name }' not found.`);
+    }
+    return getModel(model.schema);
+}
+
+/**
+ * @description Gets all models with their schemas.
+ * Models with 'tenancy' are partitioned by school, see tenancy.js. The others are not bound to a school,
+ * like the documents used to log in or to set up a school.
+ * @returns {Array<{ name: String, schema: Schema, tenancy: String }>} The models.
+ * */
 export function getAllModels() {
 
     return [
         {
             name: 'Club',
-            schema: ClubSchema
+            schema: ClubSchema,
+            tenancy: tenancyModes.ISOLATED
         },
         {
             name: 'Event',
-            schema: EventSchema
+            schema: EventSchema,
+            tenancy: tenancyModes.ISOLATED
         },
         {
             name: 'EventTicket',
-            schema: EventTicketSchema
+            schema: EventTicketSchema,
+            tenancy: tenancyModes.ISOLATED
         },
         {
             name: 'School',
-            schema: SchoolSchema
+            schema: SchoolSchema,
+            tenancy: tenancyModes.SELF
         },
         {
             name: 'SetupAccount',
-            schema: SetupAccountSchema
+            schema: SetupAccountSchema,
+            tenancy: tenancyModes.ISOLATED
         },
         {
             name: 'Blackboard',
-            schema: BlackboardSchema
+            schema: BlackboardSchema,
+            tenancy: tenancyModes.ISOLATED
         },
         {
             name: 'Chat',
-            schema: ChatSchema
+            schema: ChatSchema,
+            tenancy: tenancyModes.ISOLATED
         },
         {
             name: 'Class',
-            schema: ClassSchema
+            schema: ClassSchema,
+            tenancy: tenancyModes.ISOLATED
         },
         {
             name: 'Course',
-            schema: CourseSchema
+            schema: CourseSchema,
+            tenancy: tenancyModes.ISOLATED
         },
         {
             name: 'Grade',
-            schema: GradeSchema
+            schema: GradeSchema,
+            tenancy: tenancyModes.ISOLATED
         },
         {
             name: 'Subject',
-            schema: SubjectSchema
+            schema: SubjectSchema,
+            tenancy: tenancyModes.ISOLATED
         },
         {
             name: 'Message',
-            schema: MessageSchema
+            schema: MessageSchema,
+            tenancy: tenancyModes.ISOLATED
         },
         {
             name: 'UserAccount',
-            schema: UserAccountSchema
+            schema: UserAccountSchema,
+            tenancy: tenancyModes.ISOLATED
         },
         {
             name: 'User',
-            schema: UserSchema
+            schema: UserSchema,
+            tenancy: tenancyModes.ISOLATED
+        },
+        {
+            name: 'Role',
+            schema: RoleSchema,
+            tenancy: tenancyModes.SHARED
+        },
+        {
+            name: 'AuditLog',
+            schema: AuditLogSchema,
+            tenancy: tenancyModes.ISOLATED
+        },
+        {
+            name: 'ActivationCode',
+            schema: ActivationCodeSchema,
+            tenancy: tenancyModes.ISOLATED
+        },
+        {
+            name: 'LoginLock',
+            schema: LoginLockSchema,
+            tenancy: tenancyModes.ISOLATED
+        },
+        {
+            name: 'Session',
+            schema: SessionSchema,
+            tenancy: tenancyModes.ISOLATED
+        },
+        {
+            name: 'InviteCode',
+            schema: InviteCodeSchema,
+            tenancy: tenancyModes.ISOLATED
         }
     ];
 
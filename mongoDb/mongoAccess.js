@@ -1,4 +1,5 @@
 import { getModel } from "./initializeSchemas.js";
+import { getStorageAdapter } from "./storage/storageAdapter.js";
 import logger from "../tools/logging/logger.js";
 
 /**
@@ -6,6 +7,9 @@ import logger from "../tools/logging/logger.js";
  * @author Daniel Dopatka
  * @copyright 2023 Daniel Dopatka, Linus Bung
  *
+ * All functions are restricted to the school of the current request for collections partitioned by school, see tenancy.js.
+ * The documents are saved in the storage configured with STORAGE, see storage/storageAdapter.js.
+ *
  * @description Creates a document in the database.
  * @param {Object} model - The model to create the document in.
  * @param {Object} document - The document to create.
@@ -13,8 +17,7 @@ import logger from "../tools/logging/logger.js";
  * */
 export async function createDocument(model, document) {
     model = getModel(model);
-    await model.model.create(document);
-    const created = await model.model.findOne(document);
+    const created = await getStorageAdapter().create(model, document);
     logger.database.warning(`${ model.name } created: ${ created._id }`);
     return created;
 }
@@ -28,11 +31,11 @@ export async function createDocument(model, document) {
  * */
 export async function updateDocument(model, oldDocumentId, newDocument) {
     model = getModel(model);
-    await model.model.findOneAndUpdate({ _id: oldDocumentId }, newDocument, { new: true });
+    await getStorageAdapter().findOneAndUpdate(model, { _id: oldDocumentId }, newDocument);
 
     logger.database.warning(`${ model.name } updated: ${ oldDocumentId }`);
 
-    return model.model.findById(oldDocumentId);
+    return await getStorageAdapter().findOne(model, { _id: oldDocumentId });
 }
 
 /**
@@ -43,8 +46,8 @@ export async function updateDocument(model, oldDocumentId, newDocument) {
  * */
 export async function deleteDocument(model, id) {
     model = getModel(model);
-    let deleted = getDocument(model, id);
-    await model.model.deleteOne({ id: id });
+    const deleted = await getStorageAdapter().findOne(model, { _id: id });
+    await getStorageAdapter().deleteOne(model, { _id: id });
     logger.database.warning(`${ model.name } deleted: ${ id }`);
     return deleted;
 }
@@ -57,7 +60,7 @@ export async function deleteDocument(model, id) {
  * */
 export async function getDocument(model, id) {
     model = getModel(model);
-    return await model.model.findOne({ _id: id });
+    return await getStorageAdapter().findOne(model, { _id: id });
 }
 
 /**
@@ -67,15 +70,81 @@ export async function getDocument(model, id) {
  * */
 export async function getAllDocuments(model) {
     model = getModel(model);
-    return await model.model.find({});
+    return await getStorageAdapter().find(model, {});
 }
 
 /**
  * @description Gets a document in the database by a custom rule.
  * @param {Object} model - The model to get the document in.
  * @param {Object} criteria - The searching criteria to get the document by.
+ * @param {Object} options - Optional order and maximum number of the documents, e.g. { sort: { createdAt: -1 }, limit: 50 }.
+ * They are applied by the storage, so only the returned documents are loaded.
+ * */
+export async function getDocumentsByRule(model, criteria, options = {}) {
+    model = getModel(model);
+    return await getStorageAdapter().find(model, criteria, options);
+}
+
+/**
+ * @description Counts the documents in the database matching a custom rule.
+ * @param {Object} model - The model to count the documents in.
+ * @param {Object} criteria - The searching criteria to count the documents by.
+ * @return {Promise<Number>} The number of documents.
+ * */
+export async function countDocuments(model, criteria) {
+    model = getModel(model);
+    return await getStorageAdapter().count(model, criteria);
+}
+
+/**
+ * @description Updates the first document in the database matching a custom rule atomically.
+ * Used when the update depends on the current state of the document, e.g. counting the uses of a code.
+ * @param {Object} model - The model to update the document in.
+ * @param {Object} criteria - The searching criteria to find the document by.
+ * @param {Object} update - The update, either the changed properties or update operators like '$inc'.
+ * @return {Promise<any>} The updated document or null if no document matches.
+ * */
+export async function updateDocumentByRule(model, criteria, update) {
+    model = getModel(model);
+    const updated = await getStorageAdapter().findOneAndUpdate(model, criteria, update);
+    if (updated) logger.database.warning(`${ model.name } updated: ${ updated._id }`);
+    return updated;
+}
+
+/**
+ * @description Updates all documents in the database matching a custom rule.
+ * @param {Object} model - The model to update the documents in.
+ * @param {Object} criteria - The searching criteria to find the documents by.
+ * @param {Object} update - The update, either the changed properties or update operators like '$inc'.
+ * @return {Promise<Number>} The number of changed documents.
+ * */
+export async function updateDocuments(model, criteria, update) {
+    model = getModel(model);
+    const modified = await getStorageAdapter().updateMany(model, criteria, update);
+    logger.database.warning(`${ modified } ${ model.name } document(s) updated`);
+    return modified;
+}
+
+/**
+ * @description Inserts documents into the database as they are, e.g. to restore a backup.
+ * Their ids, schools and timestamps are kept.
+ * @param {Object} model - The model to insert the documents in.
+ * @param {Array<Object>} documents - The documents to insert.
  * */
-export async function getDocumentsByRule(model, criteria) {
+export async function insertDocuments(model, documents) {
     model = getModel(model);
-    return await model.model.find(criteria);
-}
\ No newline at end of file
+    await getStorageAdapter().insertMany(model, documents);
+    logger.database.warning(`${ documents.length } ${ model.name } document(s) inserted`);
+}
+
+/**
+ * @description Populates the references of a document with the referenced documents.
+ * @param {Object} model - The model of the document.
+ * @param {Object} document - The document to populate, as returned by the other functions.
+ * @param {Array<Object>} paths - The paths to populate, e.g. [ { path: 'members', populate: User.getPopulationPaths() } ].
+ * @return {Promise<any>} The populated document.
+ * */
+export async function populateDocument(model, document, paths) {
+    model = getModel(model);
+    return await getStorageAdapter().populate(model, document, paths);
+}
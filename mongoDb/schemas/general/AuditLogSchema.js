@@ -0,0 +1,80 @@
+/**
+ * @file AuditLogSchema.js - Class representing the audit log schema for MongoDB.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import mongoose from 'mongoose';
+
+const { Schema, Types: { ObjectId } } = mongoose;
+
+/**
+ * @description The schema for an audit log entry.
+ * @param {ObjectId} actor - The user that caused the write. Null for writes by the system.
+ * @param {String} action - The kind of write: 'CREATE', 'UPDATE' or 'DELETE'.
+ * @param {String} model - The name of the model that was written, e.g. 'Course'.
+ * @param {String} document - The id of the document that was written.
+ * @param {Object} before - The changed properties before the write.
+ * @param {Object} after - The changed properties after the write.
+ * @param {String} requestId - The id of the HTTP request ('req-…') or socket message ('msg-…') that caused the write.
+ * @param {String} source - Where the write came from: 'HTTP', 'SOCKET' or 'SYSTEM'.
+ * @param {ObjectId} impersonator - The admin that caused the write while impersonating the actor. Null if the actor was not impersonated.
+ * @param {Date} createdAt - The date of the write.
+ * @param {Date} updatedAt - The date the entry was last updated.
+ * @return {Schema} The schema for an audit log entry.
+ */
+const AuditLogSchema = new Schema(
+    {
+
+        actor: {
+            type: ObjectId,
+            ref: 'User',
+            default: null
+        },
+        action: {
+            type: String,
+            required: true,
+            enum: [ 'CREATE', 'UPDATE', 'DELETE' ]
+        },
+        model: {
+            type: String,
+            required: true
+        },
+        document: {
+            type: String,
+            required: true
+        },
+        before: {
+            type: Object,
+            default: null
+        },
+        after: {
+            type: Object,
+            default: null
+        },
+        requestId: {
+            type: String,
+            default: null
+        },
+        source: {
+            type: String,
+            required: true,
+            enum: [ 'HTTP', 'SOCKET', 'SYSTEM' ]
+        },
+        impersonator: {
+            type: ObjectId,
+            ref: 'User',
+            default: null
+        }
+
+    },
+    {
+        timestamps: true,
+        minimize: false
+    }
+);
+
+// the audit log is mostly searched by document and by actor
+AuditLogSchema.index({ model: 1, document: 1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+
+export default AuditLogSchema;
@@ -12,12 +12,11 @@ const { Schema, Types: { ObjectId } } = mongoose;
  * @param {Number} level - The level of the grade.
  * @param {Array<ObjectId>} classes - The classes of the grade.
  */
-export default new Schema(
+const GradeSchema = new Schema(
     {
 
         level: {
             type: Number,
-            unique: true,
             required: true
         },
         classes: [
@@ -30,4 +29,9 @@ export default new Schema(
     {
         timestamps: true
     }
-);
\ No newline at end of file
+);
+
+// the level is unique per school, the school is added by the tenancy plugin, see tenancy.js
+GradeSchema.index({ school: 1, level: 1 }, { unique: true });
+
+export default GradeSchema;
@@ -0,0 +1,82 @@
+/**
+ * @file InviteCodeSchema.js - Class representing the invite code schema for MongoDB.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import mongoose from 'mongoose';
+
+const { Schema, Types: { ObjectId } } = mongoose;
+
+/**
+ * @description The schema for an invite code to join a class, course, club or group chat.
+ * @param {String} code - The code. Saved in plain text, so the owners of the target can share it again.
+ * @param {String} targetType - The type of the target: 'CLASS', 'COURSE', 'CLUB' or 'CHAT'.
+ * @param {ObjectId} target - The class, course, club or chat the code lets users join.
+ * @param {ObjectId} createdBy - The user that generated the code.
+ * @param {Date} expiresAt - The date after which the code cannot be redeemed anymore. Null if it does not expire.
+ * @param {Number} maxUses - How often the code can be redeemed. Null if it can be redeemed without limit.
+ * @param {Number} uses - How often the code was redeemed.
+ * @param {Array<Object>} redemptions - The users that redeemed the code, when and where ('HTTP' or 'SOCKET').
+ * @param {Date} revokedAt - The date the code was revoked. Null while it is active.
+ * @param {Date} createdAt - The date the code was created.
+ * @param {Date} updatedAt - The date the code was last updated.
+ * @return {Schema} The schema for an invite code.
+ */
+export default new Schema(
+    {
+
+        code: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        targetType: {
+            type: String,
+            required: true,
+            enum: [ 'CLASS', 'COURSE', 'CLUB', 'CHAT' ]
+        },
+        target: {
+            type: ObjectId,
+            required: true
+        },
+        createdBy: {
+            type: ObjectId,
+            ref: 'User',
+            default: null
+        },
+        expiresAt: {
+            type: Date,
+            default: null
+        },
+        maxUses: {
+            type: Number,
+            default: null
+        },
+        uses: {
+            type: Number,
+            default: 0
+        },
+        redemptions: [
+            {
+                user: {
+                    type: ObjectId,
+                    ref: 'User'
+                },
+                redeemedAt: {
+                    type: Date
+                },
+                source: {
+                    type: String
+                }
+            }
+        ],
+        revokedAt: {
+            type: Date,
+            default: null
+        }
+
+    },
+    {
+        timestamps: true
+    }
+);
@@ -15,17 +15,15 @@ const { Schema, Types: { ObjectId } } = mongoose;
  * @param {Date} updatedAt - The date the subject was last updated.
  * @return {Schema} The schema for a subject.
  */
-export default new Schema(
+const SubjectSchema = new Schema(
     {
 
         type: {
             type: String,
-            unique: true,
             required: true
         },
         shortName: {
             type: String,
-            unique: true,
             required: true
         },
         courses: [
@@ -38,4 +36,10 @@ export default new Schema(
     {
         timestamps: true
     }
-);
\ No newline at end of file
+);
+
+// type and short name are unique per school, the school is added by the tenancy plugin, see tenancy.js
+SubjectSchema.index({ school: 1, type: 1 }, { unique: true });
+SubjectSchema.index({ school: 1, shortName: 1 }, { unique: true });
+
+export default SubjectSchema;
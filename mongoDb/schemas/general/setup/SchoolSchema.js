@@ -9,6 +9,7 @@ const { Schema, Types: { ObjectId } } = mongoose;
 
 /**
  * @description The schema for a school.
+ * @param {String} name - The name of the school.
  * @param {Array<ObjectId>} grades - The grades of the school.
  * @param {Array<ObjectId>} courses - The courses of the school.
  * @param {Array<ObjectId>} members - The members of the school.
@@ -18,6 +19,7 @@ const { Schema, Types: { ObjectId } } = mongoose;
  * @param {Array<ObjectId>} clubs - The clubs of the school.
  * @param {Array<ObjectId>} events - The events of the school.
  * @param {Array<ObjectId>} blackboards - The blackboards of the school.
+ * @param {Array<String>} twoFactorAccountTypes - The account types that have to use two-factor authentication.
  * @param {Date} createdAt - The date the school was created.
  * @param {Date} updatedAt - The date the school was last updated.
  * @return {Schema} The schema for a school.
@@ -25,6 +27,10 @@ const { Schema, Types: { ObjectId } } = mongoose;
 export default new Schema(
     {
 
+        name: {
+            type: String,
+            default: null
+        },
         grades: [
             {
                 type: ObjectId,
@@ -79,6 +85,12 @@ export default new Schema(
                 ref: 'Blackboard'
             }
         ],
+        twoFactorAccountTypes: [
+            {
+                type: String,
+                enum: [ 'STUDENT', 'TEACHER', 'ADMIN' ]
+            }
+        ],
     },
     {
         timestamps: true
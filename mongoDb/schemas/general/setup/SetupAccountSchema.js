@@ -12,6 +12,9 @@ const { Schema, Types: { ObjectId } } = mongoose;
  * @param {Number} id - The id of the setup account.
  * @param {String} schoolName - The name of the school of the setup account.
  * @param {School} school - The school of the setup account. Assigned once the school is created.
+ * @param {String} step - The next step of the onboarding of the school. See models/general/setup/SchoolSetup.js.
+ * @param {String} codeHash - The SHA-256 hash of the setup code authenticating the onboarding. Null once the onboarding is completed.
+ * @param {Date} completedAt - The date the onboarding was completed.
  * @param {Date} createdAt - The date the setup account was created.
  * @param {Date} updatedAt - The date the setup account was last updated.
  * @return {Schema} The schema for a setup account.
@@ -23,12 +26,24 @@ export default new Schema(
             type: String,
             required: true
         },
-        school: [
-            {
-                type: ObjectId,
-                ref: 'School'
-            }
-        ],
+        school: {
+            type: ObjectId,
+            ref: 'School',
+            default: null
+        },
+        step: {
+            type: String,
+            enum: [ 'SCHOOL', 'GRADES', 'CLASSES', 'SUBJECTS', 'ADMIN', 'COMPLETED' ],
+            default: 'SCHOOL'
+        },
+        codeHash: {
+            type: String,
+            default: null
+        },
+        completedAt: {
+            type: Date,
+            default: null
+        }
     },
     {
         timestamps: true
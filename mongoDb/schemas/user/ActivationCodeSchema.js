@@ -0,0 +1,58 @@
+/**
+ * @file ActivationCodeSchema.js - Class representing the activation code schema for MongoDB.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import mongoose from 'mongoose';
+
+const { Schema, Types: { ObjectId } } = mongoose;
+
+/**
+ * @description The schema for an activation or password reset code.
+ * @param {ObjectId} userAccount - The user account the code sets the password of.
+ * @param {String} codeHash - The SHA-256 hash of the code. The code itself is never saved.
+ * @param {String} purpose - What the code is for: 'ACTIVATION' or 'RESET'.
+ * @param {Date} expiresAt - The date after which the code cannot be redeemed anymore.
+ * @param {Date} usedAt - The date the code was redeemed. Null while it is unused.
+ * @param {ObjectId} createdBy - The user that generated the code.
+ * @param {Date} createdAt - The date the code was created.
+ * @param {Date} updatedAt - The date the code was last updated.
+ * @return {Schema} The schema for an activation code.
+ */
+export default new Schema(
+    {
+
+        userAccount: {
+            type: ObjectId,
+            ref: 'UserAccount',
+            required: true
+        },
+        codeHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        purpose: {
+            type: String,
+            required: true,
+            enum: [ 'ACTIVATION', 'RESET' ]
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        usedAt: {
+            type: Date,
+            default: null
+        },
+        createdBy: {
+            type: ObjectId,
+            ref: 'User',
+            default: null
+        }
+
+    },
+    {
+        timestamps: true
+    }
+);
@@ -0,0 +1,55 @@
+/**
+ * @file LoginLockSchema.js - Class representing the login lock schema for MongoDB.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * @description The schema for the failed logins of a user account or an ip address.
+ * @param {String} type - What is tracked: 'ACCOUNT' or 'IP'.
+ * @param {String} key - The id of the user account or the ip address.
+ * @param {Number} failures - The number of failed logins since the last successful one.
+ * @param {Date} lastFailureAt - The date of the last failed login.
+ * @param {Date} lockedUntil - The date until which logins are rejected. Null if not locked.
+ * @param {Date} createdAt - The date of the first failed login.
+ * @param {Date} updatedAt - The date the lock was last updated.
+ * @return {Schema} The schema for a login lock.
+ */
+const LoginLockSchema = new Schema(
+    {
+
+        type: {
+            type: String,
+            required: true,
+            enum: [ 'ACCOUNT', 'IP' ]
+        },
+        key: {
+            type: String,
+            required: true
+        },
+        failures: {
+            type: Number,
+            default: 0
+        },
+        lastFailureAt: {
+            type: Date,
+            default: null
+        },
+        lockedUntil: {
+            type: Date,
+            default: null
+        }
+
+    },
+    {
+        timestamps: true
+    }
+);
+
+// there is only one lock per account and per ip address
+LoginLockSchema.index({ type: 1, key: 1 }, { unique: true });
+
+export default LoginLockSchema;
@@ -0,0 +1,46 @@
+/**
+ * @file RoleSchema.js - Class representing the role schema for MongoDB.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import mongoose from 'mongoose';
+
+const { Schema, Types: { ObjectId } } = mongoose;
+
+/**
+ * @description The schema for a role.
+ * @param {String} name - The name of the role.
+ * @param {Array<String>} permissions - The permissions granted by the role.
+ * @param {String} accountType - The account type the role is the default template for. Null for custom roles.
+ * @param {ObjectId} school - The school that defined the role. Null for roles shared by all schools.
+ * @param {Date} createdAt - The date the role was created.
+ * @param {Date} updatedAt - The date the role was last updated.
+ * @return {Schema} The schema for a role.
+ */
+export default new Schema(
+    {
+
+        name: {
+            type: String,
+            required: true
+        },
+        permissions: [
+            {
+                type: String
+            }
+        ],
+        accountType: {
+            type: String,
+            default: null
+        },
+        school: {
+            type: ObjectId,
+            ref: 'School',
+            default: null
+        }
+
+    },
+    {
+        timestamps: true
+    }
+);
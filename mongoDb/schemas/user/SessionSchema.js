@@ -0,0 +1,69 @@
+/**
+ * @file SessionSchema.js - Class representing the session schema for MongoDB.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import mongoose from 'mongoose';
+
+const { Schema, Types: { ObjectId } } = mongoose;
+
+/**
+ * @description The schema for a session, the tokens issued on one login of a device.
+ * @param {ObjectId} userAccount - The user account that logged in.
+ * @param {String} userAgent - The user-agent of the device.
+ * @param {String} ip - The ip address the session was created from.
+ * @param {Date} lastActivityAt - The date the session was last used.
+ * @param {Date} expiresAt - The date the refresh token of the session expires. The session is deleted afterwards.
+ * @param {ObjectId} school - The school of the user account. All requests of the session are restricted to it.
+ * @param {ObjectId} impersonator - The admin impersonating the user account in this session. Null for normal logins.
+ * @param {Date} createdAt - The date the session was created.
+ * @param {Date} updatedAt - The date the session was last updated.
+ * @return {Schema} The schema for a session.
+ */
+const SessionSchema = new Schema(
+    {
+
+        userAccount: {
+            type: ObjectId,
+            ref: 'UserAccount',
+            required: true
+        },
+        userAgent: {
+            type: String,
+            default: null
+        },
+        ip: {
+            type: String,
+            default: null
+        },
+        lastActivityAt: {
+            type: Date,
+            required: true
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        school: {
+            type: ObjectId,
+            ref: 'School',
+            default: null
+        },
+        impersonator: {
+            type: ObjectId,
+            ref: 'User',
+            default: null
+        }
+
+    },
+    {
+        timestamps: true
+    }
+);
+
+SessionSchema.index({ userAccount: 1 });
+
+// MongoDB deletes expired sessions by itself
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default SessionSchema;
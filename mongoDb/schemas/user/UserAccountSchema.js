@@ -14,6 +14,15 @@ const { Schema, Types: { ObjectId } } = mongoose;
  * @param {Array<String>} settings - The settings of the users.
  * @param {String} settings.name - The name of the setting.
  * @param {String} settings.value - The value of the setting.
+ * @param {Array<String>} permissions - The permissions granted to the user individually.
+ * @param {Array<ObjectId>} roles - The roles of the user.
+ * @param {Array<String>} deniedPermissions - The permissions explicitly denied to the user, even if a role grants them.
+ * @param {Object} twoFactor - The two-factor authentication of the user. See models/users/TwoFactor.js.
+ * @param {Boolean} twoFactor.enabled - If a code is required on login.
+ * @param {String} twoFactor.secret - The encrypted TOTP secret.
+ * @param {String} twoFactor.pendingSecret - The encrypted TOTP secret of an enrollment that is not confirmed yet.
+ * @param {Number} twoFactor.lastUsedStep - The time step of the last accepted code, so codes cannot be used twice.
+ * @param {Array<String>} twoFactor.recoveryCodes - The hashes of the unused recovery codes.
  * @param {Date} createdAt - The date the ticket was created.
  * @param {Date} updatedAt - The date the ticket was last updated.
  * @return {Schema} The schema for a users account.
@@ -41,7 +50,41 @@ export default new Schema(
             {
                 type: String
             }
-        ]
+        ],
+        roles: [
+            {
+                type: ObjectId,
+                ref: 'Role'
+            }
+        ],
+        deniedPermissions: [
+            {
+                type: String
+            }
+        ],
+        twoFactor: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            secret: {
+                type: String,
+                default: null
+            },
+            pendingSecret: {
+                type: String,
+                default: null
+            },
+            lastUsedStep: {
+                type: Number,
+                default: -1
+            },
+            recoveryCodes: [
+                {
+                    type: String
+                }
+            ]
+        }
 
     },
     {
@@ -0,0 +1,312 @@
+/**
+ * @file memoryAdapter.js - Storage adapter keeping the documents in the memory of the process.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * Runs the backend without a database, e.g. on a laptop or in integration tests. Select it with STORAGE=memory.
+ * The documents are lost when the process stops and are not shared between processes, see tools/memoryStart.js.
+ * It behaves like MongoDB with the schemas of mongoose: documents are cast and validated by their schema, get
+ * timestamps, unique indexes are enforced and expired documents of TTL indexes are removed.
+ * The queries are restricted to the school of the request like the tenancy plugin does it, see tenancy.js.
+ * The documents are returned as plain objects with ids and dates, references are populated by the adapter.
+ */
+import mongoose from "mongoose";
+import { getModelByName } from "../initializeSchemas.js";
+import { getTenant, getTenantCondition, removeSchoolUpdate, tenancyModes } from "../tenancy.js";
+import { applyUpdate, isEqual, matches, sortDocuments } from "./memoryQuery.js";
+import logger from "../../tools/logging/logger.js";
+
+const { Types: { ObjectId } } = mongoose;
+
+const collections = new Map(); // documents by id by model name
+
+/**
+ * @description Gets the documents of a model. Documents of TTL indexes that expired are removed first.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @returns {Map<String, Object>} The documents by id.
+ * */
+function getCollection(model) {
+    if (!collections.has(model.name)) collections.set(model.name, new Map());
+    const collection = collections.get(model.name);
+
+    for (const [ fields, options ] of model.schema.indexes()) {
+        if (options?.expireAfterSeconds === undefined) continue;
+
+        const [ path ] = Object.keys(fields);
+        for (const [ id, document ] of collection) {
+            if (document[path] instanceof Date && document[path].getTime() + options.expireAfterSeconds * 1000 <= Date.now()) {
+                collection.delete(id);
+            }
+        }
+    }
+    return collection;
+}
+
+/**
+ * @description Copies a document, so the saved documents cannot be changed by the callers. Ids and dates are kept.
+ * @param {*} value - The document or a value within it.
+ * @returns {*} The copy.
+ * */
+function copy(value) {
+    if (value instanceof Date) return new Date(value);
+    if (Array.isArray(value)) return value.map(copy);
+    if (value === null || typeof value !== 'object' || value instanceof ObjectId || value instanceof RegExp) return value;
+
+    return Object.fromEntries(Object.entries(value).map(([ key, entry ]) => [ key, copy(entry) ]));
+}
+
+/**
+ * @description Converts a document to the types of its schema, e.g. ids given as strings to ObjectIds.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} document - The document.
+ * @param {Boolean} validate - If the document is validated completely. Otherwise only failed conversions are errors,
+ * like for updates in mongoose.
+ * @returns {Object} The converted document.
+ * @throws {Error} When the document is invalid.
+ * */
+function castDocument(model, document, validate) {
+    const cast = new model.model(document);
+
+    const error = cast.validateSync();
+    if (error && (validate || Object.values(error.errors).some(entry => entry.name === 'CastError'))) throw error;
+
+    return cast.toObject({ depopulate: true });
+}
+
+/**
+ * @description Casts criteria to the types of the schema and restricts them to the school of the request, see tenancy.js.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} criteria - The criteria.
+ * @param {Boolean} write - If the query changes documents.
+ * @returns {Object} The criteria.
+ * */
+function prepareCriteria(model, criteria, write = false) {
+    const condition = model.tenancy ? getTenantCondition(model.tenancy, write) : null;
+    const restricted = condition ? { $and: [ criteria ?? {}, condition ] } : criteria ?? {};
+    return model.model.find(restricted).cast(model.model);
+}
+
+/**
+ * @description Checks the unique indexes of the schema for a document, like MongoDB does when saving it.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Map<String, Object>} collection - The documents of the model.
+ * @param {Object} document - The document to save.
+ * @param {Object} replaced - The saved document the document replaces. Null for new documents.
+ * @throws {Error} With code 11000 like the MongoDB error, when another document has the same values.
+ * */
+function checkUnique(model, collection, document, replaced = null) {
+    const indexes = [ [ { _id: 1 }, { unique: true } ], ...model.schema.indexes() ].filter(([ , options ]) => options?.unique);
+
+    for (const [ fields ] of indexes) {
+        const paths = Object.keys(fields);
+        const duplicate = [ ...collection.values() ].find(existing => existing !== replaced
+            && paths.every(path => isEqual(existing[path], document[path])));
+
+        if (duplicate) {
+            const error = new Error(`E11000 duplicate key error collection: ${ model.name } index: ${ paths.join('_') }`);
+            error.code = 11000;
+            throw error;
+        }
+    }
+}
+
+/**
+ * @description Gets the documents matching criteria without copying them.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} criteria - The criteria, see prepareCriteria.
+ * @returns {Array<Object>} The saved documents.
+ * */
+function findSaved(model, criteria) {
+    return [ ...getCollection(model).values() ].filter(document => matches(document, criteria));
+}
+
+/**
+ * @description Updates a saved document.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} document - The saved document.
+ * @param {Object} update - The update.
+ * @returns {Object} The updated document, it is saved.
+ * */
+function updateSaved(model, document, update) {
+    const changes = copy(update);
+    // documents cannot be moved to another school, see tenancy.js
+    if (model.tenancy && model.tenancy !== tenancyModes.SELF && getTenant() !== undefined) removeSchoolUpdate(changes);
+
+    const updated = castDocument(model, { ...applyUpdate(copy(document), changes), _id: document._id }, false);
+    if (model.schema.options.timestamps) updated.updatedAt = new Date();
+
+    const collection = getCollection(model);
+    checkUnique(model, collection, updated, document);
+    collection.set(updated._id.toString(), updated);
+    return updated;
+}
+
+/**
+ * @description Starts the storage. There is nothing to connect to.
+ * */
+export async function connect() {
+    logger.database.warning('Documents are kept in memory, they are lost when the process stops.');
+}
+
+/**
+ * @description Stops the storage. The documents are kept until the process stops, see clear.
+ * */
+export async function disconnect() {
+}
+
+/**
+ * @description Deletes all documents of all models, e.g. between integration tests.
+ * */
+export function clear() {
+    collections.clear();
+}
+
+/**
+ * @description Creates a document. It is assigned to the school of the request, see tenancy.js.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} document - The document to create.
+ * @returns {Promise<Object>} The created document.
+ * @throws {Error} When the document is invalid or violates a unique index.
+ * */
+export async function create(model, document) {
+    const prepared = { ...document };
+    if (model.tenancy && model.tenancy !== tenancyModes.SELF && getTenant() !== undefined) prepared.school = getTenant();
+    if (model.schema.options.timestamps) {
+        const now = new Date();
+        prepared.createdAt ??= now;
+        prepared.updatedAt ??= now;
+    }
+
+    const created = castDocument(model, prepared, true);
+    const collection = getCollection(model);
+    checkUnique(model, collection, created);
+    collection.set(created._id.toString(), created);
+    return copy(created);
+}
+
+/**
+ * @description Inserts documents as they are. Their ids, schools and timestamps are kept, only their properties
+ * are converted to the types of the schema.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Array<Object>} documents - The documents to insert.
+ * @throws {Error} When a document violates a unique index.
+ * */
+export async function insertMany(model, documents) {
+    const collection = getCollection(model);
+    for (const document of documents) {
+        const inserted = castDocument(model, document, false);
+        checkUnique(model, collection, inserted);
+        collection.set(inserted._id.toString(), inserted);
+    }
+}
+
+/**
+ * @description Gets the documents matching the criteria.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} criteria - The criteria of the query.
+ * @param {Object} options - The optional order (sort) and maximum number (limit) of the documents.
+ * @returns {Promise<Array<Object>>} The documents.
+ * */
+export async function find(model, criteria, { sort, limit } = {}) {
+    let documents = findSaved(model, prepareCriteria(model, criteria));
+    if (sort) documents = sortDocuments(documents, sort);
+    if (limit) documents = documents.slice(0, limit);
+
+    return documents.map(copy);
+}
+
+/**
+ * @description Gets the first document matching the criteria.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} criteria - The criteria of the query.
+ * @returns {Promise<Object|null>} The document or null if none matches.
+ * */
+export async function findOne(model, criteria) {
+    const [ document ] = findSaved(model, prepareCriteria(model, criteria));
+    return document ? copy(document) : null;
+}
+
+/**
+ * @description Counts the documents matching the criteria.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} criteria - The criteria of the query.
+ * @returns {Promise<Number>} The number of documents.
+ * */
+export async function count(model, criteria) {
+    return findSaved(model, prepareCriteria(model, criteria)).length;
+}
+
+/**
+ * @description Updates the first document matching the criteria. The process has a single thread,
+ * so the document cannot change between matching and updating it.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} criteria - The criteria of the query.
+ * @param {Object} update - The update, either the changed properties or update operators like '$inc'.
+ * @returns {Promise<Object|null>} The updated document or null if none matches.
+ * */
+export async function findOneAndUpdate(model, criteria, update) {
+    const [ document ] = findSaved(model, prepareCriteria(model, criteria, true));
+    return document ? copy(updateSaved(model, document, update)) : null;
+}
+
+/**
+ * @description Updates all documents matching the criteria.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} criteria - The criteria of the query.
+ * @param {Object} update - The update, either the changed properties or update operators like '$inc'.
+ * @returns {Promise<Number>} The number of changed documents.
+ * */
+export async function updateMany(model, criteria, update) {
+    let modified = 0;
+    for (const document of findSaved(model, prepareCriteria(model, criteria, true))) {
+        const updated = updateSaved(model, document, update);
+        // the timestamp changes with every update, like in MongoDB only changed properties count
+        if (!isEqual({ ...updated, updatedAt: null }, { ...document, updatedAt: null })) modified++;
+    }
+    return modified;
+}
+
+/**
+ * @description Deletes the first document matching the criteria.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} criteria - The criteria of the query.
+ * */
+export async function deleteOne(model, criteria) {
+    const [ document ] = findSaved(model, prepareCriteria(model, criteria, true));
+    if (document) getCollection(model).delete(document._id.toString());
+}
+
+/**
+ * @description Replaces references of a document with the referenced documents, like populate of mongoose.
+ * The referenced documents are read like every query, so references to other schools are populated as null.
+ * Missing documents are removed from lists of references and populated as null otherwise.
+ * @param {Object} model - The model of the document, see initializeSchemas.getModel.
+ * @param {Object} document - The document, it is changed.
+ * @param {Array<Object|String>} paths - The paths to populate, with nested 'populate' paths of the referenced documents.
+ * @returns {Promise<Object>} The populated document.
+ * */
+export async function populate(model, document, paths) {
+    for (const entry of [].concat(paths ?? [])) {
+        const { path, populate: nestedPaths } = typeof entry === 'string' ? { path: entry } : entry;
+
+        const schemaType = model.schema.path(path);
+        const ref = schemaType?.options?.ref ?? schemaType?.caster?.options?.ref;
+        if (typeof ref !== 'string' || document[path] === undefined || document[path] === null) continue;
+
+        const refModel = getModelByName(ref);
+        const populateReference = async reference => {
+            const referenced = await findOne(refModel, { _id: reference?._id ?? reference });
+            return referenced && nestedPaths ? await populate(refModel, referenced, nestedPaths) : referenced;
+        };
+
+        if (Array.isArray(document[path])) {
+            const referenced = [];
+            for (const reference of document[path]) referenced.push(await populateReference(reference));
+            document[path] = referenced.filter(entry => entry !== null);
+        }
+        else {
+            document[path] = await populateReference(document[path]);
+        }
+    }
+    return document;
+}
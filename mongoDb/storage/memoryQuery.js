@@ -0,0 +1,344 @@
+/**
+ * @file memoryQuery.js - Functions matching documents against MongoDB criteria and applying MongoDB updates in memory.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * Used by the in-memory storage, see memoryAdapter.js. The criteria and updates are expected to be cast to the
+ * types of the schema already. Supported are the operators used by the backend:
+ * Criteria: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $regex, $elemMatch, $size, $all, $not, $and, $or, $nor
+ * and $expr with comparisons. Updates: $set, $unset, $inc, $push, $addToSet (both with $each) and $pull.
+ */
+import mongoose from "mongoose";
+
+const { Types: { ObjectId } } = mongoose;
+
+/**
+ * @description Checks if a value is an object with properties, not an id, a date, a regular expression or an array.
+ * @param {*} value - The value.
+ * @returns {Boolean} If the value is a plain object.
+ * */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+        && !(value instanceof ObjectId) && !(value instanceof Date) && !(value instanceof RegExp);
+}
+
+/**
+ * @description Checks if a condition consists of operators like { $gt: 1 } instead of a value to compare with.
+ * @param {*} condition - The condition.
+ * @returns {Boolean} If the condition consists of operators.
+ * */
+function isOperatorObject(condition) {
+    return isPlainObject(condition) && Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'));
+}
+
+/**
+ * @description Converts ids and dates to values that can be compared with === and <.
+ * @param {*} value - The value.
+ * @returns {*} The comparable value.
+ * */
+function comparable(value) {
+    if (value instanceof ObjectId) return value.toString();
+    if (value instanceof Date) return value.getTime();
+    return value;
+}
+
+/**
+ * @description Checks if two values are equal. Ids and dates are compared by value, objects and arrays by their properties.
+ * Null equals a missing value, like in MongoDB.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {Boolean} If the values are equal.
+ * */
+export function isEqual(a, b) {
+    a = comparable(a);
+    b = comparable(b);
+    if (a === b || (a ?? null) === null && (b ?? null) === null) return true;
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((entry, index) => isEqual(entry, b[index]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a).filter(key => a[key] !== undefined);
+        return keys.length === Object.keys(b).filter(key => b[key] !== undefined).length
+            && keys.every(key => isEqual(a[key], b[key]));
+    }
+    return false;
+}
+
+/**
+ * @description Compares two values of the same type.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {Number|null} A negative number if a is smaller, a positive one if a is greater, 0 if they are equal
+ * or null if they cannot be compared.
+ * */
+function compare(a, b) {
+    a = comparable(a);
+    b = comparable(b);
+    if (a === null || a === undefined || b === null || b === undefined || typeof a !== typeof b) return null;
+    if (typeof a === 'object') return null;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * @description Gets the values at a path of a document. Arrays on the way are searched in every entry,
+ * so 'redemptions.user' returns the users of all redemptions.
+ * @param {*} value - The document or a value within it.
+ * @param {Array<String>} segments - The segments of the path.
+ * @returns {Array<*>} The values, undefined for missing ones.
+ * */
+function resolvePath(value, segments) {
+    if (segments.length === 0) return [ value ];
+
+    const [ segment, ...rest ] = segments;
+    if (Array.isArray(value)) {
+        if (/^\d+$/.test(segment)) return resolvePath(value[Number(segment)], rest);
+        return value.length === 0 ? [ undefined ] : value.flatMap(entry => resolvePath(entry, segments));
+    }
+    if (isPlainObject(value)) return resolvePath(value[segment], rest);
+    return [ undefined ];
+}
+
+/**
+ * @description Checks if the values at a path fulfill a condition. Arrays fulfill it if they or one of their entries do.
+ * @param {Array<*>} values - The values at the path.
+ * @param {*} condition - The value to compare with or an object of operators.
+ * @returns {Boolean} If the condition is fulfilled.
+ * */
+function matchesCondition(values, condition) {
+    const candidates = values.flatMap(value => Array.isArray(value) ? [ value, ...value ] : [ value ]);
+
+    if (condition instanceof RegExp) {
+        return candidates.some(candidate => typeof candidate === 'string' && condition.test(candidate));
+    }
+    if (!isOperatorObject(condition)) {
+        return candidates.some(candidate => isEqual(candidate, condition));
+    }
+
+    return Object.entries(condition).every(([ operator, operand ]) => {
+        switch (operator) {
+            case '$eq':
+                return matchesCondition(values, { $in: [ operand ] });
+            case '$ne':
+                return !matchesCondition(values, { $in: [ operand ] });
+            case '$gt':
+                return candidates.some(candidate => compare(candidate, operand) > 0);
+            case '$gte':
+                return candidates.some(candidate => compare(candidate, operand) >= 0 && compare(candidate, operand) !== null);
+            case '$lt':
+                return candidates.some(candidate => compare(candidate, operand) < 0 && compare(candidate, operand) !== null);
+            case '$lte':
+                return candidates.some(candidate => compare(candidate, operand) <= 0 && compare(candidate, operand) !== null);
+            case '$in':
+                return operand.some(entry => entry instanceof RegExp
+                    ? matchesCondition(values, entry)
+                    : candidates.some(candidate => isEqual(candidate, entry)));
+            case '$nin':
+                return !matchesCondition(values, { $in: operand });
+            case '$exists':
+                return values.some(value => value !== undefined) === Boolean(operand);
+            case '$regex':
+                return matchesCondition(values, operand instanceof RegExp ? operand : new RegExp(operand, condition.$options ?? ''));
+            case '$options':
+                return true;
+            case '$elemMatch':
+                return values.some(value => Array.isArray(value) && value.some(entry =>
+                    isPlainObject(entry) && !isOperatorObject(operand) ? matches(entry, operand) : matchesCondition([ entry ], operand)
+                ));
+            case '$size':
+                return values.some(value => Array.isArray(value) && value.length === operand);
+            case '$all':
+                return operand.length > 0 && operand.every(entry => matchesCondition(values, entry));
+            case '$not':
+                return !matchesCondition(values, operand);
+            default:
+                throw new Error(`Operator '${ operator }' is not supported by the in-memory storage`);
+        }
+    });
+}
+
+/**
+ * @description Evaluates an aggregation expression of '$expr' for a document.
+ * @param {Object} document - The document.
+ * @param {*} expression - The expression, e.g. { $lt: [ '$uses', '$maxUses' ] }.
+ * @returns {*} The value of the expression.
+ * */
+function evaluateExpression(document, expression) {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return resolvePath(document, expression.slice(1).split('.'))[0];
+    }
+    if (Array.isArray(expression)) return expression.map(entry => evaluateExpression(document, entry));
+    if (!isOperatorObject(expression)) return expression;
+
+    const [ [ operator, operand ] ] = Object.entries(expression);
+    const args = [].concat(operand).map(entry => evaluateExpression(document, entry));
+    // in MongoDB null and missing values are smaller than all other values
+    const order = () => {
+        const [ a, b ] = args.map(arg => arg ?? null);
+        if (a === null || b === null) return a === b ? 0 : a === null ? -1 : 1;
+        return compare(a, b);
+    };
+
+    switch (operator) {
+        case '$eq':
+            return isEqual(args[0], args[1]);
+        case '$ne':
+            return !isEqual(args[0], args[1]);
+        case '$gt':
+            return order() > 0;
+        case '$gte':
+            return order() >= 0 && order() !== null;
+        case '$lt':
+            return order() < 0 && order() !== null;
+        case '$lte':
+            return order() <= 0 && order() !== null;
+        case '$and':
+            return args.every(Boolean);
+        case '$or':
+            return args.some(Boolean);
+        case '$not':
+            return !args[0];
+        case '$in':
+            return (args[1] ?? []).some(entry => isEqual(entry, args[0]));
+        case '$size':
+            return args[0]?.length ?? 0;
+        default:
+            throw new Error(`Expression '${ operator }' is not supported by the in-memory storage`);
+    }
+}
+
+/**
+ * @description Checks if a document matches criteria.
+ * @param {Object} document - The document.
+ * @param {Object} criteria - The criteria, cast to the types of the schema.
+ * @returns {Boolean} If the document matches.
+ * */
+export function matches(document, criteria) {
+    return Object.entries(criteria ?? {}).every(([ key, condition ]) => {
+        switch (key) {
+            case '$and':
+                return condition.every(entry => matches(document, entry));
+            case '$or':
+                return condition.some(entry => matches(document, entry));
+            case '$nor':
+                return !condition.some(entry => matches(document, entry));
+            case '$expr':
+                return Boolean(evaluateExpression(document, condition));
+            case '$comment':
+                return true;
+            default:
+                return matchesCondition(resolvePath(document, key.split('.')), condition);
+        }
+    });
+}
+
+/**
+ * @description Sorts documents like the sort option of MongoDB. Missing values come first in ascending order,
+ * arrays are sorted by their first entry.
+ * @param {Array<Object>} documents - The documents.
+ * @param {Object} sort - The paths to sort by, 1 for ascending and -1 for descending, e.g. { createdAt: -1 }.
+ * @returns {Array<Object>} The sorted copy of the array.
+ * */
+export function sortDocuments(documents, sort) {
+    const keys = Object.entries(sort);
+
+    return [ ...documents ].sort((a, b) => {
+        for (const [ path, direction ] of keys) {
+            const valueA = resolvePath(a, path.split('.'))[0];
+            const valueB = resolvePath(b, path.split('.'))[0];
+            const missingA = valueA === null || valueA === undefined;
+            const missingB = valueB === null || valueB === undefined;
+
+            const order = missingA || missingB ? missingB - missingA : compare(valueA, valueB) ?? 0;
+            if (order !== 0) return Number(direction) < 0 ? -order : order;
+        }
+        return 0;
+    });
+}
+
+/**
+ * @description Gets the object containing the last segment of a path, creating missing objects on the way.
+ * @param {Object} document - The document.
+ * @param {String} path - The dotted path.
+ * @returns {{ parent: Object, key: String }} The containing object and the last segment.
+ * */
+function getParent(document, path) {
+    const segments = path.split('.');
+    const key = segments.pop();
+
+    let parent = document;
+    for (const segment of segments) {
+        if (parent[segment] === null || typeof parent[segment] !== 'object') parent[segment] = {};
+        parent = parent[segment];
+    }
+    return { parent: parent, key: key };
+}
+
+/**
+ * @description Gets the array at a path, creating it if it is missing.
+ * @param {Object} document - The document.
+ * @param {String} path - The dotted path.
+ * @returns {Array} The array.
+ * @throws {Error} When the value at the path is not an array.
+ * */
+function getArray(document, path) {
+    const { parent, key } = getParent(document, path);
+    if (parent[key] === undefined || parent[key] === null) parent[key] = [];
+    if (!Array.isArray(parent[key])) throw new Error(`Cannot apply an array update to '${ path }', it is not an array`);
+    return parent[key];
+}
+
+/**
+ * @description Applies an update to a document. Properties without an operator are set, like in mongoose.
+ * @param {Object} document - The document, it is changed.
+ * @param {Object} update - The update.
+ * @returns {Object} The document.
+ * */
+export function applyUpdate(document, update) {
+    for (const [ operator, fields ] of Object.entries(update ?? {})) {
+        if (!operator.startsWith('$')) {
+            const { parent, key } = getParent(document, operator);
+            parent[key] = fields;
+            continue;
+        }
+
+        for (const [ path, value ] of Object.entries(fields ?? {})) {
+            const { parent, key } = getParent(document, path);
+            const values = isPlainObject(value) && Array.isArray(value.$each) ? value.$each : [ value ];
+
+            switch (operator) {
+                case '$set':
+                    parent[key] = value;
+                    break;
+                case '$unset':
+                    delete parent[key];
+                    break;
+                case '$inc':
+                    parent[key] = (parent[key] ?? 0) + value;
+                    break;
+                case '$push':
+                    getArray(document, path).push(...values);
+                    break;
+                case '$addToSet': {
+                    const array = getArray(document, path);
+                    for (const entry of values) {
+                        if (!array.some(existing => isEqual(existing, entry))) array.push(entry);
+                    }
+                    break;
+                }
+                case '$pull':
+                    if (Array.isArray(parent[key])) {
+                        parent[key] = parent[key].filter(entry => isPlainObject(value)
+                            ? !(isOperatorObject(value) ? matchesCondition([ entry ], value) : isPlainObject(entry) && matches(entry, value))
+                            : !isEqual(entry, value));
+                    }
+                    break;
+                case '$setOnInsert':
+                    break;
+                default:
+                    throw new Error(`Update operator '${ operator }' is not supported by the in-memory storage`);
+            }
+        }
+    }
+    return document;
+}
@@ -0,0 +1,132 @@
+/**
+ * @file mongooseAdapter.js - Storage adapter saving the documents in MongoDB with mongoose.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * The queries are restricted to the school of the request by the tenancy plugin of the schemas, see tenancy.js.
+ * The documents are returned as mongoose documents.
+ */
+import mongoose from "mongoose";
+import config from "../../config.js";
+import logger from "../../tools/logging/logger.js";
+
+/**
+ * @description Connects to the database configured with MONGODB_URI and MONGODB_DATABASE, see config.js.
+ * The database name in MONGODB_URI is ignored, so the same cluster can hold e.g. a test database.
+ * */
+export async function connect() {
+    await mongoose.connect(config.MONGODB_URI,
+        {
+            dbName: config.MONGODB_DATABASE,
+            maxPoolSize: config.MONGODB_MAX_POOL_SIZE,
+            minPoolSize: config.MONGODB_MIN_POOL_SIZE,
+            serverSelectionTimeoutMS: config.MONGODB_SERVER_SELECTION_TIMEOUT
+        }
+    ).then(() => logger.database.info(`Connection to database '${ config.MONGODB_DATABASE }' established.`)).catch(err => logger.database.error(err));
+}
+
+/**
+ * @description Closes the connection to the database.
+ * */
+export async function disconnect() {
+    await mongoose.disconnect();
+}
+
+/**
+ * @description Creates a document. The document is read again after creating it, so it is returned like it was saved.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} document - The document to create.
+ * @returns {Promise<Object>} The created document.
+ * */
+export async function create({ model }, document) {
+    await model.create(document);
+    return await model.findOne(document);
+}
+
+/**
+ * @description Inserts documents as they are, without the hooks of mongoose.
+ * Their ids, schools and timestamps are kept, only their properties are converted to the types of the schema.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Array<Object>} documents - The documents to insert.
+ * */
+export async function insertMany({ model }, documents) {
+    await model.collection.insertMany(documents.map(document => new model(document).toObject()));
+}
+
+/**
+ * @description Gets the documents matching the criteria.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} criteria - The criteria of the query.
+ * @param {Object} options - The optional order (sort) and maximum number (limit) of the documents.
+ * @returns {Promise<Array<Object>>} The documents.
+ * */
+export async function find({ model }, criteria, { sort, limit } = {}) {
+    const query = model.find(criteria);
+    if (sort) query.sort(sort);
+    if (limit) query.limit(limit);
+
+    return await query;
+}
+
+/**
+ * @description Gets the first document matching the criteria.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} criteria - The criteria of the query.
+ * @returns {Promise<Object|null>} The document or null if none matches.
+ * */
+export async function findOne({ model }, criteria) {
+    return await model.findOne(criteria);
+}
+
+/**
+ * @description Counts the documents matching the criteria.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} criteria - The criteria of the query.
+ * @returns {Promise<Number>} The number of documents.
+ * */
+export async function count({ model }, criteria) {
+    return await model.countDocuments(criteria);
+}
+
+/**
+ * @description Updates the first document matching the criteria atomically.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} criteria - The criteria of the query.
+ * @param {Object} update - The update, either the changed properties or update operators like '$inc'.
+ * @returns {Promise<Object|null>} The updated document or null if none matches.
+ * */
+export async function findOneAndUpdate({ model }, criteria, update) {
+    return await model.findOneAndUpdate(criteria, update, { new: true });
+}
+
+/**
+ * @description Updates all documents matching the criteria.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} criteria - The criteria of the query.
+ * @param {Object} update - The update, either the changed properties or update operators like '$inc'.
+ * @returns {Promise<Number>} The number of changed documents.
+ * */
+export async function updateMany({ model }, criteria, update) {
+    const { modifiedCount } = await model.updateMany(criteria, update);
+    return modifiedCount;
+}
+
+/**
+ * @description Deletes the first document matching the criteria.
+ * @param {Object} model - The model, see initializeSchemas.getModel.
+ * @param {Object} criteria - The criteria of the query.
+ * */
+export async function deleteOne({ model }, criteria) {
+    await model.deleteOne(criteria);
+}
+
+/**
+ * @description Replaces references of a document with the referenced documents.
+ * @param {Object} model - The model of the document, see initializeSchemas.getModel.
+ * @param {Object} document - The document.
+ * @param {Array<Object>} paths - The paths to populate, with nested 'populate' paths of the referenced documents.
+ * @returns {Promise<Object>} The populated document.
+ * */
+export async function populate(model, document, paths) {
+    return await document.populate(paths);
+}
@@ -0,0 +1,42 @@
+/**
+ * @file storageAdapter.js - Selects the storage the documents are saved in.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * The storage is configured with STORAGE, see config.js. The models do not use a storage directly,
+ * all access goes through mongoAccess.js, which passes it to the selected adapter.
+ * Every adapter is a module exporting the functions of StorageAdapter.
+ */
+import config, { storages } from "../../config.js";
+import * as mongooseAdapter from "./mongooseAdapter.js";
+import * as memoryAdapter from "./memoryAdapter.js";
+
+/**
+ * @typedef {Object} StorageAdapter
+ * All functions get the model as returned by initializeSchemas.getModel. Queries are restricted to the school
+ * of the request, see tenancy.js. Criteria and updates use the syntax of MongoDB.
+ * @property {function(): Promise<void>} connect - Connects to the storage.
+ * @property {function(): Promise<void>} disconnect - Closes the connection to the storage.
+ * @property {function(Object, Object): Promise<Object>} create - Creates a document and returns it.
+ * @property {function(Object, Array<Object>): Promise<void>} insertMany - Inserts documents keeping their ids, schools and timestamps.
+ * @property {function(Object, Object, Object): Promise<Array<Object>>} find - Gets the documents matching the criteria, optionally sorted and limited.
+ * @property {function(Object, Object): Promise<Object|null>} findOne - Gets the first document matching the criteria.
+ * @property {function(Object, Object): Promise<Number>} count - Counts the documents matching the criteria.
+ * @property {function(Object, Object, Object): Promise<Object|null>} findOneAndUpdate - Updates the first document matching the criteria atomically and returns it.
+ * @property {function(Object, Object, Object): Promise<Number>} updateMany - Updates all documents matching the criteria and returns the number of changed ones.
+ * @property {function(Object, Object): Promise<void>} deleteOne - Deletes the first document matching the criteria.
+ * @property {function(Object, Object, Array<Object>): Promise<Object>} populate - Replaces references of a document with the referenced documents.
+ * */
+
+const adapters = {
+    [storages.MONGODB]: mongooseAdapter,
+    [storages.MEMORY]: memoryAdapter
+};
+
+/**
+ * @description Gets the adapter of the configured storage.
+ * @returns {StorageAdapter} The adapter.
+ * */
+export function getStorageAdapter() {
+    return adapters[config.STORAGE];
+}
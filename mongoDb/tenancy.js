@@ -0,0 +1,130 @@
+/**
+ * @file tenancy.js - Mongoose plugin partitioning the documents of a collection by school.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * Every query of a scoped collection is restricted to the school of the request context, see tools/requestContext.js.
+ * The restriction is added as an additional '$and' condition, so it cannot be overridden by the criteria of a query,
+ * e.g. a rule sent to a '/filter' route. As populating uses queries as well, references to other schools are populated as null.
+ * Outside a school context (e.g. login, scripts in tools/) the queries are not restricted.
+ */
+import mongoose from 'mongoose';
+import { getContext, runWithContext } from "../tools/requestContext.js";
+
+const { Types: { ObjectId } } = mongoose;
+
+/**
+ * @description The ways a collection can be partitioned by school.
+ * ISOLATED: Every document belongs to exactly one school.
+ * SHARED: Like ISOLATED, but documents without a school (e.g. the default roles) can be read by all schools.
+ * SELF: The documents are the schools themselves, only the school of the context can be accessed.
+ * */
+export const tenancyModes = {
+    ISOLATED: 'ISOLATED',
+    SHARED: 'SHARED',
+    SELF: 'SELF'
+};
+
+const readOperations = [ 'countDocuments', 'find', 'findOne' ];
+
+const writeOperations = [
+    'deleteMany',
+    'deleteOne',
+    'findOneAndDelete',
+    'findOneAndReplace',
+    'findOneAndUpdate',
+    'replaceOne',
+    'updateMany',
+    'updateOne'
+];
+
+/**
+ * @description Gets the school the current request is restricted to.
+ * @returns {String|null|undefined} The id of the school, null for users without a school or undefined if the request is not restricted.
+ * */
+export function getTenant() {
+    return getContext().school;
+}
+
+/**
+ * @description Runs a function restricted to another school than the one of the current request.
+ * @param {String|null|undefined} school - The id of the school. Undefined to not restrict the queries at all.
+ * @param {Function} callback - The function to run.
+ * @returns {*} The result of the function.
+ * */
+export function runWithTenant(school, callback) {
+    return runWithContext({ ...getContext(), school: school }, callback);
+}
+
+/**
+ * @description Gets the condition restricting a query to the school of the current request.
+ * Used by the plugin and by storage adapters that do not use mongoose queries, see storage/memoryAdapter.js.
+ * @param {String} mode - How the collection is partitioned. See tenancyModes.
+ * @param {Boolean} write - If the query changes documents. Shared documents can only be read.
+ * @returns {Object|null} The condition or null if the request is not restricted.
+ * */
+export function getTenantCondition(mode, write = false) {
+    const school = getTenant();
+    if (school === undefined) return null;
+
+    const path = mode === tenancyModes.SELF ? '_id' : 'school';
+    return !write && mode === tenancyModes.SHARED ? { [path]: { $in: [ school, null ] } } : { [path]: school };
+}
+
+/**
+ * @description Removes changes of the school from an update, documents cannot be moved to another school.
+ * @param {Object} update - The update of a query.
+ * */
+export function removeSchoolUpdate(update) {
+    if (!update) return;
+
+    delete update.school;
+    for (const operator of [ '$set', '$setOnInsert', '$unset' ]) {
+        if (update[operator]) delete update[operator].school;
+    }
+}
+
+/**
+ * @description Plugin partitioning a schema by school. See tenancyModes.
+ * Schemas without a 'school' path get one, new documents are assigned to the school of the context.
+ * @param {Schema} schema - The schema.
+ * @param {Object} options - The options of the plugin.
+ * @param {String} options.mode - How the collection is partitioned. See tenancyModes.
+ * */
+export default function tenancyPlugin(schema, { mode }) {
+
+    if (mode !== tenancyModes.SELF && !schema.path('school')) {
+        schema.add({
+            school: {
+                type: ObjectId,
+                ref: 'School',
+                default: null
+            }
+        });
+        schema.index({ school: 1 });
+    }
+
+    schema.pre(readOperations, function () {
+        const condition = getTenantCondition(mode);
+        if (condition) this.and([ condition ]);
+    });
+
+    // shared documents can be read, but only changed outside a school context
+    schema.pre(writeOperations, { document: false, query: true }, function () {
+        const condition = getTenantCondition(mode, true);
+        if (!condition) return;
+
+        this.and([ condition ]);
+        if (mode !== tenancyModes.SELF) removeSchoolUpdate(this.getUpdate());
+    });
+
+    if (mode !== tenancyModes.SELF) {
+        schema.pre('save', function () {
+            const school = getTenant();
+            if (school === undefined) return;
+
+            this.school = school;
+        });
+    }
+
+}
@@ -0,0 +1,68 @@
+/**
+ * @file auditRoutes.test.js - Tests the order, the limit and the validation of audit log queries.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { createMember, createSchoolId, login, startServer } from "../testServer.js";
+
+const { runWithTenant } = await import("../../mongoDb/tenancy.js");
+const { default: AuditLog, auditActions } = await import("../../models/general/AuditLog.js");
+
+const schoolId = createSchoolId();
+const password = 'correct horse battery staple';
+
+let server;
+let token;
+const documentIds = [];
+
+before(async () => {
+    server = await startServer();
+
+    await createMember(schoolId, 'ADMIN', 'admin', password);
+    token = await login(server.request, 'admin', password);
+
+    // recorded one after another, so the last one is the newest
+    for (let i = 0; i < 3; i++) {
+        const documentId = new mongoose.Types.ObjectId().toString();
+        await runWithTenant(schoolId, () => AuditLog.record(auditActions.CREATE, 'Probe', documentId, null, { index: i }));
+        documentIds.push(documentId);
+    }
+});
+
+after(() => server.close());
+
+describe('GET /api/audit', () => {
+
+    test('returns the newest entries first', async () => {
+        const { status, body } = await server.request('GET', '/audit?model=Probe', undefined, token);
+        assert.equal(status, 200);
+        assert.deepEqual(body.map(entry => entry.document), [ ...documentIds ].reverse());
+    });
+
+    test('returns at most limit entries', async () => {
+        const { status, body } = await server.request('GET', '/audit?model=Probe&limit=2', undefined, token);
+        assert.equal(status, 200);
+        assert.deepEqual(body.map(entry => entry.document), [ documentIds[2], documentIds[1] ]);
+    });
+
+    test('rejects a limit that is not a positive integer', async () => {
+        for (const limit of [ '0', '-1', 'abc' ]) {
+            const { status } = await server.request('GET', `/audit?model=Probe&limit=${ limit }`, undefined, token);
+            assert.equal(status, 400);
+        }
+    });
+
+    test('rejects operators in the filters', async () => {
+        const { status } = await server.request('GET', '/audit?model[$ne]=Probe', undefined, token);
+        assert.equal(status, 400);
+    });
+
+    test('rejects filters given more than once', async () => {
+        const { status } = await server.request('GET', '/audit?model=Probe&model=Course', undefined, token);
+        assert.equal(status, 400);
+    });
+
+});
@@ -0,0 +1,60 @@
+/**
+ * @file blackboardRoutes.test.js - Tests that the author of a blackboard cannot be chosen by the client.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { createMember, createSchoolId, login, startServer } from "../testServer.js";
+
+const schoolId = createSchoolId();
+const password = 'correct horse battery staple';
+
+let server;
+let authorId;
+let otherId;
+let token;
+
+/**
+ * @description Creates the body of a blackboard.
+ * @param {String} author - The author claimed by the client.
+ * @returns {Object} The body.
+ * */
+function blackboardBody(author) {
+    return {
+        blackboard: {
+            _id: new mongoose.Types.ObjectId().toString(),
+            title: 'Titel',
+            author: author,
+            coverImage: 'cover.png',
+            text: 'Text',
+            tags: [],
+            date: Date.now(),
+            state: 'SUGGESTED'
+        }
+    };
+}
+
+before(async () => {
+    server = await startServer();
+
+    const author = await createMember(schoolId, 'STUDENT', 'author', password);
+    const other = await createMember(schoolId, 'STUDENT', 'other', password);
+    authorId = author.user._id.toString();
+    otherId = other.user._id.toString();
+
+    token = await login(server.request, 'author', password);
+});
+
+after(() => server.close());
+
+describe('POST /api/blackboards', () => {
+
+    test('sets the sender as author instead of the author in the body', async () => {
+        const { status, body } = await server.request('POST', '/blackboards', blackboardBody(otherId), token);
+        assert.equal(status, 200);
+        assert.equal(body.author._id, authorId);
+    });
+
+});
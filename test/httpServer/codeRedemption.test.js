@@ -0,0 +1,70 @@
+/**
+ * @file codeRedemption.test.js - Tests that activation and reset codes are single-use and end the sessions of the old password.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createMember, createSchoolId, login, startServer } from "../testServer.js";
+
+const { default: ActivationCode } = await import("../../models/users/ActivationCode.js");
+
+const schoolId = createSchoolId();
+const password = 'correct horse battery staple';
+
+let server;
+let adminToken;
+const studentAccountIds = {};
+
+/**
+ * @description Generates a code for a student as the admin.
+ * @param {String} username - The username of the student.
+ * @param {String} purpose - 'ACTIVATION' or 'RESET'.
+ * @returns {Promise<String>} The code.
+ * */
+async function generateCode(username, purpose) {
+    const { status, body } = await server.request('POST', '/activation-codes', { userAccounts: [ studentAccountIds[username] ], purpose }, adminToken);
+    assert.equal(status, 200);
+
+    return body[0].code;
+}
+
+before(async () => {
+    server = await startServer();
+
+    for (const username of [ 'activated', 'reset' ]) {
+        const { userAccount } = await createMember(schoolId, 'STUDENT', username, password);
+        studentAccountIds[username] = userAccount._id.toString();
+    }
+    await createMember(schoolId, 'ADMIN', 'admin', password);
+
+    adminToken = await login(server.request, 'admin', password);
+});
+
+after(() => server.close());
+
+describe('redemption of codes', () => {
+
+    // both redemptions read the code before either marks it as used, unless it is claimed in one step
+    test('succeeds only once for concurrent redemptions of a code', async () => {
+        const code = await generateCode('activated', 'ACTIVATION');
+
+        const userAccounts = await Promise.all([
+            ActivationCode.redeem(code, 'first new password'),
+            ActivationCode.redeem(code, 'second new password')
+        ]);
+
+        assert.equal(userAccounts.filter(userAccount => userAccount !== null).length, 1);
+    });
+
+    test('revokes the sessions of the old password on a reset', async () => {
+        const stolenToken = await login(server.request, 'reset', password);
+        assert.equal((await server.request('GET', '/users', undefined, stolenToken)).status, 200);
+
+        const { status } = await server.request('POST', '/auth/activate', { code: await generateCode('reset', 'RESET'), password: 'password after the reset' });
+        assert.equal(status, 200);
+
+        assert.equal((await server.request('GET', '/users', undefined, stolenToken)).status, 401);
+    });
+
+});
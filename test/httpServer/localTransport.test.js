@@ -0,0 +1,109 @@
+/**
+ * @file localTransport.test.js - Tests that the local transport of cache invalidations only talks to processes of the backend.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * This process relays the notifications, the other processes are played by plain sockets, see httpServer/cache/invalidation/localTransport.js.
+ */
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { createHmac } from "crypto";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import "../testServer.js";
+
+// set before the configuration is loaded, the directory itself is created by the transport
+const socketDirectory = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'academi-fy-test-')), 'sockets');
+process.env.CACHE_INVALIDATION_SOCKET_DIR = socketDirectory;
+
+const { default: config } = await import("../../config.js");
+const localTransport = await import("../../httpServer/cache/invalidation/localTransport.js");
+
+const socketPath = path.join(socketDirectory, `academi-fy-${ config.MONGODB_DATABASE }-cache.sock`);
+const clientProof = createHmac('sha256', config.TOKEN_SECRET).update(`cache-invalidation-client:${ config.MONGODB_DATABASE }`).digest('hex');
+const relayProof = createHmac('sha256', config.TOKEN_SECRET).update(`cache-invalidation-relay:${ config.MONGODB_DATABASE }`).digest('hex');
+
+const received = [];
+const sockets = [];
+
+/**
+ * @description Connects to the relaying process and collects what it sends.
+ * @param {String} firstLine - The first line sent, the proof of a process of the backend or anything else.
+ * @returns {Promise<{ socket: Socket, lines: Array<String> }>} The socket and the lines received so far.
+ * */
+async function connect(firstLine) {
+    const socket = net.createConnection(socketPath);
+    sockets.push(socket);
+    await once(socket, 'connect');
+
+    const lines = [];
+    socket.setEncoding('utf8');
+    socket.on('data', data => lines.push(...data.split('\n').filter(line => line.length > 0)));
+    socket.on('error', () => {});
+    socket.write(`${ firstLine }\n`);
+
+    return { socket, lines };
+}
+
+/**
+ * @description Waits until a condition is fulfilled.
+ * @param {function(): Boolean} condition - The condition.
+ * @returns {Promise<void>}
+ * */
+async function waitFor(condition) {
+    for (let i = 0; i < 100 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+before(async () => {
+    await localTransport.subscribe(invalidation => received.push(invalidation));
+    await waitFor(() => fs.existsSync(socketPath));
+});
+
+after(() => {
+    sockets.forEach(socket => socket.destroy());
+    fs.rmSync(path.dirname(socketDirectory), { recursive: true, force: true });
+});
+
+describe('local transport of cache invalidations', () => {
+
+    test('creates the directory of the socket only accessible by its user', () => {
+        assert.equal(fs.statSync(socketDirectory).mode & 0o777, 0o700);
+    });
+
+    test('closes the connection of a process without the proof', async () => {
+        const { socket, lines } = await connect('not the proof');
+        await waitFor(() => socket.destroyed || socket.readableEnded);
+
+        await localTransport.publish({ model: 'Chat', _id: 'probe', op: 'update' });
+        assert.ok(socket.destroyed || socket.readableEnded);
+        assert.deepEqual(lines, []);
+    });
+
+    test('ignores the notifications of a process without the proof', async () => {
+        const { socket } = await connect(JSON.stringify({ model: 'Chat', _id: 'spoofed', op: 'delete' }));
+        socket.write(`${ JSON.stringify({ model: 'Chat', _id: 'spoofed', op: 'delete' }) }\n`);
+        await waitFor(() => socket.destroyed || socket.readableEnded);
+
+        assert.equal(received.some(invalidation => invalidation._id === 'spoofed'), false);
+    });
+
+    test('exchanges notifications with a process with the proof', async () => {
+        const { socket, lines } = await connect(clientProof);
+        await waitFor(() => lines.length > 0);
+        assert.deepEqual(lines, [ relayProof ]);
+
+        await localTransport.publish({ model: 'Chat', _id: 'published', op: 'update' });
+        await waitFor(() => lines.length > 1);
+        assert.deepEqual(JSON.parse(lines[1]), { model: 'Chat', _id: 'published', op: 'update' });
+
+        socket.write(`${ JSON.stringify({ model: 'Chat', _id: 'sent', op: 'update' }) }\n`);
+        await waitFor(() => received.length > 0);
+        assert.deepEqual(received, [ { model: 'Chat', _id: 'sent', op: 'update' } ]);
+    });
+
+});
@@ -0,0 +1,80 @@
+/**
+ * @file loginLockRoutes.test.js - Tests that admins only see and clear the login locks of their own school.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createMember, createSchoolId, login, startServer } from "../testServer.js";
+
+const schoolId = createSchoolId();
+const otherSchoolId = createSchoolId();
+const password = 'correct horse battery staple';
+
+let server;
+let lockedAccountId;
+const tokens = {};
+
+before(async () => {
+    server = await startServer();
+
+    const locked = await createMember(schoolId, 'STUDENT', 'locked', password);
+    lockedAccountId = locked.userAccount._id.toString();
+    await createMember(schoolId, 'ADMIN', 'admin', password);
+    await createMember(otherSchoolId, 'ADMIN', 'otherAdmin', password);
+
+    tokens.admin = await login(server.request, 'admin', password);
+    tokens.otherAdmin = await login(server.request, 'otherAdmin', password);
+
+    // the account is locked after the third failure, see models/users/LoginLock.js
+    for (let i = 0; i < 3; i++) {
+        await server.request('POST', '/auth/login', { username: 'locked', password: 'wrong password' });
+    }
+});
+
+after(() => server.close());
+
+/**
+ * @description Gets the lock of the locked account as seen by an admin.
+ * @param {String} token - The access token of the admin.
+ * @returns {Promise<Object|undefined>} The lock or undefined if the admin cannot see it.
+ * */
+async function getAccountLock(token) {
+    const { status, body } = await server.request('GET', '/login-locks', undefined, token);
+    assert.equal(status, 200);
+
+    return body.find(lock => lock.type === 'ACCOUNT' && lock.key === lockedAccountId);
+}
+
+describe('login locks', () => {
+
+    test('reject the login of the locked account', async () => {
+        const { status } = await server.request('POST', '/auth/login', { username: 'locked', password: password });
+        assert.equal(status, 429);
+    });
+
+    test('are listed for the admin of the school', async () => {
+        assert.ok(await getAccountLock(tokens.admin));
+    });
+
+    test('are not listed for the admin of another school', async () => {
+        assert.equal(await getAccountLock(tokens.otherAdmin), undefined);
+    });
+
+    test('cannot be cleared by the admin of another school', async () => {
+        const lock = await getAccountLock(tokens.admin);
+
+        const { status } = await server.request('DELETE', `/login-locks/${ lock._id }`, undefined, tokens.otherAdmin);
+        assert.equal(status, 404);
+        assert.ok(await getAccountLock(tokens.admin));
+    });
+
+    test('can be cleared by the admin of the school', async () => {
+        const lock = await getAccountLock(tokens.admin);
+
+        const { status } = await server.request('DELETE', `/login-locks/${ lock._id }`, undefined, tokens.admin);
+        assert.equal(status, 200);
+        assert.equal(await getAccountLock(tokens.admin), undefined);
+    });
+
+});
@@ -0,0 +1,108 @@
+/**
+ * @file messageRoutes.test.js - Tests the permission checks of the message routes.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * Messages may only be sent to chats the user takes part in, see httpServer/authorization/resourceGrants.js.
+ * The author of a message is always the user that sent it.
+ */
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { createMember, createSchoolId, login, startServer } from "../testServer.js";
+
+const { runWithTenant } = await import("../../mongoDb/tenancy.js");
+const { default: Chat } = await import("../../models/messages/Chat.js");
+
+const schoolId = createSchoolId();
+const password = 'correct horse battery staple';
+
+let server;
+let chatId;
+let participantId;
+let outsiderId;
+const tokens = {};
+
+/**
+ * @description Creates the body of a message sent to a chat.
+ * @param {String} chat - The id of the chat.
+ * @param {String} author - The author claimed by the client.
+ * @returns {Object} The body.
+ * */
+function messageBody(chat, author = null) {
+    return {
+        message: {
+            _id: new mongoose.Types.ObjectId().toString(),
+            chat: chat,
+            author: author,
+            content: [ { type: 'TEXT', value: 'Hallo' } ],
+            reactions: [],
+            answer: null,
+            editHistory: [],
+            date: Date.now()
+        }
+    };
+}
+
+before(async () => {
+    server = await startServer();
+
+    const participant = await createMember(schoolId, 'STUDENT', 'participant', password);
+    participantId = participant.user._id.toString();
+    const outsider = await createMember(schoolId, 'STUDENT', 'outsider', password);
+    outsiderId = outsider.user._id.toString();
+    await createMember(schoolId, 'TEACHER', 'teacher', password);
+    await createMember(schoolId, 'ADMIN', 'admin', password);
+
+    const chat = await runWithTenant(schoolId, () => new Chat('GROUP', [ participant.user._id.toString() ], [], [], 'Chat', 'avatar.png', []).create());
+    chatId = chat._id.toString();
+
+    for (const username of [ 'participant', 'outsider', 'teacher', 'admin' ]) {
+        tokens[username] = await login(server.request, username, password);
+    }
+});
+
+after(() => server.close());
+
+describe('POST /api/messages', () => {
+
+    test('accepts a message of a target of the chat', async () => {
+        const { status } = await server.request('POST', '/messages', messageBody(chatId), tokens.participant);
+        assert.equal(status, 200);
+    });
+
+    test('rejects a message of a student outside of the chat', async () => {
+        const { status } = await server.request('POST', '/messages', messageBody(chatId), tokens.outsider);
+        assert.equal(status, 403);
+    });
+
+    test('rejects a message of a teacher outside of the chat', async () => {
+        const { status } = await server.request('POST', '/messages', messageBody(chatId), tokens.teacher);
+        assert.equal(status, 403);
+    });
+
+    test('accepts a message of an admin', async () => {
+        const { status } = await server.request('POST', '/messages', messageBody(chatId), tokens.admin);
+        assert.equal(status, 200);
+    });
+
+});
+
+describe('author of messages', () => {
+
+    test('is the sender on creation', async () => {
+        const { status, body } = await server.request('POST', '/messages', messageBody(chatId, outsiderId), tokens.participant);
+        assert.equal(status, 200);
+        assert.equal(body.author._id, participantId);
+    });
+
+    test('cannot be changed by an update', async () => {
+        const created = await server.request('POST', '/messages', messageBody(chatId), tokens.participant);
+        const message = { ...messageBody(chatId, outsiderId).message, _id: created.body._id };
+
+        const { status, body } = await server.request('PUT', `/messages/${ message._id }`, { message }, tokens.participant);
+        assert.equal(status, 200);
+        assert.equal(body.author._id, participantId);
+    });
+
+});
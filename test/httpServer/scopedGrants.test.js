@@ -0,0 +1,66 @@
+/**
+ * @file scopedGrants.test.js - Tests that permissions scoped to a document only apply to that document.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * A scoped permission is written 'permission@id', see models/users/permissionRegistry.js.
+ */
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createMember, createSchoolId, login, startServer } from "../testServer.js";
+
+const { runWithTenant } = await import("../../mongoDb/tenancy.js");
+const { default: Club } = await import("../../models/clubs/Club.js");
+
+const schoolId = createSchoolId();
+const password = 'correct horse battery staple';
+
+let server;
+const clubIds = {};
+const tokens = {};
+
+before(async () => {
+    server = await startServer();
+
+    await runWithTenant(schoolId, async () => {
+        for (const name of [ 'granted', 'other', 'denied' ]) {
+            const club = await new Club(name, {}, [], [], null, [], 'APPROVED', []).create();
+            clubIds[name] = club._id.toString();
+        }
+    });
+
+    await createMember(schoolId, 'STUDENT', 'scoped', password, { permissions: [ `club.deletion.execute@${ clubIds.granted }` ] });
+    await createMember(schoolId, 'STUDENT', 'wildcard', password, {
+        permissions: [ 'club.*' ],
+        deniedPermissions: [ `club.deletion.execute@${ clubIds.denied }` ]
+    });
+
+    tokens.scoped = await login(server.request, 'scoped', password);
+    tokens.wildcard = await login(server.request, 'wildcard', password);
+});
+
+after(() => server.close());
+
+describe('scoped permissions', () => {
+
+    test('do not apply to other documents', async () => {
+        const { status } = await server.request('DELETE', `/clubs/${ clubIds.other }`, undefined, tokens.scoped);
+        assert.equal(status, 403);
+    });
+
+    test('apply to their document', async () => {
+        const { status } = await server.request('DELETE', `/clubs/${ clubIds.granted }`, undefined, tokens.scoped);
+        assert.equal(status, 200);
+    });
+
+    test('deny their document despite a wildcard', async () => {
+        const { status } = await server.request('DELETE', `/clubs/${ clubIds.denied }`, undefined, tokens.wildcard);
+        assert.equal(status, 403);
+    });
+
+    test('deny no other documents', async () => {
+        const { status } = await server.request('DELETE', `/clubs/${ clubIds.other }`, undefined, tokens.wildcard);
+        assert.equal(status, 200);
+    });
+
+});
@@ -0,0 +1,78 @@
+/**
+ * @file teacherPermissions.test.js - Tests that teachers only manage the courses and chats they take part in.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * The template of teachers has no rights on courses and chats of others, see models/users/defaultRoles.js.
+ */
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createMember, createSchoolId, login, startServer } from "../testServer.js";
+
+const { runWithTenant } = await import("../../mongoDb/tenancy.js");
+const { default: Course } = await import("../../models/general/Course.js");
+const { default: Chat } = await import("../../models/messages/Chat.js");
+const { default: Role } = await import("../../models/users/Role.js");
+const { updateDocument } = await import("../../mongoDb/mongoAccess.js");
+const { default: RoleSchema } = await import("../../mongoDb/schemas/user/RoleSchema.js");
+
+const schoolId = createSchoolId();
+const password = 'correct horse battery staple';
+
+let server;
+let courseId;
+let chatId;
+const tokens = {};
+
+before(async () => {
+    server = await startServer();
+
+    const teacher = await createMember(schoolId, 'TEACHER', 'teacher', password);
+    await createMember(schoolId, 'TEACHER', 'otherTeacher', password);
+
+    await runWithTenant(schoolId, async () => {
+        const course = await new Course([], [], teacher.user._id.toString(), null, null).create();
+        courseId = course._id.toString();
+
+        const chat = await new Chat('GROUP', [], [ courseId ], [], 'Chat', 'avatar.png', []).create();
+        chatId = chat._id.toString();
+    });
+
+    tokens.teacher = await login(server.request, 'teacher', password);
+    tokens.otherTeacher = await login(server.request, 'otherTeacher', password);
+});
+
+after(() => server.close());
+
+describe('teachers', () => {
+
+    test('cannot delete the chat of a course of another teacher', async () => {
+        const { status } = await server.request('DELETE', `/chats/${ chatId }`, undefined, tokens.otherTeacher);
+        assert.equal(status, 403);
+    });
+
+    test('cannot delete the course of another teacher', async () => {
+        const { status } = await server.request('DELETE', `/courses/${ courseId }`, undefined, tokens.otherTeacher);
+        assert.equal(status, 403);
+    });
+
+    test('can delete their own course', async () => {
+        const { status } = await server.request('DELETE', `/courses/${ courseId }`, undefined, tokens.teacher);
+        assert.equal(status, 200);
+    });
+
+});
+
+describe('Role.ensureDefaultRoles', () => {
+
+    test('withdraws the unscoped rights from an existing template of teachers', async () => {
+        const [ template ] = await Role.getTemplatesByAccountType('TEACHER');
+        await updateDocument(RoleSchema, template._id, { permissions: [ ...template.permissions, 'chat.*', 'club.*', 'course.*' ] });
+
+        await Role.ensureDefaultRoles();
+
+        const [ updated ] = await Role.getTemplatesByAccountType('TEACHER');
+        assert.deepEqual(updated.permissions, template.permissions);
+    });
+
+});
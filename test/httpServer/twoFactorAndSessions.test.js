@@ -0,0 +1,96 @@
+/**
+ * @file twoFactorAndSessions.test.js - Tests that logins with two-factor authentication need a code and that revoked sessions end.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createMember, createSchoolId, login, startServer } from "../testServer.js";
+
+const { generateCode } = await import("../../httpServer/authentication/totp.js");
+
+const schoolId = createSchoolId();
+const password = 'correct horse battery staple';
+
+let server;
+let recoveryCodes;
+
+before(async () => {
+    server = await startServer();
+
+    await createMember(schoolId, 'STUDENT', 'twoFactor', password);
+    await createMember(schoolId, 'STUDENT', 'sessions', password);
+
+    const token = await login(server.request, 'twoFactor', password);
+    const enrollment = await server.request('POST', '/auth/two-factor/enrollment', {}, token);
+    assert.equal(enrollment.status, 200);
+
+    const confirmation = await server.request('POST', '/auth/two-factor/enrollment/confirm', { code: generateCode(enrollment.body.secret) }, token);
+    assert.equal(confirmation.status, 200);
+    recoveryCodes = confirmation.body.recoveryCodes;
+});
+
+after(() => server.close());
+
+/**
+ * @description Logs in with the password of an account with two-factor authentication.
+ * @returns {Promise<Object>} The body of the response.
+ * */
+async function loginWithPassword() {
+    const { status, body } = await server.request('POST', '/auth/login', { username: 'twoFactor', password });
+    assert.equal(status, 200);
+
+    return body;
+}
+
+describe('login with two-factor authentication', () => {
+
+    test('issues no tokens for the password alone', async () => {
+        const body = await loginWithPassword();
+
+        assert.equal(body.twoFactorRequired, true);
+        assert.equal(body.accessToken, undefined);
+        assert.equal(body.refreshToken, undefined);
+    });
+
+    test('does not accept the two-factor token as access token', async () => {
+        const { twoFactorToken } = await loginWithPassword();
+
+        const { status } = await server.request('GET', '/users', undefined, twoFactorToken);
+        assert.equal(status, 401);
+    });
+
+    test('rejects an invalid code', async () => {
+        const { twoFactorToken } = await loginWithPassword();
+
+        const { status, body } = await server.request('POST', '/auth/two-factor/verify', { twoFactorToken, code: '000000' });
+        assert.equal(status, 401);
+        assert.equal(body.accessToken, undefined);
+    });
+
+    test('accepts a recovery code only once', async () => {
+        const first = await server.request('POST', '/auth/two-factor/verify', { twoFactorToken: (await loginWithPassword()).twoFactorToken, code: recoveryCodes[0] });
+        assert.equal(first.status, 200);
+        assert.ok(first.body.accessToken);
+
+        const second = await server.request('POST', '/auth/two-factor/verify', { twoFactorToken: (await loginWithPassword()).twoFactorToken, code: recoveryCodes[0] });
+        assert.equal(second.status, 401);
+    });
+
+});
+
+describe('revoked sessions', () => {
+
+    test('end the access and refresh tokens of the other devices', async () => {
+        const current = await server.request('POST', '/auth/login', { username: 'sessions', password });
+        const other = await server.request('POST', '/auth/login', { username: 'sessions', password });
+
+        const { status } = await server.request('DELETE', '/sessions?exceptCurrent=true', undefined, current.body.accessToken);
+        assert.equal(status, 200);
+
+        assert.equal((await server.request('GET', '/users', undefined, other.body.accessToken)).status, 401);
+        assert.equal((await server.request('POST', '/auth/refresh', { refreshToken: other.body.refreshToken })).status, 401);
+        assert.equal((await server.request('GET', '/users', undefined, current.body.accessToken)).status, 200);
+    });
+
+});
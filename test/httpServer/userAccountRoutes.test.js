@@ -0,0 +1,55 @@
+/**
+ * @file userAccountRoutes.test.js - Tests that user accounts cannot be filtered by their secrets.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * A filter on the password or the two-factor authentication would reveal them bit by bit through the matching accounts.
+ */
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createMember, createSchoolId, login, startServer } from "../testServer.js";
+
+const schoolId = createSchoolId();
+const password = 'correct horse battery staple';
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer();
+
+    await createMember(schoolId, 'STUDENT', 'student', password);
+    await createMember(schoolId, 'ADMIN', 'admin', password);
+
+    token = await login(server.request, 'admin', password);
+});
+
+after(() => server.close());
+
+describe('GET /api/user-accounts/filter', () => {
+
+    test('accepts a filter on other fields', async () => {
+        const { status, body } = await server.request('GET', '/user-accounts/filter', { filter: { username: 'student' } }, token);
+        assert.equal(status, 200);
+        assert.equal(body.length, 1);
+    });
+
+    const rejectedFilters = {
+        'the password': { password: { $regex: '^\\$scrypt' } },
+        'a field of the password': { 'password.hash': { $exists: true } },
+        'the two-factor authentication': { 'twoFactor.enabled': true },
+        'the password within $or': { $or: [ { username: 'student' }, { password: { $regex: '^a' } } ] },
+        'the password within nested operators': { $and: [ { $nor: [ { $or: [ { twoFactor: { $exists: false } } ] } ] } ] },
+        'the password within $elemMatch': { settings: { $elemMatch: { password: 'x' } } },
+        'an expression reading any field': { $expr: { $eq: [ { $substr: [ '$password', 0, 1 ] }, '$' ] } },
+        'JavaScript reading any field': { $where: 'this.password.startsWith("$")' }
+    };
+
+    for (const [ name, filter ] of Object.entries(rejectedFilters)) {
+        test(`rejects a filter on ${ name }`, async () => {
+            const { status } = await server.request('GET', '/user-accounts/filter', { filter }, token);
+            assert.equal(status, 400);
+        });
+    }
+
+});
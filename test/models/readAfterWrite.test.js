@@ -0,0 +1,138 @@
+/**
+ * @file readAfterWrite.test.js - Tests that reads of the models return their new state right after a write.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * Runs against the memory storage and the memory cache, see mongoDb/storage/memoryAdapter.js and httpServer/cache/memoryCache.js.
+ * Every cached model (see models/cacheInvalidation.js) is created, updated and deleted with a loaded cache entry.
+ * After every write getById, getAll and the lookups by the fields in cacheIndexes have to return the new state.
+ */
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+// set before the configuration is loaded by the imports below
+process.env.NODE_ENV = 'test';
+process.env.STORAGE = 'memory';
+process.env.CACHE = 'memory';
+process.env.CACHE_INVALIDATION = 'none';
+
+const { default: memoryCache } = await import("memory-cache");
+const db = await import("../../mongoDb/db.js");
+const { clear } = await import("../../mongoDb/storage/memoryAdapter.js");
+const { runWithTenant } = await import("../../mongoDb/tenancy.js");
+const { default: Blackboard } = await import("../../models/general/Blackboard.js");
+const { default: Chat } = await import("../../models/messages/Chat.js");
+const { default: Class } = await import("../../models/general/Class.js");
+const { default: Club } = await import("../../models/clubs/Club.js");
+const { default: Course } = await import("../../models/general/Course.js");
+const { default: Event } = await import("../../models/events/Event.js");
+const { default: EventTicket } = await import("../../models/events/EventTicket.js");
+const { default: Grade } = await import("../../models/general/Grade.js");
+const { default: Message } = await import("../../models/messages/Message.js");
+const { default: Role } = await import("../../models/users/Role.js");
+const { default: School } = await import("../../models/general/setup/School.js");
+const { default: SetupAccount } = await import("../../models/general/setup/SetupAccount.js");
+const { default: Subject } = await import("../../models/general/Subject.js");
+const { default: User } = await import("../../models/users/User.js");
+
+const schoolId = new mongoose.Types.ObjectId().toString();
+let memberId;
+
+/**
+ * @description The instances written by the tests. Every entry creates a new instance and changes one field with its update.
+ * The update can be a function, e.g. to use documents created before the tests. 'read' gets the value of the field from an instance.
+ * The instances are written within the school of the tests, unless the entry declares another school.
+ * */
+const fixtures = [
+    { model: Blackboard, create: () => new Blackboard('Titel', null, 'cover.png', 'Text', [], Date.now(), 'SUGGESTED'), update: { title: 'Neuer Titel' } },
+    { model: Chat, create: () => new Chat('GROUP', [], [], [], 'Chat', 'avatar.png', []), update: { name: 'Neuer Chat' } },
+    { model: Class, create: () => new Class(null, [], [], '5a'), update: { specifiedGrade: '5b' } },
+    { model: Club, create: () => new Club('AG', { description: 'AG', location: 'Raum 1', meetingTime: '13:00', meetingDay: 'Montag', requirements: [], tags: [] }, [], [], null, [], 'SUGGESTED', []), update: { name: 'Neue AG' } },
+    // references are populated, so the update is compared by the ids
+    { model: Course, create: () => new Course([], [], null, null, null), update: () => ({ members: [ memberId ] }), read: course => course.members.map(member => member._id.toString()) },
+    { model: Event, create: () => new Event('Fest', 'Schulfest', 'Hof', 'SMV', [], Date.now(), Date.now() + 1000, [], { ticketDetails: { price: 5, description: 'Eintritt', amount: 100 }, sold: [] }, 'SUGGESTED', [], []), update: { title: 'Neues Fest' } },
+    { model: EventTicket, create: () => new EventTicket(null, null, 5, Date.now()), update: { price: 10 } },
+    { model: Grade, create: () => new Grade(5, []), update: { level: 6 } },
+    { model: Message, create: () => new Message(null, null, [ { type: 'TEXT', value: 'Hallo' } ], [], null, [], Date.now()), update: { date: 1700000000000 } },
+    { model: Role, create: () => new Role('Lehrkraft', [], 'TEACHER', schoolId), update: { name: 'Schulleitung' } },
+    // schools are partitioned by their own _id, they are written without a school like in the setup, see SchoolSetup.js
+    { model: School, create: () => new School('Schule', [], [], [], [], [], [], [], [], [], []), update: { name: 'Neue Schule' }, school: undefined },
+    { model: SetupAccount, create: () => new SetupAccount('Schule', null, 'SCHOOL', null), update: { step: 'GRADES' } },
+    { model: Subject, create: () => new Subject('Deutsch', 'D', []), update: { shortName: 'DE' } },
+    { model: User, create: () => new User('Max', 'Mustermann', 'avatar.png', 'STUDENT', [], [], [], [], []), update: { type: 'TEACHER' } }
+];
+
+before(async () => {
+    await db.connect();
+
+    const member = await runWithTenant(schoolId, () => new User('Erika', 'Musterfrau', 'avatar.png', 'STUDENT', [], [], [], [], []).create());
+    memberId = member._id.toString();
+});
+
+after(() => {
+    clear();
+    // the entries keep timers running until they expire
+    memoryCache.clear();
+});
+
+/**
+ * @description Checks if the cache entry of a model lists an instance under the value of a field, e.g. an indexed one.
+ * The cache is read directly, getAllByRule would read the database if the cache returned nothing.
+ * @param {BaseModel} model - The model.
+ * @param {String} field - The field.
+ * @param {*} value - The value of the field.
+ * @param {String} _id - The id of the instance.
+ * @returns {Promise<Boolean>} If the instance is found by the value.
+ * */
+async function isIndexed(model, field, value, _id) {
+    const items = await model.getCached({ [field]: value });
+    return items.some(item => item._id.toString() === _id);
+}
+
+for (const { model, create, update, read, ...options } of fixtures) {
+    describe(model.modelName, () => {
+
+        test('reads after create, update and delete return the new state', async () => {
+            await runWithTenant('school' in options ? options.school : schoolId, async () => {
+                // the cache entry has to be loaded, otherwise the writes do not change it
+                await model.getAll();
+
+                const created = await create().create();
+                const _id = created._id.toString();
+                // checked first, getById adds instances missing in the cache
+                assert.ok(await isIndexed(model, '_id', _id, _id), 'cache after create');
+                assert.equal((await model.getById(_id))._id.toString(), _id, 'getById after create');
+                assert.ok((await model.getAll()).some(item => item._id.toString() === _id), 'getAll after create');
+                for (const field of model.cacheIndexes) {
+                    assert.ok(await isIndexed(model, field, created[field], _id), `lookup by ${ field } after create`);
+                }
+
+                const changes = typeof update === 'function' ? update() : update;
+                const [ field, value ] = Object.entries(changes)[0];
+                const readField = read ?? (item => item[field]);
+
+                const updated = await created.update(changes);
+                assert.notDeepEqual(readField(created), value, 'the update has to change the field');
+                assert.deepEqual(readField(updated), value);
+                assert.deepEqual(readField(await model.getById(_id)), value, 'getById after update');
+                assert.deepEqual(readField((await model.getAll()).find(item => item._id.toString() === _id)), value, 'getAll after update');
+                for (const index of model.cacheIndexes) {
+                    assert.ok(await isIndexed(model, index, updated[index], _id), `lookup by ${ index } after update`);
+                    if (created[index] !== updated[index]) {
+                        assert.ok(!await isIndexed(model, index, created[index], _id), `lookup by former ${ index } after update`);
+                    }
+                }
+
+                await updated.delete();
+                assert.ok(!await isIndexed(model, '_id', _id, _id), 'cache after delete');
+                await assert.rejects(model.getById(_id), 'getById after delete');
+                assert.ok(!(await model.getAll()).some(item => item._id.toString() === _id), 'getAll after delete');
+                for (const index of model.cacheIndexes) {
+                    assert.ok(!await isIndexed(model, index, updated[index], _id), `lookup by ${ index } after delete`);
+                }
+            });
+        });
+
+    });
+}
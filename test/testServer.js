@@ -0,0 +1,118 @@
+/**
+ * @file testServer.js - Starts the HTTP server for the tests and signs in users of a school.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * The server runs against the memory storage and the memory cache on a free port, see httpServer/app.js.
+ * Importing this module sets the configuration of the tests, so it has to be imported before the modules of the backend.
+ */
+import { once } from "events";
+import http from "http";
+import mongoose from "mongoose";
+
+// set before the configuration is loaded by the modules of the backend
+process.env.NODE_ENV = 'test';
+process.env.STORAGE = 'memory';
+process.env.CACHE = 'memory';
+process.env.CACHE_INVALIDATION = 'none';
+
+/**
+ * @description Creates the id of a new school. Every test file uses its own schools, see createMember.
+ * @returns {String} The id.
+ * */
+export function createSchoolId() {
+    return new mongoose.Types.ObjectId().toString();
+}
+
+/**
+ * @description Connects the memory storage, creates the default roles and starts the HTTP server on a free port.
+ * @returns {Promise<{ request: Function, close: Function }>} The function sending requests to the server and the function stopping it.
+ * request(method, path, body, accessToken) resolves to the status and the parsed body of the response, path is relative to /api.
+ * */
+export async function startServer() {
+    const db = await import("../mongoDb/db.js");
+    const { default: Role } = await import("../models/users/Role.js");
+    const { default: app } = await import("../httpServer/app.js");
+
+    await db.connect();
+    await Role.ensureDefaultRoles();
+
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const base = `http://127.0.0.1:${ server.address().port }/api`;
+
+    // sent with http instead of fetch, as some routes read a body of GET requests (e.g. the filter routes)
+    async function request(method, path, body = undefined, accessToken = null) {
+        const data = body === undefined ? '' : JSON.stringify(body);
+        const headers = { 'content-type': 'application/json', 'content-length': Buffer.byteLength(data) };
+        if (accessToken) headers.authorization = `Bearer ${ accessToken }`;
+
+        const outgoing = http.request(base + path, { method, headers });
+        outgoing.end(data);
+        const [ response ] = await once(outgoing, 'response');
+
+        let text = '';
+        response.setEncoding('utf8');
+        for await (const chunk of response) text += chunk;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            parsed = text;
+        }
+        return { status: response.statusCode, body: parsed };
+    }
+
+    async function close() {
+        server.closeAllConnections();
+        server.close();
+        await once(server, 'close');
+
+        const { clear } = await import("../mongoDb/storage/memoryAdapter.js");
+        const { default: memoryCache } = await import("memory-cache");
+        clear();
+        // the entries keep timers running until they expire
+        memoryCache.clear();
+    }
+
+    return { request, close };
+}
+
+/**
+ * @description Creates a user and their user account in a school.
+ * @param {String} school - The id of the school.
+ * @param {String} type - The account type of the user, see models/users/UserAccountTypes.js.
+ * @param {String} username - The username of the user account.
+ * @param {String} password - The password of the user account.
+ * @param {Object} options - Optional permissions of the user account, see models/users/UserAccountPermissions.js.
+ * @param {Array<String>} options.permissions - The permissions granted to the user account itself.
+ * @param {Array<String>} options.deniedPermissions - The permissions denied to the user account.
+ * @returns {Promise<{ user: User, userAccount: UserAccount }>} The created user and user account.
+ * */
+export async function createMember(school, type, username, password, { permissions = [], deniedPermissions = [] } = {}) {
+    const { runWithTenant } = await import("../mongoDb/tenancy.js");
+    const { default: User } = await import("../models/users/User.js");
+    const { default: UserAccount } = await import("../models/users/UserAccount.js");
+
+    return runWithTenant(school, async () => {
+        const user = await new User(username, 'Test', 'avatar.png', type, [], [], [], [], []).create();
+        const userAccount = await UserAccount.createUserAccount(new UserAccount(user._id.toString(), username, password, [], permissions, [], deniedPermissions));
+
+        return { user, userAccount };
+    });
+}
+
+/**
+ * @description Signs in with a username and a password.
+ * @param {Function} request - The request function of startServer.
+ * @param {String} username - The username.
+ * @param {String} password - The password.
+ * @returns {Promise<String>} The access token.
+ * */
+export async function login(request, username, password) {
+    const { status, body } = await request('POST', '/auth/login', { username, password });
+    if (status !== 200 || !body.accessToken) throw new Error(`Login of '${ username }' failed: ${ JSON.stringify(body) }`);
+
+    return body.accessToken;
+}
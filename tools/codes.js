@@ -0,0 +1,38 @@
+/**
+ * @file codes.js - Functions generating short random codes that are typed in by users, like activation and invite codes.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import crypto from "crypto";
+
+// characters of a code, without characters that are easily confused when printed (0/O, 1/I/L)
+const codeAlphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const codeGroupLength = 4;
+
+/**
+ * @description Generates a random code of groups separated by dashes, like 'K7PX-3MQA-Z9RT'.
+ * @param {Number} groups - The number of groups.
+ * @returns {String} The code.
+ * */
+export function generateCode(groups) {
+    const generated = [];
+    for (let i = 0; i < groups; i++) {
+        let group = '';
+        for (let j = 0; j < codeGroupLength; j++) {
+            group += codeAlphabet[crypto.randomInt(codeAlphabet.length)];
+        }
+        generated.push(group);
+    }
+    return generated.join('-');
+}
+
+/**
+ * @description Normalizes a code that was typed in, so case and missing dashes do not matter.
+ * @param {String} code - The code as typed in.
+ * @returns {String} The normalized code.
+ * */
+export function normalizeCode(code) {
+    const characters = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const groups = characters.match(new RegExp(`.{1,${ codeGroupLength }}`, 'g')) ?? [];
+    return groups.join('-');
+}
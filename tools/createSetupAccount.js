@@ -0,0 +1,30 @@
+/**
+ * @file createSetupAccount.js - Script creating the setup account of a new school and printing its setup code.
+ * The code authenticates the onboarding of the school at /api/setup, see models/general/setup/SchoolSetup.js.
+ * Usage: npm run setup:create -- "<schoolName>"
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import * as db from '../mongoDb/db.js';
+import logger from "./logging/logger.js";
+import SchoolSetup from "../models/general/setup/SchoolSetup.js";
+
+const schoolName = process.argv.slice(2).join(' ').trim();
+
+if (!schoolName) {
+    logger.database.fatal('Usage: npm run setup:create -- "<schoolName>"');
+    process.exit(1);
+}
+
+await db.connect();
+
+try {
+    const { setupAccount, code } = await SchoolSetup.createSetupAccount(schoolName);
+    logger.database.info(`Created setup account '${ setupAccount._id }' for school '${ schoolName }'`);
+    logger.database.info(`Setup code (shown only once): ${ code }`);
+} catch (error) {
+    logger.database.fatal(`Failed to create setup account:\n${ error.stack }`);
+    process.exitCode = 1;
+} finally {
+    await db.disconnect();
+}
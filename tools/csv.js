@@ -0,0 +1,121 @@
+/**
+ * @file csv.js - Functions to read and write CSV files as exported by spreadsheets.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * Fields can be quoted with double quotes, quotes inside quoted fields are doubled ("").
+ * The delimiter is detected from the header line: spreadsheets with German locale use ';', most others ','.
+ */
+
+const delimiters = [ ';', ',', '\t' ];
+
+/**
+ * @description Detects the delimiter of a CSV text from its first line.
+ * @param {String} text - The CSV text.
+ * @returns {String} The delimiter occurring most often in the first line. ',' if none occurs.
+ * */
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+
+    let detected = ',';
+    let maxCount = 0;
+    for (const delimiter of delimiters) {
+        const count = firstLine.split(delimiter).length - 1;
+        if (count > maxCount) {
+            detected = delimiter;
+            maxCount = count;
+        }
+    }
+    return detected;
+}
+
+/**
+ * @description Parses a CSV text into records. The first line is the header, empty lines are skipped.
+ * @param {String} text - The CSV text.
+ * @returns {{ header: Array<String>, records: Array<{ line: Number, values: Object<String, String> }> }}
+ * The header and the records with their line number and their values by header name. Values are trimmed.
+ * @throws {Error} When a quoted field is not closed.
+ * */
+export function parseCsv(text) {
+    text = String(text ?? '').replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(text);
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            }
+            else if (char === '"') quoted = false;
+            else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        }
+        else if (char === '"') quoted = true;
+        else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ line: rowLine, fields: row });
+            row = [];
+            field = '';
+            line++;
+            rowLine = line;
+        }
+        else field += char;
+    }
+
+    if (quoted) throw new Error(`Quoted field starting in line ${ rowLine } is not closed`);
+    row.push(field);
+    rows.push({ line: rowLine, fields: row });
+
+    const nonEmpty = rows.filter(({ fields }) => fields.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) return { header: [], records: [] };
+
+    const header = nonEmpty[0].fields.map(name => name.trim());
+    const records = nonEmpty.slice(1).map(({ line, fields }) => ({
+        line: line,
+        values: Object.fromEntries(header.map((name, index) => [ name, (fields[index] ?? '').trim() ]))
+    }));
+
+    return { header, records };
+}
+
+/**
+ * @description Formats a single value as CSV field, quoting it if necessary.
+ * @param {*} value - The value. null and undefined are written as empty fields.
+ * @param {String} delimiter - The delimiter.
+ * @returns {String} The field.
+ * */
+function formatField(value, delimiter) {
+    const field = value === null || value === undefined ? '' : String(value);
+    return field.includes(delimiter) || /["\r\n]/.test(field) ? `"${ field.replace(/"/g, '""') }"` : field;
+}
+
+/**
+ * @description Formats records as CSV text with a header line.
+ * @param {Array<String>} header - The names of the columns.
+ * @param {Array<Object>} records - The records, their values are taken by the names of the columns.
+ * @param {String} delimiter - The delimiter. ';' by default, so the file opens in spreadsheets with German locale.
+ * @returns {String} The CSV text.
+ * */
+export function formatCsv(header, records, delimiter = ';') {
+    const lines = [ header.map(name => formatField(name, delimiter)).join(delimiter) ];
+    for (const record of records) {
+        lines.push(header.map(name => formatField(record[name], delimiter)).join(delimiter));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
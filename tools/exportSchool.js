@@ -0,0 +1,41 @@
+/**
+ * @file exportSchool.js - Script writing all documents of a school into a directory, as JSON bundle and as one CSV file per model.
+ * The bundle can be restored with tools/restoreSchool.js. See models/general/setup/SchoolExport.js.
+ * Usage: npm run school:export -- <schoolId> <directory> [--messages]
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import * as db from '../mongoDb/db.js';
+import fs from "fs/promises";
+import path from "path";
+import mongoose from "mongoose";
+import logger from "./logging/logger.js";
+import SchoolExport from "../models/general/setup/SchoolExport.js";
+
+const args = process.argv.slice(2);
+const includeMessages = args.includes('--messages');
+const [ schoolId, directory ] = args.filter(arg => arg !== '--messages');
+
+if (!schoolId || !mongoose.isValidObjectId(schoolId) || !directory) {
+    logger.database.fatal('Usage: npm run school:export -- <schoolId> <directory> [--messages]');
+    process.exit(1);
+}
+
+await db.connect();
+
+try {
+    const bundle = await SchoolExport.exportSchool(schoolId, { includeMessages: includeMessages });
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, 'school-export.json'), JSON.stringify(bundle, null, 2));
+    for (const name of Object.keys(bundle.collections)) {
+        await fs.writeFile(path.join(directory, `${ name }.csv`), SchoolExport.collectionToCsv(bundle, name));
+    }
+
+    logger.database.info(`Wrote export of school '${ schoolId }' to '${ directory }'`);
+} catch (error) {
+    logger.database.fatal(`Failed to export school:\n${ error.stack }`);
+    process.exitCode = 1;
+} finally {
+    await db.disconnect();
+}
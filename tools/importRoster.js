@@ -0,0 +1,61 @@
+/**
+ * @file importRoster.js - Script importing a CSV roster of students and teachers into a school.
+ * Without --commit the changes are only reported. See models/users/RosterImport.js.
+ * Usage: npm run roster:import -- <schoolId> <file.csv> [--commit]
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import * as db from '../mongoDb/db.js';
+import fs from "fs/promises";
+import mongoose from "mongoose";
+import logger from "./logging/logger.js";
+import { runWithTenant } from "../mongoDb/tenancy.js";
+import RosterImport from "../models/users/RosterImport.js";
+
+const args = process.argv.slice(2);
+const commit = args.includes('--commit');
+const [ schoolId, file ] = args.filter(arg => arg !== '--commit');
+
+if (!schoolId || !mongoose.isValidObjectId(schoolId) || !file) {
+    logger.database.fatal('Usage: npm run roster:import -- <schoolId> <file.csv> [--commit]');
+    process.exit(1);
+}
+
+const csv = await fs.readFile(file, 'utf8');
+
+await db.connect();
+
+/**
+ * @description Logs the report of an import.
+ * @param {Object} report - The report. See RosterImport.importRoster.
+ * */
+function logReport(report) {
+    for (const user of report.created) {
+        logger.database.info(`Line ${ user.line }: create ${ user.type } '${ user.username }' (${ user.firstName } ${ user.lastName }) in ${ [ ...user.classes, ...user.courses ].join(', ') || '-' }`);
+    }
+    for (const user of report.updated) {
+        logger.database.info(`Line ${ user.line }: update '${ user.username }': ${ user.changes.join(', ') }`);
+    }
+    for (const conflict of report.conflicts) {
+        logger.database.error(`Line ${ conflict.line }: conflict for '${ conflict.username }': ${ conflict.message }`);
+    }
+    logger.database.info(`${ report.created.length } created, ${ report.updated.length } updated, ${ report.unchanged.length } unchanged, ${ report.conflicts.length } conflict(s)`);
+}
+
+try {
+    const report = await runWithTenant(schoolId, () => RosterImport.importRoster(csv, { dryRun: !commit }));
+    logReport(report);
+
+    if (commit) {
+        for (const code of report.activationCodes) {
+            logger.database.info(`Activation code of '${ code.username }': ${ code.code } (expires ${ code.expiresAt.toISOString() })`);
+        }
+    }
+    else logger.database.info('Dry run, nothing was imported. Run again with --commit to import the roster.');
+} catch (error) {
+    if (error.report) logReport(error.report);
+    logger.database.fatal(`Failed to import roster:\n${ error.name === 'RosterImportError' ? error.message : error.stack }`);
+    process.exitCode = 1;
+} finally {
+    await db.disconnect();
+}
@@ -1,5 +1,6 @@
 import chalk from "chalk";
 import moment from "moment";
+import { getContext } from "../requestContext.js";
 
 /**
  * @description Handles logging.
@@ -8,7 +9,11 @@ import moment from "moment";
  * @param {String} message - The log messages
  * */
 function handleLog(sender, type, message) {
-    console.log(`${ chalk.white(`${ moment().format('YYYY/MM/DD HH:mm:ss.SS') }`) } [${ chalk.bold.hex(sender.color)(sender.name) }] [${ chalk.bold.hex(type.color)(type.name) }] ${ chalk.white(message) }`);
+    // everything that happens while an admin impersonates a user is flagged, see httpServer/routing/routes/impersonationRoutes.js
+    const { impersonator } = getContext();
+    const flag = impersonator ? ` [${ chalk.bold.hex(colors.impersonation)(`IMPERSONATED BY ${ impersonator }`) }]` : '';
+
+    console.log(`${ chalk.white(`${ moment().format('YYYY/MM/DD HH:mm:ss.SS') }`) } [${ chalk.bold.hex(sender.color)(sender.name) }] [${ chalk.bold.hex(type.color)(type.name) }]${ flag } ${ chalk.white(message) }`);
 }
 
 /**
@@ -19,6 +24,7 @@ let colors = {
     server: '#42e6f5',
     database: '#1a99f3',
     client: '#a442f5',
+    impersonation: '#f5e642',
     results: {
         info: '#42f560',
         debug: '#b9f542',
@@ -0,0 +1,38 @@
+/**
+ * @file memoryStart.js - Script starting the HTTP server and the WebSocket server without a database.
+ * The documents are kept in memory, see mongoDb/storage/memoryAdapter.js. As the memory is not shared between processes,
+ * both servers run in this process. A school export can be restored at the start (see tools/exportSchool.js),
+ * otherwise a setup account is created to set up a school at /api/setup.
+ * Usage: npm run start:memory -- [<school-export.json>]
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import fs from "fs/promises";
+
+// set before the configuration is loaded by the imports below
+process.env.STORAGE = 'memory';
+
+const { default: logger } = await import("./logging/logger.js");
+await import("../httpServer/index.js");
+await import("../webSocket/socket.js");
+
+const [ file ] = process.argv.slice(2);
+
+try {
+    if (file) {
+        const { default: SchoolExport } = await import("../models/general/setup/SchoolExport.js");
+        const { restored, activationCodes } = await SchoolExport.restoreSchool(JSON.parse(await fs.readFile(file, 'utf8')));
+
+        logger.database.info(`Restored ${ restored.User ?? 0 } user(s) from '${ file }', activation codes:`);
+        for (const { username, code } of activationCodes) {
+            logger.database.info(`${ username }: ${ code }`);
+        }
+    }
+    else {
+        const { default: SchoolSetup } = await import("../models/general/setup/SchoolSetup.js");
+        const { code } = await SchoolSetup.createSetupAccount('Academi-fy');
+        logger.database.info(`Setup code of the school: ${ code }`);
+    }
+} catch (error) {
+    logger.database.fatal(`Failed to prepare the documents in memory:\n${ error.stack }`);
+}
@@ -0,0 +1,20 @@
+/**
+ * @file migratePasswords.js - Script hashing all user account passwords that are still saved in plaintext.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import * as db from '../mongoDb/db.js';
+import logger from "./logging/logger.js";
+import UserAccount from "../models/users/UserAccount.js";
+
+await db.connect();
+
+try {
+    const migrated = await UserAccount.migratePlaintextPasswords();
+    logger.database.info(`Hashed the passwords of ${ migrated } user account(s)`);
+} catch (error) {
+    logger.database.fatal(`Failed to migrate user account passwords:\n${ error.stack }`);
+    process.exitCode = 1;
+} finally {
+    await db.disconnect();
+}
@@ -0,0 +1,39 @@
+/**
+ * @file migrateSchools.js - Script assigning all documents that do not belong to a school yet to a school.
+ * Needed once for data created before the collections were partitioned by school, see mongoDb/tenancy.js.
+ * Usage: npm run migrate:schools -- <schoolId>
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import * as db from '../mongoDb/db.js';
+import mongoose from "mongoose";
+import logger from "./logging/logger.js";
+import { getAllModels } from "../mongoDb/initializeSchemas.js";
+import { getDocument, updateDocuments } from "../mongoDb/mongoAccess.js";
+import { tenancyModes } from "../mongoDb/tenancy.js";
+import SchoolSchema from "../mongoDb/schemas/general/setup/SchoolSchema.js";
+
+const schoolId = process.argv[2];
+
+if (!schoolId || !mongoose.isValidObjectId(schoolId)) {
+    logger.database.fatal('Usage: npm run migrate:schools -- <schoolId>');
+    process.exit(1);
+}
+
+await db.connect();
+
+try {
+    const school = await getDocument(SchoolSchema, schoolId);
+    if (!school) throw new Error(`School '${ schoolId }' does not exist`);
+
+    // shared documents without a school (e.g. the default roles) are meant to stay shared
+    for (const { name, schema } of getAllModels().filter(model => model.tenancy === tenancyModes.ISOLATED)) {
+        const modified = await updateDocuments(schema, { school: null }, { school: schoolId });
+        logger.database.info(`Assigned ${ modified } ${ name } document(s) to school '${ schoolId }'`);
+    }
+} catch (error) {
+    logger.database.fatal(`Failed to assign documents to school:\n${ error.stack }`);
+    process.exitCode = 1;
+} finally {
+    await db.disconnect();
+}
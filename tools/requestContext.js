@@ -0,0 +1,45 @@
+/**
+ * @file requestContext.js - Context of the HTTP request or socket message that is currently being handled.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * The context follows all asynchronous calls started while handling the request,
+ * so deeper layers like the models can find out who triggered a write without passing it through every function.
+ */
+import { AsyncLocalStorage } from "node:async_hooks";
+
+/**
+ * @description The sources a write can originate from.
+ * */
+export const contextSources = {
+    HTTP: 'HTTP',
+    SOCKET: 'SOCKET',
+    SYSTEM: 'SYSTEM'
+};
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * @description Runs a function inside a context.
+ * @param {Object} context - The context.
+ * @param {String} context.source - Where the request came from. See contextSources.
+ * @param {String} context.requestId - The id of the request ('req-…') or socket message ('msg-…').
+ * @param {String} context.actor - The id of the user that sent the request. Null if not authenticated (yet).
+ * @param {String} context.impersonator - The id of the admin impersonating the actor. Null if the actor is not impersonated.
+ * @param {String} context.school - The id of the school the queries are restricted to, see mongoDb/tenancy.js.
+ * Null for users without a school, undefined if the queries are not restricted (e.g. before the authentication).
+ * @param {Function} callback - The function to run.
+ * @returns {*} The result of the function.
+ * */
+export function runWithContext(context, callback) {
+    return storage.run(context, callback);
+}
+
+/**
+ * @description Gets the context of the request that is currently being handled.
+ * Outside a request (e.g. in scripts in tools/) a system context without actor and school is returned.
+ * @returns {{ source: String, requestId: String, actor: String, impersonator: String, school: String }} The context.
+ * */
+export function getContext() {
+    return storage.getStore() ?? { source: contextSources.SYSTEM, requestId: null, actor: null, impersonator: null, school: undefined };
+}
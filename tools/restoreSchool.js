@@ -0,0 +1,38 @@
+/**
+ * @file restoreSchool.js - Script restoring a school from a JSON bundle written by tools/exportSchool.js.
+ * The activation codes of the restored user accounts are written as CSV, see models/general/setup/SchoolExport.js.
+ * Usage: npm run school:restore -- <school-export.json> <codes.csv>
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import * as db from '../mongoDb/db.js';
+import fs from "fs/promises";
+import logger from "./logging/logger.js";
+import { formatCsv } from "./csv.js";
+import SchoolExport from "../models/general/setup/SchoolExport.js";
+
+const [ file, codesFile ] = process.argv.slice(2);
+
+if (!file || !codesFile) {
+    logger.database.fatal('Usage: npm run school:restore -- <school-export.json> <codes.csv>');
+    process.exit(1);
+}
+
+const bundle = JSON.parse(await fs.readFile(file, 'utf8'));
+
+await db.connect();
+
+try {
+    const { activationCodes } = await SchoolExport.restoreSchool(bundle);
+
+    await fs.writeFile(codesFile, formatCsv(
+        [ 'username', 'code', 'expiresAt' ],
+        activationCodes.map(code => ({ ...code, expiresAt: code.expiresAt.toISOString() }))
+    ));
+    logger.database.info(`Wrote ${ activationCodes.length } activation code(s) to '${ codesFile }'`);
+} catch (error) {
+    logger.database.fatal(`Failed to restore school:\n${ error.stack }`);
+    process.exitCode = 1;
+} finally {
+    await db.disconnect();
+}
@@ -0,0 +1,71 @@
+/**
+ * @file authenticateConnection.js - Functions authenticating WebSocket connections with the access token of the HTTP API.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import resolveIdentity from "../httpServer/authentication/resolveIdentity.js";
+import { getBearerToken } from "../httpServer/middleware/authentication.js";
+import errors from "../errors.js";
+
+/**
+ * @description The subprotocol used to send the access token from clients that cannot set headers (e.g. browsers).
+ * The client requests the protocols [ 'academify.bearer', '<accessToken>' ] and the server only accepts 'academify.bearer'.
+ * */
+export const authenticationProtocol = 'academify.bearer';
+
+/**
+ * @description Selects the subprotocol of a connection. Used as 'handleProtocols' of the WebSocket server.
+ * The access token itself is never selected, so it is not echoed back to the client.
+ * @param {Set<String>} protocols - The subprotocols requested by the client.
+ * @returns {String|Boolean} The selected subprotocol or false if none is selected.
+ */
+export function handleProtocols(protocols) {
+    return protocols.has(authenticationProtocol) ? authenticationProtocol : false;
+}
+
+/**
+ * @description Reads the access token of an upgrade request.
+ * The 'Authorization: Bearer <token>' header is preferred over the subprotocol.
+ * @param {IncomingMessage} req - The upgrade request.
+ * @returns {String|null} The access token or null if the request does not contain one.
+ */
+export function getConnectionToken(req) {
+    const bearerToken = getBearerToken(req);
+    if (bearerToken) return bearerToken;
+
+    const header = req.headers['sec-websocket-protocol'];
+    if (!header) return null;
+
+    const protocols = header.split(',').map(protocol => protocol.trim());
+    const index = protocols.indexOf(authenticationProtocol);
+
+    return index !== -1 && protocols[index + 1] ? protocols[index + 1] : null;
+}
+
+/**
+ * @description Maps the error code of a failed authentication to the close code of the connection.
+ * @param {Number} errorCode - The error code of the AuthenticationError.
+ * @returns {Number} The close code.
+ */
+export function getCloseCode(errorCode) {
+    const closeCodes = errors.socket.connection.authentication;
+
+    switch (errorCode) {
+        case errors.server.authentication.token.missing:
+            return closeCodes.missing;
+        case errors.server.authentication.token.expired:
+            return closeCodes.expired;
+        default:
+            return closeCodes.invalid;
+    }
+}
+
+/**
+ * @description Authenticates the upgrade request of a connection.
+ * @param {IncomingMessage} req - The upgrade request.
+ * @returns {Promise<{ token: Object, userAccount: UserAccount, user: User }>} The identity of the connection.
+ * @throws {AuthenticationError} If the request does not contain a valid access token.
+ */
+export default async function authenticateConnection(req) {
+    return await resolveIdentity(getConnectionToken(req));
+}
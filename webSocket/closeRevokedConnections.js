@@ -0,0 +1,41 @@
+/**
+ * @file closeRevokedConnections.js - Function closing the WebSocket connections of revoked sessions.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * Sessions are revoked by the HTTP server, which runs in another process than the WebSocket server.
+ * The WebSocket server therefore checks the sessions of its connections regularly.
+ */
+import Session from "../models/users/Session.js";
+import errors from "../errors.js";
+import logger from "../tools/logging/logger.js";
+
+/**
+ * @description The time in milliseconds between two checks of the sessions.
+ * */
+export const revokedConnectionsInterval = 10 * 1000;
+
+/**
+ * @description Closes all authenticated connections whose session was revoked or expired
+ * with the close code errors.socket.connection.authentication.revoked.
+ * @param {WebSocketServer} wss - The WebSocket server.
+ * @returns {Promise<Number>} The number of closed connections.
+ */
+export default async function closeRevokedConnections(wss) {
+
+    const connections = [ ...wss.clients ].filter(ws => ws.sessionId);
+    if (connections.length === 0) return 0;
+
+    const activeSessionIds = await Session.getActiveSessionIds([ ...new Set(connections.map(ws => ws.sessionId)) ]);
+
+    let closed = 0;
+    for (const ws of connections) {
+        if (activeSessionIds.has(ws.sessionId)) continue;
+
+        logger.socket.debug(`Connection #${ ws.id }: session '${ ws.sessionId }' was revoked`);
+        ws.close(errors.socket.connection.authentication.revoked, 'Session revoked');
+        closed++;
+    }
+
+    return closed;
+}
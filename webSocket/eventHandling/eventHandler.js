@@ -7,23 +7,79 @@
 
 import socketEvents from "./socketEvents.js";
 import EventHandlerError from "../errors/EventHandlerError.js";
+import checkPermission from "../../httpServer/authorization/checkPermission.js";
+import UserAccount from "../../models/users/UserAccount.js";
+import User from "../../models/users/User.js";
+import logger from "../../tools/logging/logger.js";
+import errors from "../../errors.js";
+
+/**
+ * @description Loads the document an event targets. Events whose document cannot be loaded are checked without a resource.
+ * @param {Object} socketEvent - The event with its permission rule. See socketEvents.js.
+ * @param {Object} data - The data received from the WebSocket connection.
+ * @returns {Promise<BaseModel>} The targeted document or null.
+ */
+async function loadResource(socketEvent, data) {
+    if (!socketEvent.resource) return null;
+
+    try {
+        return await socketEvent.resource(data);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * @description Checks if the user of a connection is allowed to send an event.
+ * The user account is loaded again for every check, so permission changes apply to open connections immediately.
+ * @param {Object} ws - The WebSocket connection object.
+ * @param {Object} socketEvent - The event with its permission rule. See socketEvents.js.
+ * @param {Object} data - The data received from the WebSocket connection.
+ * @returns {Promise<Boolean>} If the user is allowed to send the event.
+ */
+async function isPermitted(ws, socketEvent, data) {
+
+    if (!socketEvent.permission) return true;
+
+    const userAccount = await UserAccount.getUserAccountById(ws.userAccountId);
+    const user = await User.getById(ws.userId);
+
+    return checkPermission(userAccount, user, socketEvent.permission, socketEvent.bypass, await loadResource(socketEvent, data));
+}
 
 /**
  * @description This function handles different types of events that can occur in a WebSocket connection.
+ * Events the user is not permitted to send are answered with an ERROR event carrying errors.socket.actions.insufficientPermission.
+ * Events that fail to be handled are rejected with an EventHandlerError, which socket.js answers with an ERROR event.
  * @param {Object} wss - The WebSocket server object.
  * @param {Object} ws - The WebSocket connection object.
  * @param {Object} data - The data received from the WebSocket connection.
  * @param {String} messageId - The id of the socket message.
  * @param {Number} date - The date when the message was received.
  */
-export function handleEvents(wss, ws, data, messageId, date) {
+export async function handleEvents(wss, ws, data, messageId, date) {
 
     const event = data.event;
+    const socketEvent = socketEvents[event];
 
-    if (socketEvents[event]) {
+    if (socketEvent) {
+
+        if (!await isPermitted(ws, socketEvent, data)) {
+            logger.socket.error(`Message #${ messageId }: user '${ ws.userId }' is missing permission '${ socketEvent.permission }' for event '${ event }'`);
+            ws.send(
+                JSON.stringify({
+                    event: "ERROR",
+                    payload: {
+                        errorCode: errors.socket.actions.insufficientPermission,
+                        errorMessage: `Missing permission '${ socketEvent.permission }' for event ${ event }.`
+                    }
+                })
+            );
+            return;
+        }
 
         try {
-            socketEvents[event].handler({
+            await socketEvent.handler({
                 server: wss,
                 connection: ws
             }, data, messageId, date);
@@ -34,4 +90,4 @@ export function handleEvents(wss, ws, data, messageId, date) {
     }
     else throw new EventHandlerError(`Event '${ event }' could not be handled`)
 
-}
\ No newline at end of file
+}
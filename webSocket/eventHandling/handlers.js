@@ -26,6 +26,7 @@ export { default as CourseUserRemoveEvent } from "./handlers/courses/CourseUserR
 export { default as CourseChatSetEvent } from "./handlers/courses/CourseChatSetEvent.js";
 export { default as EventCreateEvent } from "./handlers/events/EventCreateEvent.js";
 export { default as EventPingCreateEvent } from "./handlers/events/EventPingCreateEvent.js";
+export { default as InviteCodeRedeemEvent } from "./handlers/invites/InviteCodeRedeemEvent.js";
 export { default as MessageSendEvent } from "./handlers/messages/MessageSendEvent.js";
 export { default as MessageEditEvent } from "./handlers/messages/MessageEditEvent.js";
 export { default as MessageDeleteEvent } from "./handlers/messages/MessageDeleteEvent.js";
@@ -0,0 +1,94 @@
+/**
+ * @file InviteCodeRedeemEvent.js - Class handling the socket's InviteCodeRedeemEvent.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ */
+import logger from "../../../../tools/logging/logger.js";
+import errors from "../../../../errors.js";
+import InviteCode from "../../../../models/general/InviteCode.js";
+import createAttemptThrottle from "../../../../httpServer/authentication/attemptThrottle.js";
+import { notifyMembers } from "../../../notifyInviteRedemptions.js";
+
+// failed code redemptions per user, like the redemptions by the HTTP server, see routes/inviteCodeRoutes.js
+const redemptionThrottle = createAttemptThrottle('invite', 10, 15);
+
+/**
+ * @description Sends an ERROR event to the connection.
+ * @param {Object} connection - The WebSocket connection.
+ * @param {Number} errorCode - The error code.
+ * @param {String} errorMessage - The error message.
+ */
+function sendError(connection, errorCode, errorMessage) {
+    connection.send(
+        JSON.stringify({
+            event: "ERROR",
+            payload: {
+                errorCode: errorCode,
+                errorMessage: errorMessage
+            }
+        })
+    );
+}
+
+/**
+ * @description Function handling the InviteCodeRedeemEvent.
+ * The user joins the target of the code, its connected members receive INVITE_CODE_REDEEM_RECEIVED.
+ * Users that already are a member only receive it themselves with 'joined' set to false.
+ * Failures are answered with an ERROR event instead of being thrown.
+ * @param {Object} ws - The WebSocket connection object.
+ * @param {Object} data - The data received from the WebSocket connection.
+ * @param {String} messageId - The id of the socket message.
+ * @param {Number} date - The date when the event was received.
+ */
+export default async function (ws, data, messageId, date) {
+
+    const { server, connection } = ws;
+    const userId = data.payload.sender;
+
+    try {
+
+        const retryAfter = await redemptionThrottle.getRetryAfter(userId);
+        if (retryAfter > 0) {
+            sendError(connection, errors.server.inviteCode.throttled, `Too many invalid codes. Try again in ${ Math.ceil(retryAfter / 1000) } seconds.`);
+            return;
+        }
+
+        const redeemed = await InviteCode.redeem(data.payload.data.code, userId);
+        if (!redeemed) {
+            await redemptionThrottle.registerFailure(userId);
+            sendError(connection, errors.server.inviteCode.invalid, "Code is invalid, expired, used up or revoked.");
+            return;
+        }
+
+        await redemptionThrottle.reset(userId);
+
+        if (redeemed.joined) await notifyMembers(server, { ...redeemed, user: userId });
+        else {
+            connection.send(
+                JSON.stringify({
+                    event: "INVITE_CODE_REDEEM_RECEIVED",
+                    payload: {
+                        sender: 'socket',
+                        data: {
+                            targetType: redeemed.targetType,
+                            target: redeemed.target,
+                            user: userId,
+                            joined: false
+                        }
+                    }
+                })
+            );
+        }
+
+        logger.socket.debug(`Message #${ messageId } processed in ${ Date.now() - date } ms`)
+    } catch (error) {
+        // answered like a failed redemption by the HTTP server, see routes/inviteCodeRoutes.js
+        logger.socket.error(`Message #${ messageId }: Code redemption of user '${ userId }' failed:\n${ error.stack }`);
+        sendError(
+            connection,
+            error.name === 'InviteCodeError' ? error.errorCode : errors.server.document.update.failed,
+            error.name === 'InviteCodeError' ? error.message : "Code could not be redeemed."
+        );
+    }
+
+}
@@ -6,7 +6,6 @@
 import Message from "../../../../models/messages/Message.js";
 import logger from "../../../../tools/logging/logger.js";
 import EventHandlerError from "../../../errors/EventHandlerError.js";
-import SocketMessageSendError from "../../../errors/SocketMessageSendError.js";
 import sendToTargetSocket from "../../../sendToTargetSocket.js";
 
 /**
@@ -35,7 +34,7 @@ export default async function (ws, data, messageId, messageDate) {
         chat.getAllTargets().forEach(target => {
 
             if (!sendToTargetSocket(server, target,
-                JSON.stringify({
+                {
                     event: "MESSAGE_DELETE_RECEIVED",
                     payload: {
                         sender: `socket`,
@@ -43,9 +42,10 @@ export default async function (ws, data, messageId, messageDate) {
                             messageId: msgId
                         }
                     }
-                })
+                }
             )) {
-                throw new SocketMessageSendError(`target '${ target.id }' could not be notified.`);
+                // offline users receive the changes when they load the chat again
+                logger.socket.debug(`Message #${ messageId }: target '${ target._id }' is offline.`);
             }
 
         });
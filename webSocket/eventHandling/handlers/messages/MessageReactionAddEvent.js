@@ -7,7 +7,6 @@ import Message from "../../../../models/messages/Message.js";
 import logger from "../../../../tools/logging/logger.js";
 import EventHandlerError from "../../../errors/EventHandlerError.js";
 import sendToTargetSocket from "../../../sendToTargetSocket.js";
-import SocketMessageSendError from "../../../errors/SocketMessageSendError.js";
 
 /**
  * @description Function handling the MessageReactionAddEvent.
@@ -39,7 +38,7 @@ export default async function (ws, data, messageId, messageDate) {
             if (!sendToTargetSocket(
                 server,
                 target,
-                JSON.stringify({
+                {
                     event: "MESSAGE_REACTION_ADD_RECEIVED",
                     payload: {
                         sender: 'socket',
@@ -48,9 +47,10 @@ export default async function (ws, data, messageId, messageDate) {
                             message: updatedMessage
                         }
                     }
-                })
+                }
             )) {
-                throw new SocketMessageSendError(`target '${ target.id }' could not be notified.`);
+                // offline users receive the changes when they load the chat again
+                logger.socket.debug(`Message #${ messageId }: target '${ target._id }' is offline.`);
             }
 
         });
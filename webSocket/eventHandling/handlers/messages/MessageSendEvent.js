@@ -7,7 +7,6 @@ import logger from "../../../../tools/logging/logger.js";
 import Message from "../../../../models/messages/Message.js";
 import EventHandlerError from "../../../errors/EventHandlerError.js";
 import sendToTargetSocket from "../../../sendToTargetSocket.js";
-import SocketMessageSendError from "../../../errors/SocketMessageSendError.js";
 
 /**
  * @description Function handling the MessageSendEvent.
@@ -19,7 +18,8 @@ import SocketMessageSendError from "../../../errors/SocketMessageSendError.js";
 export default async function (ws, data, messageId, messageDate) {
 
     const { server, connection } = ws;
-    let { chat, author, content, reactions, answer, editHistory, date } = data.payload.data;
+    let { chat, content, reactions, answer, editHistory, date } = data.payload.data;
+    const author = data.payload.sender;
 
     const newMessage = new Message(chat, author, content, reactions, answer, editHistory, date);
 
@@ -34,15 +34,16 @@ export default async function (ws, data, messageId, messageDate) {
         chat.getAllTargets().forEach(target => {
 
             if (!sendToTargetSocket(server, target,
-                JSON.stringify({
+                {
                     event: "MESSAGE_SEND_RECEIVED",
                     payload: {
                         sender: `socket`,
                         data: message
                     }
-                })
+                }
             )) {
-                throw new SocketMessageSendError(`target '${ target.id }' could not be notified.`);
+                // offline users receive the changes when they load the chat again
+                logger.socket.debug(`Message #${ messageId }: target '${ target._id }' is offline.`);
             }
 
         });
@@ -4,74 +4,121 @@
  * @copyright 2023 Daniel Dopatka, Linus Bung
  */
 import * as handlers from "./handlers.js";
+import UserAccountPermissions from "../../models/users/UserAccountPermissions.js";
+import UserAccountTypes from "../../models/users/UserAccountTypes.js";
+import Chat from "../../models/messages/Chat.js";
+import Club from "../../models/clubs/Club.js";
+import Course from "../../models/general/Course.js";
+import Message from "../../models/messages/Message.js";
 
-function createHandler(eventName) {
+/**
+ * @description Creates the handler of an event.
+ * @param {String} eventName - The name of the handler in handlers.js.
+ * @param {String} permission - The permission required to send the event. Events without a permission can be sent by every user.
+ * @param {Array<String>} bypass - The account types that are allowed without having the permission. Defaults to ADMIN.
+ * @param {Function} resource - Function returning the document the event targets. The permission is then checked against it.
+ * @returns {Object} The handler and the permission rule of the event. The handler resolves once the event is handled.
+ */
+function createHandler(eventName, permission = null, bypass = undefined, resource = null) {
     return {
-        handler: (ws, data, messageId, date) => {
-            handlers[eventName](ws, data, messageId, date)
+        permission: permission,
+        bypass: bypass,
+        resource: resource,
+        handler: async (ws, data, messageId, date) => {
+            await handlers[eventName](ws, data, messageId, date);
         }
     };
 }
 
+/**
+ * @description Creates a function loading the document an event targets.
+ * @param {BaseModel} model - The model of the document.
+ * @param {String} idProperty - The property of the event data containing the id of the document.
+ * @returns {Function} The function returning the document for the event data.
+ */
+function target(model, idProperty) {
+    return (data) => model.getById(data.payload.data[idProperty]);
+}
+
+/**
+ * @description Creates a function loading the chat of the message an event targets.
+ * @param {String} idProperty - The property of the event data containing the id of the message.
+ * @returns {Function} The function returning the chat for the event data.
+ */
+function chatOf(idProperty) {
+    return async (data) => {
+        const message = await Message.getById(data.payload.data[idProperty]);
+        return Chat.getById((message.chat?._id ?? message.chat).toString());
+    };
+}
+
+const allAccountTypes = [ UserAccountTypes.STUDENT, UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ];
+const teachers = [ UserAccountTypes.TEACHER, UserAccountTypes.ADMIN ];
+
 export default {
 
     "ERROR": createHandler('ErrorEvent'),
 
     // BLACKBOARDS
 
-    "BLACKBOARD_CREATE": createHandler('BlackboardCreateEvent'),
-    "BLACKBOARD_UPDATE": createHandler('BlackboardUpdateEvent'),
-    "BLACKBOARD_DELETE": createHandler('BlackboardDeleteEvent'),
+    "BLACKBOARD_CREATE": createHandler('BlackboardCreateEvent', UserAccountPermissions.blackboard.creation.execute, allAccountTypes),
+    "BLACKBOARD_UPDATE": createHandler('BlackboardUpdateEvent', UserAccountPermissions.blackboard.edit.execute),
+    "BLACKBOARD_DELETE": createHandler('BlackboardDeleteEvent', UserAccountPermissions.blackboard.deletion.execute),
 
     // CHATS
 
-    "CHAT_TARGET_ADD": createHandler('ChatTargetAddEvent'),
-    "CHAT_TARGET_REMOVE": createHandler('ChatTargetRemoveEvent'),
-    "CHAT_COURSE_ADD": createHandler('ChatCourseAddEvent'),
-    "CHAT_COURSE_REMOVE": createHandler('ChatCourseRemoveEvent'),
-    "CHAT_CLUB_ADD": createHandler('ChatClubAddEvent'),
-    "CHAT_CLUB_REMOVE": createHandler('ChatClubRemoveEvent'),
+    "CHAT_TARGET_ADD": createHandler('ChatTargetAddEvent', UserAccountPermissions.chat.targets.add, undefined, target(Chat, 'chatId')),
+    "CHAT_TARGET_REMOVE": createHandler('ChatTargetRemoveEvent', UserAccountPermissions.chat.targets.remove, undefined, target(Chat, 'chatId')),
+    "CHAT_COURSE_ADD": createHandler('ChatCourseAddEvent', UserAccountPermissions.chat.courses.add, undefined, target(Chat, 'chatId')),
+    "CHAT_COURSE_REMOVE": createHandler('ChatCourseRemoveEvent', UserAccountPermissions.chat.courses.remove, undefined, target(Chat, 'chatId')),
+    "CHAT_CLUB_ADD": createHandler('ChatClubAddEvent', UserAccountPermissions.chat.clubs.add, undefined, target(Chat, 'chatId')),
+    "CHAT_CLUB_REMOVE": createHandler('ChatClubRemoveEvent', UserAccountPermissions.chat.clubs.remove, undefined, target(Chat, 'chatId')),
 
     // CLASSES
 
-    "CLASS_COURSE_ADD": createHandler('ClassCourseAddEvent'),
-    "CLASS_COURSE_REMOVE": createHandler('ClassCourseRemoveEvent'),
-    "CLASS_USER_ADD": createHandler('ClassUserAddEvent'),
-    "CLASS_USER_REMOVE": createHandler('ClassUserRemoveEvent'),
+    "CLASS_COURSE_ADD": createHandler('ClassCourseAddEvent', UserAccountPermissions.class.courses.add),
+    "CLASS_COURSE_REMOVE": createHandler('ClassCourseRemoveEvent', UserAccountPermissions.class.courses.remove),
+    "CLASS_USER_ADD": createHandler('ClassUserAddEvent', UserAccountPermissions.class.members.add),
+    "CLASS_USER_REMOVE": createHandler('ClassUserRemoveEvent', UserAccountPermissions.class.members.remove),
 
     // CLUBS
 
-    "CLUB_USER_ADD": createHandler('ClubUserAddEvent'),
-    "CLUB_USER_REMOVE": createHandler('ClubUserRemoveEvent'),
-    "CLUB_EVENT_ADD": createHandler('ClubEventAddEvent'),
-    "CLUB_EVENT_REMOVE": createHandler('ClubEventRemoveEvent'),
+    "CLUB_USER_ADD": createHandler('ClubUserAddEvent', UserAccountPermissions.club.members.add, undefined, target(Club, 'clubId')),
+    "CLUB_USER_REMOVE": createHandler('ClubUserRemoveEvent', UserAccountPermissions.club.members.remove, undefined, target(Club, 'clubId')),
+    "CLUB_EVENT_ADD": createHandler('ClubEventAddEvent', UserAccountPermissions.club.events.add, undefined, target(Club, 'clubId')),
+    "CLUB_EVENT_REMOVE": createHandler('ClubEventRemoveEvent', UserAccountPermissions.club.events.remove, undefined, target(Club, 'clubId')),
 
     // COURSES
 
-    "COURSE_USER_ADD": createHandler('CourseUserAddEvent'),
-    "COURSE_USER_REMOVE": createHandler('CourseUserRemoveEvent'),
-    "COURSE_CHAT_SET": createHandler('CourseChatSetEvent'),
+    "COURSE_USER_ADD": createHandler('CourseUserAddEvent', UserAccountPermissions.course.members.add, undefined, target(Course, 'courseId')),
+    "COURSE_USER_REMOVE": createHandler('CourseUserRemoveEvent', UserAccountPermissions.course.members.remove, undefined, target(Course, 'courseId')),
+    "COURSE_CHAT_SET": createHandler('CourseChatSetEvent', UserAccountPermissions.course.chat.set, undefined, target(Course, 'courseId')),
 
     // EVENTS
 
-    "EVENT_CREATE": createHandler('EventCreateEvent'),
-    "EVENT_PING_CREATE": createHandler('EventPingCreateEvent'),
+    "EVENT_CREATE": createHandler('EventCreateEvent', UserAccountPermissions.event.creation.execute, teachers),
+    "EVENT_PING_CREATE": createHandler('EventPingCreateEvent', UserAccountPermissions.event.pings.create, teachers),
+
+    // INVITES
+
+    "INVITE_CODE_REDEEM": createHandler('InviteCodeRedeemEvent'),
 
     // MESSAGES
 
-    "MESSAGE_SEND": createHandler('MessageSendEvent'),
-    "MESSAGE_EDIT": createHandler('MessageEditEvent'),
-    "MESSAGE_DELETE": createHandler('MessageDeleteEvent'),
-    "MESSAGE_REACTION_ADD": createHandler('MessageReactionAddEvent'),
-    "MESSAGE_REACTION_REMOVE": createHandler('MessageReactionRemoveEvent'),
-    "POLL_VOTE_ADD": createHandler('PollVoteAddEvent'),
-    "POLL_VOTE_REMOVE": createHandler('PollVoteRemoveEvent'),
+    "MESSAGE_SEND": createHandler('MessageSendEvent', UserAccountPermissions.message.creation.execute, undefined, target(Chat, 'chat')),
+    "MESSAGE_EDIT": createHandler('MessageEditEvent', UserAccountPermissions.message.edit.execute, undefined, target(Message, 'oldMessageId')),
+    "MESSAGE_DELETE": createHandler('MessageDeleteEvent', UserAccountPermissions.message.deletion.execute, undefined, target(Message, 'messageId')),
+    // reacting and voting add to a chat like a message, so they need the same permission in the chat of the message
+    "MESSAGE_REACTION_ADD": createHandler('MessageReactionAddEvent', UserAccountPermissions.message.creation.execute, undefined, chatOf('messageId')),
+    "MESSAGE_REACTION_REMOVE": createHandler('MessageReactionRemoveEvent', UserAccountPermissions.message.creation.execute, undefined, chatOf('messageId')),
+    "POLL_VOTE_ADD": createHandler('PollVoteAddEvent', UserAccountPermissions.message.creation.execute, undefined, chatOf('messageId')),
+    "POLL_VOTE_REMOVE": createHandler('PollVoteRemoveEvent', UserAccountPermissions.message.creation.execute, undefined, chatOf('messageId')),
 
     // USERS
 
-    "USER_CLASS_ADD": createHandler('UserClassAddEvent'),
-    "USER_CLASS_REMOVE": createHandler('UserClassRemoveEvent'),
-    "USER_COURSE_ADD": createHandler('UserCourseAddEvent'),
-    "USER_COURSE_REMOVE": createHandler('UserCourseRemoveEvent')
+    "USER_CLASS_ADD": createHandler('UserClassAddEvent', UserAccountPermissions.user.classes.add),
+    "USER_CLASS_REMOVE": createHandler('UserClassRemoveEvent', UserAccountPermissions.user.classes.remove),
+    "USER_COURSE_ADD": createHandler('UserCourseAddEvent', UserAccountPermissions.user.courses.add),
+    "USER_COURSE_REMOVE": createHandler('UserCourseRemoveEvent', UserAccountPermissions.user.courses.remove)
 
 }
\ No newline at end of file
@@ -12,7 +12,7 @@ import YupEventSchema from "../yupSchemas/events/YupEventSchema.js";
 /**
  * @description The standard format for WebSocket requests
  * @param {Object} data - The custom data format for the event
- * @property {String} sender - The sender of the socket messages
+ * @property {String} sender - The sender of the socket messages. Set by the server to the authenticated user.
  * @property {Object} data - The custom data format for the event
  * @returns {yup.ObjectSchema} A Yup schema object that validates the standard format for WebSocket requests.
  * */
@@ -231,6 +231,15 @@ export default {
         ping: YupEventPingSchema.required()
     }),
 
+    // INVITES
+
+    /**
+     * @description The event that is fired when a user redeems an invite code to join a class, course, club or group chat.
+     * */
+    "INVITE_CODE_REDEEM": standardFormat({
+        code: yup.string().required()
+    }),
+
     // MESSAGING
 
     /**
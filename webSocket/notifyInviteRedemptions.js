@@ -0,0 +1,96 @@
+/**
+ * @file notifyInviteRedemptions.js - Functions notifying the members of a class, course, club or group chat about users joining with an invite code.
+ * @author Daniel Dopatka
+ * @copyright 2023 Daniel Dopatka, Linus Bung
+ *
+ * Codes redeemed with the INVITE_CODE_REDEEM event are announced right away. Codes can be redeemed by the HTTP server as well,
+ * which runs in another process than the WebSocket server. It publishes the redeemed code on the bus of the cache invalidations
+ * (see httpServer/cache/invalidationBus.js), the WebSocket server then announces the new redemptions of the code.
+ * With CACHE_INVALIDATION=none only the redemptions by a HTTP server in the same process are announced.
+ */
+import { Mutex } from "async-mutex";
+import InviteCode from "../models/general/InviteCode.js";
+import User from "../models/users/User.js";
+import { runWithTenant } from "../mongoDb/tenancy.js";
+import { invalidationOperations, subscribeInvalidations } from "../httpServer/cache/invalidationBus.js";
+import { contextSources } from "../tools/requestContext.js";
+import sendToTargetSocket from "./sendToTargetSocket.js";
+import logger from "../tools/logging/logger.js";
+
+// redemptions until this date have been announced, by the _id of the code
+const startedAt = new Date();
+const announcedUntil = new Map();
+
+// a code can be published more than once (e.g. by the change stream as well), so its redemptions are announced one after another
+const announcementMutex = new Mutex();
+
+/**
+ * @description Sends INVITE_CODE_REDEEM_RECEIVED to the connected members of the target, including the user that joined.
+ * @param {WebSocketServer} server - The WebSocket server.
+ * @param {Object} redemption - The redemption.
+ * @param {String} redemption.targetType - The type of the target. See models/general/InviteCode.js.
+ * @param {String} redemption.target - The id of the target.
+ * @param {String} redemption.user - The id of the user that joined.
+ * @returns {Promise<Number>} The number of notified members.
+ */
+export async function notifyMembers(server, { targetType, target, user }) {
+
+    const message = {
+        event: "INVITE_CODE_REDEEM_RECEIVED",
+        payload: {
+            sender: 'socket',
+            data: {
+                targetType: targetType,
+                target: target,
+                user: await User.getById(user),
+                joined: true
+            }
+        }
+    };
+
+    let notified = 0;
+    for (const memberId of await InviteCode.getMemberIds(targetType, target)) {
+        if (sendToTargetSocket(server, { _id: memberId }, message)) notified++;
+    }
+    return notified;
+}
+
+/**
+ * @description Notifies the members about the redemptions of a code by the HTTP server that were not announced yet.
+ * @param {WebSocketServer} wss - The WebSocket server.
+ * @param {String} inviteCodeId - The _id of the redeemed code.
+ * @returns {Promise<Number>} The number of announced redemptions.
+ */
+export default async function notifyInviteRedemptions(wss, inviteCodeId) {
+
+    const release = await announcementMutex.acquire();
+    try {
+        const since = announcedUntil.get(inviteCodeId) ?? startedAt;
+        const redemptions = await InviteCode.getRedemptions(inviteCodeId, since, contextSources.HTTP);
+        if (redemptions.length > 0) announcedUntil.set(inviteCodeId, redemptions.at(-1).redeemedAt);
+
+        for (const redemption of redemptions) {
+            try {
+                await notifyMembers(wss, redemption);
+            } catch (error) {
+                logger.socket.error(`Failed to announce user '${ redemption.user }' joining ${ redemption.targetType } '${ redemption.target }':\n${ error.stack }`);
+            }
+        }
+
+        return redemptions.length;
+    } finally {
+        release();
+    }
+}
+
+/**
+ * @description Announces the codes redeemed by the HTTP server when they are published on the bus, also by this process.
+ * @param {WebSocketServer} wss - The WebSocket server.
+ */
+export async function listenForInviteRedemptions(wss) {
+    await subscribeInvalidations(async ({ model, _id, op, school }) => {
+        if (model !== 'InviteCode' || op === invalidationOperations.DELETE) return;
+
+        await runWithTenant(school ?? undefined, () => notifyInviteRedemptions(wss, _id));
+    }, { includeOwn: true });
+}
@@ -10,11 +10,13 @@ import UnknownEventError from "./errors/UnknownEventError.js";
 
 /**
  * @description Parses a messages and validates its payload.
+ * The sender of the payload is set to the authenticated user, a sender sent by the client is ignored.
  * @param {String} message - The messages to be parsed.
+ * @param {String} sender - The _id of the authenticated user that sent the messages.
  * @returns {Object} The parsed messages object with validated payload.
  * @throws {Error} Will throw an error if the messages does not contain 'event' or 'payload'.
  */
-export function parseMessage(message) {
+export function parseMessage(message, sender) {
 
     const object = JSON.parse(message);
 
@@ -27,9 +29,11 @@ export function parseMessage(message) {
         throw new SocketMessageParsingError("Invalid messages: payload must be an object");
     }
 
-    if (!("sender" in object.payload)) throw new SocketMessageParsingError("Invalid messages: messages sender is required")
+    if (!sender) throw new SocketMessageParsingError("Invalid messages: messages sender is required")
     if (!("data" in object.payload)) throw new SocketMessageParsingError("Invalid messages: messages data is required")
 
+    object.payload.sender = sender;
+
     object.payload = yupSchemas[object.event].validateSync(object.payload);
 
     return object;
@@ -1,25 +1,40 @@
 /**
- * @file sendToTargetSocket.js - Function to send a message to a target socket connection.
+ * @file sendToTargetSocket.js - Function to send a message to the socket connections of a target user.
  * @author Daniel Dopatka
  * @copyright 2023 Daniel Dopatka, Linus Bung
  */
+import { renderForViewer } from "../models/visibility.js";
+import logger from "../tools/logging/logger.js";
+
 /**
- * @description Sends a socket message to a client connected to the socket.
+ * @description Sends a socket message to every connection of a user, e.g. on their phone and on a school PC.
+ * The message is rendered for the user of the target connection, so fields they are not allowed to see are left out.
+ * See models/visibility.js.
  * @param {WebSocketServer} server - The WebSocket server instance
  * @param {User} target - The target user.
- * @param {String} message - The message to be sent
- * @returns {Boolean} - If the message could be sent.
+ * @param {Object} message - The message to be sent
+ * @param {String} senderId - Optional: The _id of the user that caused the message. They are not sent their own message.
+ * @returns {Boolean} - If the message could be sent to at least one connection. False if the user is offline.
  */
-export default function (server, target, message) {
+export default function (server, target, message, senderId = null) {
+
+    const targetId = target._id.toString();
+    if (targetId === senderId) return false;
 
-    const targetSocket = Array.from(server.clients).find(client => client.userId === target._id.toString());
+    const targetSockets = Array.from(server.clients).filter(client => client.userId === targetId);
 
-    if (targetSocket && targetSocket.userId !== connection.userId) {
-        targetSocket.send(
-            message
-        );
-        return true;
+    let sent = false;
+    for (const targetSocket of targetSockets) {
+        try {
+            targetSocket.send(
+                JSON.stringify(renderForViewer(message, targetSocket.user))
+            );
+            sent = true;
+        } catch (error) {
+            logger.socket.error(`Could not send message to a connection of user '${ targetId }': ${ error.message }`);
+        }
     }
-    else return false
 
-}
\ No newline at end of file
+    return sent;
+
+}
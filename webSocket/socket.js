@@ -13,6 +13,12 @@ import { nanoid } from "nanoid";
 import errors from "../errors.js";
 import memoryLogger from "../tools/logging/memoryLogger.js";
 import * as db from '../mongoDb/db.js';
+import authenticateConnection, { getCloseCode, handleProtocols } from "./authenticateConnection.js";
+import { contextSources, runWithContext } from "../tools/requestContext.js";
+import closeRevokedConnections, { revokedConnectionsInterval } from "./closeRevokedConnections.js";
+import { listenForInviteRedemptions } from "./notifyInviteRedemptions.js";
+import Session, { activityUpdateInterval } from "../models/users/Session.js";
+import listenForCacheInvalidations from "../models/cacheInvalidation.js";
 
 dotenv.config();
 
@@ -20,38 +26,85 @@ dotenv.config();
  * @description Creates a new WebSocket server instance and listens for incoming connections.
  * @type {WebSocketServer}
  */
-const wss = new WebSocketServer({ port: parseInt(config.WEBSOCKET_PORT) });
+const wss = new WebSocketServer({
+    port: parseInt(config.WEBSOCKET_PORT),
+    handleProtocols: handleProtocols
+});
 
 await db.connect().then(() => {
     logger.database.info(`Connected to WebSocket`)
 })
 
-wss.on('connection', (ws, req) => {
-    const url = new URL(req.url, `http://${ req.headers.host }`);
-    const userId = url.searchParams.get('userId');
+/**
+ * Changes of the models by the HTTP server, see httpServer/cache/invalidationBus.js.
+ * */
+await listenForCacheInvalidations().catch(error => {
+    logger.socket.error(`Failed to listen for cache invalidations:\n${ error.stack }`);
+});
+
+/**
+ * Members are notified about users that joined with an invite code through the HTTP server.
+ * */
+await listenForInviteRedemptions(wss).catch(error => {
+    logger.socket.error(`Failed to listen for redeemed invite codes:\n${ error.stack }`);
+});
 
+wss.on('connection', (ws, req) => {
     const connectionId = `conn-${ nanoid(16) }`
     ws.id = connectionId;
-    ws.userId = userId;
+    ws.userId = null;
 
-    logger.socket.debug(`New connection #${ connectionId } to: ${ req.socket.remoteAddress } with user id '${ userId }'`);
+    logger.socket.debug(`New connection #${ connectionId } to: ${ req.socket.remoteAddress }`);
     logger.socket.debug(`Connection #${ connectionId }: established at: ${ new Date().toISOString() }`);
     logger.socket.debug(`Connection #${ connectionId }: user-agent: ${ req.headers['user-agent'] }`);
 
+    /**
+     * The connection is authenticated with the same access token as the HTTP API.
+     * Unauthenticated connections are closed with one of the codes in errors.socket.connection.authentication.
+     * Messages received in the meantime wait for the authentication to finish.
+     * */
+    const authentication = authenticateConnection(req).then(({ session, userAccount, user }) => {
+        ws.userId = user._id.toString();
+        ws.userAccountId = userAccount._id.toString();
+        ws.user = user;
+        ws.sessionId = session._id;
+        ws.impersonator = session.impersonator;
+        ws.school = session.school;
+        ws.lastActivityAt = Date.now();
+
+        logger.socket.debug(`Connection #${ connectionId }: authenticated as user '${ ws.userId }'${ ws.impersonator ? `, impersonated by '${ ws.impersonator }'` : '' }`);
+        return true;
+    }).catch(error => {
+        logger.socket.error(`Connection #${ connectionId }: authentication failed: ${ error.message }`);
+        ws.close(getCloseCode(error.errorCode), 'Unauthorized');
+        return false;
+    });
+
     /**
      * Event listener for incoming messages
      * */
-    ws.on('message', message => {
+    ws.on('message', async message => {
+
+        if (!await authentication) return;
 
         const messageId = `msg-${ nanoid(16) }`;
         logger.socket.debug(`Received message #${ messageId } from connection #${ connectionId }`)
 
+        // messages count as activity of the session, see models/users/Session.js
+        if (Date.now() - ws.lastActivityAt > activityUpdateInterval) {
+            ws.lastActivityAt = Date.now();
+            Session.touch(ws.sessionId).catch(error => {
+                logger.socket.error(`Failed to update last activity of session '${ ws.sessionId }':\n${ error.stack }`);
+            });
+        }
+
         let data;
         try {
             /**
-             * The messages is parsed and validated by yup to be processed
+             * The messages is parsed and validated by yup to be processed.
+             * The sender of the messages is always the authenticated user of the connection.
              * */
-            data = parseMessage(message);
+            data = parseMessage(message, ws.userId);
         } catch (error) {
             logger.socket.error(`Invalid message: \n${ error.stack }`);
 
@@ -111,9 +164,18 @@ wss.on('connection', (ws, req) => {
 
         /**
          * Handle the parsed messages
+         * Writes caused by the event are attributed to the user of the connection and the message id,
+         * and flagged if an admin impersonates the user. All queries are restricted to the school of the session.
          * */
         try {
-            handleEvents(wss, ws, data, messageId, Date.now());
+            const context = {
+                source: contextSources.SOCKET,
+                requestId: messageId,
+                actor: ws.userId,
+                impersonator: ws.impersonator ?? null,
+                school: ws.school ?? null
+            };
+            await runWithContext(context, () => handleEvents(wss, ws, data, messageId, Date.now()));
         } catch (error) {
             logger.socket.error(`Error while handling event: ${ error.stack }`);
             ws.send(
@@ -131,6 +193,16 @@ wss.on('connection', (ws, req) => {
 
 });
 
+/**
+ * Connections of sessions that were revoked (e.g. a logout on another device) are closed.
+ * */
+setInterval(() => {
+    closeRevokedConnections(wss).catch(error => {
+        logger.socket.error(`Failed to close connections of revoked sessions:\n${ error.stack }`);
+    });
+}, revokedConnectionsInterval);
+
+
 logger.socket.info(`WebSocket server running at http://localhost:${ config.WEBSOCKET_PORT }`);
 
 memoryLogger(logger.socket);
\ No newline at end of file